@@ -1,9 +1,21 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { TrendingDown, Info, AlertTriangle, Zap } from 'lucide-react';
-import { formatCurrency, formatPercent } from '@/utils/formatters';
+import { formatCurrency, formatNumberWithCommas, formatPercent } from '@/utils/formatters';
+import {
+  parseAmountInput,
+  minAmount,
+  toWad,
+  fromWad,
+  getAmountValue,
+  getAmountForValue,
+} from '@/utils/tokenAmount';
+import { useWallet } from '@/hooks/useWallet';
+import { useContract } from '@/hooks/useContract';
 import BorrowModal from './BorrowModal';
 
 const BorrowCard = ({ token, onBorrow, userBorrowed = 0, availableToBorrow = 0 }) => {
+  const { isWatchOnly } = useWallet();
+  const { baseUsdPrice } = useContract();
   const [showModal, setShowModal] = useState(false);
   const [showTooltip, setShowTooltip] = useState(false);
 
@@ -18,11 +30,20 @@ const BorrowCard = ({ token, onBorrow, userBorrowed = 0, availableToBorrow = 0 }
     setShowModal(false);
   };
 
+  // Borrow capacity comes in the market's base currency, token prices in USD
+  const availableToBorrowUsd = availableToBorrow * baseUsdPrice;
+
   // Calculate max borrowable based on available liquidity
-  const maxBorrowable = Math.min(
-    availableToBorrow / token.price,
-    1000000 // Mock available liquidity
-  );
+  const maxBorrowable = useMemo(() => minAmount(
+    getAmountForValue(toWad(availableToBorrowUsd), token.price, token.decimals),
+    parseAmountInput('1000000', token.decimals) // Mock available liquidity
+  ), [availableToBorrowUsd, token.price, token.decimals]);
+
+  const borrowDisabledReason = token.isPaused
+    ? 'Paused'
+    : token.isFrozen
+      ? 'Frozen'
+      : !token.borrowingEnabled ? 'Not Borrowable' : null;
 
   // Calculate interest costs
   const estimatedDailyInterest = userBorrowed > 0 
@@ -88,7 +109,7 @@ const BorrowCard = ({ token, onBorrow, userBorrowed = 0, availableToBorrow = 0 }
           <div className="bg-gray-900 rounded-lg p-3">
             <div className="text-xs text-gray-400 mb-1">Available</div>
             <div className="text-base font-bold text-white">
-              {formatCurrency(maxBorrowable * token.price)}
+              {formatCurrency(fromWad(getAmountValue(maxBorrowable, token.price)))}
             </div>
           </div>
 
@@ -168,11 +189,11 @@ const BorrowCard = ({ token, onBorrow, userBorrowed = 0, availableToBorrow = 0 }
         {/* Borrow Button */}
         <button
           onClick={handleBorrowClick}
-          disabled={availableToBorrow === 0}
+          disabled={isWatchOnly || availableToBorrow === 0 || borrowDisabledReason !== null}
           className="w-full bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-700 hover:to-purple-800 disabled:from-gray-700 disabled:to-gray-700 disabled:cursor-not-allowed text-white py-3 rounded-lg font-semibold transition-all transform group-hover:scale-105 active:scale-95 flex items-center justify-center space-x-2 shadow-lg"
         >
           <TrendingDown size={18} />
-          <span>Borrow {token.symbol}</span>
+          <span>{borrowDisabledReason ? `${token.symbol} ${borrowDisabledReason}` : `Borrow ${token.symbol}`}</span>
         </button>
 
         {/* Additional Info */}
@@ -189,6 +210,22 @@ const BorrowCard = ({ token, onBorrow, userBorrowed = 0, availableToBorrow = 0 }
               <Info size={12} className="text-gray-500" />
             </div>
           </div>
+          <div className="flex items-center justify-between text-xs text-gray-400 mt-2">
+            <div className="flex items-center space-x-1">
+              <span>Reserve Factor:</span>
+              <span className="text-white font-medium">
+                {formatPercent(token.reserveFactor * 100)}
+              </span>
+            </div>
+            {token.borrowCap > 0 && (
+              <div className="flex items-center space-x-1">
+                <span>Borrow Cap:</span>
+                <span className="text-white font-medium">
+                  {formatNumberWithCommas(token.borrowCap, 0)} {token.symbol}
+                </span>
+              </div>
+            )}
+          </div>
         </div>
       </div>
 
@@ -197,7 +234,7 @@ const BorrowCard = ({ token, onBorrow, userBorrowed = 0, availableToBorrow = 0 }
         <BorrowModal
           token={token}
           maxBorrowable={maxBorrowable}
-          availableToBorrow={availableToBorrow}
+          availableToBorrow={availableToBorrowUsd}
           onClose={() => setShowModal(false)}
           onSuccess={handleBorrowSuccess}
         />
@@ -1,9 +1,26 @@
-import React, { useState, useEffect } from 'react';
-import { X, AlertCircle, TrendingDown, Shield, AlertTriangle } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, AlertCircle, TrendingDown, Shield, AlertTriangle, Users } from 'lucide-react';
 import { useWallet } from '@/hooks/useWallet';
 import { useBorrow } from '@/hooks/useBorrow';
-import { formatCurrency, formatPercent, validateAmountInput, getHealthFactorStatus } from '@/utils/formatters';
+import { useSimulation } from '@/hooks/useSimulation';
+import { useTransactionFees } from '@/hooks/useTransactionFees';
+import { useCreditLine } from '@/hooks/useCreditLine';
+import { INTEREST_RATE_MODES } from '@/utils/constants';
+import { formatAddress, formatCurrency, formatPercent, validateAmountInput, getHealthFactorStatus } from '@/utils/formatters';
+import {
+  parseAmountInput,
+  toAmountString,
+  toNumber,
+  isPositive,
+  compareAmounts,
+  scaleAmount,
+  getAmountValue,
+  fromWad,
+  zeroAmount,
+} from '@/utils/tokenAmount';
 import { ButtonLoading } from '@/components/common/Loading';
+import SimulationStatus from '@/components/common/SimulationStatus';
+import FeeSelector from '@/components/common/FeeSelector';
 
 const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSuccess }) => {
   const { isConnected } = useWallet();
@@ -19,12 +36,42 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
   const [error, setError] = useState('');
   const [step, setStep] = useState(1); // 1: Input, 2: Confirm, 3: Processing
   const [newHealthFactor, setNewHealthFactor] = useState(healthFactor);
+  const [rateMode, setRateMode] = useState(INTEREST_RATE_MODES.VARIABLE);
+  const [isDelegated, setIsDelegated] = useState(false);
+  const [delegator, setDelegator] = useState('');
+
+  const parsedAmount = useMemo(() => parseAmountInput(amount, token.decimals), [amount, token.decimals]);
+
+  // Borrowing against a delegator's credit line puts the debt on the delegator
+  const creditLine = useCreditLine({ token, rateMode, delegator, enabled: isDelegated });
+  const onBehalfOf = isDelegated ? creditLine.delegatorAddress : null;
+  const isCreditLineReady = !isDelegated || creditLine.allowance !== null;
+
+  // The confirm step stays blocked until the borrow simulates cleanly
+  const simulation = useSimulation({
+    action: 'borrow',
+    token,
+    amount: parsedAmount,
+    rateMode,
+    onBehalfOf,
+    enabled: step === 2 && isCreditLineReady,
+  });
+  const fees = useTransactionFees({
+    action: 'borrow',
+    token,
+    amount: parsedAmount,
+    rateMode,
+    onBehalfOf,
+    enabled: step === 2 && isCreditLineReady,
+  });
+
+  const isStable = rateMode === INTEREST_RATE_MODES.STABLE;
+  const borrowAPY = isStable ? token.stableBorrowAPY : token.borrowAPY;
 
   // Calculate values
-  const amountValue = parseFloat(amount) || 0;
-  const usdValue = amountValue * token.price;
-  const estimatedDailyInterest = (usdValue * token.borrowAPY) / (100 * 365);
-  const estimatedYearlyInterest = (usdValue * token.borrowAPY) / 100;
+  const usdValue = parsedAmount ? fromWad(getAmountValue(parsedAmount, token.price)) : 0;
+  const estimatedDailyInterest = (usdValue * borrowAPY) / (100 * 365);
+  const estimatedYearlyInterest = (usdValue * borrowAPY) / 100;
 
   // Validate amount and calculate new health factor
   useEffect(() => {
@@ -34,22 +81,31 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
       return;
     }
 
-    const numAmount = parseFloat(amount);
-
-    if (isNaN(numAmount) || numAmount <= 0) {
+    if (!isPositive(parsedAmount)) {
       setError('Please enter a valid amount');
       setNewHealthFactor(healthFactor);
       return;
     }
 
-    if (numAmount > maxBorrowable) {
-      setError(`Maximum borrowable amount is ${maxBorrowable.toFixed(4)} ${token.symbol}`);
+    // The delegator's health factor is theirs to watch; only the allowance applies here
+    if (isDelegated) {
+      setNewHealthFactor(healthFactor);
+      if (creditLine.allowance !== null && compareAmounts(parsedAmount, creditLine.allowance) > 0) {
+        setError(`The credit line allows ${toNumber(creditLine.allowance).toFixed(4)} ${token.symbol}`);
+        return;
+      }
+      setError('');
+      return;
+    }
+
+    if (compareAmounts(parsedAmount, maxBorrowable) > 0) {
+      setError(`Maximum borrowable amount is ${toNumber(maxBorrowable).toFixed(4)} ${token.symbol}`);
       setNewHealthFactor(healthFactor);
       return;
     }
 
     // Calculate new health factor
-    const newHF = calculateNewHealthFactor(amount, token);
+    const newHF = calculateNewHealthFactor(parsedAmount, token);
     setNewHealthFactor(newHF);
 
     if (newHF < 1.2) {
@@ -63,7 +119,7 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
     }
 
     setError('');
-  }, [amount, maxBorrowable, token, healthFactor, calculateNewHealthFactor]);
+  }, [amount, parsedAmount, maxBorrowable, token, healthFactor, calculateNewHealthFactor, isDelegated, creditLine.allowance]);
 
   // Handle amount input
   const handleAmountChange = (e) => {
@@ -71,10 +127,12 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
     setAmount(value);
   };
 
-  // Set max amount (80% of available to be safe)
+  // Set max amount (80% of available to be safe, or the whole credit line)
   const handleMaxClick = () => {
-    const safeMax = maxBorrowable * 0.8;
-    setAmount(safeMax.toFixed(token.decimals));
+    const safeMax = isDelegated
+      ? (creditLine.allowance || zeroAmount(token.decimals))
+      : scaleAmount(maxBorrowable, 8000);
+    setAmount(toAmountString(safeMax));
   };
 
   // Handle borrow
@@ -84,17 +142,23 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
       return;
     }
 
-    if (error || !amount || parseFloat(amount) <= 0) {
+    if (error || !isPositive(parsedAmount) || !simulation.isPassed || fees.feeError) {
       return;
     }
 
+    if (isDelegated && !onBehalfOf) return;
+
     try {
       setStep(3); // Processing
-      await borrow(token, amount);
+      await borrow(token, parsedAmount, {
+        fees: fees.feeOverrides,
+        rateMode,
+        ...(isDelegated ? { onBehalfOf, creditLimit: creditLine.allowance } : {}),
+      });
       
       // Success
       if (onSuccess) {
-        onSuccess(amount);
+        onSuccess(parsedAmount);
       }
     } catch (err) {
       setError(err.message || 'Failed to borrow tokens');
@@ -131,30 +195,86 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
         <div className="p-6">
           {step === 1 && (
             <>
-              {/* Current Health Factor */}
-              <div className={`bg-${currentHealthFactorStatus.color}-900 bg-opacity-20 border border-${currentHealthFactorStatus.color}-700 rounded-lg p-4 mb-6`}>
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-2">
-                    <Shield size={20} className={`text-${currentHealthFactorStatus.color}-400`} />
-                    <div>
-                      <div className="text-sm text-gray-300">Current Health Factor</div>
-                      <div className={`text-2xl font-bold text-${currentHealthFactorStatus.color}-400`}>
-                        {healthFactor === Infinity ? '∞' : healthFactor.toFixed(2)}
+              {/* Borrow Source */}
+              <div className="inline-flex w-full bg-gray-900 rounded-lg p-1 mb-4">
+                {[
+                  { id: false, label: 'My collateral' },
+                  { id: true, label: 'Delegated credit' },
+                ].map((source) => (
+                  <button
+                    key={source.label}
+                    onClick={() => setIsDelegated(source.id)}
+                    className={`flex-1 px-3 py-1 rounded-md text-sm font-medium transition ${
+                      isDelegated === source.id
+                        ? 'bg-purple-600 text-white'
+                        : 'text-gray-400 hover:text-white'
+                    }`}
+                  >
+                    {source.label}
+                  </button>
+                ))}
+              </div>
+
+              {/* Credit Line / Current Health Factor */}
+              {isDelegated ? (
+                <div className="bg-gray-900 rounded-lg p-4 mb-6">
+                  <label className="block text-sm text-gray-400 mb-2">Delegator address or ENS name</label>
+                  <input
+                    type="text"
+                    value={delegator}
+                    onChange={(e) => setDelegator(e.target.value)}
+                    placeholder="0x... or name.eth"
+                    className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:border-purple-500"
+                  />
+                  <div className="flex items-center justify-between mt-3 text-sm">
+                    <span className="flex items-center space-x-2 text-gray-400">
+                      <Users size={14} />
+                      <span>Remaining credit line</span>
+                    </span>
+                    <span className="text-white font-medium">
+                      {creditLine.isLoading
+                        ? 'Checking...'
+                        : creditLine.allowance !== null
+                          ? `${toNumber(creditLine.allowance).toFixed(4)} ${token.symbol}`
+                          : '—'}
+                    </span>
+                  </div>
+                  {creditLine.error && (
+                    <div className="text-xs text-red-400 mt-2">{creditLine.error}</div>
+                  )}
+                  {creditLine.allowance?.raw === 0n && (
+                    <div className="text-xs text-yellow-400 mt-2">
+                      This account has not delegated any {isStable ? 'stable' : 'variable'} rate {token.symbol} credit to you
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className={`bg-${currentHealthFactorStatus.color}-900 bg-opacity-20 border border-${currentHealthFactorStatus.color}-700 rounded-lg p-4 mb-6`}>
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-2">
+                      <Shield size={20} className={`text-${currentHealthFactorStatus.color}-400`} />
+                      <div>
+                        <div className="text-sm text-gray-300">Current Health Factor</div>
+                        <div className={`text-2xl font-bold text-${currentHealthFactorStatus.color}-400`}>
+                          {healthFactor === Infinity ? '∞' : healthFactor.toFixed(2)}
+                        </div>
                       </div>
                     </div>
-                  </div>
-                  <div className={`px-3 py-1 bg-${currentHealthFactorStatus.color}-900 rounded-full text-${currentHealthFactorStatus.color}-200 text-sm`}>
-                    {currentHealthFactorStatus.text}
+                    <div className={`px-3 py-1 bg-${currentHealthFactorStatus.color}-900 rounded-full text-${currentHealthFactorStatus.color}-200 text-sm`}>
+                      {currentHealthFactorStatus.text}
+                    </div>
                   </div>
                 </div>
-              </div>
+              )}
 
               {/* Amount Input */}
               <div className="mb-6">
                 <div className="flex items-center justify-between mb-2">
                   <label className="text-sm text-gray-400">Borrow Amount</label>
                   <div className="text-sm text-gray-400">
-                    Available: {formatCurrency(availableToBorrow)}
+                    {isDelegated
+                      ? `Credit line: ${creditLine.allowance !== null ? toNumber(creditLine.allowance).toFixed(4) : '0'} ${token.symbol}`
+                      : `Available: ${formatCurrency(availableToBorrow)}`}
                   </div>
                 </div>
                 <div className="relative">
@@ -172,7 +292,7 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
                     onClick={handleMaxClick}
                     className="absolute right-3 top-1/2 -translate-y-1/2 bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded text-sm font-medium transition"
                   >
-                    SAFE MAX
+                    {isDelegated ? 'MAX' : 'SAFE MAX'}
                   </button>
                 </div>
                 {amount && !error && (
@@ -189,7 +309,7 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
               </div>
 
               {/* New Health Factor Prediction */}
-              {amount && (
+              {amount && !isDelegated && (
                 <div className={`bg-${newHealthFactorStatus.color}-900 bg-opacity-20 border border-${newHealthFactorStatus.color}-700 rounded-lg p-4 mb-6`}>
                   <div className="flex items-center justify-between mb-2">
                     <span className="text-sm text-gray-300">New Health Factor</span>
@@ -217,17 +337,58 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
               )}
 
               {/* Borrow APY */}
-              <div className="bg-red-900 bg-opacity-20 border border-red-700 rounded-lg p-4 mb-6">
-                <div className="flex items-center justify-between mb-2">
-                  <span className="text-sm text-red-300">Borrow APY</span>
-                  <span className="text-2xl font-bold text-red-400">
-                    {formatPercent(token.borrowAPY)}
-                  </span>
+              {token.stableBorrowEnabled ? (
+                <div className="mb-6">
+                  <div className="text-sm text-gray-400 mb-2">Interest Rate</div>
+                  <div className="grid grid-cols-2 gap-3">
+                    {[
+                      {
+                        mode: INTEREST_RATE_MODES.VARIABLE,
+                        label: 'Variable',
+                        apy: token.borrowAPY,
+                        detail: 'Follows the market',
+                      },
+                      {
+                        mode: INTEREST_RATE_MODES.STABLE,
+                        label: 'Stable',
+                        apy: token.stableBorrowAPY,
+                        detail: 'Fixed at borrow time',
+                      },
+                    ].map((option) => (
+                      <button
+                        key={option.mode}
+                        onClick={() => setRateMode(option.mode)}
+                        className={`rounded-lg p-4 text-left border transition ${
+                          rateMode === option.mode
+                            ? 'bg-red-900 bg-opacity-20 border-red-700'
+                            : 'bg-gray-900 border-gray-700 hover:border-gray-600'
+                        }`}
+                      >
+                        <div className="text-sm text-red-300">{option.label}</div>
+                        <div className="text-2xl font-bold text-red-400">{formatPercent(option.apy)}</div>
+                        <div className="text-xs text-gray-400">{option.detail}</div>
+                      </button>
+                    ))}
+                  </div>
+                  {isStable && (
+                    <div className="text-xs text-gray-400 mt-2">
+                      The stable rate can still be rebalanced by the protocol if market rates rise sharply
+                    </div>
+                  )}
                 </div>
-                <div className="text-xs text-red-300">
-                  Variable rate - you'll pay interest on borrowed amount
+              ) : (
+                <div className="bg-red-900 bg-opacity-20 border border-red-700 rounded-lg p-4 mb-6">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-sm text-red-300">Borrow APY</span>
+                    <span className="text-2xl font-bold text-red-400">
+                      {formatPercent(token.borrowAPY)}
+                    </span>
+                  </div>
+                  <div className="text-xs text-red-300">
+                    Variable rate - you&apos;ll pay interest on borrowed amount
+                  </div>
                 </div>
-              </div>
+              )}
 
               {/* Interest Cost Estimate */}
               {amount && !error && (
@@ -285,7 +446,7 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
                 </button>
                 <button
                   onClick={() => setStep(2)}
-                  disabled={!amount || error || parseFloat(amount) <= 0}
+                  disabled={!amount || error || !isPositive(parsedAmount) || (isDelegated && !isPositive(creditLine.allowance))}
                   className="flex-1 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-700 disabled:cursor-not-allowed text-white py-3 rounded-lg font-semibold transition"
                 >
                   Continue
@@ -302,7 +463,7 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
                   <div className="text-center">
                     <div className="text-sm text-purple-300 mb-2">You are borrowing</div>
                     <div className="text-3xl font-bold text-white mb-1">
-                      {parseFloat(amount).toFixed(4)} {token.symbol}
+                      {toNumber(parsedAmount).toFixed(4)} {token.symbol}
                     </div>
                     <div className="text-sm text-purple-300">
                       ≈ {formatCurrency(usdValue)}
@@ -312,9 +473,9 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
 
                 <div className="bg-gray-900 rounded-lg p-4 space-y-3 text-sm">
                   <div className="flex justify-between">
-                    <span className="text-gray-400">Borrow APY</span>
+                    <span className="text-gray-400">Borrow APY ({isStable ? 'stable' : 'variable'})</span>
                     <span className="text-red-400 font-semibold">
-                      {formatPercent(token.borrowAPY)}
+                      {formatPercent(borrowAPY)}
                     </span>
                   </div>
                   <div className="flex justify-between">
@@ -323,22 +484,42 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
                       -{formatCurrency(estimatedDailyInterest)}
                     </span>
                   </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-400">New Health Factor</span>
-                    <span className={`font-semibold text-${newHealthFactorStatus.color}-400`}>
-                      {newHealthFactor === Infinity ? '∞' : newHealthFactor.toFixed(2)}
-                    </span>
-                  </div>
+                  {isDelegated ? (
+                    <div className="flex justify-between">
+                      <span className="text-gray-400">Debt owed by</span>
+                      <span className="text-white font-semibold">
+                        {onBehalfOf ? formatAddress(onBehalfOf) : '—'}
+                      </span>
+                    </div>
+                  ) : (
+                    <div className="flex justify-between">
+                      <span className="text-gray-400">New Health Factor</span>
+                      <span className={`font-semibold text-${newHealthFactorStatus.color}-400`}>
+                        {newHealthFactor === Infinity ? '∞' : newHealthFactor.toFixed(2)}
+                      </span>
+                    </div>
+                  )}
                 </div>
 
+                <FeeSelector fees={fees} />
+
+                <SimulationStatus simulation={simulation} />
+
                 <div className="bg-red-900 bg-opacity-20 border border-red-700 rounded-lg p-4 flex items-start space-x-3">
                   <AlertCircle size={20} className="text-red-400 flex-shrink-0 mt-0.5" />
                   <div className="text-xs text-red-200">
                     <div className="font-medium mb-1">Liquidation Risk</div>
-                    <div>
-                      If your health factor drops below 1.0, your collateral may be liquidated. 
-                      Monitor your position regularly and maintain a safe health factor.
-                    </div>
+                    {isDelegated ? (
+                      <div>
+                        The debt is recorded on the delegator and backed by their collateral. 
+                        Agree with them on how and when it will be repaid.
+                      </div>
+                    ) : (
+                      <div>
+                        If your health factor drops below 1.0, your collateral may be liquidated. 
+                        Monitor your position regularly and maintain a safe health factor.
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -353,8 +534,8 @@ const BorrowModal = ({ token, maxBorrowable, availableToBorrow, onClose, onSucce
                 </button>
                 <button
                   onClick={handleBorrow}
-                  disabled={isLoading}
-                  className="flex-1 bg-purple-600 hover:bg-purple-700 disabled:bg-purple-800 text-white py-3 rounded-lg font-semibold transition"
+                  disabled={isLoading || !simulation.isPassed || Boolean(fees.feeError)}
+                  className="flex-1 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-700 disabled:cursor-not-allowed text-white py-3 rounded-lg font-semibold transition"
                 >
                   {isLoading ? <ButtonLoading text="Borrowing..." /> : 'Confirm Borrow'}
                 </button>
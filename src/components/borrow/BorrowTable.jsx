@@ -1,28 +1,68 @@
-import React, { useState } from 'react';
-import { TrendingDown, CreditCard, ExternalLink, Clock, AlertCircle, CheckCircle } from 'lucide-react';
-import { formatCurrency, formatPercent, formatRelativeTime } from '@/utils/formatters';
+import React, { useState, useMemo } from 'react';
+import { TrendingDown, CreditCard, ExternalLink, Clock, AlertCircle, CheckCircle, Repeat } from 'lucide-react';
+import { formatCurrency, formatPercent, formatRelativeTime, validateAmountInput } from '@/utils/formatters';
+import { parseAmountInput, isPositive, compareAmounts, getAmountValue, fromWad } from '@/utils/tokenAmount';
 import { useBorrow } from '@/hooks/useBorrow';
+import { useWallet } from '@/hooks/useWallet';
+import { useSimulation } from '@/hooks/useSimulation';
+import { getExplorerUrl } from '@/utils/networks';
+import { INTEREST_RATE_MODES } from '@/utils/constants';
 import { ButtonLoading } from '@/components/common/Loading';
+import TransactionSteps from '@/components/common/TransactionSteps';
+import SimulationStatus from '@/components/common/SimulationStatus';
 
 const BorrowTable = ({ borrows, onRepay }) => {
-  const { isLoading, healthFactor, healthFactorStatus } = useBorrow();
+  const { isLoading, healthFactor, healthFactorStatus, availableTokens, switchRateMode } = useBorrow();
+  const { chainId, isWatchOnly } = useWallet();
+  const explorerUrl = getExplorerUrl(chainId);
   const [repayingId, setRepayingId] = useState(null);
   const [showRepayModal, setShowRepayModal] = useState(false);
   const [selectedBorrow, setSelectedBorrow] = useState(null);
+  const [repayAll, setRepayAll] = useState(true);
+  const [repayAmount, setRepayAmount] = useState('');
+  const [repaidAmount, setRepaidAmount] = useState(null);
+  const [switchingId, setSwitchingId] = useState(null);
+
+  const parsedRepayAmount = useMemo(() => (
+    selectedBorrow ? parseAmountInput(repayAmount, selectedBorrow.token.decimals) : null
+  ), [repayAmount, selectedBorrow]);
+
+  // Repayments are simulated before they can be confirmed
+  const simulation = useSimulation({
+    action: 'repay',
+    token: selectedBorrow?.token,
+    amount: parsedRepayAmount,
+    rateMode: selectedBorrow?.rateMode,
+    isMax: repayAll,
+    enabled: showRepayModal && !repayingId && repaidAmount === null,
+  });
+
+  const repayTokenAmount = repayAll ? (selectedBorrow?.balance || null) : parsedRepayAmount;
+  const repayValue = isPositive(repayTokenAmount) ? fromWad(getAmountValue(repayTokenAmount, selectedBorrow.token.price)) : 0;
+  const exceedsDebt = !repayAll && selectedBorrow && isPositive(parsedRepayAmount)
+    && compareAmounts(parsedRepayAmount, selectedBorrow.balance) > 0;
 
   const handleRepayClick = (borrow) => {
     setSelectedBorrow(borrow);
+    setRepayAll(true);
+    setRepayAmount('');
+    setRepaidAmount(null);
     setShowRepayModal(true);
   };
 
+  const closeRepayModal = () => {
+    setShowRepayModal(false);
+    setSelectedBorrow(null);
+    setRepaidAmount(null);
+  };
+
   const handleRepayConfirm = async () => {
-    if (!selectedBorrow) return;
+    if (!selectedBorrow || !simulation.isPassed || exceedsDebt) return;
 
     try {
       setRepayingId(selectedBorrow.id);
-      await onRepay(selectedBorrow.id);
-      setShowRepayModal(false);
-      setSelectedBorrow(null);
+      const result = await onRepay(selectedBorrow.id, repayAll ? null : parsedRepayAmount);
+      if (result) setRepaidAmount(result.amount);
     } catch (error) {
       console.error('Repay error:', error);
     } finally {
@@ -30,6 +70,42 @@ const BorrowTable = ({ borrows, onRepay }) => {
     }
   };
 
+  // Moving to the stable rate needs the reserve to allow stable borrowing
+  const canSwitchRate = (borrow) => {
+    if (borrow.rateMode === INTEREST_RATE_MODES.STABLE) return true;
+    return Boolean(availableTokens.find(token => token.symbol === borrow.token.symbol)?.stableBorrowEnabled);
+  };
+
+  const getRateLabel = (borrow) => {
+    return borrow.rateMode === INTEREST_RATE_MODES.STABLE ? 'Stable' : 'Variable';
+  };
+
+  const handleSwitchRate = async (borrow) => {
+    try {
+      setSwitchingId(borrow.id);
+      await switchRateMode(borrow.id);
+    } catch (error) {
+      console.error('Rate switch error:', error);
+    } finally {
+      setSwitchingId(null);
+    }
+  };
+
+  const renderSwitchButton = (borrow) => canSwitchRate(borrow) && (
+    <button
+      onClick={() => handleSwitchRate(borrow)}
+      disabled={isWatchOnly || switchingId !== null}
+      className="inline-flex items-center space-x-1 text-xs text-blue-400 hover:text-blue-300 disabled:text-gray-500 disabled:cursor-not-allowed"
+    >
+      <Repeat size={12} />
+      <span>
+        {switchingId === borrow.id
+          ? 'Switching...'
+          : `Switch to ${borrow.rateMode === INTEREST_RATE_MODES.STABLE ? 'variable' : 'stable'}`}
+      </span>
+    </button>
+  );
+
   if (borrows.length === 0) {
     return (
       <div className="bg-gray-800 rounded-xl border border-gray-700 p-12 text-center">
@@ -38,7 +114,7 @@ const BorrowTable = ({ borrows, onRepay }) => {
         </div>
         <h3 className="text-xl font-bold text-white mb-2">No Active Borrows</h3>
         <p className="text-gray-400 mb-6">
-          You haven't borrowed any assets yet
+          You haven&apos;t borrowed any assets yet
         </p>
         <div className="bg-blue-900 bg-opacity-20 border border-blue-700 rounded-lg p-4 max-w-md mx-auto">
           <div className="flex items-start space-x-3 text-sm text-blue-200">
@@ -178,6 +254,8 @@ const BorrowTable = ({ borrows, onRepay }) => {
                             {formatPercent(borrow.apy)}
                           </span>
                         </div>
+                        <div className="text-xs text-gray-400">{getRateLabel(borrow)}</div>
+                        {renderSwitchButton(borrow)}
                       </td>
 
                       {/* Interest Cost */}
@@ -192,7 +270,7 @@ const BorrowTable = ({ borrows, onRepay }) => {
                       <td className="px-6 py-4 whitespace-nowrap text-right">
                         <div className="flex items-center justify-end space-x-1 text-sm text-gray-400">
                           <Clock size={14} />
-                          <span>{formatRelativeTime(borrow.timestamp)}</span>
+                          <span>{borrow.timestamp ? formatRelativeTime(borrow.timestamp) : '—'}</span>
                         </div>
                       </td>
 
@@ -201,7 +279,7 @@ const BorrowTable = ({ borrows, onRepay }) => {
                         <div className="flex items-center justify-end space-x-2">
                           {borrow.txHash && (
                             <a
-                              href={`https://etherscan.io/tx/${borrow.txHash}`}
+                              href={`${explorerUrl}/tx/${borrow.txHash}`}
                               target="_blank"
                               rel="noopener noreferrer"
                               className="p-2 hover:bg-gray-700 rounded-lg transition"
@@ -212,8 +290,8 @@ const BorrowTable = ({ borrows, onRepay }) => {
                           )}
                           <button
                             onClick={() => handleRepayClick(borrow)}
-                            disabled={repayingId === borrow.id}
-                            className="bg-green-600 hover:bg-green-700 disabled:bg-green-800 text-white px-4 py-2 rounded-lg text-sm font-medium transition flex items-center space-x-1"
+                            disabled={isWatchOnly || repayingId === borrow.id}
+                            className="bg-green-600 hover:bg-green-700 disabled:bg-green-800 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm font-medium transition flex items-center space-x-1"
                           >
                             {repayingId === borrow.id ? (
                               <ButtonLoading text="" />
@@ -256,7 +334,8 @@ const BorrowTable = ({ borrows, onRepay }) => {
                       <div className="text-red-400 font-semibold">
                         {formatPercent(borrow.apy)}
                       </div>
-                      <div className="text-xs text-gray-400">Borrow APY</div>
+                      <div className="text-xs text-gray-400">{getRateLabel(borrow)} APY</div>
+                      {renderSwitchButton(borrow)}
                     </div>
                   </div>
 
@@ -283,7 +362,7 @@ const BorrowTable = ({ borrows, onRepay }) => {
                     <div className="bg-gray-900 rounded-lg p-3">
                       <div className="text-xs text-gray-400 mb-1">Time</div>
                       <div className="text-sm text-white">
-                        {formatRelativeTime(borrow.timestamp)}
+                        {borrow.timestamp ? formatRelativeTime(borrow.timestamp) : '—'}
                       </div>
                     </div>
                   </div>
@@ -292,7 +371,7 @@ const BorrowTable = ({ borrows, onRepay }) => {
                   <div className="flex space-x-2">
                     {borrow.txHash && (
                       <a
-                        href={`https://etherscan.io/tx/${borrow.txHash}`}
+                        href={`${explorerUrl}/tx/${borrow.txHash}`}
                         target="_blank"
                         rel="noopener noreferrer"
                         className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg font-medium transition flex items-center justify-center space-x-2"
@@ -303,8 +382,8 @@ const BorrowTable = ({ borrows, onRepay }) => {
                     )}
                     <button
                       onClick={() => handleRepayClick(borrow)}
-                      disabled={repayingId === borrow.id}
-                      className="flex-1 bg-green-600 hover:bg-green-700 disabled:bg-green-800 text-white py-2 rounded-lg font-medium transition flex items-center justify-center space-x-2"
+                      disabled={isWatchOnly || repayingId === borrow.id}
+                      className="flex-1 bg-green-600 hover:bg-green-700 disabled:bg-green-800 disabled:cursor-not-allowed text-white py-2 rounded-lg font-medium transition flex items-center justify-center space-x-2"
                     >
                       {repayingId === borrow.id ? (
                         <ButtonLoading text="Repaying..." />
@@ -327,39 +406,102 @@ const BorrowTable = ({ borrows, onRepay }) => {
       {showRepayModal && selectedBorrow && (
         <div className="fixed inset-0 bg-black bg-opacity-75 backdrop-blur-sm flex items-center justify-center z-50 p-4">
           <div className="bg-gray-800 rounded-2xl max-w-md w-full border border-gray-700 p-6">
-            <h3 className="text-xl font-bold text-white mb-4">Confirm Repayment</h3>
-            <div className="bg-gray-900 rounded-lg p-4 mb-4">
-              <div className="text-center mb-4">
-                <div className="text-sm text-gray-400 mb-2">You are repaying</div>
-                <div className="text-2xl font-bold text-white">
-                  {selectedBorrow.amount.toFixed(4)} {selectedBorrow.token.symbol}
+            {repaidAmount !== null ? (
+              <>
+                <h3 className="text-xl font-bold text-white mb-4">Repayment Complete</h3>
+                <div className="bg-gray-900 rounded-lg p-4 mb-4 text-center">
+                  <CheckCircle size={32} className="text-green-400 mx-auto mb-2" />
+                  <div className="text-sm text-gray-400 mb-2">You repaid</div>
+                  <div className="text-2xl font-bold text-white break-all">
+                    {repaidAmount} {selectedBorrow.token.symbol}
+                  </div>
                 </div>
-                <div className="text-sm text-gray-400">
-                  ≈ {formatCurrency(selectedBorrow.amount * selectedBorrow.token.price)}
+                <button
+                  onClick={closeRepayModal}
+                  className="w-full bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg font-medium transition"
+                >
+                  Done
+                </button>
+              </>
+            ) : (
+              <>
+                <h3 className="text-xl font-bold text-white mb-4">Confirm Repayment</h3>
+                <div className="inline-flex w-full bg-gray-900 rounded-lg p-1 mb-4">
+                  {[
+                    { id: true, label: 'Repay all' },
+                    { id: false, label: 'Custom amount' },
+                  ].map((mode) => (
+                    <button
+                      key={mode.label}
+                      onClick={() => setRepayAll(mode.id)}
+                      className={`flex-1 px-3 py-1 rounded-md text-sm font-medium transition ${
+                        repayAll === mode.id
+                          ? 'bg-blue-600 text-white'
+                          : 'text-gray-400 hover:text-white'
+                      }`}
+                    >
+                      {mode.label}
+                    </button>
+                  ))}
                 </div>
-              </div>
-              <div className="text-xs text-green-200 text-center bg-green-900 bg-opacity-20 border border-green-700 rounded p-2">
-                ✓ This will reduce your debt and improve your health factor
-              </div>
-            </div>
-            <div className="flex space-x-3">
-              <button
-                onClick={() => {
-                  setShowRepayModal(false);
-                  setSelectedBorrow(null);
-                }}
-                className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg font-medium transition"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={handleRepayConfirm}
-                disabled={isLoading}
-                className="flex-1 bg-green-600 hover:bg-green-700 disabled:bg-green-800 text-white py-2 rounded-lg font-medium transition"
-              >
-                {isLoading ? <ButtonLoading text="Repaying..." /> : 'Confirm'}
-              </button>
-            </div>
+                <div className="bg-gray-900 rounded-lg p-4 mb-4">
+                  <div className="text-center mb-4">
+                    <div className="text-sm text-gray-400 mb-2">You are repaying</div>
+                    {repayAll ? (
+                      <>
+                        <div className="text-2xl font-bold text-white">
+                          {selectedBorrow.amount.toFixed(4)} {selectedBorrow.token.symbol}
+                        </div>
+                        <div className="text-xs text-gray-400 mt-1">
+                          plus interest accrued until the transaction is mined
+                        </div>
+                      </>
+                    ) : (
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        value={repayAmount}
+                        onChange={(e) => setRepayAmount(validateAmountInput(e.target.value, selectedBorrow.token.decimals))}
+                        placeholder="0.0"
+                        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-center text-2xl font-bold text-white focus:outline-none focus:border-blue-500"
+                      />
+                    )}
+                    <div className="text-sm text-gray-400 mt-1">
+                      ≈ {formatCurrency(repayValue)}
+                    </div>
+                    {exceedsDebt && (
+                      <div className="text-xs text-red-400 mt-1">
+                        Amount exceeds your debt. Use Repay all to clear it.
+                      </div>
+                    )}
+                  </div>
+                  <div className="text-xs text-green-200 text-center bg-green-900 bg-opacity-20 border border-green-700 rounded p-2">
+                    ✓ This will reduce your debt and improve your health factor
+                  </div>
+                </div>
+                <div className="mb-4">
+                  <TransactionSteps action="repay" token={selectedBorrow.token} />
+                </div>
+                <div className="mb-4">
+                  <SimulationStatus simulation={simulation} />
+                </div>
+                <div className="flex space-x-3">
+                  <button
+                    onClick={closeRepayModal}
+                    className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg font-medium transition"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleRepayConfirm}
+                    disabled={isLoading || !simulation.isPassed || exceedsDebt}
+                    className="flex-1 bg-green-600 hover:bg-green-700 disabled:bg-gray-700 disabled:cursor-not-allowed text-white py-2 rounded-lg font-medium transition"
+                  >
+                    {isLoading ? <ButtonLoading text="Repaying..." /> : 'Confirm'}
+                  </button>
+                </div>
+              </>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,247 @@
+import React, { useState, useMemo } from 'react';
+import { X, CheckCircle, AlertCircle } from 'lucide-react';
+import { useBorrow } from '@/hooks/useBorrow';
+import { useBeneficiary } from '@/hooks/useBeneficiary';
+import { useSimulation } from '@/hooks/useSimulation';
+import { useTransactionFees } from '@/hooks/useTransactionFees';
+import { DEFAULTS, INTEREST_RATE_MODES } from '@/utils/constants';
+import { formatAddress, formatCurrency, validateAmountInput } from '@/utils/formatters';
+import {
+  parseAmountInput,
+  toAmountString,
+  toNumber,
+  isPositive,
+  compareAmounts,
+  scaleAmount,
+  getAmountValue,
+  fromWad,
+} from '@/utils/tokenAmount';
+import { ButtonLoading } from '@/components/common/Loading';
+import BeneficiaryField from '@/components/common/BeneficiaryField';
+import TransactionSteps from '@/components/common/TransactionSteps';
+import SimulationStatus from '@/components/common/SimulationStatus';
+import FeeSelector from '@/components/common/FeeSelector';
+
+/**
+ * Repay part or all of another account's debt, e.g. to save it from liquidation
+ * The pool only accepts an explicit amount on behalf of someone else; it never takes more
+ * than is owed, so "Max" adds a buffer for the interest accrued until the repay is mined.
+ */
+const RepayOnBehalfModal = ({ tokens, onClose }) => {
+  const { repayOnBehalf, isLoading, error: repayError } = useBorrow();
+
+  const [beneficiaryInput, setBeneficiaryInput] = useState('');
+  const [symbol, setSymbol] = useState(tokens[0]?.symbol || '');
+  const [rateMode, setRateMode] = useState(INTEREST_RATE_MODES.VARIABLE);
+  const [amount, setAmount] = useState('');
+  const [isRepaying, setIsRepaying] = useState(false);
+  const [repaidAmount, setRepaidAmount] = useState(null);
+
+  const token = tokens.find(item => item.symbol === symbol) || null;
+  const selectedRateMode = token?.stableBorrowEnabled ? rateMode : INTEREST_RATE_MODES.VARIABLE;
+  const parsedAmount = useMemo(() => (token ? parseAmountInput(amount, token.decimals) : null), [amount, token]);
+
+  const beneficiary = useBeneficiary({
+    input: beneficiaryInput,
+    action: 'repay',
+    token,
+    amount: parsedAmount,
+    rateMode: selectedRateMode,
+  });
+
+  const isActive = Boolean(beneficiary.address) && !isRepaying && repaidAmount === null;
+  const simulation = useSimulation({
+    action: 'repay',
+    token,
+    amount: parsedAmount,
+    rateMode: selectedRateMode,
+    onBehalfOf: beneficiary.address,
+    enabled: isActive,
+  });
+  const fees = useTransactionFees({
+    action: 'repay',
+    token,
+    amount: parsedAmount,
+    rateMode: selectedRateMode,
+    onBehalfOf: beneficiary.address,
+    enabled: isActive,
+  });
+
+  const hasAmount = isPositive(parsedAmount);
+  const hasNoDebt = beneficiary.debt !== null && !isPositive(beneficiary.debt);
+  const exceedsDebt = beneficiary.debt !== null && hasAmount && compareAmounts(parsedAmount, beneficiary.debt) > 0;
+
+  const handleMaxClick = () => {
+    if (!isPositive(beneficiary.debt)) return;
+    const buffered = scaleAmount(beneficiary.debt, 10000 + DEFAULTS.MAX_AMOUNT_BUFFER * 100);
+    setAmount(toAmountString(buffered));
+  };
+
+  const handleRepay = async () => {
+    if (!token || !hasAmount || !beneficiary.address || !simulation.isPassed || fees.feeError) return;
+
+    try {
+      setIsRepaying(true);
+      const result = await repayOnBehalf(beneficiary.address, token, selectedRateMode, parsedAmount, {
+        fees: fees.feeOverrides,
+      });
+      if (result) setRepaidAmount(result.amount);
+    } catch (err) {
+      console.error('Repay on behalf error:', err);
+    } finally {
+      setIsRepaying(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-2xl max-w-lg w-full border border-gray-700 shadow-2xl max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-700">
+          <div>
+            <h3 className="text-xl font-bold text-white">Repay for Another Account</h3>
+            <p className="text-sm text-gray-400">Pay down someone else&apos;s debt from your wallet</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition p-2 hover:bg-gray-700 rounded-lg"
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {repaidAmount !== null ? (
+            <>
+              <div className="bg-gray-900 rounded-lg p-4 text-center">
+                <CheckCircle size={32} className="text-green-400 mx-auto mb-2" />
+                <div className="text-sm text-gray-400 mb-2">
+                  You repaid for {formatAddress(beneficiary.address)}
+                </div>
+                <div className="text-2xl font-bold text-white break-all">
+                  {repaidAmount} {token.symbol}
+                </div>
+              </div>
+              <button
+                onClick={onClose}
+                className="w-full bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg font-medium transition"
+              >
+                Done
+              </button>
+            </>
+          ) : (
+            <>
+              <BeneficiaryField
+                value={beneficiaryInput}
+                onChange={setBeneficiaryInput}
+                beneficiary={beneficiary}
+                label="Repay the debt of"
+              />
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm text-gray-400 mb-2">Asset</label>
+                  <select
+                    value={symbol}
+                    onChange={(e) => setSymbol(e.target.value)}
+                    className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-blue-500"
+                  >
+                    {tokens.map(item => (
+                      <option key={item.symbol} value={item.symbol}>{item.symbol}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-400 mb-2">Debt type</label>
+                  <select
+                    value={selectedRateMode}
+                    onChange={(e) => setRateMode(Number(e.target.value))}
+                    disabled={!token?.stableBorrowEnabled}
+                    className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-blue-500 disabled:opacity-50"
+                  >
+                    <option value={INTEREST_RATE_MODES.VARIABLE}>Variable</option>
+                    <option value={INTEREST_RATE_MODES.STABLE}>Stable</option>
+                  </select>
+                </div>
+              </div>
+
+              {token && (
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="text-sm text-gray-400">Amount</label>
+                    <div className="text-sm text-gray-400">
+                      Their debt: {beneficiary.debt !== null ? `${toNumber(beneficiary.debt).toFixed(4)} ${token.symbol}` : '—'}
+                    </div>
+                  </div>
+                  <div className="relative">
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      value={amount}
+                      onChange={(e) => setAmount(validateAmountInput(e.target.value, token.decimals))}
+                      placeholder="0.0"
+                      className="w-full bg-gray-900 border border-gray-700 rounded-lg px-4 py-3 text-white text-xl font-semibold focus:outline-none focus:border-blue-500"
+                    />
+                    <button
+                      onClick={handleMaxClick}
+                      disabled={!isPositive(beneficiary.debt)}
+                      className="absolute right-3 top-1/2 -translate-y-1/2 bg-green-600 hover:bg-green-700 disabled:bg-gray-700 text-white px-3 py-1 rounded text-sm font-medium transition"
+                    >
+                      MAX
+                    </button>
+                  </div>
+                  <div className="text-sm text-gray-400 mt-2">
+                    ≈ {formatCurrency(hasAmount ? fromWad(getAmountValue(parsedAmount, token.price)) : 0)}
+                  </div>
+                  {hasNoDebt && (
+                    <div className="text-xs text-yellow-400 mt-1">
+                      This account has no {selectedRateMode === INTEREST_RATE_MODES.STABLE ? 'stable' : 'variable'} rate {token.symbol} debt
+                    </div>
+                  )}
+                  {exceedsDebt && !hasNoDebt && (
+                    <div className="text-xs text-gray-400 mt-1">
+                      Only what is owed when the transaction is mined will be taken from your wallet
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {token && beneficiary.address && hasAmount && (
+                <>
+                  <TransactionSteps action="repay" token={token} />
+                  <FeeSelector fees={fees} />
+                  <SimulationStatus simulation={simulation} />
+                </>
+              )}
+
+              {repayError && (
+                <div className="bg-red-900 bg-opacity-20 border border-red-700 rounded-lg p-4 flex items-start space-x-3">
+                  <AlertCircle size={20} className="text-red-400 flex-shrink-0" />
+                  <div className="text-sm text-red-200">{repayError}</div>
+                </div>
+              )}
+
+              <div className="flex space-x-3">
+                <button
+                  onClick={onClose}
+                  className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg font-medium transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleRepay}
+                  disabled={isLoading || hasNoDebt || !simulation.isPassed || Boolean(fees.feeError)}
+                  className="flex-1 bg-green-600 hover:bg-green-700 disabled:bg-gray-700 disabled:cursor-not-allowed text-white py-2 rounded-lg font-medium transition"
+                >
+                  {isRepaying ? <ButtonLoading text="Repaying..." /> : 'Confirm Repay'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RepayOnBehalfModal;
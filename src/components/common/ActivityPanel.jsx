@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { Activity, ExternalLink, Check, X, Clock, Repeat, Zap } from 'lucide-react';
+import { useContract } from '@/hooks/useContract';
+import { TX_STATUS, TX_TYPES } from '@/utils/constants';
+import { getExplorerUrl } from '@/utils/networks';
+import { formatAddress, formatTxHash, formatRelativeTime } from '@/utils/formatters';
+
+const STATUS_STYLES = {
+  [TX_STATUS.PENDING]: { icon: Clock, className: 'bg-yellow-900 text-yellow-200', label: 'Pending' },
+  [TX_STATUS.CONFIRMED]: { icon: Check, className: 'bg-green-900 text-green-200', label: 'Confirmed' },
+  [TX_STATUS.FAILED]: { icon: X, className: 'bg-red-900 text-red-200', label: 'Failed' },
+  [TX_STATUS.REPLACED]: { icon: Repeat, className: 'bg-gray-700 text-gray-200', label: 'Replaced' },
+};
+
+const ActivityPanel = () => {
+  const { transactions, tokens, isWatchOnly, speedUpTransaction, cancelTransaction } = useContract();
+  const [isOpen, setIsOpen] = useState(false);
+  const [replacingId, setReplacingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const pendingCount = transactions.filter(tx => tx.status === TX_STATUS.PENDING).length;
+
+  // Approvals are recorded with the token address, everything else with the symbol
+  const getTokenLabel = (token) => {
+    if (!token?.startsWith('0x')) return token;
+    const match = tokens.find(t => t.address.toLowerCase() === token.toLowerCase());
+    return match ? match.symbol : formatAddress(token);
+  };
+
+  // Entries made for another account name it: whose debt a borrow went to, who a supply or
+  // repay was for, or who credit was delegated to
+  const getCounterpartyLabel = (tx) => {
+    if (tx.delegatee) return `to ${formatAddress(tx.delegatee)}`;
+    if (tx.borrower) return `of ${formatAddress(tx.borrower)}`;
+    if (!tx.onBehalfOf) return null;
+    return tx.type === TX_TYPES.BORROW
+      ? `on credit of ${formatAddress(tx.onBehalfOf)}`
+      : `on behalf of ${formatAddress(tx.onBehalfOf)}`;
+  };
+
+  // A pending entry can be replaced unless a replacement of it is still pending
+  const canReplace = (tx) => {
+    if (isWatchOnly || tx.status !== TX_STATUS.PENDING || !tx.hash) return false;
+    return !transactions.some(item => item.id === tx.replacedBy && item.status === TX_STATUS.PENDING);
+  };
+
+  const handleReplace = async (tx, replace) => {
+    setError(null);
+    setReplacingId(tx.id);
+
+    try {
+      await replace(tx.id);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setReplacingId(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2.5 rounded-lg text-gray-400 hover:text-white hover:bg-gray-800 transition"
+        title="Recent activity"
+      >
+        <Activity size={20} />
+        {pendingCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 bg-yellow-500 text-gray-900 text-xs font-bold rounded-full flex items-center justify-center">
+            {pendingCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <>
+          {/* Backdrop */}
+          <div
+            className="fixed inset-0 z-40"
+            onClick={() => setIsOpen(false)}
+          />
+
+          <div className="absolute top-full right-0 mt-2 w-96 max-w-[calc(100vw-2rem)] bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-50 overflow-hidden">
+            <div className="px-4 py-3 border-b border-gray-700 text-sm font-medium text-white">
+              Recent Activity
+            </div>
+
+            {error && (
+              <div className="px-4 py-2 text-xs text-red-300 bg-red-900/20 border-b border-gray-700">
+                {error}
+              </div>
+            )}
+
+            {transactions.length === 0 ? (
+              <div className="p-6 text-center text-sm text-gray-400">
+                No transactions yet
+              </div>
+            ) : (
+              <div className="max-h-96 overflow-y-auto divide-y divide-gray-700">
+                {transactions.map((tx) => {
+                  const status = STATUS_STYLES[tx.status] || STATUS_STYLES[TX_STATUS.PENDING];
+                  const StatusIcon = status.icon;
+
+                  return (
+                    <div key={tx.id} className="px-4 py-3 flex items-center justify-between">
+                      <div>
+                        <div className="text-sm text-white capitalize">
+                          {tx.type} {tx.amount} {getTokenLabel(tx.token)}
+                        </div>
+                        {getCounterpartyLabel(tx) && (
+                          <div className="text-xs text-purple-300">{getCounterpartyLabel(tx)}</div>
+                        )}
+                        <div className="text-xs text-gray-400">
+                          {formatRelativeTime(tx.timestamp)}
+                          {tx.replaces && tx.type !== TX_TYPES.CANCEL && ' · speed-up'}
+                        </div>
+                        {tx.replacedByHash && (
+                          <a
+                            href={`${getExplorerUrl(tx.chainId)}/tx/${tx.replacedByHash}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-xs text-blue-400 hover:text-blue-300"
+                          >
+                            Mined as {formatTxHash(tx.replacedByHash)}
+                          </a>
+                        )}
+                        {canReplace(tx) && (
+                          <div className="flex items-center space-x-3 mt-1 text-xs">
+                            <button
+                              onClick={() => handleReplace(tx, speedUpTransaction)}
+                              disabled={replacingId === tx.id}
+                              className="flex items-center space-x-1 text-blue-400 hover:text-blue-300 disabled:text-gray-500"
+                            >
+                              <Zap size={12} />
+                              <span>Speed up</span>
+                            </button>
+                            <button
+                              onClick={() => handleReplace(tx, cancelTransaction)}
+                              disabled={replacingId === tx.id}
+                              className="flex items-center space-x-1 text-red-400 hover:text-red-300 disabled:text-gray-500"
+                            >
+                              <X size={12} />
+                              <span>Cancel</span>
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <span className={`flex items-center space-x-1 text-xs px-2 py-1 rounded ${status.className}`}>
+                          <StatusIcon size={12} className={tx.status === TX_STATUS.PENDING ? 'animate-pulse' : ''} />
+                          <span>{status.label}</span>
+                        </span>
+                        {tx.hash && (
+                          <a
+                            href={`${getExplorerUrl(tx.chainId)}/tx/${tx.hash}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            title="View on explorer"
+                          >
+                            <ExternalLink size={14} className="text-gray-400 hover:text-white" />
+                          </a>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ActivityPanel;
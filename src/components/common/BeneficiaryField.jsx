@@ -0,0 +1,69 @@
+import React from 'react';
+import { AlertCircle, UserCheck } from 'lucide-react';
+import { formatAddress, getHealthFactorStatus } from '@/utils/formatters';
+
+const formatHealthFactorValue = (value) => (value === Infinity || value > 100 ? '∞' : value.toFixed(2));
+
+/**
+ * Address/ENS input for the account an action is made on behalf of, with a preview of
+ * that account's health factor before and after the action
+ */
+const BeneficiaryField = ({ value, onChange, beneficiary, label = 'On behalf of' }) => {
+  const newStatus = beneficiary.newHealthFactor !== null
+    ? getHealthFactorStatus(beneficiary.newHealthFactor)
+    : null;
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4">
+      <label className="block text-sm text-gray-400 mb-2">{label}</label>
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="0x... or name.eth"
+        className={`w-full bg-gray-800 border ${
+          beneficiary.error ? 'border-red-500' : 'border-gray-700'
+        } rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:border-blue-500`}
+      />
+
+      {beneficiary.isResolving && (
+        <div className="text-xs text-gray-400 mt-2">Resolving...</div>
+      )}
+
+      {beneficiary.error && (
+        <div className="flex items-center space-x-2 mt-2 text-red-400 text-xs">
+          <AlertCircle size={14} />
+          <span>{beneficiary.error}</span>
+        </div>
+      )}
+
+      {beneficiary.address && (
+        <div className="mt-3 space-y-2 text-sm">
+          <div className="flex items-center justify-between">
+            <span className="flex items-center space-x-2 text-gray-400">
+              <UserCheck size={14} />
+              <span>Beneficiary</span>
+            </span>
+            <span className="text-white font-medium">{formatAddress(beneficiary.address)}</span>
+          </div>
+          <div className="flex items-center justify-between">
+            <span className="text-gray-400">Their Health Factor</span>
+            {beneficiary.healthFactor === null ? (
+              <span className="text-gray-500">Loading...</span>
+            ) : (
+              <span className="text-white">
+                {formatHealthFactorValue(beneficiary.healthFactor)}
+                {' → '}
+                <span className={`font-semibold text-${newStatus.color}-400`}>
+                  {formatHealthFactorValue(beneficiary.newHealthFactor)}
+                </span>
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BeneficiaryField;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { Fuel } from 'lucide-react';
+import { useWallet } from '@/hooks/useWallet';
+import { FEE_PRESETS } from '@/utils/constants';
+import { getChain } from '@/utils/networks';
+import { CUSTOM_FEE } from '@/services/fees';
+import { formatCurrency, formatGasPrice, calculateGasCost, formatNumberWithCommas } from '@/utils/formatters';
+
+const FeeSelector = ({ fees }) => {
+  const { chainId } = useWallet();
+  const {
+    estimates,
+    preset,
+    setPreset,
+    customFees,
+    setCustomFees,
+    isCustom,
+    feeError,
+    gasLimit,
+    isGasEstimated,
+    isEstimating,
+    gasCost,
+  } = fees;
+
+  const isLegacy = estimates?.type === 'legacy';
+  const nativeSymbol = getChain(chainId)?.nativeCurrency.symbol || 'ETH';
+
+  const getPresetPrice = (id) => {
+    const presetFees = estimates?.presets[id];
+    if (!presetFees) return '-';
+    return formatGasPrice(presetFees.maxFeePerGas ?? presetFees.gasPrice);
+  };
+
+  const handleCustomChange = (field) => (e) => {
+    const value = e.target.value.replace(/[^0-9.]/g, '');
+    setCustomFees({ ...customFees, [field]: value });
+  };
+
+  const options = [
+    ...Object.values(FEE_PRESETS).map(({ id, label }) => ({ id, label, detail: getPresetPrice(id) })),
+    { id: CUSTOM_FEE, label: 'Custom', detail: 'Gwei' },
+  ];
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4 space-y-3 text-sm">
+      <div className="flex items-center space-x-2 text-gray-400">
+        <Fuel size={16} />
+        <span>Network Fee</span>
+      </div>
+
+      <div className="grid grid-cols-4 gap-2">
+        {options.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setPreset(option.id)}
+            className={`rounded-lg px-2 py-2 text-center transition ${
+              preset === option.id
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+            }`}
+          >
+            <div className="font-medium">{option.label}</div>
+            <div className="text-xs opacity-75">{option.detail}</div>
+          </button>
+        ))}
+      </div>
+
+      {isCustom && (
+        <div className={`grid ${isLegacy ? 'grid-cols-1' : 'grid-cols-2'} gap-2`}>
+          <label className="block">
+            <span className="text-xs text-gray-400">{isLegacy ? 'Gas price (Gwei)' : 'Max fee (Gwei)'}</span>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={customFees.maxFeePerGas}
+              onChange={handleCustomChange('maxFeePerGas')}
+              className="w-full mt-1 bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-blue-500"
+            />
+          </label>
+          {!isLegacy && (
+            <label className="block">
+              <span className="text-xs text-gray-400">Priority fee (Gwei)</span>
+              <input
+                type="text"
+                inputMode="decimal"
+                value={customFees.maxPriorityFeePerGas}
+                onChange={handleCustomChange('maxPriorityFeePerGas')}
+                className="w-full mt-1 bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-blue-500"
+              />
+            </label>
+          )}
+        </div>
+      )}
+
+      {feeError && (
+        <div className="text-xs text-red-400">{feeError}</div>
+      )}
+
+      <div className="flex justify-between">
+        <span className="text-gray-400">
+          {isGasEstimated ? 'Estimated gas' : 'Gas limit (approx.)'}
+        </span>
+        <span className="text-white">
+          {isEstimating || gasLimit === null ? '...' : formatNumberWithCommas(gasLimit.toString(), 0)}
+        </span>
+      </div>
+      <div className="flex justify-between">
+        <span className="text-gray-400">Network cost</span>
+        <span className="text-white font-semibold">
+          {gasCost
+            ? `${calculateGasCost(gasLimit, gasCost.gasPrice)} ${nativeSymbol} (≈ ${formatCurrency(gasCost.usd)})`
+            : '...'}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default FeeSelector;
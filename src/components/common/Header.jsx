@@ -2,27 +2,38 @@ import React, { useState } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
 import WalletConnect from './WalletConnect';
-import { Menu, X, TrendingUp, DollarSign, Wallet, BarChart3 } from 'lucide-react';
+import WatchAddress from './WatchAddress';
+import ActivityPanel from './ActivityPanel';
+import { Menu, X, TrendingUp, DollarSign, Wallet, BarChart3, ShieldCheck, Users, Gavel, LineChart } from 'lucide-react';
 import { useWallet } from '@/hooks/useWallet';
 import { formatCurrency } from '@/utils/formatters';
 
 const Header = () => {
   const router = useRouter();
-  const { account, balance } = useWallet();
+  const { account, balance, watchInput, isWatchOnly } = useWallet();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
   const navigation = [
     { name: 'Dashboard', href: '/', icon: BarChart3 },
     { name: 'Supply', href: '/supply', icon: DollarSign },
     { name: 'Borrow', href: '/borrow', icon: TrendingUp },
+    { name: 'Delegation', href: '/delegation', icon: Users },
+    { name: 'Liquidations', href: '/liquidations', icon: Gavel },
+    { name: 'Rates', href: '/rates', icon: LineChart },
     { name: 'Yield', href: '/yield', icon: TrendingUp },
     { name: 'Portfolio', href: '/portfolio', icon: Wallet },
+    { name: 'Approvals', href: '/approvals', icon: ShieldCheck },
   ];
 
   const isActive = (path) => {
     return router.pathname === path;
   };
 
+  // Keep the watched address when moving between pages
+  const linkTo = (path) => {
+    return watchInput ? { pathname: path, query: { address: watchInput } } : path;
+  };
+
   return (
     <header className="sticky top-0 z-50 bg-gray-900 border-b border-gray-800 backdrop-blur-sm bg-opacity-95">
       <nav className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -48,7 +59,7 @@ const Header = () => {
               return (
                 <Link
                   key={item.name}
-                  href={item.href}
+                  href={linkTo(item.href)}
                   className={`flex items-center space-x-2 px-4 py-2 rounded-lg font-medium transition-all ${
                     active
                       ? 'bg-blue-600 text-white'
@@ -65,7 +76,7 @@ const Header = () => {
           {/* Right Section */}
           <div className="flex items-center space-x-4">
             {/* Balance Display (Desktop) */}
-            {account && (
+            {account && !isWatchOnly && (
               <div className="hidden lg:flex items-center space-x-2 bg-gray-800 px-4 py-2 rounded-lg">
                 <Wallet size={18} className="text-gray-400" />
                 <div>
@@ -77,6 +88,12 @@ const Header = () => {
               </div>
             )}
 
+            {/* Watch-only Address */}
+            <WatchAddress />
+
+            {/* Transaction History */}
+            <ActivityPanel />
+
             {/* Wallet Connect */}
             <WalletConnect />
 
@@ -101,7 +118,7 @@ const Header = () => {
                 return (
                   <Link
                     key={item.name}
-                    href={item.href}
+                    href={linkTo(item.href)}
                     onClick={() => setMobileMenuOpen(false)}
                     className={`flex items-center space-x-3 px-4 py-3 rounded-lg font-medium transition-all ${
                       active
@@ -116,7 +133,7 @@ const Header = () => {
               })}
 
               {/* Mobile Balance */}
-              {account && (
+              {account && !isWatchOnly && (
                 <div className="flex items-center justify-between px-4 py-3 bg-gray-800 rounded-lg mt-4">
                   <div className="flex items-center space-x-2">
                     <Wallet size={18} className="text-gray-400" />
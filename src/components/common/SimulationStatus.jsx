@@ -0,0 +1,49 @@
+import React from 'react';
+import { Check, AlertCircle, Loader, RefreshCw } from 'lucide-react';
+import { SIMULATION_STATUS } from '@/hooks/useSimulation';
+
+const SimulationStatus = ({ simulation }) => {
+  const { status, error, needsApproval, rerun } = simulation;
+
+  if (status === SIMULATION_STATUS.IDLE) return null;
+
+  if (status === SIMULATION_STATUS.RUNNING) {
+    return (
+      <div className="flex items-center space-x-2 p-3 bg-gray-900 rounded-lg text-sm text-gray-300">
+        <Loader size={16} className="animate-spin" />
+        <span>Simulating transaction...</span>
+      </div>
+    );
+  }
+
+  if (status === SIMULATION_STATUS.FAILED) {
+    return (
+      <div className="flex items-start justify-between p-3 bg-red-900/20 border border-red-600 rounded-lg text-sm">
+        <div className="flex items-start space-x-2 text-red-300">
+          <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+          <span>Simulation failed: {error}</span>
+        </div>
+        <button
+          onClick={rerun}
+          className="ml-3 text-red-300 hover:text-white transition"
+          title="Simulate again"
+        >
+          <RefreshCw size={14} />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center space-x-2 p-3 bg-green-900/20 border border-green-700 rounded-lg text-sm text-green-300">
+      <Check size={16} />
+      <span>
+        {needsApproval
+          ? 'Balance checked. The transaction is simulated again after approval.'
+          : 'Simulation passed'}
+      </span>
+    </div>
+  );
+};
+
+export default SimulationStatus;
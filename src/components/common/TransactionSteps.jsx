@@ -0,0 +1,80 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+import { useContract } from '@/hooks/useContract';
+
+/**
+ * Wallet transactions needed for an action, in order
+ * Native assets go through the WETH gateway, which wraps/unwraps in the same transaction.
+ * Tokens with EIP-2612 permit are approved with a signature instead of a transaction.
+ * @param {string} action - deposit, withdraw or repay
+ * @param {object} token - Token being moved
+ * @returns {object[]} Steps [{ id, label }]
+ */
+const getSteps = (action, token) => {
+  const { symbol, isNative } = token;
+
+  switch (action) {
+    case 'deposit':
+      return isNative
+        ? [{ id: 'deposit', label: `Wrap and supply ${symbol} through the gateway` }]
+        : [
+          { id: 'approve', label: `Approve ${symbol} or sign a permit (if needed)` },
+          { id: 'deposit', label: `Supply ${symbol}` },
+        ];
+    case 'withdraw':
+      return isNative
+        ? [
+          { id: 'approve', label: `Allow the gateway to redeem your supplied ${symbol} (if needed)` },
+          { id: 'withdraw', label: `Withdraw and unwrap to ${symbol}` },
+        ]
+        : [{ id: 'withdraw', label: `Withdraw ${symbol}` }];
+    case 'repay':
+      return isNative
+        ? [{ id: 'repay', label: `Repay with ${symbol} through the gateway` }]
+        : [
+          { id: 'approve', label: `Approve ${symbol} or sign a permit (if needed)` },
+          { id: 'repay', label: `Repay ${symbol}` },
+        ];
+    default:
+      return [];
+  }
+};
+
+const TransactionSteps = ({ action, token }) => {
+  const { currentStep } = useContract();
+  const steps = getSteps(action, token);
+  const currentIndex = steps.findIndex(step => step.id === currentStep);
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4 space-y-2 text-sm">
+      <div className="text-gray-400 mb-1">
+        {steps.length > 1 ? `${steps.length} wallet confirmations` : '1 wallet confirmation'}
+      </div>
+      {steps.map((step, index) => {
+        const isDone = currentIndex > index;
+        const isActive = currentIndex === index;
+
+        return (
+          <div key={step.id} className="flex items-center space-x-3">
+            <div
+              className={`w-6 h-6 rounded-full flex items-center justify-center text-xs font-semibold flex-shrink-0 ${
+                isDone
+                  ? 'bg-green-600 text-white'
+                  : isActive
+                    ? 'bg-blue-600 text-white animate-pulse'
+                    : 'bg-gray-700 text-gray-300'
+              }`}
+            >
+              {isDone ? <Check size={14} /> : index + 1}
+            </div>
+            <span className={isActive ? 'text-white font-medium' : 'text-gray-300'}>
+              {step.label}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TransactionSteps;
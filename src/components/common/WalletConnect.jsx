@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
+import Image from 'next/image';
 import { useWallet } from '@/hooks/useWallet';
 import { formatAddress } from '@/utils/formatters';
-import { CHAIN_IDS, SUPPORTED_CHAINS } from '@/utils/constants';
+import { DEFAULTS } from '@/utils/constants';
+import { LENDING_CHAIN_IDS, getChain, isLendingSupported } from '@/utils/networks';
 import { 
   Wallet, 
   LogOut, 
@@ -18,6 +20,8 @@ const WalletConnect = () => {
     chainId, 
     isConnecting, 
     isConnected, 
+    connectors,
+    connector,
     connectWallet, 
     disconnectWallet,
     switchNetwork,
@@ -26,9 +30,10 @@ const WalletConnect = () => {
 
   const [showDropdown, setShowDropdown] = useState(false);
   const [copied, setCopied] = useState(false);
+  const [showPicker, setShowPicker] = useState(false);
 
-  const currentChain = SUPPORTED_CHAINS.find(chain => chain.id === chainId);
-  const isWrongNetwork = isConnected && chainId !== CHAIN_IDS.ETHEREUM_MAINNET;
+  const currentChain = getChain(chainId);
+  const isWrongNetwork = isConnected && !isLendingSupported(chainId);
 
   const copyAddress = () => {
     if (account) {
@@ -45,15 +50,29 @@ const WalletConnect = () => {
     }
   };
 
-  const handleSwitchNetwork = async () => {
-    await switchNetwork(CHAIN_IDS.ETHEREUM_MAINNET);
+  const handleSwitchNetwork = async (targetChainId = DEFAULTS.CHAIN_ID) => {
+    await switchNetwork(targetChainId);
+  };
+
+  // Let the user choose when several wallets are installed
+  const handleConnectClick = () => {
+    if (connectors.length > 1) {
+      setShowPicker(!showPicker);
+    } else {
+      connectWallet();
+    }
+  };
+
+  const handleSelectConnector = async (connectorId) => {
+    setShowPicker(false);
+    await connectWallet(connectorId);
   };
 
   if (!isConnected) {
     return (
       <div className="relative">
         <button
-          onClick={connectWallet}
+          onClick={handleConnectClick}
           disabled={isConnecting}
           className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 disabled:cursor-not-allowed text-white px-6 py-2.5 rounded-lg font-medium transition-all transform hover:scale-105 active:scale-95"
         >
@@ -61,7 +80,40 @@ const WalletConnect = () => {
           <span>{isConnecting ? 'Connecting...' : 'Connect Wallet'}</span>
         </button>
 
-        {error && (
+        {/* Wallet Picker */}
+        {showPicker && (
+          <>
+            {/* Backdrop */}
+            <div 
+              className="fixed inset-0 z-40"
+              onClick={() => setShowPicker(false)}
+            />
+
+            <div className="absolute top-full right-0 mt-2 w-72 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-50 overflow-hidden">
+              <div className="px-4 py-3 border-b border-gray-700 text-sm font-medium text-white">
+                Select a wallet
+              </div>
+              <div className="p-2">
+                {connectors.map((item) => (
+                  <button
+                    key={item.id}
+                    onClick={() => handleSelectConnector(item.id)}
+                    className="w-full flex items-center space-x-3 px-3 py-2 hover:bg-gray-750 rounded-lg transition text-left"
+                  >
+                    {item.icon ? (
+                      <Image src={item.icon} alt={item.name} width={24} height={24} unoptimized className="rounded" />
+                    ) : (
+                      <Wallet size={20} className="text-gray-400" />
+                    )}
+                    <span className="text-sm text-white">{item.name}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+
+        {error && !showPicker && (
           <div className="absolute top-full mt-2 right-0 bg-red-900 border border-red-700 rounded-lg p-3 w-72">
             <div className="flex items-start space-x-2">
               <AlertCircle size={18} className="text-red-400 flex-shrink-0 mt-0.5" />
@@ -81,7 +133,7 @@ const WalletConnect = () => {
       {/* Wrong Network Warning */}
       {isWrongNetwork && (
         <button
-          onClick={handleSwitchNetwork}
+          onClick={() => handleSwitchNetwork()}
           className="flex items-center space-x-2 bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-lg font-medium transition mr-2"
         >
           <AlertCircle size={16} />
@@ -130,7 +182,9 @@ const WalletConnect = () => {
             {/* Account Info */}
             <div className="p-4 border-b border-gray-700">
               <div className="flex items-center justify-between mb-2">
-                <span className="text-xs text-gray-400">Connected Account</span>
+                <span className="text-xs text-gray-400">
+                  {connector ? `Connected with ${connector.name}` : 'Connected Account'}
+                </span>
                 <span className={`text-xs px-2 py-1 rounded ${
                   isWrongNetwork 
                     ? 'bg-yellow-900 text-yellow-200' 
@@ -149,6 +203,22 @@ const WalletConnect = () => {
               )}
             </div>
 
+            {/* Networks */}
+            <div className="p-2 border-b border-gray-700">
+              <div className="px-3 py-1 text-xs text-gray-400">Networks</div>
+              {LENDING_CHAIN_IDS.map((id) => (
+                <button
+                  key={id}
+                  onClick={() => handleSwitchNetwork(id)}
+                  disabled={id === chainId}
+                  className="w-full flex items-center justify-between px-3 py-2 hover:bg-gray-750 disabled:cursor-default rounded-lg transition text-left"
+                >
+                  <span className="text-sm text-white">{getChain(id)?.name}</span>
+                  {id === chainId && <Check size={16} className="text-green-400" />}
+                </button>
+              ))}
+            </div>
+
             {/* Actions */}
             <div className="p-2">
               <button
@@ -178,7 +248,7 @@ const WalletConnect = () => {
 
               {isWrongNetwork && (
                 <button
-                  onClick={handleSwitchNetwork}
+                  onClick={() => handleSwitchNetwork()}
                   className="w-full flex items-center space-x-3 px-3 py-2 bg-yellow-900 hover:bg-yellow-800 rounded-lg transition text-left mt-2"
                 >
                   <AlertCircle size={16} className="text-yellow-200" />
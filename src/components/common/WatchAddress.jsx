@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Eye, X, Search, AlertCircle } from 'lucide-react';
+import { useWallet } from '@/hooks/useWallet';
+import { formatAddress } from '@/utils/formatters';
+
+const WatchAddress = () => {
+  const {
+    watchInput,
+    watchAddress,
+    watchError,
+    isWatchOnly,
+    isResolvingWatch,
+    startWatching,
+    stopWatching,
+  } = useWallet();
+
+  const [showForm, setShowForm] = useState(false);
+  const [input, setInput] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!input.trim()) return;
+
+    await startWatching(input);
+    setInput('');
+    setShowForm(false);
+  };
+
+  // ENS names are shown as typed, raw addresses shortened
+  const watchLabel = watchInput?.startsWith('0x') ? formatAddress(watchInput) : watchInput;
+
+  if (isWatchOnly) {
+    return (
+      <div
+        className={`flex items-center space-x-2 px-3 py-2 rounded-lg border ${
+          watchError
+            ? 'bg-red-900 border-red-700'
+            : 'bg-indigo-900 border-indigo-700'
+        }`}
+        title={watchAddress || watchError || ''}
+      >
+        {watchError ? (
+          <AlertCircle size={16} className="text-red-300" />
+        ) : (
+          <Eye size={16} className="text-indigo-300" />
+        )}
+        <div className="hidden sm:flex flex-col">
+          <span className={`text-xs ${watchError ? 'text-red-300' : 'text-indigo-300'}`}>
+            {watchError ? 'Invalid address' : isResolvingWatch ? 'Resolving...' : 'Watch-only'}
+          </span>
+          <span className="text-sm font-medium text-white">{watchLabel}</span>
+        </div>
+        <button
+          onClick={stopWatching}
+          className="p-1 rounded hover:bg-gray-800 transition"
+          title="Stop watching"
+        >
+          <X size={14} className="text-gray-300" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setShowForm(!showForm)}
+        className="p-2.5 rounded-lg text-gray-400 hover:text-white hover:bg-gray-800 transition"
+        title="Watch an address"
+      >
+        <Eye size={20} />
+      </button>
+
+      {showForm && (
+        <>
+          {/* Backdrop */}
+          <div
+            className="fixed inset-0 z-40"
+            onClick={() => setShowForm(false)}
+          />
+
+          <form
+            onSubmit={handleSubmit}
+            className="absolute top-full right-0 mt-2 w-80 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-50 p-4"
+          >
+            <div className="text-sm font-medium text-white mb-1">Watch an address</div>
+            <div className="text-xs text-gray-400 mb-3">
+              View any account read-only. The link can be shared.
+            </div>
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                placeholder="0x... or name.eth"
+                autoFocus
+                className="flex-1 bg-gray-900 border border-gray-700 focus:border-blue-500 rounded-lg px-3 py-2 text-sm text-white outline-none"
+              />
+              <button
+                type="submit"
+                disabled={!input.trim()}
+                className="p-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed rounded-lg transition"
+              >
+                <Search size={16} className="text-white" />
+              </button>
+            </div>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WatchAddress;
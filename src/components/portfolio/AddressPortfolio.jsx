@@ -0,0 +1,271 @@
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { Plus, Trash2, Pencil, Check, X, Eye, RefreshCw, AlertCircle, Users } from 'lucide-react';
+import { usePortfolio } from '@/hooks/usePortfolio';
+import { formatCurrency, formatPercent, formatAddress, getHealthFactorStatus } from '@/utils/formatters';
+
+const HF_COLORS = {
+  green: 'text-green-400',
+  yellow: 'text-yellow-400',
+  orange: 'text-orange-400',
+  red: 'text-red-400',
+};
+
+const formatHF = (healthFactor) => {
+  if (healthFactor === Infinity || healthFactor > 100) return '∞';
+  return healthFactor.toFixed(2);
+};
+
+const HealthFactorValue = ({ value }) => {
+  const status = getHealthFactorStatus(value);
+  return <span className={HF_COLORS[status.color]}>{formatHF(value)}</span>;
+};
+
+const SummaryCard = ({ label, value, sub }) => (
+  <div className="bg-gray-800 rounded-xl p-6 border border-gray-700">
+    <div className="text-sm text-gray-400 mb-1">{label}</div>
+    <div className="text-2xl font-bold text-white">{value}</div>
+    {sub && <div className="text-xs text-gray-500 mt-1">{sub}</div>}
+  </div>
+);
+
+const AddressPortfolio = () => {
+  const {
+    trackedAddresses,
+    accounts,
+    totals,
+    isLoading,
+    error,
+    addAddress,
+    removeAddress,
+    updateLabel,
+    refresh,
+  } = usePortfolio();
+
+  const [addressInput, setAddressInput] = useState('');
+  const [labelInput, setLabelInput] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+  const [editingAddress, setEditingAddress] = useState(null);
+  const [editLabel, setEditLabel] = useState('');
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setIsAdding(true);
+
+    const added = await addAddress(addressInput, labelInput);
+    if (added) {
+      setAddressInput('');
+      setLabelInput('');
+    }
+
+    setIsAdding(false);
+  };
+
+  const startEditing = (account) => {
+    setEditingAddress(account.address);
+    setEditLabel(account.label);
+  };
+
+  const saveLabel = () => {
+    updateLabel(editingAddress, editLabel);
+    setEditingAddress(null);
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Combined Summary */}
+      {totals && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6">
+          <SummaryCard
+            label="Combined Net Worth"
+            value={formatCurrency(totals.netWorth)}
+            sub={`${accounts.length} address(es)`}
+          />
+          <SummaryCard label="Total Supplied" value={formatCurrency(totals.totalSupplied)} />
+          <SummaryCard label="Total Debt" value={formatCurrency(totals.totalBorrowed)} />
+          <SummaryCard
+            label="Weighted APY"
+            value={formatPercent(totals.supplyAPY)}
+            sub={`Borrow ${formatPercent(totals.borrowAPY)}`}
+          />
+          <SummaryCard
+            label="Lowest Health Factor"
+            value={<HealthFactorValue value={totals.healthFactor} />}
+          />
+        </div>
+      )}
+
+      {/* Add Address */}
+      <form
+        onSubmit={handleAdd}
+        className="bg-gray-800 rounded-xl p-6 border border-gray-700 flex flex-col md:flex-row md:items-end gap-4"
+      >
+        <div className="flex-1">
+          <label className="block text-sm text-gray-400 mb-2">Address or ENS name</label>
+          <input
+            type="text"
+            value={addressInput}
+            onChange={(e) => setAddressInput(e.target.value)}
+            placeholder="0x... or name.eth"
+            className="w-full bg-gray-900 border border-gray-700 focus:border-blue-500 rounded-lg px-4 py-2.5 text-white outline-none"
+          />
+        </div>
+        <div className="md:w-56">
+          <label className="block text-sm text-gray-400 mb-2">Label (optional)</label>
+          <input
+            type="text"
+            value={labelInput}
+            onChange={(e) => setLabelInput(e.target.value)}
+            placeholder="Treasury"
+            className="w-full bg-gray-900 border border-gray-700 focus:border-blue-500 rounded-lg px-4 py-2.5 text-white outline-none"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={!addressInput.trim() || isAdding}
+          className="flex items-center justify-center space-x-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed text-white px-6 py-2.5 rounded-lg font-medium transition"
+        >
+          <Plus size={18} />
+          <span>{isAdding ? 'Resolving...' : 'Add Address'}</span>
+        </button>
+      </form>
+
+      {error && (
+        <div className="flex items-center space-x-2 bg-red-900 border border-red-700 rounded-lg p-3 text-sm text-red-200">
+          <AlertCircle size={16} />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* Per-address Breakdown */}
+      <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Addresses</h2>
+          <button
+            onClick={refresh}
+            disabled={isLoading || trackedAddresses.length === 0}
+            className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-gray-700 disabled:cursor-not-allowed transition"
+            title="Refresh"
+          >
+            <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+          </button>
+        </div>
+
+        {trackedAddresses.length === 0 ? (
+          <div className="p-12 text-center">
+            <Users size={40} className="text-gray-600 mx-auto mb-4" />
+            <p className="text-gray-400">
+              Add the addresses you manage to see their positions side by side.
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-900">
+                <tr className="text-left text-xs text-gray-400 uppercase">
+                  <th className="px-6 py-3">Address</th>
+                  <th className="px-6 py-3 text-right">Net Worth</th>
+                  <th className="px-6 py-3 text-right">Supplied</th>
+                  <th className="px-6 py-3 text-right">Debt</th>
+                  <th className="px-6 py-3 text-right">Supply APY</th>
+                  <th className="px-6 py-3 text-right">Borrow APY</th>
+                  <th className="px-6 py-3 text-right">Health Factor</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {accounts.map((account) => (
+                  <tr key={account.address} className="hover:bg-gray-750">
+                    <td className="px-6 py-4">
+                      {editingAddress === account.address ? (
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="text"
+                            value={editLabel}
+                            onChange={(e) => setEditLabel(e.target.value)}
+                            autoFocus
+                            className="bg-gray-900 border border-gray-700 rounded px-2 py-1 text-sm text-white outline-none"
+                          />
+                          <button onClick={saveLabel} title="Save">
+                            <Check size={16} className="text-green-400" />
+                          </button>
+                          <button onClick={() => setEditingAddress(null)} title="Cancel">
+                            <X size={16} className="text-gray-400" />
+                          </button>
+                        </div>
+                      ) : (
+                        <div>
+                          <div className="text-white font-medium">
+                            {account.label || formatAddress(account.address)}
+                          </div>
+                          {account.label && (
+                            <div className="text-xs text-gray-500 font-mono">
+                              {formatAddress(account.address)}
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                    {account.summary ? (
+                      <>
+                        <td className="px-6 py-4 text-right text-white">
+                          {formatCurrency(account.summary.netWorth)}
+                        </td>
+                        <td className="px-6 py-4 text-right text-gray-300">
+                          {formatCurrency(account.summary.totalSupplied)}
+                        </td>
+                        <td className="px-6 py-4 text-right text-gray-300">
+                          {formatCurrency(account.summary.totalBorrowed)}
+                        </td>
+                        <td className="px-6 py-4 text-right text-green-400">
+                          {formatPercent(account.summary.supplyAPY)}
+                        </td>
+                        <td className="px-6 py-4 text-right text-purple-400">
+                          {formatPercent(account.summary.borrowAPY)}
+                        </td>
+                        <td className="px-6 py-4 text-right font-medium">
+                          <HealthFactorValue value={account.summary.healthFactor} />
+                        </td>
+                      </>
+                    ) : (
+                      <td colSpan={6} className="px-6 py-4 text-right text-sm text-red-400">
+                        {account.error}
+                      </td>
+                    )}
+                    <td className="px-6 py-4">
+                      <div className="flex items-center justify-end space-x-2">
+                        <Link
+                          href={{ pathname: '/', query: { address: account.address } }}
+                          className="p-1.5 rounded hover:bg-gray-700"
+                          title="Open dashboard"
+                        >
+                          <Eye size={16} className="text-gray-400" />
+                        </Link>
+                        <button
+                          onClick={() => startEditing(account)}
+                          className="p-1.5 rounded hover:bg-gray-700"
+                          title="Edit label"
+                        >
+                          <Pencil size={16} className="text-gray-400" />
+                        </button>
+                        <button
+                          onClick={() => removeAddress(account.address)}
+                          className="p-1.5 rounded hover:bg-gray-700"
+                          title="Remove"
+                        >
+                          <Trash2 size={16} className="text-red-400" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AddressPortfolio;
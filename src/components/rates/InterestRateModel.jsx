@@ -0,0 +1,213 @@
+import React, { useState, useMemo } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+  ReferenceLine,
+} from 'recharts';
+import { AlertCircle, ArrowRight } from 'lucide-react';
+import { formatCurrency, formatNumberWithCommas, formatPercent } from '@/utils/formatters';
+import { createTokenAmount, scaleAmount, toNumber, fromWad, getAmountValue } from '@/utils/tokenAmount';
+import { useInterestRateModel } from '@/hooks/useInterestRateModel';
+import { CardSkeleton } from '@/components/common/Loading';
+
+const WHAT_IF_ACTIONS = [
+  { value: 'supply', label: 'Supply' },
+  { value: 'borrow', label: 'Borrow' },
+];
+
+const CurveTooltip = ({ active, payload }) => {
+  if (!active || !payload || !payload.length) return null;
+
+  return (
+    <div className="bg-gray-900 border border-gray-700 rounded-lg p-3 shadow-xl">
+      <div className="text-xs text-gray-400 mb-2">
+        Utilization {formatPercent(payload[0].payload.utilization, 0)}
+      </div>
+      {payload.map((entry) => (
+        <div key={entry.dataKey} className="flex items-center justify-between space-x-3">
+          <span className="text-sm text-gray-300">{entry.name}:</span>
+          <span className="text-sm font-semibold text-white">{formatPercent(entry.value)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const RateChange = ({ label, before, after }) => (
+  <div className="bg-gray-900 rounded-lg p-3">
+    <div className="text-xs text-gray-400 mb-1">{label}</div>
+    <div className="flex items-center space-x-2 text-sm font-semibold">
+      <span className="text-gray-300">{formatPercent(before)}</span>
+      <ArrowRight size={14} className="text-gray-500" />
+      <span className="text-white">{formatPercent(after)}</span>
+    </div>
+  </div>
+);
+
+/**
+ * Supply and variable borrow APY of a reserve against utilization, with the optimal
+ * utilization kink, the current utilization and a what-if preview of a supply or borrow
+ */
+const InterestRateModel = ({ token }) => {
+  const { model, curve, current, optimalUtilization, error, simulate } = useInterestRateModel(token);
+  const [action, setAction] = useState('supply');
+  const [share, setShare] = useState(0);
+
+  // The slider goes up to the reserve's total liquidity for a supply, and to what is left
+  // to lend for a borrow
+  const maxAmount = useMemo(() => {
+    if (!model) return null;
+
+    const { availableLiquidity, totalStableDebt, totalVariableDebt } = model.state;
+    const raw = action === 'supply'
+      ? availableLiquidity + totalStableDebt + totalVariableDebt
+      : availableLiquidity;
+    return createTokenAmount(raw, token.decimals);
+  }, [model, action, token.decimals]);
+
+  const amount = useMemo(() => (maxAmount ? scaleAmount(maxAmount, share * 100) : null), [maxAmount, share]);
+  const whatIf = useMemo(() => simulate(action, amount), [simulate, action, amount]);
+
+  if (error) {
+    return (
+      <div className="flex items-center space-x-2 bg-red-900/20 border border-red-800 rounded-lg p-4 text-sm text-red-400">
+        <AlertCircle size={16} className="flex-shrink-0" />
+        <span>{error}</span>
+      </div>
+    );
+  }
+
+  // The model loads once the reserve data is in
+  if (!model) return <CardSkeleton />;
+
+  return (
+    <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden">
+      {/* Header */}
+      <div className="p-6 border-b border-gray-700">
+        <h3 className="text-xl font-bold text-white mb-1">{token.symbol} Interest Rate Model</h3>
+        <p className="text-sm text-gray-400">
+          Rates rise slowly up to the optimal utilization of {formatPercent(optimalUtilization, 0)}, then steeply
+          to draw liquidity back into the reserve
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+          <div className="bg-gray-900 rounded-lg p-4">
+            <div className="text-sm text-gray-400 mb-1">Current Utilization</div>
+            <div className="text-2xl font-bold text-white">{formatPercent(current.utilization)}</div>
+          </div>
+          <div className="bg-gray-900 rounded-lg p-4">
+            <div className="text-sm text-gray-400 mb-1">Supply APY</div>
+            <div className="text-2xl font-bold text-green-400">{formatPercent(current.supplyAPY)}</div>
+          </div>
+          <div className="bg-gray-900 rounded-lg p-4">
+            <div className="text-sm text-gray-400 mb-1">Variable Borrow APY</div>
+            <div className="text-2xl font-bold text-red-400">{formatPercent(current.borrowAPY)}</div>
+          </div>
+        </div>
+      </div>
+
+      {/* Chart */}
+      <div className="p-6">
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={curve}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis
+              dataKey="utilization"
+              type="number"
+              domain={[0, 100]}
+              stroke="#9CA3AF"
+              tick={{ fontSize: 12 }}
+              tickFormatter={(value) => `${value}%`}
+            />
+            <YAxis
+              stroke="#9CA3AF"
+              tick={{ fontSize: 12 }}
+              tickFormatter={(value) => `${value.toFixed(0)}%`}
+            />
+            <Tooltip content={<CurveTooltip />} />
+            <Legend />
+            <ReferenceLine
+              x={optimalUtilization}
+              stroke="#6B7280"
+              strokeDasharray="4 4"
+              label={{ value: 'Optimal', fill: '#9CA3AF', fontSize: 12, position: 'insideTopLeft' }}
+            />
+            <ReferenceLine
+              x={current.utilization}
+              stroke="#3B82F6"
+              label={{ value: 'Current', fill: '#60A5FA', fontSize: 12, position: 'insideTopRight' }}
+            />
+            {whatIf && (
+              <ReferenceLine
+                x={whatIf.utilization}
+                stroke="#F59E0B"
+                strokeDasharray="2 2"
+                label={{ value: 'After', fill: '#FBBF24', fontSize: 12, position: 'insideBottomRight' }}
+              />
+            )}
+            <Line type="linear" dataKey="borrowAPY" stroke="#f87171" strokeWidth={2} dot={false} name="Variable Borrow APY" />
+            <Line type="linear" dataKey="supplyAPY" stroke="#10b981" strokeWidth={2} dot={false} name="Supply APY" />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* What-if */}
+      <div className="p-6 border-t border-gray-700">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h4 className="font-semibold text-white">What If</h4>
+            <p className="text-sm text-gray-400">How a {action} of this size would move the reserve&apos;s rates</p>
+          </div>
+          <div className="flex bg-gray-900 rounded-lg p-1 gap-1">
+            {WHAT_IF_ACTIONS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setAction(option.value)}
+                className={`px-3 py-1.5 rounded text-sm font-medium transition ${
+                  action === option.value
+                    ? 'bg-blue-600 text-white'
+                    : 'text-gray-400 hover:text-white'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <input
+          type="range"
+          min="0"
+          max="100"
+          step="1"
+          value={share}
+          onChange={(e) => setShare(Number(e.target.value))}
+          className="w-full accent-blue-500"
+        />
+        <div className="flex items-center justify-between text-sm mt-2 mb-4">
+          <span className="text-white font-medium">
+            {formatNumberWithCommas(toNumber(amount), 2)} {token.symbol}
+          </span>
+          <span className="text-gray-400">
+            ≈ {formatCurrency(fromWad(getAmountValue(amount, token.price)))} ·{' '}
+            {action === 'supply' ? `${share}% of the reserve's liquidity` : `${share}% of what's left to lend`}
+          </span>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <RateChange label="Utilization" before={current.utilization} after={whatIf ? whatIf.utilization : current.utilization} />
+          <RateChange label="Supply APY" before={current.supplyAPY} after={whatIf ? whatIf.supplyAPY : current.supplyAPY} />
+          <RateChange label="Variable Borrow APY" before={current.borrowAPY} after={whatIf ? whatIf.borrowAPY : current.borrowAPY} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InterestRateModel;
@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
 import { TrendingUp, Info, DollarSign, Percent } from 'lucide-react';
-import { formatCurrency, formatPercent } from '@/utils/formatters';
+import { formatCurrency, formatNumberWithCommas, formatPercent } from '@/utils/formatters';
+import { useWallet } from '@/hooks/useWallet';
 import SupplyModal from './SupplyModal';
 
 const SupplyCard = ({ token, onSupply, userBalance = 0 }) => {
+  const { isWatchOnly } = useWallet();
   const [showModal, setShowModal] = useState(false);
   const [showTooltip, setShowTooltip] = useState(false);
 
@@ -18,6 +20,9 @@ const SupplyCard = ({ token, onSupply, userBalance = 0 }) => {
     setShowModal(false);
   };
 
+  // Frozen reserves still accept withdrawals and repayments, but no new supply
+  const supplyDisabledReason = token.isPaused ? 'Paused' : token.isFrozen ? 'Frozen' : null;
+
   // Calculate estimated earnings
   const estimatedDailyEarnings = userBalance > 0 
     ? (userBalance * token.supplyAPY) / (100 * 365)
@@ -143,10 +148,11 @@ const SupplyCard = ({ token, onSupply, userBalance = 0 }) => {
         {/* Supply Button */}
         <button
           onClick={handleSupplyClick}
-          className="w-full bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 text-white py-3 rounded-lg font-semibold transition-all transform group-hover:scale-105 active:scale-95 flex items-center justify-center space-x-2 shadow-lg"
+          disabled={isWatchOnly || supplyDisabledReason !== null}
+          className="w-full bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 disabled:from-gray-700 disabled:to-gray-700 disabled:cursor-not-allowed text-white py-3 rounded-lg font-semibold transition-all transform group-hover:scale-105 active:scale-95 flex items-center justify-center space-x-2 shadow-lg"
         >
           <TrendingUp size={18} />
-          <span>Supply {token.symbol}</span>
+          <span>{supplyDisabledReason ? `${token.symbol} ${supplyDisabledReason}` : `Supply ${token.symbol}`}</span>
         </button>
 
         {/* Additional Info */}
@@ -165,6 +171,14 @@ const SupplyCard = ({ token, onSupply, userBalance = 0 }) => {
               </span>
             </div>
           </div>
+          {token.supplyCap > 0 && (
+            <div className="flex items-center justify-between text-xs text-gray-400 mt-2">
+              <span>Supply Cap:</span>
+              <span className="text-white font-medium">
+                {formatNumberWithCommas(token.supplyCap, 0)} {token.symbol}
+              </span>
+            </div>
+          )}
         </div>
       </div>
 
@@ -1,24 +1,68 @@
-import React, { useState, useEffect } from 'react';
-import { X, AlertCircle, TrendingUp, DollarSign, Info } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, AlertCircle, TrendingUp, Info } from 'lucide-react';
 import { useWallet } from '@/hooks/useWallet';
 import { useSupply } from '@/hooks/useSupply';
-import { formatCurrency, formatPercent, validateAmountInput } from '@/utils/formatters';
+import { useContract } from '@/hooks/useContract';
+import { useSimulation } from '@/hooks/useSimulation';
+import { useTransactionFees } from '@/hooks/useTransactionFees';
+import { useBeneficiary } from '@/hooks/useBeneficiary';
+import { APPROVAL_MODES } from '@/utils/constants';
+import { formatAddress, formatCurrency, formatPercent, validateAmountInput } from '@/utils/formatters';
+import {
+  parseAmountInput,
+  toAmountString,
+  toNumber,
+  isPositive,
+  compareAmounts,
+  subtractAmounts,
+  getAmountValue,
+  fromWad,
+  zeroAmount,
+} from '@/utils/tokenAmount';
 import { ButtonLoading } from '@/components/common/Loading';
+import TransactionSteps from '@/components/common/TransactionSteps';
+import SimulationStatus from '@/components/common/SimulationStatus';
+import FeeSelector from '@/components/common/FeeSelector';
+import BeneficiaryField from '@/components/common/BeneficiaryField';
+
+// Left in the wallet for gas when supplying the native asset
+const NATIVE_GAS_RESERVE = '0.01';
 
 const SupplyModal = ({ token, onClose, onSuccess }) => {
-  const { account, balance, isConnected } = useWallet();
+  const { balance, isConnected } = useWallet();
   const { supply, isLoading, error: supplyError } = useSupply();
+  const { approvalMode, setApprovalMode } = useContract();
 
   const [amount, setAmount] = useState('');
   const [error, setError] = useState('');
   const [step, setStep] = useState(1); // 1: Input, 2: Confirm, 3: Processing
+  const [isOnBehalf, setIsOnBehalf] = useState(false);
+  const [beneficiaryInput, setBeneficiaryInput] = useState('');
+
+  const parsedAmount = useMemo(() => parseAmountInput(amount, token.decimals), [amount, token.decimals]);
+
+  // Supplying for another account credits the aTokens, and the collateral, to that account
+  const beneficiary = useBeneficiary({
+    input: beneficiaryInput,
+    action: 'deposit',
+    token,
+    amount: parsedAmount,
+    enabled: isOnBehalf,
+  });
+  const onBehalfOf = isOnBehalf ? beneficiary.address : null;
+
+  // The confirm step stays blocked until the supply simulates cleanly
+  const simulation = useSimulation({ action: 'deposit', token, amount: parsedAmount, onBehalfOf, enabled: step === 2 });
+  const fees = useTransactionFees({ action: 'deposit', token, amount: parsedAmount, onBehalfOf, enabled: step === 2 });
 
-  // Get available balance (mock - should fetch actual token balance)
-  const availableBalance = token.isNative ? parseFloat(balance) : 0;
+  // Get available balance
+  const availableBalance = useMemo(() => {
+    if (!token.isNative) return token.walletBalance || zeroAmount(token.decimals);
+    return parseAmountInput(balance, token.decimals) || zeroAmount(token.decimals);
+  }, [token, balance]);
 
   // Calculate values
-  const amountValue = parseFloat(amount) || 0;
-  const usdValue = amountValue * token.price;
+  const usdValue = parsedAmount ? fromWad(getAmountValue(parsedAmount, token.price)) : 0;
   const estimatedDailyEarnings = (usdValue * token.supplyAPY) / (100 * 365);
   const estimatedYearlyEarnings = (usdValue * token.supplyAPY) / 100;
 
@@ -29,20 +73,18 @@ const SupplyModal = ({ token, onClose, onSuccess }) => {
       return;
     }
 
-    const numAmount = parseFloat(amount);
-
-    if (isNaN(numAmount) || numAmount <= 0) {
+    if (!isPositive(parsedAmount)) {
       setError('Please enter a valid amount');
       return;
     }
 
-    if (numAmount > availableBalance) {
-      setError(`Insufficient balance. You have ${availableBalance.toFixed(4)} ${token.symbol}`);
+    if (compareAmounts(parsedAmount, availableBalance) > 0) {
+      setError(`Insufficient balance. You have ${toNumber(availableBalance).toFixed(4)} ${token.symbol}`);
       return;
     }
 
     setError('');
-  }, [amount, availableBalance, token.symbol]);
+  }, [amount, parsedAmount, availableBalance, token.symbol]);
 
   // Handle amount input
   const handleAmountChange = (e) => {
@@ -53,10 +95,10 @@ const SupplyModal = ({ token, onClose, onSuccess }) => {
   // Set max amount
   const handleMaxClick = () => {
     // Leave some ETH for gas if it's native token
-    const maxAmount = token.isNative 
-      ? Math.max(0, availableBalance - 0.01) 
+    const maxAmount = token.isNative
+      ? subtractAmounts(availableBalance, parseAmountInput(NATIVE_GAS_RESERVE, token.decimals))
       : availableBalance;
-    setAmount(maxAmount.toFixed(token.decimals));
+    setAmount(toAmountString(maxAmount));
   };
 
   // Handle supply
@@ -66,17 +108,19 @@ const SupplyModal = ({ token, onClose, onSuccess }) => {
       return;
     }
 
-    if (error || !amount || parseFloat(amount) <= 0) {
+    if (error || !isPositive(parsedAmount) || !simulation.isPassed || fees.feeError) {
       return;
     }
 
+    if (isOnBehalf && !onBehalfOf) return;
+
     try {
       setStep(3); // Processing
-      await supply(token, amount);
+      await supply(token, parsedAmount, { fees: fees.feeOverrides, ...(onBehalfOf ? { onBehalfOf } : {}) });
       
       // Success
       if (onSuccess) {
-        onSuccess(amount);
+        onSuccess(parsedAmount);
       }
     } catch (err) {
       setError(err.message || 'Failed to supply tokens');
@@ -115,7 +159,7 @@ const SupplyModal = ({ token, onClose, onSuccess }) => {
                 <div className="flex items-center justify-between mb-2">
                   <label className="text-sm text-gray-400">Amount</label>
                   <div className="text-sm text-gray-400">
-                    Available: {availableBalance.toFixed(4)} {token.symbol}
+                    Available: {toNumber(availableBalance).toFixed(4)} {token.symbol}
                   </div>
                 </div>
                 <div className="relative">
@@ -149,6 +193,26 @@ const SupplyModal = ({ token, onClose, onSuccess }) => {
                 )}
               </div>
 
+              {/* Beneficiary */}
+              <div className="mb-6">
+                <label className="flex items-center space-x-2 text-sm text-gray-300 mb-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isOnBehalf}
+                    onChange={(e) => setIsOnBehalf(e.target.checked)}
+                    className="rounded border-gray-600 bg-gray-900"
+                  />
+                  <span>Supply on behalf of another account</span>
+                </label>
+                {isOnBehalf && (
+                  <BeneficiaryField
+                    value={beneficiaryInput}
+                    onChange={setBeneficiaryInput}
+                    beneficiary={beneficiary}
+                  />
+                )}
+              </div>
+
               {/* APY Info */}
               <div className="bg-green-900 bg-opacity-20 border border-green-700 rounded-lg p-4 mb-6">
                 <div className="flex items-center justify-between mb-2">
@@ -205,7 +269,12 @@ const SupplyModal = ({ token, onClose, onSuccess }) => {
                     <span className="text-gray-400">Can be used as collateral</span>
                     <Info size={14} className="text-gray-500" />
                   </div>
-                  <span className="text-green-400 font-medium">Yes</span>
+                  {/* Reserves with an LTV of 0 give no borrowing power */}
+                  {token.ltv > 0 ? (
+                    <span className="text-green-400 font-medium">Yes</span>
+                  ) : (
+                    <span className="text-gray-400 font-medium">No</span>
+                  )}
                 </div>
               </div>
 
@@ -219,7 +288,7 @@ const SupplyModal = ({ token, onClose, onSuccess }) => {
                 </button>
                 <button
                   onClick={() => setStep(2)}
-                  disabled={!amount || error || parseFloat(amount) <= 0}
+                  disabled={!amount || error || !isPositive(parsedAmount) || (isOnBehalf && !onBehalfOf)}
                   className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed text-white py-3 rounded-lg font-semibold transition"
                 >
                   Continue
@@ -236,11 +305,16 @@ const SupplyModal = ({ token, onClose, onSuccess }) => {
                   <div className="text-center">
                     <div className="text-sm text-blue-300 mb-2">You are supplying</div>
                     <div className="text-3xl font-bold text-white mb-1">
-                      {parseFloat(amount).toFixed(4)} {token.symbol}
+                      {toNumber(parsedAmount).toFixed(4)} {token.symbol}
                     </div>
                     <div className="text-sm text-blue-300">
                       ≈ {formatCurrency(usdValue)}
                     </div>
+                    {onBehalfOf && (
+                      <div className="text-sm text-blue-200 mt-2">
+                        on behalf of {formatAddress(onBehalfOf)}
+                      </div>
+                    )}
                   </div>
                 </div>
 
@@ -265,14 +339,59 @@ const SupplyModal = ({ token, onClose, onSuccess }) => {
                   </div>
                 </div>
 
+                <TransactionSteps action="deposit" token={token} />
+
+                {/* Native assets are sent with the call and need no approval */}
+                {!token.isNative && (
+                  <div className="bg-gray-900 rounded-lg p-4 text-sm">
+                    <div className="flex items-center justify-between">
+                      <span className="text-gray-400">Approval</span>
+                      <div className="inline-flex bg-gray-800 rounded-lg p-1">
+                        {[
+                          { id: APPROVAL_MODES.EXACT, label: 'Exact' },
+                          { id: APPROVAL_MODES.UNLIMITED, label: 'Unlimited' },
+                        ].map((mode) => (
+                          <button
+                            key={mode.id}
+                            onClick={() => setApprovalMode(mode.id)}
+                            className={`px-3 py-1 rounded-md text-xs font-medium transition ${
+                              approvalMode === mode.id
+                                ? 'bg-blue-600 text-white'
+                                : 'text-gray-400 hover:text-white'
+                            }`}
+                          >
+                            {mode.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="text-xs text-gray-500 mt-2">
+                      {approvalMode === APPROVAL_MODES.UNLIMITED
+                        ? `Saves approving ${token.symbol} again next time. You can revoke it on the Approvals page.`
+                        : 'Only approves the amount you supply, with a permit signature where supported.'}
+                    </div>
+                  </div>
+                )}
+
+                <FeeSelector fees={fees} />
+
+                <SimulationStatus simulation={simulation} />
+
                 <div className="bg-yellow-900 bg-opacity-20 border border-yellow-700 rounded-lg p-4 flex items-start space-x-3">
                   <AlertCircle size={20} className="text-yellow-400 flex-shrink-0 mt-0.5" />
                   <div className="text-xs text-yellow-200">
                     <div className="font-medium mb-1">Important</div>
-                    <div>
-                      Your supplied assets will be used as collateral and can be borrowed by others. 
-                      You will earn interest on your deposit.
-                    </div>
+                    {onBehalfOf ? (
+                      <div>
+                        The supply belongs to {formatAddress(onBehalfOf)}: only they can withdraw it, 
+                        and they earn its interest. You cannot take it back.
+                      </div>
+                    ) : (
+                      <div>
+                        Your supplied assets will be used as collateral and can be borrowed by others. 
+                        You will earn interest on your deposit.
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -287,8 +406,8 @@ const SupplyModal = ({ token, onClose, onSuccess }) => {
                 </button>
                 <button
                   onClick={handleSupply}
-                  disabled={isLoading}
-                  className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white py-3 rounded-lg font-semibold transition"
+                  disabled={isLoading || !simulation.isPassed || Boolean(fees.feeError)}
+                  className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed text-white py-3 rounded-lg font-semibold transition"
                 >
                   {isLoading ? <ButtonLoading text="Supplying..." /> : 'Confirm Supply'}
                 </button>
@@ -305,6 +424,9 @@ const SupplyModal = ({ token, onClose, onSuccess }) => {
               <p className="text-gray-400 mb-4">
                 Please confirm the transaction in your wallet
               </p>
+              <div className="text-left mb-4">
+                <TransactionSteps action="deposit" token={token} />
+              </div>
               <div className="flex justify-center space-x-2">
                 <div className="w-2 h-2 bg-blue-500 rounded-full animate-bounce" style={{ animationDelay: '0ms' }} />
                 <div className="w-2 h-2 bg-blue-500 rounded-full animate-bounce" style={{ animationDelay: '150ms' }} />
@@ -1,28 +1,70 @@
-import React, { useState } from 'react';
-import { TrendingUp, ArrowDownToLine, ExternalLink, Clock, DollarSign } from 'lucide-react';
-import { formatCurrency, formatPercent, formatRelativeTime } from '@/utils/formatters';
+import React, { useState, useMemo } from 'react';
+import { TrendingUp, ArrowDownToLine, ExternalLink, Clock, CheckCircle, AlertTriangle } from 'lucide-react';
+import { formatCurrency, formatPercent, formatRelativeTime, validateAmountInput } from '@/utils/formatters';
+import { parseAmountInput, isPositive, compareAmounts, getAmountValue, fromWad } from '@/utils/tokenAmount';
 import { useSupply } from '@/hooks/useSupply';
+import { useWallet } from '@/hooks/useWallet';
+import { useContract } from '@/hooks/useContract';
+import { useSimulation } from '@/hooks/useSimulation';
+import { getExplorerUrl } from '@/utils/networks';
 import { ButtonLoading } from '@/components/common/Loading';
+import TransactionSteps from '@/components/common/TransactionSteps';
+import SimulationStatus from '@/components/common/SimulationStatus';
 
 const SupplyTable = ({ supplies, onWithdraw }) => {
-  const { isLoading } = useSupply();
+  const { isLoading, setUseAsCollateral, previewCollateralToggle } = useSupply();
+  const { healthFactor } = useContract();
+  const { chainId, isWatchOnly } = useWallet();
+  const explorerUrl = getExplorerUrl(chainId);
   const [withdrawingId, setWithdrawingId] = useState(null);
   const [showWithdrawModal, setShowWithdrawModal] = useState(false);
   const [selectedSupply, setSelectedSupply] = useState(null);
+  const [withdrawAll, setWithdrawAll] = useState(true);
+  const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [withdrawnAmount, setWithdrawnAmount] = useState(null);
+  const [collateralSupply, setCollateralSupply] = useState(null);
+  const [togglingId, setTogglingId] = useState(null);
+
+  const parsedWithdrawAmount = useMemo(() => (
+    selectedSupply ? parseAmountInput(withdrawAmount, selectedSupply.token.decimals) : null
+  ), [withdrawAmount, selectedSupply]);
+
+  // Withdrawals are simulated before they can be confirmed
+  const simulation = useSimulation({
+    action: 'withdraw',
+    token: selectedSupply?.token,
+    amount: parsedWithdrawAmount,
+    aTokenAddress: selectedSupply?.aTokenAddress,
+    isMax: withdrawAll,
+    enabled: showWithdrawModal && !withdrawingId && withdrawnAmount === null,
+  });
+
+  const withdrawTokenAmount = withdrawAll ? (selectedSupply?.balance || null) : parsedWithdrawAmount;
+  const withdrawValue = isPositive(withdrawTokenAmount) ? fromWad(getAmountValue(withdrawTokenAmount, selectedSupply.token.price)) : 0;
+  const exceedsSupply = !withdrawAll && selectedSupply && isPositive(parsedWithdrawAmount)
+    && compareAmounts(parsedWithdrawAmount, selectedSupply.balance) > 0;
 
   const handleWithdrawClick = (supply) => {
     setSelectedSupply(supply);
+    setWithdrawAll(true);
+    setWithdrawAmount('');
+    setWithdrawnAmount(null);
     setShowWithdrawModal(true);
   };
 
+  const closeWithdrawModal = () => {
+    setShowWithdrawModal(false);
+    setSelectedSupply(null);
+    setWithdrawnAmount(null);
+  };
+
   const handleWithdrawConfirm = async () => {
-    if (!selectedSupply) return;
+    if (!selectedSupply || !simulation.isPassed || exceedsSupply) return;
 
     try {
       setWithdrawingId(selectedSupply.id);
-      await onWithdraw(selectedSupply.id);
-      setShowWithdrawModal(false);
-      setSelectedSupply(null);
+      const result = await onWithdraw(selectedSupply.id, withdrawAll ? null : parsedWithdrawAmount);
+      if (result) setWithdrawnAmount(result.amount);
     } catch (error) {
       console.error('Withdraw error:', error);
     } finally {
@@ -30,6 +72,41 @@ const SupplyTable = ({ supplies, onWithdraw }) => {
     }
   };
 
+  const collateralPreview = collateralSupply ? previewCollateralToggle(collateralSupply) : null;
+
+  const handleCollateralConfirm = async () => {
+    if (!collateralSupply || !collateralPreview.isAllowed) return;
+
+    try {
+      setTogglingId(collateralSupply.id);
+      await setUseAsCollateral(collateralSupply.id, collateralPreview.useAsCollateral);
+      setCollateralSupply(null);
+    } catch (error) {
+      console.error('Collateral toggle error:', error);
+    } finally {
+      setTogglingId(null);
+    }
+  };
+
+  const renderCollateralSwitch = (supply) => (
+    <button
+      role="switch"
+      aria-checked={supply.usageAsCollateralEnabled}
+      onClick={() => setCollateralSupply(supply)}
+      disabled={isWatchOnly || togglingId !== null}
+      title={supply.usageAsCollateralEnabled ? 'Used as collateral' : 'Not used as collateral'}
+      className={`relative inline-flex h-6 w-11 items-center rounded-full transition disabled:opacity-50 disabled:cursor-not-allowed ${
+        supply.usageAsCollateralEnabled ? 'bg-green-600' : 'bg-gray-600'
+      }`}
+    >
+      <span
+        className={`inline-block h-4 w-4 transform rounded-full bg-white transition ${
+          supply.usageAsCollateralEnabled ? 'translate-x-6' : 'translate-x-1'
+        }`}
+      />
+    </button>
+  );
+
   if (supplies.length === 0) {
     return (
       <div className="bg-gray-800 rounded-xl border border-gray-700 p-12 text-center">
@@ -85,6 +162,9 @@ const SupplyTable = ({ supplies, onWithdraw }) => {
                 <th className="px-6 py-4 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">
                   Earnings
                 </th>
+                <th className="px-6 py-4 text-center text-xs font-medium text-gray-400 uppercase tracking-wider">
+                  Collateral
+                </th>
                 <th className="px-6 py-4 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">
                   Time
                 </th>
@@ -146,11 +226,16 @@ const SupplyTable = ({ supplies, onWithdraw }) => {
                       <div className="text-xs text-gray-400">per day</div>
                     </td>
 
+                    {/* Collateral */}
+                    <td className="px-6 py-4 whitespace-nowrap text-center">
+                      {renderCollateralSwitch(supply)}
+                    </td>
+
                     {/* Time */}
                     <td className="px-6 py-4 whitespace-nowrap text-right">
                       <div className="flex items-center justify-end space-x-1 text-sm text-gray-400">
                         <Clock size={14} />
-                        <span>{formatRelativeTime(supply.timestamp)}</span>
+                        <span>{supply.timestamp ? formatRelativeTime(supply.timestamp) : '—'}</span>
                       </div>
                     </td>
 
@@ -159,7 +244,7 @@ const SupplyTable = ({ supplies, onWithdraw }) => {
                       <div className="flex items-center justify-end space-x-2">
                         {supply.txHash && (
                           <a
-                            href={`https://etherscan.io/tx/${supply.txHash}`}
+                            href={`${explorerUrl}/tx/${supply.txHash}`}
                             target="_blank"
                             rel="noopener noreferrer"
                             className="p-2 hover:bg-gray-700 rounded-lg transition"
@@ -170,8 +255,8 @@ const SupplyTable = ({ supplies, onWithdraw }) => {
                         )}
                         <button
                           onClick={() => handleWithdrawClick(supply)}
-                          disabled={withdrawingId === supply.id}
-                          className="bg-red-600 hover:bg-red-700 disabled:bg-red-800 text-white px-4 py-2 rounded-lg text-sm font-medium transition flex items-center space-x-1"
+                          disabled={isWatchOnly || withdrawingId === supply.id}
+                          className="bg-red-600 hover:bg-red-700 disabled:bg-red-800 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm font-medium transition flex items-center space-x-1"
                         >
                           {withdrawingId === supply.id ? (
                             <ButtonLoading text="" />
@@ -241,16 +326,22 @@ const SupplyTable = ({ supplies, onWithdraw }) => {
                   <div className="bg-gray-900 rounded-lg p-3">
                     <div className="text-xs text-gray-400 mb-1">Time</div>
                     <div className="text-sm text-white">
-                      {formatRelativeTime(supply.timestamp)}
+                      {supply.timestamp ? formatRelativeTime(supply.timestamp) : '—'}
                     </div>
                   </div>
                 </div>
 
+                {/* Collateral */}
+                <div className="flex items-center justify-between bg-gray-900 rounded-lg p-3 mb-4">
+                  <div className="text-sm text-gray-400">Use as collateral</div>
+                  {renderCollateralSwitch(supply)}
+                </div>
+
                 {/* Actions */}
                 <div className="flex space-x-2">
                   {supply.txHash && (
                     <a
-                      href={`https://etherscan.io/tx/${supply.txHash}`}
+                      href={`${explorerUrl}/tx/${supply.txHash}`}
                       target="_blank"
                       rel="noopener noreferrer"
                       className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg font-medium transition flex items-center justify-center space-x-2"
@@ -261,8 +352,8 @@ const SupplyTable = ({ supplies, onWithdraw }) => {
                   )}
                   <button
                     onClick={() => handleWithdrawClick(supply)}
-                    disabled={withdrawingId === supply.id}
-                    className="flex-1 bg-red-600 hover:bg-red-700 disabled:bg-red-800 text-white py-2 rounded-lg font-medium transition flex items-center justify-center space-x-2"
+                    disabled={isWatchOnly || withdrawingId === supply.id}
+                    className="flex-1 bg-red-600 hover:bg-red-700 disabled:bg-red-800 disabled:cursor-not-allowed text-white py-2 rounded-lg font-medium transition flex items-center justify-center space-x-2"
                   >
                     {withdrawingId === supply.id ? (
                       <ButtonLoading text="Withdrawing..." />
@@ -280,46 +371,161 @@ const SupplyTable = ({ supplies, onWithdraw }) => {
         </div>
       </div>
 
-      {/* Withdraw Confirmation Modal */}
-      {showWithdrawModal && selectedSupply && (
+      {/* Collateral Confirmation Modal */}
+      {collateralSupply && collateralPreview && (
         <div className="fixed inset-0 bg-black bg-opacity-75 backdrop-blur-sm flex items-center justify-center z-50 p-4">
           <div className="bg-gray-800 rounded-2xl max-w-md w-full border border-gray-700 p-6">
-            <h3 className="text-xl font-bold text-white mb-4">Confirm Withdrawal</h3>
+            <h3 className="text-xl font-bold text-white mb-4">
+              {collateralPreview.useAsCollateral ? 'Enable' : 'Disable'} {collateralSupply.token.symbol} as Collateral
+            </h3>
             <div className="bg-gray-900 rounded-lg p-4 mb-4">
-              <div className="text-center mb-4">
-                <div className="text-sm text-gray-400 mb-2">You are withdrawing</div>
-                <div className="text-2xl font-bold text-white">
-                  {selectedSupply.amount.toFixed(4)} {selectedSupply.token.symbol}
-                </div>
-                <div className="text-sm text-gray-400">
-                  ≈ {formatCurrency(selectedSupply.amount * selectedSupply.token.price)}
-                </div>
+              <div className="text-sm text-gray-400 mb-3">
+                {collateralPreview.useAsCollateral
+                  ? 'This supply will back your borrows and can be liquidated.'
+                  : 'This supply will no longer back your borrows.'}
               </div>
-              <div className="text-xs text-gray-400 text-center">
-                You will stop earning interest on this position
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-400">Health Factor</span>
+                <span className="text-white">
+                  {healthFactor === Infinity ? '∞' : healthFactor.toFixed(2)}
+                  {' → '}
+                  <span className={collateralPreview.isAllowed ? 'text-green-400' : 'text-red-400'}>
+                    {collateralPreview.newHealthFactor === Infinity ? '∞' : collateralPreview.newHealthFactor.toFixed(2)}
+                  </span>
+                </span>
               </div>
             </div>
+            {!collateralPreview.isAllowed && (
+              <div className="flex items-start space-x-2 bg-red-900/20 border border-red-800 rounded-lg p-3 mb-4 text-sm text-red-400">
+                <AlertTriangle size={16} className="flex-shrink-0 mt-0.5" />
+                <span>Your borrows need this collateral. Disabling it would make your account liquidatable.</span>
+              </div>
+            )}
             <div className="flex space-x-3">
               <button
-                onClick={() => {
-                  setShowWithdrawModal(false);
-                  setSelectedSupply(null);
-                }}
+                onClick={() => setCollateralSupply(null)}
+                disabled={togglingId !== null}
                 className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg font-medium transition"
               >
                 Cancel
               </button>
               <button
-                onClick={handleWithdrawConfirm}
-                disabled={isLoading}
-                className="flex-1 bg-red-600 hover:bg-red-700 disabled:bg-red-800 text-white py-2 rounded-lg font-medium transition"
+                onClick={handleCollateralConfirm}
+                disabled={isWatchOnly || togglingId !== null || !collateralPreview.isAllowed}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed text-white py-2 rounded-lg font-medium transition"
               >
-                {isLoading ? <ButtonLoading text="Withdrawing..." /> : 'Confirm'}
+                {togglingId !== null ? <ButtonLoading text="Confirming..." /> : 'Confirm'}
               </button>
             </div>
           </div>
         </div>
       )}
+
+      {/* Withdraw Confirmation Modal */}
+      {showWithdrawModal && selectedSupply && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-gray-800 rounded-2xl max-w-md w-full border border-gray-700 p-6">
+            {withdrawnAmount !== null ? (
+              <>
+                <h3 className="text-xl font-bold text-white mb-4">Withdrawal Complete</h3>
+                <div className="bg-gray-900 rounded-lg p-4 mb-4 text-center">
+                  <CheckCircle size={32} className="text-green-400 mx-auto mb-2" />
+                  <div className="text-sm text-gray-400 mb-2">You withdrew</div>
+                  <div className="text-2xl font-bold text-white break-all">
+                    {withdrawnAmount} {selectedSupply.token.symbol}
+                  </div>
+                </div>
+                <button
+                  onClick={closeWithdrawModal}
+                  className="w-full bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg font-medium transition"
+                >
+                  Done
+                </button>
+              </>
+            ) : (
+              <>
+                <h3 className="text-xl font-bold text-white mb-4">Confirm Withdrawal</h3>
+                <div className="inline-flex w-full bg-gray-900 rounded-lg p-1 mb-4">
+                  {[
+                    { id: true, label: 'Withdraw all' },
+                    { id: false, label: 'Custom amount' },
+                  ].map((mode) => (
+                    <button
+                      key={mode.label}
+                      onClick={() => setWithdrawAll(mode.id)}
+                      className={`flex-1 px-3 py-1 rounded-md text-sm font-medium transition ${
+                        withdrawAll === mode.id
+                          ? 'bg-blue-600 text-white'
+                          : 'text-gray-400 hover:text-white'
+                      }`}
+                    >
+                      {mode.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="bg-gray-900 rounded-lg p-4 mb-4">
+                  <div className="text-center mb-4">
+                    <div className="text-sm text-gray-400 mb-2">You are withdrawing</div>
+                    {withdrawAll ? (
+                      <>
+                        <div className="text-2xl font-bold text-white">
+                          {selectedSupply.amount.toFixed(4)} {selectedSupply.token.symbol}
+                        </div>
+                        <div className="text-xs text-gray-400 mt-1">
+                          plus interest earned until the transaction is mined
+                        </div>
+                      </>
+                    ) : (
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        value={withdrawAmount}
+                        onChange={(e) => setWithdrawAmount(validateAmountInput(e.target.value, selectedSupply.token.decimals))}
+                        placeholder="0.0"
+                        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-center text-2xl font-bold text-white focus:outline-none focus:border-blue-500"
+                      />
+                    )}
+                    <div className="text-sm text-gray-400 mt-1">
+                      ≈ {formatCurrency(withdrawValue)}
+                    </div>
+                    {exceedsSupply && (
+                      <div className="text-xs text-red-400 mt-1">
+                        Amount exceeds your supply. Use Withdraw all to empty it.
+                      </div>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-400 text-center">
+                    {withdrawAll
+                      ? 'You will stop earning interest on this position'
+                      : 'The rest of this position keeps earning interest'}
+                  </div>
+                </div>
+                <div className="mb-4">
+                  <TransactionSteps action="withdraw" token={selectedSupply.token} />
+                </div>
+                <div className="mb-4">
+                  <SimulationStatus simulation={simulation} />
+                </div>
+                <div className="flex space-x-3">
+                  <button
+                    onClick={closeWithdrawModal}
+                    className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg font-medium transition"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleWithdrawConfirm}
+                    disabled={isLoading || !simulation.isPassed || exceedsSupply}
+                    className="flex-1 bg-red-600 hover:bg-red-700 disabled:bg-gray-700 disabled:cursor-not-allowed text-white py-2 rounded-lg font-medium transition"
+                  >
+                    {isLoading ? <ButtonLoading text="Withdrawing..." /> : 'Confirm'}
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
     </>
   );
 };
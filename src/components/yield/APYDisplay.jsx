@@ -1,6 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { TrendingUp, TrendingDown, Info, Zap, Target, Calculator } from 'lucide-react';
+import { TIME_CONSTANTS } from '@/utils/constants';
 import { formatPercent, formatCurrency } from '@/utils/formatters';
+import { RAY, apyToApr, getGrowthFactor, percentToRay, rayToNumber } from '@/utils/rayMath';
 
 const APYDisplay = ({ 
   supplyAPY, 
@@ -26,17 +28,20 @@ const APYDisplay = ({
   const annualBorrowCost = (userBorrowValue * (borrowAPY || 0)) / 100;
   const netAnnualYield = annualSupplyEarnings - annualBorrowCost;
 
+  // The APR that compounds every second to the supply APY
+  const supplyRate = useMemo(() => apyToApr(percentToRay(supplyAPY)), [supplyAPY]);
+
   // Calculator
   const calculateProjection = () => {
     const principal = parseFloat(calculatorAmount) || 0;
     const years = parseFloat(calculatorPeriod) || 1;
-    const rate = supplyAPY / 100;
     
     // Simple interest
-    const simpleInterest = principal * rate * years;
+    const simpleInterest = principal * rayToNumber(supplyRate) * years;
     
-    // Compound interest (daily compounding)
-    const compoundInterest = principal * Math.pow(1 + rate / 365, 365 * years) - principal;
+    // Compound interest (every second, as the pool accrues it)
+    const growth = getGrowthFactor(supplyRate, years * TIME_CONSTANTS.SECONDS_PER_YEAR);
+    const compoundInterest = principal * rayToNumber(growth - RAY);
     
     return {
       principal,
@@ -173,7 +178,7 @@ const APYDisplay = ({
               <div className="font-medium text-white mb-1">How APY Works</div>
               <div>
                 APY (Annual Percentage Yield) shows your yearly returns with compound interest. 
-                Interest is automatically reinvested and compounds every block (~12 seconds), 
+                Interest is automatically reinvested and compounds every second, 
                 maximizing your earnings over time.
               </div>
             </div>
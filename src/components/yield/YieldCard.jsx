@@ -1,26 +1,28 @@
 import React, { useState } from 'react';
 import { TrendingUp, Sparkles, Info, DollarSign, Calendar } from 'lucide-react';
+import { TIME_CONSTANTS } from '@/utils/constants';
 import { formatCurrency, formatPercent } from '@/utils/formatters';
+import { RAY, apyToApr, getGrowthFactor, percentToRay, rayToNumber } from '@/utils/rayMath';
+
+const { SECONDS_PER_DAY, SECONDS_PER_YEAR } = TIME_CONSTANTS;
 
 const YieldCard = ({ token, userSupplied = 0 }) => {
   const [showTooltip, setShowTooltip] = useState(false);
   const [selectedPeriod, setSelectedPeriod] = useState('yearly');
 
+  // Interest over a period at the supply rate compounded every second, per unit supplied
+  const supplyRate = token.supplyRate ?? apyToApr(percentToRay(token.supplyAPY));
+  const growth = (seconds) => rayToNumber(getGrowthFactor(supplyRate, seconds) - RAY);
+
   // Calculate earnings based on user supplied amount
   const value = userSupplied * token.price;
-  const dailyYield = (value * token.supplyAPY) / (100 * 365);
-  const monthlyYield = dailyYield * 30;
-  const yearlyYield = (value * token.supplyAPY) / 100;
-
-  // Calculate compound interest projections
-  const compoundYield = (principal, apy, years) => {
-    const rate = apy / 100;
-    return principal * Math.pow(1 + rate / 365, 365 * years) - principal;
-  };
+  const dailyYield = value * growth(SECONDS_PER_DAY);
+  const monthlyYield = value * growth(30 * SECONDS_PER_DAY);
+  const yearlyYield = value * growth(SECONDS_PER_YEAR);
 
-  const oneYearCompound = compoundYield(value, token.supplyAPY, 1);
-  const threeYearCompound = compoundYield(value, token.supplyAPY, 3);
-  const fiveYearCompound = compoundYield(value, token.supplyAPY, 5);
+  const oneYearCompound = yearlyYield;
+  const threeYearCompound = value * growth(3 * SECONDS_PER_YEAR);
+  const fiveYearCompound = value * growth(5 * SECONDS_PER_YEAR);
 
   const periods = {
     daily: { label: 'Daily', value: dailyYield, icon: Calendar },
@@ -130,12 +132,12 @@ const YieldCard = ({ token, userSupplied = 0 }) => {
         <div className="bg-gray-900 rounded-lg p-3">
           <div className="text-xs text-gray-400 mb-1">Daily Rate</div>
           <div className="text-sm font-semibold text-green-400">
-            +{formatPercent(token.supplyAPY / 365)}
+            +{formatPercent(growth(SECONDS_PER_DAY) * 100, 4)}
           </div>
         </div>
         <div className="bg-gray-900 rounded-lg p-3">
           <div className="text-xs text-gray-400 mb-1">Compounding</div>
-          <div className="text-sm font-semibold text-white">Every Block</div>
+          <div className="text-sm font-semibold text-white">Every Second</div>
         </div>
       </div>
 
@@ -1,21 +1,54 @@
-import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
-import { Contract, parseUnits, formatUnits } from 'ethers';
+import React, { createContext, useContext, useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { Contract, MaxUint256, formatUnits, parseUnits } from 'ethers';
 import { useWalletContext } from './WalletContext';
 import { 
-  LENDING_POOL_ABI, 
+  getLendingPoolAbi, 
   ERC20_ABI, 
-  ATOKEN_ABI,
-  DEBT_TOKEN_ABI 
+  WETH_GATEWAY_ABI 
 } from '@/utils/contracts';
-import { CONTRACT_ADDRESSES, SUPPORTED_TOKENS, TX_TYPES, TX_STATUS } from '@/utils/constants';
-import { approveToken, getAllowance } from '@/utils/web3';
+import {
+  TX_TYPES,
+  TX_STATUS,
+  ERROR_MESSAGES,
+  DEFAULTS,
+  STORAGE_KEYS,
+  APPROVAL_MODES,
+  INTEREST_RATE_MODES,
+} from '@/utils/constants';
+import { approveToken, getAllowance, getReadProvider, getTransaction, waitForTransaction } from '@/utils/web3';
+import {
+  getNetworkContract,
+  getNetworkTokens,
+  getBaseCurrencyDecimals,
+  isLendingSupported,
+} from '@/utils/networks';
+import {
+  getMarketData,
+  getUserPositions,
+  parseUserAccountData,
+  getATokenBalance,
+  getDebtTokenBalance,
+  getPoolEventAmount,
+} from '@/services/blockchain';
+import { buildActionCall, isApprovalNeeded, simulateActionCall } from '@/services/simulation';
+import { isPermitSupported, signPermit } from '@/services/permit';
+import { estimateCallGas, getReplacementFees } from '@/services/fees';
+import { getLiquidationResult } from '@/services/liquidation';
+import { decodeRevertError } from '@/utils/errors';
+import { createTokenAmount, toAmountString, zeroAmount } from '@/utils/tokenAmount';
+import {
+  getStoredTransactions,
+  storeTransaction,
+  updateStoredTransaction,
+  watchPendingTransaction,
+} from '@/services/transactions';
 
 // Create Contract Context
 const ContractContext = createContext(undefined);
 
 // Contract Provider Component
 export const ContractProvider = ({ children }) => {
-  const { account, signer, provider, isConnected } = useWalletContext();
+  const { account, chainId, signer, viewAddress, isWatchOnly } = useWalletContext();
 
   // State
   const [supplies, setSupplies] = useState([]);
@@ -24,17 +57,72 @@ export const ContractProvider = ({ children }) => {
   const [totalBorrowed, setTotalBorrowed] = useState(0);
   const [healthFactor, setHealthFactor] = useState(Infinity);
   const [availableToBorrow, setAvailableToBorrow] = useState(0);
+  const [liquidationThreshold, setLiquidationThreshold] = useState(0); // Collateral-weighted average
+  const [prices, setPrices] = useState({});
+  const [baseUsdPrice, setBaseUsdPrice] = useState(0); // USD per unit of the base currency
+  const [reserves, setReserves] = useState({});
+  const [marketTokens, setMarketTokens] = useState([]);
+  const [walletBalances, setWalletBalances] = useState({});
   const [transactions, setTransactions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [currentStep, setCurrentStep] = useState(null); // approve, deposit, withdraw, repay, liquidate
+  const [approvalMode, setApprovalModeState] = useState(DEFAULTS.APPROVAL_MODE);
+  const requestKeyRef = useRef(null);
+  const marketChainRef = useRef(null);
+  const trackedTxIdsRef = useRef(new Set());
+  const isMountedRef = useRef(false);
+
+  // Every address is resolved from the wallet's current chain
+  const isSupportedNetwork = isLendingSupported(chainId);
+  const lendingPoolAddress = getNetworkContract('LENDING_POOL', chainId);
+  const gatewayAddress = getNetworkContract('WETH_GATEWAY', chainId);
+
+  // Markets of the default chain are shown until a wallet is connected
+  const marketChainId = chainId || DEFAULTS.CHAIN_ID;
+  const isMarketSupported = isLendingSupported(marketChainId);
+
+  /**
+   * Load the approval setting
+   */
+  useEffect(() => {
+    const saved = localStorage.getItem(STORAGE_KEYS.APPROVAL_MODE);
+    if (Object.values(APPROVAL_MODES).includes(saved)) {
+      setApprovalModeState(saved);
+    }
+  }, []);
+
+  /**
+   * Choose exact or unlimited approvals
+   */
+  const setApprovalMode = useCallback((mode) => {
+    setApprovalModeState(mode);
+    localStorage.setItem(STORAGE_KEYS.APPROVAL_MODE, mode);
+  }, []);
+
+  /**
+   * Reject writes while inspecting an address read-only
+   */
+  const assertCanTransact = useCallback(() => {
+    if (isWatchOnly) throw new Error(ERROR_MESSAGES.WATCH_ONLY);
+    if (!account || !signer) throw new Error('Wallet not connected');
+  }, [isWatchOnly, account, signer]);
 
   /**
    * Get lending pool contract
    */
   const getLendingPoolContract = useCallback(() => {
-    if (!signer) return null;
-    return new Contract(CONTRACT_ADDRESSES.LENDING_POOL, LENDING_POOL_ABI, signer);
-  }, [signer]);
+    if (!signer || !lendingPoolAddress) return null;
+    return new Contract(lendingPoolAddress, getLendingPoolAbi(chainId), signer);
+  }, [signer, lendingPoolAddress, chainId]);
+
+  /**
+   * Get WETH gateway contract, used for native asset flows
+   */
+  const getGatewayContract = useCallback(() => {
+    if (!signer || !gatewayAddress) return null;
+    return new Contract(gatewayAddress, WETH_GATEWAY_ABI, signer);
+  }, [signer, gatewayAddress]);
 
   /**
    * Get ERC20 token contract
@@ -51,38 +139,426 @@ export const ContractProvider = ({ children }) => {
     const transaction = {
       ...tx,
       id: Date.now(),
+      account,
+      chainId,
       timestamp: new Date().toISOString(),
       status: TX_STATUS.PENDING,
     };
+    trackedTxIdsRef.current.add(transaction.id);
+    storeTransaction(transaction);
     setTransactions(prev => [transaction, ...prev]);
     return transaction.id;
-  }, []);
+  }, [account, chainId]);
 
   /**
-   * Update transaction status
+   * Update fields of a transaction in history
    */
-  const updateTransactionStatus = useCallback((txId, status, hash = null) => {
+  const updateTransaction = useCallback((txId, changes) => {
+    const update = { ...changes, updatedAt: new Date().toISOString() };
+
+    updateStoredTransaction(account, chainId, txId, update);
     setTransactions(prev => 
       prev.map(tx => 
         tx.id === txId 
-          ? { ...tx, status, hash, updatedAt: new Date().toISOString() }
+          ? { ...tx, ...update }
           : tx
       )
     );
+  }, [account, chainId]);
+
+  /**
+   * Update transaction status
+   * Extra fields (e.g. nonce) are stored alongside
+   */
+  const updateTransactionStatus = useCallback((txId, status, hash = null, extra = {}) => {
+    updateTransaction(txId, {
+      ...extra,
+      status,
+      ...(hash && { hash }),
+    });
+  }, [updateTransaction]);
+
+  /**
+   * Wait for a transaction receipt on the chain it was sent to and record the outcome
+   * If another transaction with the same nonce is mined first, the entry is marked replaced;
+   * a sped-up copy of the same call still counts as success.
+   */
+  const waitForReceipt = useCallback(async (tx, txChainId, txId) => {
+    let receipt;
+
+    try {
+      receipt = await tx.wait();
+    } catch (err) {
+      if (err.code === 'TRANSACTION_REPLACED') {
+        updateTransactionStatus(txId, TX_STATUS.REPLACED, null, { replacedByHash: err.replacement.hash });
+        if (err.reason !== 'repriced' || err.receipt?.status !== 1) throw err;
+        return err.receipt;
+      }
+
+      // The wallet provider stops serving the old chain after a network switch,
+      // keep tracking the transaction through a read-only provider for that chain
+      if (err.code !== 'NETWORK_ERROR') throw err;
+      receipt = await waitForTransaction(tx.hash, 1, txChainId);
+    }
+
+    if (receipt?.status === 0) {
+      throw new Error('Transaction reverted');
+    }
+
+    updateTransactionStatus(txId, TX_STATUS.CONFIRMED, receipt.hash);
+    return receipt;
+  }, [updateTransactionStatus]);
+
+  /**
+   * Load user account data from lending pool
+   */
+  const loadUserAccountData = useCallback(async () => {
+    if (!viewAddress || !isMarketSupported) return;
+
+    try {
+      const readProvider = await getReadProvider(marketChainId);
+      const lendingPool = new Contract(
+        getNetworkContract('LENDING_POOL', marketChainId), 
+        getLendingPoolAbi(marketChainId), 
+        readProvider
+      );
+
+      const userData = await lendingPool.getUserAccountData(viewAddress);
+
+      // Ignore results for an address or chain that is no longer selected
+      if (requestKeyRef.current !== `${viewAddress}:${marketChainId}`) return;
+      
+      // userData returns: totalCollateralETH, totalDebtETH, availableBorrowsETH, 
+      // currentLiquidationThreshold, ltv, healthFactor
+      const {
+        totalCollateralETH: collateralETH,
+        totalDebtETH: debtETH,
+        availableBorrowsETH: availableBorrowETH,
+        currentLiquidationThreshold,
+        healthFactor: hf,
+      } = parseUserAccountData(userData, getBaseCurrencyDecimals(marketChainId));
+
+      setTotalSupplied(collateralETH);
+      setTotalBorrowed(debtETH);
+      setAvailableToBorrow(availableBorrowETH);
+      setLiquidationThreshold(currentLiquidationThreshold);
+      setHealthFactor(hf);
+    } catch (err) {
+      console.error('Error loading user account data:', err);
+    }
+  }, [viewAddress, marketChainId, isMarketSupported]);
+
+  /**
+   * Load reserve data and oracle prices, with or without a wallet
+   */
+  const loadMarketData = useCallback(async () => {
+    if (!isMarketSupported) return;
+
+    try {
+      const market = await getMarketData(marketChainId);
+
+      // Ignore results for a chain that is no longer selected
+      if (marketChainRef.current !== marketChainId) return;
+
+      setMarketTokens(market.tokens);
+      setReserves(market.reserves);
+      setPrices(market.prices);
+      setBaseUsdPrice(market.baseUsdPrice);
+    } catch (err) {
+      console.error('Error loading market data:', err);
+    }
+  }, [marketChainId, isMarketSupported]);
+
+  /**
+   * Rebuild supply and borrow positions from on-chain aToken/debt token balances
+   */
+  const loadPositions = useCallback(async () => {
+    if (!viewAddress || !isMarketSupported) return;
+
+    try {
+      const positions = await getUserPositions(viewAddress, marketChainId);
+
+      // Ignore results for an address or chain that is no longer selected
+      if (requestKeyRef.current !== `${viewAddress}:${marketChainId}`) return;
+
+      setSupplies(positions.supplies);
+      setBorrows(positions.borrows);
+      setMarketTokens(positions.tokens);
+      setReserves(positions.reserves);
+      setPrices(positions.prices);
+      setBaseUsdPrice(positions.baseUsdPrice);
+      setWalletBalances(positions.walletBalances);
+    } catch (err) {
+      console.error('Error loading positions:', err);
+    }
+  }, [viewAddress, marketChainId, isMarketSupported]);
+
+  /**
+   * Refresh account data and positions
+   */
+  const refreshUserData = useCallback(async () => {
+    await Promise.all([loadUserAccountData(), loadPositions()]);
+  }, [loadUserAccountData, loadPositions]);
+
+  /**
+   * Drop market data of the previous chain and load the new one
+   */
+  useEffect(() => {
+    marketChainRef.current = marketChainId;
+
+    setMarketTokens([]);
+    setReserves({});
+    setPrices({});
+    setBaseUsdPrice(0);
+    loadMarketData();
+  }, [marketChainId, loadMarketData]);
+
+  /**
+   * Drop data of the previous address or chain
+   */
+  useEffect(() => {
+    requestKeyRef.current = `${viewAddress}:${marketChainId}`;
+
+    setSupplies([]);
+    setBorrows([]);
+    setWalletBalances({});
+    setTotalSupplied(0);
+    setTotalBorrowed(0);
+    setAvailableToBorrow(0);
+    setLiquidationThreshold(0);
+    setHealthFactor(Infinity);
+  }, [viewAddress, marketChainId]);
+
+  /**
+   * Load user data on connect, watched address change and chain change
+   */
+  useEffect(() => {
+    if (viewAddress && isMarketSupported) {
+      refreshUserData();
+    }
+  }, [viewAddress, isMarketSupported, refreshUserData]);
+
+  /**
+   * Rehydrate transaction history of the displayed address and chain
+   */
+  useEffect(() => {
+    setTransactions(viewAddress ? getStoredTransactions(viewAddress, marketChainId) : []);
+  }, [viewAddress, marketChainId]);
+
+  /**
+   * Stop transaction watchers on unmount
+   */
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
   }, []);
 
+  /**
+   * Watch a transaction left pending by an earlier session until it settles
+   * The watcher keeps running after a switch of address or chain and records the outcome in
+   * that history, so the transaction shows as settled when it is displayed again.
+   */
+  const resumeTransaction = useCallback(async (tx) => {
+    trackedTxIdsRef.current.add(tx.id);
+
+    const result = await watchPendingTransaction(tx, () => !isMountedRef.current);
+    trackedTxIdsRef.current.delete(tx.id);
+    if (!result) return;
+
+    const changes = {
+      status: result.status,
+      ...(result.hash && { hash: result.hash }),
+      updatedAt: new Date().toISOString(),
+    };
+    updateStoredTransaction(tx.account, tx.chainId, tx.id, changes);
+
+    // Only changes anything while the transaction's history is displayed
+    setTransactions(prev => prev.map(item => (
+      item.id === tx.id && item.chainId === tx.chainId ? { ...item, ...changes } : item
+    )));
+
+    if (result.status === TX_STATUS.CONFIRMED) {
+      refreshUserData();
+    }
+  }, [refreshUserData]);
+
+  /**
+   * Resume pending transactions that no action or watcher in this session is waiting on
+   */
+  useEffect(() => {
+    transactions
+      .filter(tx => tx.status === TX_STATUS.PENDING && !trackedTxIdsRef.current.has(tx.id))
+      .forEach(tx => resumeTransaction(tx));
+  }, [transactions, resumeTransaction]);
+
+  /**
+   * Resend a pending transaction with the same nonce and higher fees
+   * A speed-up repeats the call; a cancellation sends nothing to the account itself, so
+   * whichever is mined first voids the other.
+   */
+  const replaceTransaction = useCallback(async (txId, { cancel = false } = {}) => {
+    assertCanTransact();
+
+    const original = transactions.find(tx => tx.id === txId);
+    if (!original || original.status !== TX_STATUS.PENDING || !original.hash) {
+      throw new Error(ERROR_MESSAGES.TX_NOT_PENDING);
+    }
+    if (original.chainId !== chainId) {
+      throw new Error('Switch to the network of this transaction first');
+    }
+
+    let replacementId = null;
+    let isSent = false;
+
+    try {
+      const pending = await getTransaction(original.hash, original.chainId);
+      if (!pending || pending.blockNumber !== null) throw new Error(ERROR_MESSAGES.TX_NOT_PENDING);
+
+      const fees = await getReplacementFees(pending, original.chainId);
+      const request = cancel
+        ? { to: account, value: 0n, data: '0x', nonce: pending.nonce, ...fees }
+        : {
+          to: pending.to,
+          value: pending.value,
+          data: pending.data,
+          gasLimit: pending.gasLimit,
+          nonce: pending.nonce,
+          ...fees,
+        };
+
+      replacementId = addTransaction({
+        type: cancel ? TX_TYPES.CANCEL : original.type,
+        token: original.token,
+        amount: original.amount,
+        replaces: original.id,
+      });
+      updateTransaction(original.id, { replacedBy: replacementId });
+
+      const tx = await signer.sendTransaction(request);
+      isSent = true;
+      updateTransactionStatus(replacementId, TX_STATUS.PENDING, tx.hash, { nonce: tx.nonce });
+
+      const receipt = await waitForReceipt(tx, original.chainId, replacementId);
+
+      // The original may have been mined before the replacement
+      if (receipt.hash !== original.hash) {
+        updateTransactionStatus(original.id, TX_STATUS.REPLACED, null, { replacedByHash: receipt.hash });
+      }
+
+      await refreshUserData();
+      return receipt;
+    } catch (err) {
+      console.error(`Error ${cancel ? 'cancelling' : 'speeding up'} transaction:`, err);
+      if (replacementId && err.code !== 'TRANSACTION_REPLACED') {
+        updateTransactionStatus(replacementId, TX_STATUS.FAILED);
+      }
+      // Nothing was sent, the original can be replaced again
+      if (replacementId && !isSent) {
+        updateTransaction(original.id, { replacedBy: null });
+      }
+      // Another transaction with the nonce was mined first
+      const message = err.code === 'TRANSACTION_REPLACED' ? ERROR_MESSAGES.TX_NOT_PENDING : decodeRevertError(err, chainId);
+      throw new Error(message, { cause: err });
+    }
+  }, [account, chainId, signer, transactions, assertCanTransact, addTransaction, updateTransaction, updateTransactionStatus, waitForReceipt, refreshUserData]);
+
+  /**
+   * Speed up a pending transaction
+   */
+  const speedUpTransaction = useCallback((txId) => {
+    return replaceTransaction(txId);
+  }, [replaceTransaction]);
+
+  /**
+   * Cancel a pending transaction
+   */
+  const cancelTransaction = useCallback((txId) => {
+    return replaceTransaction(txId, { cancel: true });
+  }, [replaceTransaction]);
+
+  /**
+   * Tokens listed on the market chain with live rates, risk parameters, oracle prices and
+   * wallet balances
+   * Until the reserve list loads, the registry tokens are shown without rates. Inactive
+   * reserves are left out.
+   */
+  const tokens = useMemo(() => {
+    const listed = marketTokens.length > 0 ? marketTokens : getNetworkTokens(marketChainId);
+
+    return listed
+      .filter(token => reserves[token.symbol]?.isActive !== false)
+      .map(token => {
+        const reserve = reserves[token.symbol];
+
+        return {
+          ...token,
+          supplyAPY: reserve?.supplyAPY ?? 0,
+          borrowAPY: reserve?.variableBorrowAPY ?? 0,
+          stableBorrowAPY: reserve ? reserve.stableBorrowAPY : null,
+          // Annual rate in ray
+          supplyRate: reserve ? reserve.currentLiquidityRate : 0n,
+          stableBorrowEnabled: Boolean(reserve?.stableBorrowRateEnabled),
+          ltv: reserve?.ltv ?? 0,
+          liquidationThreshold: reserve?.liquidationThreshold ?? 0,
+          liquidationBonus: reserve?.liquidationBonus ?? 0,
+          reserveFactor: reserve?.reserveFactor ?? 0,
+          isFrozen: Boolean(reserve?.isFrozen),
+          isPaused: Boolean(reserve?.isPaused),
+          borrowingEnabled: Boolean(reserve?.borrowingEnabled),
+          borrowCap: reserve?.borrowCap ?? 0,
+          supplyCap: reserve?.supplyCap ?? 0,
+          price: prices[token.symbol] ?? token.price,
+          walletBalance: walletBalances[token.symbol] ?? zeroAmount(token.decimals),
+        };
+      });
+  }, [marketChainId, marketTokens, reserves, prices, walletBalances]);
+
+  /**
+   * Send an approve transaction and track it in history
+   */
+  const sendApproval = useCallback(async (tokenAddress, spender, amountInWei, amountLabel, fees = {}) => {
+    const txId = addTransaction({
+      type: TX_TYPES.APPROVE,
+      token: tokenAddress,
+      amount: amountLabel,
+    });
+
+    try {
+      const receipt = await approveToken(tokenAddress, spender, amountInWei, (tx) => {
+        updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash, { nonce: tx.nonce });
+      }, fees);
+
+      updateTransactionStatus(txId, TX_STATUS.CONFIRMED, receipt.hash);
+      return receipt;
+    } catch (err) {
+      if (err.code !== 'TRANSACTION_REPLACED') {
+        updateTransactionStatus(txId, TX_STATUS.FAILED);
+        throw err;
+      }
+
+      updateTransactionStatus(txId, TX_STATUS.REPLACED, null, { replacedByHash: err.replacement.hash });
+      // Sped up: the approval went through under the replacement's hash
+      if (err.reason === 'repriced' && err.receipt?.status === 1) return err.receipt;
+      throw err;
+    }
+  }, [addTransaction, updateTransactionStatus]);
+
   /**
    * Check and approve token if needed
+   * Spender defaults to the lending pool. Approves the exact amount or an unlimited
+   * allowance, depending on the approval setting. `amount` is a token amount.
    */
-  const checkAndApprove = useCallback(async (tokenAddress, amount, decimals = 18) => {
-    if (!account) throw new Error('Wallet not connected');
+  const checkAndApprove = useCallback(async (tokenAddress, amount, spender = lendingPoolAddress, fees = {}) => {
+    assertCanTransact();
+    if (!spender) throw new Error(ERROR_MESSAGES.UNSUPPORTED_NETWORK);
 
     try {
-      const spender = CONTRACT_ADDRESSES.LENDING_POOL;
-      const amountInWei = parseUnits(amount.toString(), decimals);
+      const amountInWei = amount.raw;
       
       // Check current allowance
-      const currentAllowance = await getAllowance(tokenAddress, account, spender);
+      const currentAllowance = await getAllowance(tokenAddress, account, spender, chainId);
       
       // If allowance is sufficient, no need to approve
       if (BigInt(currentAllowance) >= amountInWei) {
@@ -90,353 +566,659 @@ export const ContractProvider = ({ children }) => {
       }
 
       // Request approval
-      console.log('Requesting token approval...');
-      const txId = addTransaction({
-        type: TX_TYPES.APPROVE,
-        token: tokenAddress,
-        amount: amount.toString(),
-      });
-
-      const receipt = await approveToken(tokenAddress, spender, amountInWei);
-      
-      updateTransactionStatus(txId, TX_STATUS.CONFIRMED, receipt.hash);
-      console.log('Token approved:', receipt.hash);
+      const isUnlimited = approvalMode === APPROVAL_MODES.UNLIMITED;
+      await sendApproval(
+        tokenAddress,
+        spender,
+        isUnlimited ? MaxUint256 : amountInWei,
+        isUnlimited ? 'unlimited' : toAmountString(amount),
+        fees
+      );
       
       return true;
     } catch (err) {
       console.error('Error approving token:', err);
       throw err;
     }
-  }, [account, addTransaction, updateTransactionStatus]);
+  }, [account, chainId, lendingPoolAddress, approvalMode, assertCanTransact, sendApproval]);
 
   /**
-   * Supply assets
+   * Set the allowance a token gives one of our contracts; 0 revokes it
+   * Tokens like USDT refuse to change one non-zero allowance into another, so those
+   * are reset to 0 first.
    */
-  const supply = useCallback(async (token, amount) => {
-    if (!account || !signer) throw new Error('Wallet not connected');
-    
-    setIsLoading(true);
-    setError(null);
+  const setTokenAllowance = useCallback(async (tokenAddress, spender, amountInWei, amountLabel) => {
+    assertCanTransact();
 
     try {
-      const amountInWei = parseUnits(amount.toString(), token.decimals);
-      
-      // Step 1: Approve token if needed
-      if (!token.isNative) {
-        await checkAndApprove(token.address, amount, token.decimals);
+      if (amountInWei > 0n) {
+        const provider = await getReadProvider(chainId);
+        const token = new Contract(tokenAddress, ERC20_ABI, provider);
+        const canChange = await token.approve.staticCall(spender, amountInWei, { from: account })
+          .then(() => true, () => false);
+
+        if (!canChange) await sendApproval(tokenAddress, spender, 0n, '0');
       }
 
-      // Step 2: Supply to lending pool
-      const lendingPool = getLendingPoolContract();
-      if (!lendingPool) throw new Error('Contract not initialized');
+      return await sendApproval(tokenAddress, spender, amountInWei, amountLabel);
+    } catch (err) {
+      console.error('Error setting allowance:', err);
+      throw new Error(decodeRevertError(err, chainId), { cause: err });
+    }
+  }, [account, chainId, assertCanTransact, sendApproval]);
 
-      const txId = addTransaction({
-        type: TX_TYPES.SUPPLY,
-        token: token.symbol,
-        amount: amount.toString(),
+  /**
+   * Resolve the amount of a pool action
+   * A withdraw or repay without an amount settles the whole position: the pool is passed
+   * max-uint, and the current balance is read so the allowance can cover it.
+   * @param {object|null} amount - Token amount, or null for the whole position
+   * @returns {Promise<object>} { amountInWei, isMax }
+   */
+  const resolveActionAmount = useCallback(async (action, token, amount, rateMode = INTEREST_RATE_MODES.VARIABLE) => {
+    const isMax = amount === null && (action === 'withdraw' || action === 'repay');
+    if (!isMax) {
+      return { amountInWei: amount.raw, isMax };
+    }
+
+    const reserve = reserves[token.symbol];
+    if (!reserve) throw new Error('Position not found');
+
+    const debtTokenAddress = rateMode === INTEREST_RATE_MODES.STABLE
+      ? reserve.stableDebtTokenAddress
+      : reserve.variableDebtTokenAddress;
+    const balance = action === 'withdraw'
+      ? await getATokenBalance(reserve.aTokenAddress, account, token.decimals, chainId)
+      : await getDebtTokenBalance(debtTokenAddress, account, token.decimals, chainId);
+
+    return { amountInWei: parseUnits(balance, token.decimals), isMax };
+  }, [account, chainId, reserves]);
+
+  /**
+   * Simulate a pool action for the connected account without sending it
+   * A borrow with `onBehalfOf` draws on that account's delegated credit line.
+   * @returns {Promise<object>} { success, needsApproval, error }
+   */
+  const simulateTransaction = useCallback(async (
+    action,
+    token,
+    amount,
+    aTokenAddress = null,
+    rateMode = INTEREST_RATE_MODES.VARIABLE,
+    onBehalfOf = null
+  ) => {
+    assertCanTransact();
+
+    const { amountInWei, isMax } = await resolveActionAmount(action, token, amount, rateMode);
+    const call = buildActionCall(action, {
+      token,
+      amountInWei,
+      account,
+      chainId,
+      aTokenAddress,
+      isMax,
+      rateMode,
+      onBehalfOf: onBehalfOf || account,
+    });
+
+    return simulateActionCall(call, account, chainId);
+  }, [account, chainId, assertCanTransact, resolveActionAmount]);
+
+  /**
+   * Estimate the gas of a pool action for the connected account
+   * @returns {Promise<object>} { gasLimit, isEstimated }
+   */
+  const estimateTransactionGas = useCallback(async (
+    action,
+    token,
+    amount,
+    aTokenAddress = null,
+    rateMode = INTEREST_RATE_MODES.VARIABLE,
+    onBehalfOf = null
+  ) => {
+    assertCanTransact();
+
+    const { amountInWei, isMax } = await resolveActionAmount(action, token, amount, rateMode);
+    const call = buildActionCall(action, {
+      token,
+      amountInWei,
+      account,
+      chainId,
+      aTokenAddress,
+      isMax,
+      rateMode,
+      onBehalfOf: onBehalfOf || account,
+    });
+
+    return estimateCallGas(call, account, chainId);
+  }, [account, chainId, assertCanTransact, resolveActionAmount]);
+
+  /**
+   * Simulate a call against the current block, throwing the decoded revert reason if it would fail
+   */
+  const assertSimulationPasses = useCallback(async (call) => {
+    const simulation = await simulateActionCall(call, account, chainId);
+    if (!simulation.success) {
+      throw new Error(simulation.error || ERROR_MESSAGES.SIMULATION_FAILED);
+    }
+  }, [account, chainId]);
+
+  /**
+   * Send a call built with buildActionCall through the connected wallet, with the chosen fees
+   */
+  const sendActionCall = useCallback(async (call, fees = {}) => {
+    const contract = new Contract(call.target, call.abi, signer);
+    return contract[call.method](...call.args, {
+      ...fees,
+      ...(call.value ? { value: call.value } : {}),
+    });
+  }, [signer]);
+
+  /**
+   * Put the token allowance of a supply or repay in place and build its call
+   * Tokens with EIP-2612 permit are approved by a signature sent along with the call, which
+   * saves the approve transaction. Other tokens, a permit call that would fail, or an
+   * unlimited or max-amount approval (a permit only covers the amount of the call) are
+   * approved with a transaction as before.
+   */
+  const prepareApprovedCall = useCallback(async (action, params, fees) => {
+    const { token, amountInWei, isMax } = params;
+    const call = buildActionCall(action, params);
+    if (!call.approval) return call;
+
+    const usePermit = approvalMode === APPROVAL_MODES.EXACT
+      && !isMax
+      && await isApprovalNeeded(call, account, chainId)
+      && await isPermitSupported(token.address, chainId);
+
+    if (usePermit) {
+      const permit = await signPermit(signer, {
+        tokenAddress: token.address,
+        owner: account,
+        spender: call.approval.spender,
+        value: amountInWei,
+        chainId,
       });
 
-      console.log('Supplying', amount, token.symbol);
+      const permitCall = buildActionCall(action, { ...params, permit });
+      const simulation = await simulateActionCall(permitCall, account, chainId);
+      if (simulation.success) return permitCall;
+    }
+
+    const approvalAmount = createTokenAmount(call.approval.amount, token.decimals);
+    await checkAndApprove(call.approval.token, approvalAmount, call.approval.spender, fees);
+    return call;
+  }, [account, chainId, signer, approvalMode, checkAndApprove]);
+
+  /**
+   * Supply assets, to the connected account or with `onBehalfOf` to another one
+   */
+  const supply = useCallback(async (token, amount, { fees, onBehalfOf = null } = {}) => {
+    assertCanTransact();
+    
+    setIsLoading(true);
+    setError(null);
+    let txId = null;
+
+    try {
+      const amountInWei = amount.raw;
       
-      const tx = await lendingPool.deposit(
-        token.address,
-        amountInWei,
-        account,
-        0 // referral code
+      // Step 1: Approve or sign a permit if needed (native assets are sent as value)
+      if (!token.isNative) setCurrentStep('approve');
+      const call = await prepareApprovedCall(
+        'deposit',
+        { token, amountInWei, account, chainId, onBehalfOf: onBehalfOf || account },
+        fees
       );
 
-      console.log('Transaction sent:', tx.hash);
-      updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash);
+      // Step 2: Supply to lending pool, wrapping native assets through the gateway
+      setCurrentStep('deposit');
+      await assertSimulationPasses(call);
 
-      const receipt = await tx.wait();
-      console.log('Transaction confirmed:', receipt.hash);
+      txId = addTransaction({
+        type: TX_TYPES.SUPPLY,
+        token: token.symbol,
+        amount: toAmountString(amount),
+        ...(onBehalfOf ? { onBehalfOf } : {}),
+      });
       
-      updateTransactionStatus(txId, TX_STATUS.CONFIRMED, receipt.hash);
-
-      // Update supplies
-      const newSupply = {
-        id: Date.now(),
-        token,
-        amount: parseFloat(amount),
-        apy: token.supplyAPY,
-        timestamp: new Date().toISOString(),
-        txHash: receipt.hash,
-      };
+      const tx = await sendActionCall(call, fees);
+      updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash, { nonce: tx.nonce });
 
-      setSupplies(prev => [...prev, newSupply]);
-      setTotalSupplied(prev => prev + (parseFloat(amount) * token.price));
+      const receipt = await waitForReceipt(tx, chainId, txId);
 
       // Refresh user data
-      await loadUserAccountData();
+      await refreshUserData();
 
       return receipt;
     } catch (err) {
       console.error('Error supplying:', err);
-      setError(err.message);
-      throw err;
+      if (txId && err.code !== 'TRANSACTION_REPLACED') updateTransactionStatus(txId, TX_STATUS.FAILED);
+      const message = decodeRevertError(err, chainId);
+      setError(message);
+      throw new Error(message, { cause: err });
     } finally {
       setIsLoading(false);
+      setCurrentStep(null);
     }
-  }, [account, signer, checkAndApprove, getLendingPoolContract, addTransaction, updateTransactionStatus]);
+  }, [account, chainId, assertCanTransact, prepareApprovedCall, assertSimulationPasses, sendActionCall, addTransaction, updateTransactionStatus, waitForReceipt, refreshUserData]);
 
   /**
-   * Withdraw assets
+   * Withdraw assets; without an amount the whole supply is withdrawn
+   * Resolves with the receipt and the exact amount withdrawn, from the pool's Withdraw event.
    */
-  const withdraw = useCallback(async (supplyId, amount = null) => {
-    if (!account || !signer) throw new Error('Wallet not connected');
+  const withdraw = useCallback(async (supplyId, amount = null, { fees } = {}) => {
+    assertCanTransact();
     
     setIsLoading(true);
     setError(null);
+    let txId = null;
 
     try {
       const supply = supplies.find(s => s.id === supplyId);
       if (!supply) throw new Error('Supply not found');
 
-      const withdrawAmount = amount || supply.amount;
-      const amountInWei = parseUnits(withdrawAmount.toString(), supply.token.decimals);
+      const { amountInWei, isMax } = await resolveActionAmount('withdraw', supply.token, amount);
+      const withdrawAmount = isMax ? 'all' : toAmountString(amount);
 
-      const lendingPool = getLendingPoolContract();
-      if (!lendingPool) throw new Error('Contract not initialized');
+      const call = buildActionCall('withdraw', {
+        token: supply.token,
+        amountInWei,
+        account,
+        chainId,
+        aTokenAddress: supply.aTokenAddress,
+        isMax,
+      });
 
-      const txId = addTransaction({
+      // The gateway burns the aTokens on the user's behalf, so it needs an allowance
+      if (call.approval) {
+        setCurrentStep('approve');
+        const approvalAmount = createTokenAmount(call.approval.amount, supply.token.decimals);
+        await checkAndApprove(call.approval.token, approvalAmount, call.approval.spender, fees);
+      }
+
+      setCurrentStep('withdraw');
+      await assertSimulationPasses(call);
+
+      txId = addTransaction({
         type: TX_TYPES.WITHDRAW,
         token: supply.token.symbol,
-        amount: withdrawAmount.toString(),
+        amount: withdrawAmount,
       });
 
-      console.log('Withdrawing', withdrawAmount, supply.token.symbol);
-
-      const tx = await lendingPool.withdraw(
-        supply.token.address,
-        amountInWei,
-        account
-      );
-
-      console.log('Transaction sent:', tx.hash);
-      updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash);
+      const tx = await sendActionCall(call, fees);
+      updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash, { nonce: tx.nonce });
 
-      const receipt = await tx.wait();
-      console.log('Transaction confirmed:', receipt.hash);
-      
-      updateTransactionStatus(txId, TX_STATUS.CONFIRMED, receipt.hash);
+      const receipt = await waitForReceipt(tx, chainId, txId);
 
-      // Update supplies
-      if (amount && amount < supply.amount) {
-        // Partial withdrawal
-        setSupplies(prev => 
-          prev.map(s => 
-            s.id === supplyId 
-              ? { ...s, amount: s.amount - parseFloat(amount) }
-              : s
-          )
-        );
-        setTotalSupplied(prev => prev - (parseFloat(amount) * supply.token.price));
-      } else {
-        // Full withdrawal
-        setSupplies(prev => prev.filter(s => s.id !== supplyId));
-        setTotalSupplied(prev => prev - (supply.amount * supply.token.price));
-      }
+      const withdrawn = getPoolEventAmount(receipt, 'Withdraw', supply.token.address, chainId) ?? amountInWei;
+      const withdrawnAmount = formatUnits(withdrawn, supply.token.decimals);
+      updateTransaction(txId, { amount: withdrawnAmount });
 
       // Refresh user data
-      await loadUserAccountData();
+      await refreshUserData();
 
-      return receipt;
+      return { receipt, amount: withdrawnAmount };
     } catch (err) {
       console.error('Error withdrawing:', err);
-      setError(err.message);
-      throw err;
+      if (txId && err.code !== 'TRANSACTION_REPLACED') updateTransactionStatus(txId, TX_STATUS.FAILED);
+      const message = decodeRevertError(err, chainId);
+      setError(message);
+      throw new Error(message, { cause: err });
     } finally {
       setIsLoading(false);
+      setCurrentStep(null);
     }
-  }, [account, signer, supplies, getLendingPoolContract, addTransaction, updateTransactionStatus]);
+  }, [account, chainId, assertCanTransact, supplies, resolveActionAmount, checkAndApprove, assertSimulationPasses, sendActionCall, addTransaction, updateTransaction, updateTransactionStatus, waitForReceipt, refreshUserData]);
 
   /**
-   * Borrow assets
+   * Borrow assets at the variable or, where the reserve allows it, the stable rate
+   * With `onBehalfOf` the debt goes to that account, against the credit line it delegated.
    */
-  const borrow = useCallback(async (token, amount) => {
-    if (!account || !signer) throw new Error('Wallet not connected');
+  const borrow = useCallback(async (
+    token,
+    amount,
+    { fees, rateMode = INTEREST_RATE_MODES.VARIABLE, onBehalfOf = null } = {}
+  ) => {
+    assertCanTransact();
     
     setIsLoading(true);
     setError(null);
+    let txId = null;
 
     try {
-      const amountInWei = parseUnits(amount.toString(), token.decimals);
+      const amountInWei = amount.raw;
 
-      const lendingPool = getLendingPoolContract();
-      if (!lendingPool) throw new Error('Contract not initialized');
+      const call = buildActionCall('borrow', {
+        token,
+        amountInWei,
+        account,
+        chainId,
+        rateMode,
+        onBehalfOf: onBehalfOf || account,
+      });
+      await assertSimulationPasses(call);
 
-      const txId = addTransaction({
+      txId = addTransaction({
         type: TX_TYPES.BORROW,
         token: token.symbol,
-        amount: amount.toString(),
+        amount: toAmountString(amount),
+        ...(onBehalfOf ? { onBehalfOf } : {}),
       });
 
-      console.log('Borrowing', amount, token.symbol);
+      const tx = await sendActionCall(call, fees);
+      updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash, { nonce: tx.nonce });
 
-      const tx = await lendingPool.borrow(
-        token.address,
-        amountInWei,
-        2, // variable interest rate mode
-        0, // referral code
-        account
+      const receipt = await waitForReceipt(tx, chainId, txId);
+
+      // Refresh user data
+      await refreshUserData();
+
+      return receipt;
+    } catch (err) {
+      console.error('Error borrowing:', err);
+      if (txId && err.code !== 'TRANSACTION_REPLACED') updateTransactionStatus(txId, TX_STATUS.FAILED);
+      const message = decodeRevertError(err, chainId);
+      setError(message);
+      throw new Error(message, { cause: err });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [account, chainId, assertCanTransact, assertSimulationPasses, sendActionCall, addTransaction, updateTransactionStatus, waitForReceipt, refreshUserData]);
+
+  /**
+   * Repay a debt in an asset at one rate, of the connected account or of `onBehalfOf`
+   * Without an amount the whole debt is repaid; the pool only allows that for the sender's
+   * own debt. Resolves with the receipt and the exact amount repaid, from the pool's Repay event.
+   */
+  const repayDebt = useCallback(async (token, rateMode, amount, { fees, onBehalfOf = null } = {}) => {
+    assertCanTransact();
+    if (onBehalfOf && amount === null) throw new Error('Enter the amount to repay for another account');
+    
+    setIsLoading(true);
+    setError(null);
+    let txId = null;
+
+    try {
+      const { amountInWei, isMax } = await resolveActionAmount('repay', token, amount, rateMode);
+      const repayAmount = isMax ? 'all' : toAmountString(amount);
+      const isNative = token.isNative;
+
+      // Approve or sign a permit (native assets are sent as value)
+      if (!isNative) setCurrentStep('approve');
+      const call = await prepareApprovedCall(
+        'repay',
+        { token, amountInWei, account, chainId, isMax, rateMode, onBehalfOf: onBehalfOf || account },
+        fees
       );
 
-      console.log('Transaction sent:', tx.hash);
-      updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash);
+      setCurrentStep('repay');
+      await assertSimulationPasses(call);
 
-      const receipt = await tx.wait();
-      console.log('Transaction confirmed:', receipt.hash);
-      
-      updateTransactionStatus(txId, TX_STATUS.CONFIRMED, receipt.hash);
+      txId = addTransaction({
+        type: TX_TYPES.REPAY,
+        token: token.symbol,
+        amount: repayAmount,
+        ...(onBehalfOf ? { onBehalfOf } : {}),
+      });
 
-      // Update borrows
-      const newBorrow = {
-        id: Date.now(),
-        token,
-        amount: parseFloat(amount),
-        apy: token.borrowAPY,
-        timestamp: new Date().toISOString(),
-        txHash: receipt.hash,
-      };
+      const tx = await sendActionCall(call, fees);
+      updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash, { nonce: tx.nonce });
+
+      const receipt = await waitForReceipt(tx, chainId, txId);
 
-      setBorrows(prev => [...prev, newBorrow]);
-      setTotalBorrowed(prev => prev + (parseFloat(amount) * token.price));
+      const repaid = getPoolEventAmount(receipt, 'Repay', token.address, chainId) ?? amountInWei;
+      const repaidAmount = formatUnits(repaid, token.decimals);
+      updateTransaction(txId, { amount: repaidAmount });
 
       // Refresh user data
-      await loadUserAccountData();
+      await refreshUserData();
 
-      return receipt;
+      return { receipt, amount: repaidAmount };
     } catch (err) {
-      console.error('Error borrowing:', err);
-      setError(err.message);
-      throw err;
+      console.error('Error repaying:', err);
+      if (txId && err.code !== 'TRANSACTION_REPLACED') updateTransactionStatus(txId, TX_STATUS.FAILED);
+      const message = decodeRevertError(err, chainId);
+      setError(message);
+      throw new Error(message, { cause: err });
     } finally {
       setIsLoading(false);
+      setCurrentStep(null);
     }
-  }, [account, signer, getLendingPoolContract, addTransaction, updateTransactionStatus]);
+  }, [account, chainId, assertCanTransact, resolveActionAmount, prepareApprovedCall, assertSimulationPasses, sendActionCall, addTransaction, updateTransaction, updateTransactionStatus, waitForReceipt, refreshUserData]);
 
   /**
-   * Repay borrowed assets
+   * Repay borrowed assets; without an amount the whole debt is repaid
    */
-  const repay = useCallback(async (borrowId, amount = null) => {
-    if (!account || !signer) throw new Error('Wallet not connected');
-    
+  const repay = useCallback(async (borrowId, amount = null, { fees } = {}) => {
+    const borrowData = borrows.find(b => b.id === borrowId);
+    if (!borrowData) throw new Error('Borrow not found');
+
+    return repayDebt(borrowData.token, borrowData.rateMode, amount, { fees });
+  }, [borrows, repayDebt]);
+
+  /**
+   * Repay part of another account's debt in an asset at one rate
+   */
+  const repayOnBehalf = useCallback(async (onBehalfOf, token, rateMode, amount, { fees } = {}) => {
+    return repayDebt(token, rateMode, amount, { fees, onBehalfOf });
+  }, [repayDebt]);
+
+  /**
+   * Switch a borrow between the stable and variable rate
+   */
+  const switchRateMode = useCallback(async (borrowId, { fees } = {}) => {
+    assertCanTransact();
+
     setIsLoading(true);
     setError(null);
+    let txId = null;
 
     try {
       const borrowData = borrows.find(b => b.id === borrowId);
       if (!borrowData) throw new Error('Borrow not found');
 
-      const repayAmount = amount || borrowData.amount;
-      const amountInWei = parseUnits(repayAmount.toString(), borrowData.token.decimals);
-
-      // Approve token
-      await checkAndApprove(borrowData.token.address, repayAmount, borrowData.token.decimals);
-
-      const lendingPool = getLendingPoolContract();
-      if (!lendingPool) throw new Error('Contract not initialized');
+      const toStable = borrowData.rateMode !== INTEREST_RATE_MODES.STABLE;
+      const call = buildActionCall('swapRate', {
+        token: borrowData.token,
+        account,
+        chainId,
+        rateMode: borrowData.rateMode,
+      });
+      await assertSimulationPasses(call);
 
-      const txId = addTransaction({
-        type: TX_TYPES.REPAY,
+      txId = addTransaction({
+        type: TX_TYPES.SWAP_RATE,
         token: borrowData.token.symbol,
-        amount: repayAmount.toString(),
+        amount: toStable ? 'to stable' : 'to variable',
       });
 
-      console.log('Repaying', repayAmount, borrowData.token.symbol);
+      const tx = await sendActionCall(call, fees);
+      updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash, { nonce: tx.nonce });
 
-      const tx = await lendingPool.repay(
-        borrowData.token.address,
-        amountInWei,
-        2, // variable rate mode
-        account
-      );
+      const receipt = await waitForReceipt(tx, chainId, txId);
 
-      console.log('Transaction sent:', tx.hash);
-      updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash);
+      // Refresh user data
+      await refreshUserData();
 
-      const receipt = await tx.wait();
-      console.log('Transaction confirmed:', receipt.hash);
-      
-      updateTransactionStatus(txId, TX_STATUS.CONFIRMED, receipt.hash);
+      return receipt;
+    } catch (err) {
+      console.error('Error switching rate mode:', err);
+      if (txId && err.code !== 'TRANSACTION_REPLACED') updateTransactionStatus(txId, TX_STATUS.FAILED);
+      const message = decodeRevertError(err, chainId);
+      setError(message);
+      throw new Error(message, { cause: err });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [account, chainId, assertCanTransact, borrows, assertSimulationPasses, sendActionCall, addTransaction, updateTransactionStatus, waitForReceipt, refreshUserData]);
 
-      // Update borrows
-      if (amount && amount < borrowData.amount) {
-        // Partial repayment
-        setBorrows(prev => 
-          prev.map(b => 
-            b.id === borrowId 
-              ? { ...b, amount: b.amount - parseFloat(amount) }
-              : b
-          )
-        );
-        setTotalBorrowed(prev => prev - (parseFloat(amount) * borrowData.token.price));
-      } else {
-        // Full repayment
-        setBorrows(prev => prev.filter(b => b.id !== borrowId));
-        setTotalBorrowed(prev => prev - (borrowData.amount * borrowData.token.price));
-      }
+  /**
+   * Turn use as collateral of a supplied asset on or off
+   */
+  const setUseAsCollateral = useCallback(async (supplyId, useAsCollateral, { fees } = {}) => {
+    assertCanTransact();
+
+    setIsLoading(true);
+    setError(null);
+    let txId = null;
+
+    try {
+      const supply = supplies.find(s => s.id === supplyId);
+      if (!supply) throw new Error('Supply not found');
+
+      // The pool rejects disabling collateral that would leave the account liquidatable
+      const call = buildActionCall('setCollateral', {
+        token: supply.token,
+        account,
+        chainId,
+        useAsCollateral,
+      });
+      await assertSimulationPasses(call);
+
+      txId = addTransaction({
+        type: TX_TYPES.COLLATERAL,
+        token: supply.token.symbol,
+        amount: useAsCollateral ? 'on' : 'off',
+      });
+
+      const tx = await sendActionCall(call, fees);
+      updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash, { nonce: tx.nonce });
+
+      const receipt = await waitForReceipt(tx, chainId, txId);
 
       // Refresh user data
-      await loadUserAccountData();
+      await refreshUserData();
 
       return receipt;
     } catch (err) {
-      console.error('Error repaying:', err);
-      setError(err.message);
-      throw err;
+      console.error('Error setting collateral:', err);
+      if (txId && err.code !== 'TRANSACTION_REPLACED') updateTransactionStatus(txId, TX_STATUS.FAILED);
+      const message = decodeRevertError(err, chainId);
+      setError(message);
+      throw new Error(message, { cause: err });
     } finally {
       setIsLoading(false);
     }
-  }, [account, signer, borrows, checkAndApprove, getLendingPoolContract, addTransaction, updateTransactionStatus]);
+  }, [account, chainId, assertCanTransact, supplies, assertSimulationPasses, sendActionCall, addTransaction, updateTransactionStatus, waitForReceipt, refreshUserData]);
 
   /**
-   * Load user account data from lending pool
+   * Let another account borrow up to an amount against the connected account's collateral
+   * Set on the variable or stable debt token of the asset; an amount of 0 revokes the delegation.
    */
-  const loadUserAccountData = useCallback(async () => {
-    if (!account || !provider) return;
+  const approveDelegation = useCallback(async (token, rateMode, delegatee, amountInWei, amountLabel, { fees } = {}) => {
+    assertCanTransact();
 
-    try {
-      const lendingPool = new Contract(
-        CONTRACT_ADDRESSES.LENDING_POOL, 
-        LENDING_POOL_ABI, 
-        provider
-      );
+    setError(null);
+    let txId = null;
 
-      const userData = await lendingPool.getUserAccountData(account);
-      
-      // userData returns: totalCollateralETH, totalDebtETH, availableBorrowsETH, 
-      // currentLiquidationThreshold, ltv, healthFactor
-      
-      const collateralETH = parseFloat(formatUnits(userData[0], 18));
-      const debtETH = parseFloat(formatUnits(userData[1], 18));
-      const availableBorrowETH = parseFloat(formatUnits(userData[2], 18));
-      const hf = parseFloat(formatUnits(userData[5], 18));
+    try {
+      const reserve = reserves[token.symbol];
+      const debtTokenAddress = rateMode === INTEREST_RATE_MODES.STABLE
+        ? reserve?.stableDebtTokenAddress
+        : reserve?.variableDebtTokenAddress;
+      if (!debtTokenAddress) throw new Error(`${token.symbol} cannot be borrowed on this network`);
 
-      setTotalSupplied(collateralETH);
-      setTotalBorrowed(debtETH);
-      setAvailableToBorrow(availableBorrowETH);
-      setHealthFactor(hf);
+      const call = buildActionCall('delegate', {
+        token,
+        amountInWei,
+        account,
+        chainId,
+        debtTokenAddress,
+        delegatee,
+      });
+      await assertSimulationPasses(call);
 
-      console.log('User account data loaded:', {
-        collateral: collateralETH,
-        debt: debtETH,
-        availableToBorrow: availableBorrowETH,
-        healthFactor: hf,
+      txId = addTransaction({
+        type: TX_TYPES.DELEGATE,
+        token: token.symbol,
+        amount: amountLabel,
+        delegatee,
       });
+
+      const tx = await sendActionCall(call, fees);
+      updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash, { nonce: tx.nonce });
+
+      const receipt = await waitForReceipt(tx, chainId, txId);
+
+      return receipt;
     } catch (err) {
-      console.error('Error loading user account data:', err);
+      console.error('Error approving delegation:', err);
+      if (txId && err.code !== 'TRANSACTION_REPLACED') updateTransactionStatus(txId, TX_STATUS.FAILED);
+      const message = decodeRevertError(err, chainId);
+      setError(message);
+      throw new Error(message, { cause: err });
     }
-  }, [account, provider]);
+  }, [account, chainId, assertCanTransact, reserves, assertSimulationPasses, sendActionCall, addTransaction, updateTransactionStatus, waitForReceipt]);
 
   /**
-   * Load user data on connect
+   * Liquidate an account below a health factor of 1: repay up to `debtToCover` of its debt in
+   * one asset and take its collateral in another, plus the bonus, as aTokens with `receiveAToken`
+   * Resolves with the receipt and the amounts settled, from the pool's LiquidationCall event.
    */
-  useEffect(() => {
-    if (isConnected && account) {
-      loadUserAccountData();
+  const liquidate = useCallback(async (
+    { user, debtToken, collateralToken, debtToCover, receiveAToken = false },
+    { fees } = {}
+  ) => {
+    assertCanTransact();
+
+    setIsLoading(true);
+    setError(null);
+    let txId = null;
+
+    try {
+      const amountInWei = debtToCover.raw;
+
+      const call = buildActionCall('liquidate', {
+        token: debtToken,
+        amountInWei,
+        account,
+        chainId,
+        collateralAddress: collateralToken.address,
+        user,
+        receiveAToken,
+      });
+
+      // liquidationCall has no permit variant, so a missing allowance is always a transaction
+      setCurrentStep('approve');
+      const approvalAmount = createTokenAmount(call.approval.amount, debtToken.decimals);
+      await checkAndApprove(call.approval.token, approvalAmount, call.approval.spender, fees);
+
+      setCurrentStep('liquidate');
+      await assertSimulationPasses(call);
+
+      txId = addTransaction({
+        type: TX_TYPES.LIQUIDATE,
+        token: debtToken.symbol,
+        amount: toAmountString(debtToCover),
+        borrower: user,
+      });
+
+      const tx = await sendActionCall(call, fees);
+      updateTransactionStatus(txId, TX_STATUS.PENDING, tx.hash, { nonce: tx.nonce });
+
+      const receipt = await waitForReceipt(tx, chainId, txId);
+
+      // The pool caps the repayment at the close factor and what the collateral covers
+      const result = getLiquidationResult(receipt, user, chainId);
+      const debtCovered = formatUnits(result?.debtCovered ?? amountInWei, debtToken.decimals);
+      const collateralReceived = result ? formatUnits(result.collateralReceived, collateralToken.decimals) : null;
+      updateTransaction(txId, { amount: debtCovered });
+
+      // Refresh user data
+      await refreshUserData();
+
+      return { receipt, debtCovered, collateralReceived };
+    } catch (err) {
+      console.error('Error liquidating:', err);
+      if (txId && err.code !== 'TRANSACTION_REPLACED') updateTransactionStatus(txId, TX_STATUS.FAILED);
+      const message = decodeRevertError(err, chainId);
+      setError(message);
+      throw new Error(message, { cause: err });
+    } finally {
+      setIsLoading(false);
+      setCurrentStep(null);
     }
-  }, [isConnected, account, loadUserAccountData]);
+  }, [account, chainId, assertCanTransact, checkAndApprove, assertSimulationPasses, sendActionCall, addTransaction, updateTransaction, updateTransactionStatus, waitForReceipt, refreshUserData]);
 
   // Context value
   const value = {
@@ -447,17 +1229,42 @@ export const ContractProvider = ({ children }) => {
     totalBorrowed,
     healthFactor,
     availableToBorrow,
+    liquidationThreshold,
+    isSupportedNetwork,
+    isWatchOnly,
+    tokens,
+    reserves,
+    prices,
+    baseUsdPrice,
+    walletBalances,
     transactions,
     isLoading,
     error,
+    currentStep,
+    approvalMode,
 
     // Methods
     supply,
     withdraw,
     borrow,
     repay,
+    repayOnBehalf,
+    switchRateMode,
+    setUseAsCollateral,
+    approveDelegation,
+    liquidate,
+    simulateTransaction,
+    estimateTransactionGas,
+    speedUpTransaction,
+    setApprovalMode,
+    setTokenAllowance,
+    cancelTransaction,
     loadUserAccountData,
+    loadMarketData,
+    loadPositions,
+    refreshUserData,
     getLendingPoolContract,
+    getGatewayContract,
     getTokenContract,
   };
 
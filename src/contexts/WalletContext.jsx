@@ -1,4 +1,5 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { useRouter } from 'next/router';
 import { 
   getProvider, 
   getSigner, 
@@ -6,15 +7,24 @@ import {
   getCurrentAccount, 
   getChainId, 
   switchChain,
-  getBalance 
+  getBalance,
+  resolveAddress 
 } from '@/utils/web3';
-import { CHAIN_IDS, STORAGE_KEYS } from '@/utils/constants';
+import { STORAGE_KEYS, ERROR_MESSAGES } from '@/utils/constants';
+import { isLendingSupported } from '@/utils/networks';
+import {
+  discoverConnectors,
+  getConnectors,
+  getConnector,
+  setActiveConnector,
+} from '@/utils/connectors';
 
 // Create Wallet Context
 const WalletContext = createContext(undefined);
 
 // Wallet Provider Component
 export const WalletProvider = ({ children }) => {
+  const router = useRouter();
   const [account, setAccount] = useState(null);
   const [chainId, setChainId] = useState(null);
   const [balance, setBalance] = useState('0');
@@ -23,6 +33,15 @@ export const WalletProvider = ({ children }) => {
   const [error, setError] = useState(null);
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
+  const [connectors, setConnectors] = useState([]);
+  const [connector, setConnector] = useState(null);
+  const autoConnectRef = useRef(false);
+
+  // Watch-only mode: the `address` query param holds the address or ENS name
+  const watchInput = typeof router.query.address === 'string' ? router.query.address : null;
+  const [watchAddress, setWatchAddress] = useState(null);
+  const [watchError, setWatchError] = useState(null);
+  const [isResolvingWatch, setIsResolvingWatch] = useState(false);
 
   /**
    * Initialize provider and signer
@@ -47,13 +66,13 @@ export const WalletProvider = ({ children }) => {
     if (!address) return;
 
     try {
-      // Get balance
-      const ethBalance = await getBalance(address);
-      setBalance(ethBalance);
-
       // Get chain ID
       const currentChainId = await getChainId();
       setChainId(currentChainId);
+
+      // Get balance
+      const ethBalance = await getBalance(address, currentChainId);
+      setBalance(ethBalance);
     } catch (err) {
       console.error('Error loading account data:', err);
       setError(err.message);
@@ -62,17 +81,30 @@ export const WalletProvider = ({ children }) => {
 
   /**
    * Connect wallet
+   * Without a connector id, the only installed wallet is used
    */
-  const connectWallet = useCallback(async () => {
+  const connectWallet = useCallback(async (connectorId) => {
     setIsConnecting(true);
     setError(null);
 
     try {
       // Check if wallet exists
-      if (!window.ethereum) {
+      const available = getConnectors();
+      if (available.length === 0) {
         throw new Error('No Web3 wallet detected. Please install MetaMask or another Web3 wallet.');
       }
 
+      const selectedConnector = connectorId
+        ? getConnector(connectorId)
+        : available.length === 1 ? available[0] : null;
+
+      if (!selectedConnector) {
+        throw new Error('Please select a wallet to connect.');
+      }
+
+      setActiveConnector(selectedConnector);
+      setConnector(selectedConnector);
+
       // Request accounts
       const accounts = await requestAccounts();
       
@@ -87,6 +119,7 @@ export const WalletProvider = ({ children }) => {
       // Save to localStorage
       localStorage.setItem(STORAGE_KEYS.WALLET_CONNECTED, 'true');
       localStorage.setItem(STORAGE_KEYS.SELECTED_ACCOUNT, selectedAccount);
+      localStorage.setItem(STORAGE_KEYS.SELECTED_CONNECTOR, selectedConnector.id);
 
       // Load account data
       await loadAccountData(selectedAccount);
@@ -99,6 +132,8 @@ export const WalletProvider = ({ children }) => {
       console.error('Error connecting wallet:', err);
       setError(err.message);
       setIsConnected(false);
+      setActiveConnector(null);
+      setConnector(null);
     } finally {
       setIsConnecting(false);
     }
@@ -115,10 +150,13 @@ export const WalletProvider = ({ children }) => {
     setProvider(null);
     setSigner(null);
     setError(null);
+    setActiveConnector(null);
+    setConnector(null);
 
     // Clear localStorage
     localStorage.removeItem(STORAGE_KEYS.WALLET_CONNECTED);
     localStorage.removeItem(STORAGE_KEYS.SELECTED_ACCOUNT);
+    localStorage.removeItem(STORAGE_KEYS.SELECTED_CONNECTOR);
 
     console.log('Wallet disconnected');
   }, []);
@@ -173,72 +211,172 @@ export const WalletProvider = ({ children }) => {
   /**
    * Handle chain changed
    */
-  const handleChainChanged = useCallback((chainIdHex) => {
+  const handleChainChanged = useCallback(async (chainIdHex) => {
     const newChainId = parseInt(chainIdHex, 16);
-    setChainId(newChainId);
     console.log('Chain changed:', newChainId);
-    
-    // Reload the page as recommended by MetaMask
-    window.location.reload();
+
+    // Providers are bound to the network they were created on, so drop them
+    // and rebuild for the new chain instead of reloading the page
+    setProvider(null);
+    setSigner(null);
+    setChainId(newChainId);
+
+    if (account) {
+      await initializeProvider();
+      await loadAccountData(account);
+    }
+  }, [account, initializeProvider, loadAccountData]);
+
+  /**
+   * Discover installed wallets (EIP-6963)
+   */
+  useEffect(() => {
+    return discoverConnectors(setConnectors);
   }, []);
 
   /**
-   * Check if already connected on mount
+   * Reconnect the previously selected wallet on mount
+   * Waits until that wallet has announced itself
    */
   useEffect(() => {
+    if (autoConnectRef.current) return;
+
+    const wasConnected = localStorage.getItem(STORAGE_KEYS.WALLET_CONNECTED);
+    if (wasConnected !== 'true') {
+      autoConnectRef.current = true;
+      return;
+    }
+
+    const connectorId = localStorage.getItem(STORAGE_KEYS.SELECTED_CONNECTOR);
+    // Sessions saved before wallet selection existed used window.ethereum
+    const storedConnector = connectorId
+      ? getConnector(connectorId)
+      : connectors.find(c => c.provider === window.ethereum);
+
+    if (!storedConnector) return;
+    autoConnectRef.current = true;
+
     const checkConnection = async () => {
-      const wasConnected = localStorage.getItem(STORAGE_KEYS.WALLET_CONNECTED);
+      setActiveConnector(storedConnector);
+      const currentAccount = await getCurrentAccount();
       
-      if (wasConnected === 'true') {
-        const currentAccount = await getCurrentAccount();
-        
-        if (currentAccount) {
-          setAccount(currentAccount);
-          setIsConnected(true);
-          await loadAccountData(currentAccount);
-          await initializeProvider();
-        } else {
-          // Clear stale connection
-          localStorage.removeItem(STORAGE_KEYS.WALLET_CONNECTED);
-        }
+      if (currentAccount) {
+        setConnector(storedConnector);
+        setAccount(currentAccount);
+        setIsConnected(true);
+        localStorage.setItem(STORAGE_KEYS.SELECTED_CONNECTOR, storedConnector.id);
+        await loadAccountData(currentAccount);
+        await initializeProvider();
+      } else {
+        // Clear stale connection
+        setActiveConnector(null);
+        localStorage.removeItem(STORAGE_KEYS.WALLET_CONNECTED);
+        localStorage.removeItem(STORAGE_KEYS.SELECTED_CONNECTOR);
       }
     };
 
     checkConnection();
-  }, [loadAccountData, initializeProvider]);
+  }, [connectors, loadAccountData, initializeProvider]);
 
   /**
-   * Setup event listeners
+   * Setup event listeners on the connected wallet
    */
   useEffect(() => {
-    if (typeof window === 'undefined' || !window.ethereum) return;
+    const ethereum = connector?.provider;
+    if (!ethereum?.on) return;
+
+    const handleDisconnect = () => {
+      console.log('Wallet disconnected');
+      disconnectWallet();
+    };
 
     // Listen for account changes
-    window.ethereum.on('accountsChanged', handleAccountsChanged);
+    ethereum.on('accountsChanged', handleAccountsChanged);
     
     // Listen for chain changes
-    window.ethereum.on('chainChanged', handleChainChanged);
+    ethereum.on('chainChanged', handleChainChanged);
 
     // Listen for disconnect
-    window.ethereum.on('disconnect', () => {
-      console.log('Wallet disconnected');
-      disconnectWallet();
-    });
+    ethereum.on('disconnect', handleDisconnect);
 
     // Cleanup listeners
     return () => {
-      if (window.ethereum.removeListener) {
-        window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-        window.ethereum.removeListener('chainChanged', handleChainChanged);
-        window.ethereum.removeListener('disconnect', disconnectWallet);
+      if (ethereum.removeListener) {
+        ethereum.removeListener('accountsChanged', handleAccountsChanged);
+        ethereum.removeListener('chainChanged', handleChainChanged);
+        ethereum.removeListener('disconnect', handleDisconnect);
+      }
+    };
+  }, [connector, handleAccountsChanged, handleChainChanged, disconnectWallet]);
+
+  /**
+   * Resolve the watched address whenever the URL changes
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const resolveWatch = async () => {
+      if (!watchInput) {
+        setWatchAddress(null);
+        setWatchError(null);
+        return;
       }
+
+      setIsResolvingWatch(true);
+      const resolved = await resolveAddress(watchInput);
+      if (cancelled) return;
+
+      setWatchAddress(resolved);
+      setWatchError(resolved ? null : ERROR_MESSAGES.INVALID_ADDRESS);
+      setIsResolvingWatch(false);
+    };
+
+    resolveWatch();
+
+    return () => {
+      cancelled = true;
     };
-  }, [handleAccountsChanged, handleChainChanged, disconnectWallet]);
+  }, [watchInput]);
+
+  /**
+   * Inspect an address or ENS name read-only
+   * The address goes into the URL so the view can be shared
+   */
+  const startWatching = useCallback(async (input) => {
+    const value = input?.trim();
+    if (!value) return;
+
+    await router.replace(
+      { pathname: router.pathname, query: { ...router.query, address: value } },
+      undefined,
+      { shallow: true }
+    );
+  }, [router]);
+
+  /**
+   * Leave watch-only mode
+   */
+  const stopWatching = useCallback(async () => {
+    const query = { ...router.query };
+    delete query.address;
+
+    await router.replace(
+      { pathname: router.pathname, query },
+      undefined,
+      { shallow: true }
+    );
+  }, [router]);
+
+  // Address whose data is displayed: the watched one, else the connected wallet
+  const isWatchOnly = Boolean(watchInput);
+  const viewAddress = isWatchOnly ? watchAddress : account;
 
   /**
    * Check if on correct network
+   * Without a target, any chain with a lending deployment is correct
    */
-  const isCorrectNetwork = useCallback((targetChainId = CHAIN_IDS.ETHEREUM_MAINNET) => {
+  const isCorrectNetwork = useCallback((targetChainId) => {
+    if (targetChainId === undefined) return isLendingSupported(chainId);
     return chainId === targetChainId;
   }, [chainId]);
 
@@ -253,6 +391,14 @@ export const WalletProvider = ({ children }) => {
     error,
     provider,
     signer,
+    connectors,
+    connector,
+    viewAddress,
+    isWatchOnly,
+    watchInput,
+    watchAddress,
+    watchError,
+    isResolvingWatch,
     
     // Methods
     connectWallet,
@@ -260,6 +406,8 @@ export const WalletProvider = ({ children }) => {
     switchNetwork,
     refreshBalance,
     isCorrectNetwork,
+    startWatching,
+    stopWatching,
   };
 
   return (
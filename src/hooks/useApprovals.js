@@ -0,0 +1,134 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { useContract } from './useContract';
+import { useWallet } from './useWallet';
+import { DEFAULTS, ERROR_MESSAGES } from '@/utils/constants';
+import { getApprovals } from '@/services/approvals';
+import { parseAmountInput, toAmountString } from '@/utils/tokenAmount';
+
+/**
+ * Custom hook for the token allowances an account has given to our contracts
+ */
+export const useApprovals = () => {
+  const { viewAddress, chainId } = useWallet();
+  const { tokens, reserves, isWatchOnly, setTokenAllowance } = useContract();
+  const approvalChainId = chainId || DEFAULTS.CHAIN_ID;
+
+  const [approvals, setApprovals] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [updatingKey, setUpdatingKey] = useState(null);
+  const [error, setError] = useState(null);
+  const requestKeyRef = useRef(null);
+
+  /**
+   * Underlying tokens plus their aTokens, which the gateway needs an allowance for
+   */
+  const knownTokens = useMemo(() => {
+    const underlying = tokens
+      .filter(token => !token.isNative)
+      .map(({ address, symbol, decimals }) => ({ address, symbol, decimals }));
+
+    const aTokens = tokens
+      .filter(token => reserves[token.symbol]?.aTokenAddress)
+      .map(token => ({
+        address: reserves[token.symbol].aTokenAddress,
+        symbol: `a${token.isNative ? 'W' : ''}${token.symbol}`,
+        decimals: token.decimals,
+      }));
+
+    return [...underlying, ...aTokens];
+  }, [tokens, reserves]);
+
+  // Reserves arrive after the first render and reload with every refresh; only reload when
+  // the token set changes, reading the latest list through a ref
+  const tokenKey = knownTokens.map(token => token.address).join(',');
+  const knownTokensRef = useRef(knownTokens);
+  knownTokensRef.current = knownTokens;
+
+  /**
+   * Load allowances of the viewed address
+   */
+  const loadApprovals = useCallback(async () => {
+    if (!viewAddress) {
+      setApprovals([]);
+      return;
+    }
+
+    const requestKey = `${viewAddress}:${approvalChainId}:${tokenKey}`;
+    requestKeyRef.current = requestKey;
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await getApprovals(viewAddress, knownTokensRef.current, approvalChainId);
+      if (requestKeyRef.current === requestKey) setApprovals(result);
+    } catch (err) {
+      console.error('Error loading approvals:', err);
+      if (requestKeyRef.current === requestKey) setError(ERROR_MESSAGES.NETWORK_ERROR);
+    } finally {
+      if (requestKeyRef.current === requestKey) setIsLoading(false);
+    }
+  }, [viewAddress, approvalChainId, tokenKey]);
+
+  useEffect(() => {
+    loadApprovals();
+  }, [loadApprovals]);
+
+  /**
+   * Change one allowance and reload the list
+   */
+  const updateAllowance = useCallback(async (approval, amountInWei, amountLabel) => {
+    if (isWatchOnly) {
+      setError(ERROR_MESSAGES.WATCH_ONLY);
+      return false;
+    }
+
+    const key = `${approval.token.address}:${approval.spender.address}`;
+    setUpdatingKey(key);
+    setError(null);
+
+    try {
+      await setTokenAllowance(approval.token.address, approval.spender.address, amountInWei, amountLabel);
+      await loadApprovals();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setUpdatingKey(null);
+    }
+  }, [isWatchOnly, setTokenAllowance, loadApprovals]);
+
+  /**
+   * Revoke an allowance
+   */
+  const revoke = useCallback((approval) => {
+    return updateAllowance(approval, 0n, '0');
+  }, [updateAllowance]);
+
+  /**
+   * Lower (or raise) an allowance to an exact amount
+   */
+  const setExactAllowance = useCallback((approval, amount) => {
+    const parsedAmount = parseAmountInput(amount, approval.token.decimals);
+    if (!parsedAmount) {
+      setError(ERROR_MESSAGES.INVALID_AMOUNT);
+      return Promise.resolve(false);
+    }
+
+    return updateAllowance(approval, parsedAmount.raw, toAmountString(parsedAmount));
+  }, [updateAllowance]);
+
+  return {
+    approvals,
+    unlimitedCount: approvals.filter(approval => approval.isUnlimited).length,
+    isLoading,
+    updatingKey,
+    error,
+    isWatchOnly,
+    refresh: loadApprovals,
+    revoke,
+    setExactAllowance,
+  };
+};
+
+export default useApprovals;
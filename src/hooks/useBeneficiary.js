@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import { useContract } from './useContract';
+import { useWallet } from './useWallet';
+import { DEFAULTS, ERROR_MESSAGES, INTEREST_RATE_MODES } from '@/utils/constants';
+import { isValidAddress, resolveAddress } from '@/utils/web3';
+import {
+  getUserAccountData,
+  getDebtTokenBalance,
+  calculateHealthFactorAfterAction,
+} from '@/services/blockchain';
+import { parseAmountInput, isPositive } from '@/utils/tokenAmount';
+
+/**
+ * Custom hook for the account a supply or repay is made on behalf of
+ * The input may be an address or ENS name. Once resolved, the beneficiary's health factor
+ * is read along with what it would be after the action; for a repay, also the debt owed
+ * in the asset at the chosen rate. `amount` and the debt are token amounts.
+ */
+export const useBeneficiary = ({ input, action, token, amount, rateMode = INTEREST_RATE_MODES.VARIABLE, enabled = true }) => {
+  const { account, chainId } = useWallet();
+  const { reserves } = useContract();
+  const beneficiaryChainId = chainId || DEFAULTS.CHAIN_ID;
+
+  const [address, setAddress] = useState(null);
+  const [isResolving, setIsResolving] = useState(false);
+  const [error, setError] = useState(null);
+  const [healthFactor, setHealthFactor] = useState(null);
+  const [newHealthFactor, setNewHealthFactor] = useState(null);
+  const [debt, setDebt] = useState(null);
+
+  const value = input?.trim() || '';
+
+  // Resolve the typed address or ENS name
+  useEffect(() => {
+    let isCurrent = true;
+
+    setAddress(null);
+    setError(null);
+
+    if (!enabled || !value) {
+      setIsResolving(false);
+      return undefined;
+    }
+
+    if (!isValidAddress(value) && !value.includes('.')) {
+      setError(ERROR_MESSAGES.INVALID_ADDRESS);
+      return undefined;
+    }
+
+    setIsResolving(true);
+    resolveAddress(value)
+      .then((resolved) => {
+        if (!isCurrent) return;
+        if (!resolved) {
+          setError(ERROR_MESSAGES.INVALID_ADDRESS);
+        } else if (resolved.toLowerCase() === account?.toLowerCase()) {
+          setError('Enter another account, or turn off "on behalf of" to use your own');
+        } else {
+          setAddress(resolved);
+        }
+      })
+      .finally(() => {
+        if (isCurrent) setIsResolving(false);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [enabled, value, account]);
+
+  const reserve = token ? reserves[token.symbol] : null;
+  const debtTokenAddress = rateMode === INTEREST_RATE_MODES.STABLE
+    ? reserve?.stableDebtTokenAddress
+    : reserve?.variableDebtTokenAddress;
+
+  // Read the beneficiary's position once the address is known
+  useEffect(() => {
+    let isCurrent = true;
+
+    if (!address || !token) {
+      setHealthFactor(null);
+      setNewHealthFactor(null);
+      setDebt(null);
+      return undefined;
+    }
+
+    const previewAction = action === 'deposit' ? 'supply' : action;
+
+    const load = async () => {
+      try {
+        const [accountData, after, debtBalance] = await Promise.all([
+          getUserAccountData(address, beneficiaryChainId),
+          isPositive(amount)
+            ? calculateHealthFactorAfterAction(address, token.address, amount, previewAction, beneficiaryChainId)
+            : null,
+          action === 'repay' && debtTokenAddress
+            ? getDebtTokenBalance(debtTokenAddress, address, token.decimals, beneficiaryChainId)
+            : null,
+        ]);
+        if (!isCurrent) return;
+
+        const current = accountData.totalDebtETH === 0 ? Infinity : accountData.healthFactor;
+        setHealthFactor(current);
+        setNewHealthFactor(after ?? current);
+        setDebt(debtBalance === null ? null : parseAmountInput(debtBalance, token.decimals));
+      } catch (err) {
+        if (!isCurrent) return;
+        console.error('Error loading beneficiary position:', err);
+        setError(ERROR_MESSAGES.NETWORK_ERROR);
+      }
+    };
+
+    load();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [address, action, token, amount, debtTokenAddress, beneficiaryChainId]);
+
+  return {
+    address,
+    isResolving,
+    error,
+    healthFactor,
+    newHealthFactor,
+    debt,
+  };
+};
+
+export default useBeneficiary;
@@ -1,26 +1,48 @@
 import { useState, useCallback, useMemo } from 'react';
 import { useContract } from './useContract';
 import { useWallet } from './useWallet';
-import { SUPPORTED_TOKENS, HEALTH_FACTOR } from '@/utils/constants';
+import { HEALTH_FACTOR, ERROR_MESSAGES } from '@/utils/constants';
 import { formatCurrency, formatPercent, formatHealthFactor, getHealthFactorStatus } from '@/utils/formatters';
+import {
+  isPositive,
+  compareAmounts,
+  scaleAmount,
+  toNumber,
+  toWad,
+  fromWad,
+  getAmountValue,
+  getAmountForValue,
+  getValueRatio,
+} from '@/utils/tokenAmount';
+import { wadMul, wadDiv } from '@/utils/rayMath';
+
+// Relative gap tolerated between the health factor rebuilt from positions and the pool's own
+const HEALTH_FACTOR_TOLERANCE = 0.01;
 
 /**
  * Custom hook for borrow operations
  */
 export const useBorrow = () => {
   const { 
+    supplies,
     borrows, 
     totalBorrowed,
     totalSupplied,
     healthFactor,
     availableToBorrow,
+    liquidationThreshold,
+    baseUsdPrice,
     borrow: borrowFromPool, 
     repay: repayToPool,
+    repayOnBehalf: repayOnBehalfToPool,
+    switchRateMode: switchRateModeOfPool,
+    tokens,
+    reserves,
     isLoading,
     error: contractError 
   } = useContract();
   
-  const { isConnected } = useWallet();
+  const { isConnected, isWatchOnly } = useWallet();
   
   const [selectedToken, setSelectedToken] = useState(null);
   const [borrowAmount, setBorrowAmount] = useState('');
@@ -92,30 +114,60 @@ export const useBorrow = () => {
   }, [healthFactor]);
 
   /**
-   * Calculate max borrowable amount for a token
+   * Calculate max borrowable amount for a token, as a token amount
    */
   const getMaxBorrowable = useCallback((token) => {
     // Max borrowable is based on available borrow capacity
-    // Convert from ETH value to token amount
-    const maxInToken = availableToBorrow / token.price;
-    return maxInToken * 0.99; // 99% to account for slippage and safety
-  }, [availableToBorrow]);
+    // Convert from the base currency to USD, then to a token amount
+    const maxInToken = getAmountForValue(toWad(availableToBorrow * baseUsdPrice), token.price, token.decimals);
+    return scaleAmount(maxInToken, 9900); // 99% to account for slippage and safety
+  }, [availableToBorrow, baseUsdPrice]);
+
+  /**
+   * Convert a USD value to the market's base currency, in which account data is reported
+   */
+  const toBaseValue = useCallback((usdValue) => {
+    const baseUsdWad = toWad(baseUsdPrice);
+    return baseUsdWad > 0n ? wadDiv(usdValue, baseUsdWad) : null;
+  }, [baseUsdPrice]);
 
   /**
-   * Calculate new health factor after borrow
+   * Value of the supplies used as collateral, each weighted by its reserve's liquidation
+   * threshold, in wad of the base currency
+   * Rebuilt from positions, it must give the pool's health factor for the current debt. When
+   * it doesn't (stale prices, a reserve that didn't load), the account's weighted collateral
+   * from getUserAccountData is used instead.
+   */
+  const weightedCollateral = useMemo(() => {
+    const accountCollateral = toWad(totalSupplied * liquidationThreshold);
+    if (totalBorrowed === 0) return accountCollateral;
+
+    const collateralUsd = supplies
+      .filter(supply => supply.usageAsCollateralEnabled)
+      .reduce((sum, supply) => {
+        const threshold = reserves[supply.token.symbol]?.liquidationThreshold ?? 0;
+        return sum + wadMul(getAmountValue(supply.balance, supply.token.price), toWad(threshold));
+      }, 0n);
+    const collateral = toBaseValue(collateralUsd);
+    if (collateral === null) return accountCollateral;
+
+    const currentHealthFactor = getValueRatio(collateral, toWad(totalBorrowed));
+    const isInSync = Math.abs(currentHealthFactor - healthFactor) <= healthFactor * HEALTH_FACTOR_TOLERANCE;
+    return isInSync ? collateral : accountCollateral;
+  }, [supplies, reserves, totalSupplied, totalBorrowed, liquidationThreshold, healthFactor, toBaseValue]);
+
+  /**
+   * Calculate new health factor after borrowing a token amount
+   * Without a base currency price the borrow can't be valued, so it counts as unsafe.
    */
   const calculateNewHealthFactor = useCallback((borrowAmount, token) => {
-    if (!borrowAmount || parseFloat(borrowAmount) === 0) return healthFactor;
-    
-    const borrowValue = parseFloat(borrowAmount) * token.price;
-    const newTotalBorrowed = totalBorrowed + borrowValue;
-    
-    if (newTotalBorrowed === 0) return Infinity;
-    
-    // Simplified calculation - actual calculation would use liquidation threshold
-    const newHealthFactor = (totalSupplied * 0.85) / newTotalBorrowed;
-    return newHealthFactor;
-  }, [healthFactor, totalBorrowed, totalSupplied]);
+    if (!isPositive(borrowAmount)) return healthFactor;
+
+    const borrowValue = toBaseValue(getAmountValue(borrowAmount, token.price));
+    if (borrowValue === null) return 0;
+
+    return getValueRatio(weightedCollateral, toWad(totalBorrowed) + borrowValue);
+  }, [healthFactor, totalBorrowed, weightedCollateral, toBaseValue]);
 
   /**
    * Get borrow by ID
@@ -132,12 +184,14 @@ export const useBorrow = () => {
   }, [borrows]);
 
   /**
-   * Validate borrow amount
+   * Validate borrow amount, a token amount
+   * A borrow against a delegated credit line is checked against the remaining allowance
+   * instead of the account's own borrowing capacity.
    */
-  const validateBorrowAmount = useCallback((amount, token) => {
+  const validateBorrowAmount = useCallback((amount, token, creditLimit = null) => {
     setError(null);
 
-    if (!amount || parseFloat(amount) <= 0) {
+    if (!isPositive(amount)) {
       setError('Please enter a valid amount');
       return false;
     }
@@ -147,11 +201,18 @@ export const useBorrow = () => {
       return false;
     }
 
-    const amountNum = parseFloat(amount);
+    if (creditLimit !== null) {
+      if (compareAmounts(amount, creditLimit) > 0) {
+        setError(`The delegated credit line allows ${toNumber(creditLimit).toFixed(4)} ${token.symbol}`);
+        return false;
+      }
+      return true;
+    }
+
     const maxBorrowable = getMaxBorrowable(token);
 
-    if (amountNum > maxBorrowable) {
-      setError(`Maximum borrowable amount is ${maxBorrowable.toFixed(4)} ${token.symbol}`);
+    if (compareAmounts(amount, maxBorrowable) > 0) {
+      setError(`Maximum borrowable amount is ${toNumber(maxBorrowable).toFixed(4)} ${token.symbol}`);
       return false;
     }
 
@@ -167,20 +228,26 @@ export const useBorrow = () => {
 
   /**
    * Borrow tokens
+   * With `onBehalfOf` the borrow draws on that account's credit line, up to `creditLimit`.
    */
-  const borrow = useCallback(async (token, amount) => {
+  const borrow = useCallback(async (token, amount, { creditLimit = null, ...options } = {}) => {
+    if (isWatchOnly) {
+      setError(ERROR_MESSAGES.WATCH_ONLY);
+      return null;
+    }
+
     if (!isConnected) {
       setError('Please connect your wallet');
       return null;
     }
 
-    if (!validateBorrowAmount(amount, token)) {
+    if (!validateBorrowAmount(amount, token, options.onBehalfOf ? creditLimit : null)) {
       return null;
     }
 
     try {
       setError(null);
-      const receipt = await borrowFromPool(token, amount);
+      const receipt = await borrowFromPool(token, amount, options);
       
       // Reset form
       setBorrowAmount('');
@@ -191,12 +258,17 @@ export const useBorrow = () => {
       setError(err.message || 'Failed to borrow tokens');
       throw err;
     }
-  }, [isConnected, validateBorrowAmount, borrowFromPool]);
+  }, [isConnected, isWatchOnly, validateBorrowAmount, borrowFromPool]);
 
   /**
-   * Repay borrowed tokens
+   * Repay borrowed tokens; without an amount the whole debt is repaid
    */
-  const repay = useCallback(async (borrowId, amount = null) => {
+  const repay = useCallback(async (borrowId, amount = null, options = {}) => {
+    if (isWatchOnly) {
+      setError(ERROR_MESSAGES.WATCH_ONLY);
+      return null;
+    }
+
     if (!isConnected) {
       setError('Please connect your wallet');
       return null;
@@ -204,26 +276,74 @@ export const useBorrow = () => {
 
     try {
       setError(null);
-      const receipt = await repayToPool(borrowId, amount);
-      return receipt;
+      const result = await repayToPool(borrowId, amount, options);
+      return result;
+    } catch (err) {
+      setError(err.message || 'Failed to repay tokens');
+      throw err;
+    }
+  }, [isConnected, isWatchOnly, repayToPool]);
+
+  /**
+   * Repay part of another account's debt
+   */
+  const repayOnBehalf = useCallback(async (onBehalfOf, token, rateMode, amount, options = {}) => {
+    if (isWatchOnly) {
+      setError(ERROR_MESSAGES.WATCH_ONLY);
+      return null;
+    }
+
+    if (!isConnected) {
+      setError('Please connect your wallet');
+      return null;
+    }
+
+    try {
+      setError(null);
+      const result = await repayOnBehalfToPool(onBehalfOf, token, rateMode, amount, options);
+      return result;
     } catch (err) {
       setError(err.message || 'Failed to repay tokens');
       throw err;
     }
-  }, [isConnected, repayToPool]);
+  }, [isConnected, isWatchOnly, repayOnBehalfToPool]);
+
+  /**
+   * Switch a borrow between the stable and variable rate
+   */
+  const switchRateMode = useCallback(async (borrowId, options = {}) => {
+    if (isWatchOnly) {
+      setError(ERROR_MESSAGES.WATCH_ONLY);
+      return null;
+    }
+
+    if (!isConnected) {
+      setError('Please connect your wallet');
+      return null;
+    }
+
+    try {
+      setError(null);
+      const receipt = await switchRateModeOfPool(borrowId, options);
+      return receipt;
+    } catch (err) {
+      setError(err.message || 'Failed to switch rate mode');
+      throw err;
+    }
+  }, [isConnected, isWatchOnly, switchRateModeOfPool]);
 
   /**
    * Get available tokens for borrow
    */
   const availableTokens = useMemo(() => {
-    return SUPPORTED_TOKENS.map(token => ({
+    return tokens.map(token => ({
       ...token,
       currentBorrow: borrows
         .filter(b => b.token.symbol === token.symbol)
         .reduce((sum, b) => sum + b.amount, 0),
       maxBorrowable: getMaxBorrowable(token),
     }));
-  }, [borrows, getMaxBorrowable]);
+  }, [tokens, borrows, getMaxBorrowable]);
 
   /**
    * Get largest borrow by value
@@ -256,7 +376,8 @@ export const useBorrow = () => {
       dailyInterest: formatCurrency(estimatedInterest.daily),
       monthlyInterest: formatCurrency(estimatedInterest.monthly),
       yearlyInterest: formatCurrency(estimatedInterest.yearly),
-      healthFactor: formatHealthFactor(totalSupplied, totalBorrowed),
+      // The collateral is already weighted by its liquidation thresholds
+      healthFactor: formatHealthFactor(fromWad(weightedCollateral), totalBorrowed, 1),
       healthFactorStatus,
       collateralRatio: formatPercent(collateralRatio),
       utilizationRate: formatPercent(utilizationRate),
@@ -267,7 +388,7 @@ export const useBorrow = () => {
     averageBorrowAPY, 
     borrows.length, 
     estimatedInterest,
-    totalSupplied,
+    weightedCollateral,
     healthFactorStatus,
     collateralRatio,
     utilizationRate,
@@ -305,6 +426,8 @@ export const useBorrow = () => {
     // Methods
     borrow,
     repay,
+    repayOnBehalf,
+    switchRateMode,
     getBorrowById,
     getBorrowsByToken,
     validateBorrowAmount,
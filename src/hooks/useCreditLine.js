@@ -0,0 +1,86 @@
+import { useState, useEffect } from 'react';
+import { useContract } from './useContract';
+import { useWallet } from './useWallet';
+import { DEFAULTS, ERROR_MESSAGES, INTEREST_RATE_MODES } from '@/utils/constants';
+import { resolveAddress } from '@/utils/web3';
+import { getBorrowAllowance } from '@/services/delegation';
+import { createTokenAmount } from '@/utils/tokenAmount';
+
+/**
+ * Custom hook for the credit line a delegator gave the connected account on one asset
+ * The delegator may be typed as an address or ENS name; the remaining allowance is read
+ * live whenever the asset, rate or delegator change, as a token amount.
+ */
+export const useCreditLine = ({ token, rateMode, delegator, enabled = true }) => {
+  const { account, chainId } = useWallet();
+  const { reserves } = useContract();
+
+  const [delegatorAddress, setDelegatorAddress] = useState(null);
+  const [allowance, setAllowance] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reserve = token ? reserves[token.symbol] : null;
+  const debtTokenAddress = rateMode === INTEREST_RATE_MODES.STABLE
+    ? reserve?.stableDebtTokenAddress
+    : reserve?.variableDebtTokenAddress;
+  // Token entries are rebuilt with every price update; only their decimals matter here
+  const decimals = token?.decimals;
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    setDelegatorAddress(null);
+    setAllowance(null);
+    setError(null);
+
+    if (!enabled || !account || !debtTokenAddress || !delegator?.trim()) {
+      setIsLoading(false);
+      return undefined;
+    }
+
+    const load = async () => {
+      setIsLoading(true);
+
+      try {
+        const address = await resolveAddress(delegator);
+        if (!isCurrent) return;
+
+        if (!address) {
+          setError(ERROR_MESSAGES.INVALID_ADDRESS);
+          return;
+        }
+
+        if (address.toLowerCase() === account.toLowerCase()) {
+          setError('Enter the address of the account that delegated to you');
+          return;
+        }
+
+        const remaining = await getBorrowAllowance(debtTokenAddress, address, account, chainId || DEFAULTS.CHAIN_ID);
+        if (!isCurrent) return;
+
+        setDelegatorAddress(address);
+        setAllowance(createTokenAmount(remaining, decimals));
+      } catch (err) {
+        if (isCurrent) setError(ERROR_MESSAGES.NETWORK_ERROR);
+      } finally {
+        if (isCurrent) setIsLoading(false);
+      }
+    };
+
+    load();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [enabled, account, chainId, debtTokenAddress, delegator, decimals]);
+
+  return {
+    delegatorAddress,
+    allowance,
+    isLoading,
+    error,
+  };
+};
+
+export default useCreditLine;
@@ -0,0 +1,171 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { useContract } from './useContract';
+import { useWallet } from './useWallet';
+import { DEFAULTS, ERROR_MESSAGES, INTEREST_RATE_MODES } from '@/utils/constants';
+import { resolveAddress } from '@/utils/web3';
+import { getDelegations } from '@/services/delegation';
+import { parseAmountInput, isPositive, toAmountString } from '@/utils/tokenAmount';
+
+/**
+ * Custom hook for credit delegation: borrowing power the account delegated, and credit
+ * lines delegated to it
+ */
+export const useDelegation = () => {
+  const { viewAddress, chainId } = useWallet();
+  const { tokens, reserves, isWatchOnly, approveDelegation } = useContract();
+  const delegationChainId = chainId || DEFAULTS.CHAIN_ID;
+
+  const [delegations, setDelegations] = useState({ given: [], received: [] });
+  const [isLoading, setIsLoading] = useState(false);
+  const [updatingKey, setUpdatingKey] = useState(null);
+  const [error, setError] = useState(null);
+  const requestKeyRef = useRef(null);
+
+  /**
+   * Variable and stable debt tokens of the borrowable reserves
+   */
+  const debtTokens = useMemo(() => {
+    return tokens.flatMap((token) => {
+      const reserve = reserves[token.symbol];
+      if (!reserve) return [];
+
+      const { address, symbol, decimals } = token;
+      const debtTokenList = [];
+      if (reserve.variableDebtTokenAddress) {
+        debtTokenList.push({
+          address: reserve.variableDebtTokenAddress,
+          token: { address, symbol, decimals },
+          rateMode: INTEREST_RATE_MODES.VARIABLE,
+        });
+      }
+      if (token.stableBorrowEnabled && reserve.stableDebtTokenAddress) {
+        debtTokenList.push({
+          address: reserve.stableDebtTokenAddress,
+          token: { address, symbol, decimals },
+          rateMode: INTEREST_RATE_MODES.STABLE,
+        });
+      }
+      return debtTokenList;
+    });
+  }, [tokens, reserves]);
+
+  /**
+   * Assets credit can be delegated on, with whether the stable rate is available
+   */
+  const delegatableTokens = useMemo(() => {
+    return tokens
+      .filter(token => reserves[token.symbol]?.variableDebtTokenAddress)
+      .map(token => ({
+        ...token,
+        stableDelegationEnabled: Boolean(token.stableBorrowEnabled && reserves[token.symbol].stableDebtTokenAddress),
+      }));
+  }, [tokens, reserves]);
+
+  // Reserves arrive after the first render; only reload when the debt token set changes.
+  // Every refresh rebuilds the list, so the loader reads it through a ref.
+  const debtTokenKey = debtTokens.map(debtToken => debtToken.address).join(',');
+  const debtTokensRef = useRef(debtTokens);
+  debtTokensRef.current = debtTokens;
+
+  /**
+   * Load delegations of the viewed address
+   */
+  const loadDelegations = useCallback(async () => {
+    if (!viewAddress) {
+      setDelegations({ given: [], received: [] });
+      return;
+    }
+
+    const requestKey = `${viewAddress}:${delegationChainId}:${debtTokenKey}`;
+    requestKeyRef.current = requestKey;
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await getDelegations(viewAddress, debtTokensRef.current, delegationChainId);
+      if (requestKeyRef.current === requestKey) setDelegations(result);
+    } catch (err) {
+      console.error('Error loading delegations:', err);
+      if (requestKeyRef.current === requestKey) setError(ERROR_MESSAGES.NETWORK_ERROR);
+    } finally {
+      if (requestKeyRef.current === requestKey) setIsLoading(false);
+    }
+  }, [viewAddress, delegationChainId, debtTokenKey]);
+
+  useEffect(() => {
+    loadDelegations();
+  }, [loadDelegations]);
+
+  /**
+   * Set the borrowing power of a delegatee on one debt token and reload the list
+   */
+  const updateDelegation = useCallback(async (token, rateMode, delegatee, amountInWei, amountLabel) => {
+    if (isWatchOnly) {
+      setError(ERROR_MESSAGES.WATCH_ONLY);
+      return false;
+    }
+
+    const key = `${token.symbol}:${rateMode}:${delegatee}`;
+    setUpdatingKey(key);
+    setError(null);
+
+    try {
+      await approveDelegation(token, rateMode, delegatee, amountInWei, amountLabel);
+      await loadDelegations();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setUpdatingKey(null);
+    }
+  }, [isWatchOnly, approveDelegation, loadDelegations]);
+
+  /**
+   * Delegate borrowing power on an asset to an address or ENS name
+   */
+  const delegate = useCallback(async (token, rateMode, delegateeInput, amount) => {
+    setError(null);
+
+    const delegatee = await resolveAddress(delegateeInput);
+    if (!delegatee) {
+      setError(ERROR_MESSAGES.INVALID_ADDRESS);
+      return false;
+    }
+
+    if (delegatee.toLowerCase() === viewAddress?.toLowerCase()) {
+      setError('You cannot delegate credit to yourself');
+      return false;
+    }
+
+    const parsedAmount = parseAmountInput(amount, token.decimals);
+    if (!isPositive(parsedAmount)) {
+      setError(ERROR_MESSAGES.INVALID_AMOUNT);
+      return false;
+    }
+
+    return updateDelegation(token, rateMode, delegatee, parsedAmount.raw, toAmountString(parsedAmount));
+  }, [viewAddress, updateDelegation]);
+
+  /**
+   * Revoke a delegation given by the account
+   */
+  const revoke = useCallback((delegation) => {
+    return updateDelegation(delegation.token, delegation.rateMode, delegation.delegatee, 0n, '0');
+  }, [updateDelegation]);
+
+  return {
+    delegatableTokens,
+    given: delegations.given,
+    received: delegations.received,
+    isLoading,
+    updatingKey,
+    error,
+    isWatchOnly,
+    refresh: loadDelegations,
+    delegate,
+    revoke,
+  };
+};
+
+export default useDelegation;
@@ -0,0 +1,92 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useContract } from './useContract';
+import { useWallet } from './useWallet';
+import { DEFAULTS, ERROR_MESSAGES } from '@/utils/constants';
+import { rayToPercent } from '@/utils/rayMath';
+import { isPositive } from '@/utils/tokenAmount';
+import {
+  getInterestRateModel,
+  calculateInterestRates,
+  toRatePercents,
+  getRateCurve,
+  simulateInterestRates,
+} from '@/services/interestRates';
+
+/**
+ * Custom hook for the interest rate model of one reserve
+ * The model is read whenever the reserve data reloads; the curve, the current point and
+ * what-if rates are then calculated locally, so previewing an amount costs no request.
+ */
+export const useInterestRateModel = (token) => {
+  const { chainId } = useWallet();
+  const { reserves } = useContract();
+
+  const [model, setModel] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reserve = token ? reserves[token.symbol] : null;
+  // Token entries are rebuilt with every price update; the model only needs these two
+  const tokenAddress = token?.address;
+  const symbol = token?.symbol;
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    setModel(null);
+    setError(null);
+
+    if (!reserve?.interestRateStrategyAddress) {
+      setIsLoading(false);
+      return undefined;
+    }
+
+    const load = async () => {
+      setIsLoading(true);
+
+      try {
+        const result = await getInterestRateModel({ address: tokenAddress, symbol }, reserve, chainId || DEFAULTS.CHAIN_ID);
+        if (isCurrent) setModel(result);
+      } catch (err) {
+        if (isCurrent) setError(ERROR_MESSAGES.NETWORK_ERROR);
+      } finally {
+        if (isCurrent) setIsLoading(false);
+      }
+    };
+
+    load();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [chainId, reserve, tokenAddress, symbol]);
+
+  const curve = useMemo(() => (model ? getRateCurve(model) : []), [model]);
+
+  const current = useMemo(() => {
+    return model ? toRatePercents(calculateInterestRates(model, model.state)) : null;
+  }, [model]);
+
+  /**
+   * Rates after supplying or borrowing a token amount, in percent
+   * Null without a model or amount, or when the reserve can't lend the amount.
+   */
+  const simulate = useCallback((action, amount) => {
+    if (!model || !isPositive(amount)) return null;
+
+    const rates = simulateInterestRates(model, action, amount);
+    return rates ? toRatePercents(rates) : null;
+  }, [model]);
+
+  return {
+    model,
+    curve,
+    current,
+    optimalUtilization: model ? rayToPercent(model.optimalUtilization) : null,
+    isLoading,
+    error,
+    simulate,
+  };
+};
+
+export default useInterestRateModel;
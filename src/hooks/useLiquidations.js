@@ -0,0 +1,101 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { useContract } from './useContract';
+import { useWallet } from './useWallet';
+import { DEFAULTS, ERROR_MESSAGES } from '@/utils/constants';
+import { getLiquidationOpportunities } from '@/services/liquidation';
+
+/**
+ * Custom hook for the liquidator console: recent borrowers below a health factor of 1,
+ * with the best pair to liquidate for each
+ * Scanning only reads the chain, so it works without a wallet; liquidating needs one.
+ */
+export const useLiquidations = () => {
+  const { account, chainId } = useWallet();
+  const { isWatchOnly, liquidate: liquidateAccount } = useContract();
+  const liquidationChainId = chainId || DEFAULTS.CHAIN_ID;
+
+  const [opportunities, setOpportunities] = useState([]);
+  const [scanned, setScanned] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [liquidatingUser, setLiquidatingUser] = useState(null);
+  const [error, setError] = useState(null);
+  const requestKeyRef = useRef(null);
+
+  /**
+   * Scan recent borrowers for liquidatable accounts
+   */
+  const loadOpportunities = useCallback(async () => {
+    const requestKey = `${liquidationChainId}:${Date.now()}`;
+    requestKeyRef.current = requestKey;
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await getLiquidationOpportunities(liquidationChainId);
+      if (requestKeyRef.current !== requestKey) return;
+
+      setOpportunities(result.opportunities);
+      setScanned(result.scanned);
+    } catch (err) {
+      console.error('Error loading liquidation opportunities:', err);
+      if (requestKeyRef.current === requestKey) setError(ERROR_MESSAGES.NETWORK_ERROR);
+    } finally {
+      if (requestKeyRef.current === requestKey) setIsLoading(false);
+    }
+  }, [liquidationChainId]);
+
+  useEffect(() => {
+    setOpportunities([]);
+    setScanned(0);
+    loadOpportunities();
+  }, [loadOpportunities]);
+
+  /**
+   * Liquidate an opportunity, taking the collateral as aTokens or as the underlying asset
+   * Resolves with the amounts settled, or null if the liquidation failed.
+   */
+  const liquidate = useCallback(async (opportunity, receiveAToken) => {
+    if (!account) {
+      setError(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+      return null;
+    }
+
+    if (isWatchOnly) {
+      setError(ERROR_MESSAGES.WATCH_ONLY);
+      return null;
+    }
+
+    setLiquidatingUser(opportunity.user);
+    setError(null);
+
+    try {
+      const result = await liquidateAccount({
+        user: opportunity.user,
+        debtToken: opportunity.debtToken,
+        collateralToken: opportunity.collateralToken,
+        debtToCover: opportunity.debtToCover,
+        receiveAToken,
+      });
+      await loadOpportunities();
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setLiquidatingUser(null);
+    }
+  }, [account, isWatchOnly, liquidateAccount, loadOpportunities]);
+
+  return {
+    opportunities,
+    scanned,
+    isLoading,
+    liquidatingUser,
+    error,
+    canLiquidate: Boolean(account) && !isWatchOnly,
+    refresh: loadOpportunities,
+    liquidate,
+  };
+};
+
+export default useLiquidations;
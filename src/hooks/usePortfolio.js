@@ -0,0 +1,171 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { useWallet } from './useWallet';
+import { STORAGE_KEYS, DEFAULTS, ERROR_MESSAGES } from '@/utils/constants';
+import { isLendingSupported } from '@/utils/networks';
+import { resolveAddress } from '@/utils/web3';
+import { getPortfolio } from '@/services/portfolio';
+
+/**
+ * Read saved portfolio addresses from localStorage
+ * @returns {object[]} [{ address, label }]
+ */
+const loadTrackedAddresses = () => {
+  if (typeof window === 'undefined') return [];
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.PORTFOLIO_ADDRESSES));
+    return Array.isArray(saved) ? saved : [];
+  } catch (err) {
+    console.error('Error reading portfolio addresses:', err);
+    return [];
+  }
+};
+
+/**
+ * Custom hook for a portfolio aggregated over several saved addresses
+ * Addresses and labels are kept in localStorage only.
+ */
+export const usePortfolio = () => {
+  const { chainId } = useWallet();
+  const portfolioChainId = chainId || DEFAULTS.CHAIN_ID;
+
+  const [trackedAddresses, setTrackedAddresses] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestKeyRef = useRef(null);
+
+  // Positions only need reloading when the address set changes, not on relabel
+  const addressKey = trackedAddresses.map(item => item.address).join(',');
+
+  /**
+   * Load saved addresses on mount
+   */
+  useEffect(() => {
+    setTrackedAddresses(loadTrackedAddresses());
+  }, []);
+
+  /**
+   * Save and apply a new address list
+   */
+  const saveTrackedAddresses = useCallback((next) => {
+    setTrackedAddresses(next);
+    localStorage.setItem(STORAGE_KEYS.PORTFOLIO_ADDRESSES, JSON.stringify(next));
+  }, []);
+
+  /**
+   * Add an address or ENS name to the portfolio
+   */
+  const addAddress = useCallback(async (input, label = '') => {
+    setError(null);
+
+    const address = await resolveAddress(input);
+    if (!address) {
+      setError(ERROR_MESSAGES.INVALID_ADDRESS);
+      return false;
+    }
+
+    if (trackedAddresses.some(item => item.address === address)) {
+      setError('Address is already in the portfolio');
+      return false;
+    }
+
+    // ENS names make a good default label
+    const defaultLabel = input.trim().startsWith('0x') ? '' : input.trim();
+    saveTrackedAddresses([
+      ...trackedAddresses,
+      { address, label: label.trim() || defaultLabel },
+    ]);
+    return true;
+  }, [trackedAddresses, saveTrackedAddresses]);
+
+  /**
+   * Remove an address from the portfolio
+   */
+  const removeAddress = useCallback((address) => {
+    saveTrackedAddresses(trackedAddresses.filter(item => item.address !== address));
+  }, [trackedAddresses, saveTrackedAddresses]);
+
+  /**
+   * Rename an address
+   */
+  const updateLabel = useCallback((address, label) => {
+    saveTrackedAddresses(
+      trackedAddresses.map(item => (
+        item.address === address ? { ...item, label: label.trim() } : item
+      ))
+    );
+  }, [trackedAddresses, saveTrackedAddresses]);
+
+  /**
+   * Load positions of every tracked address
+   */
+  const refresh = useCallback(async () => {
+    const requestKey = `${addressKey}:${portfolioChainId}`;
+    requestKeyRef.current = requestKey;
+
+    if (!addressKey) {
+      setAccounts([]);
+      setTotals(null);
+      return;
+    }
+
+    if (!isLendingSupported(portfolioChainId)) {
+      setError(ERROR_MESSAGES.UNSUPPORTED_NETWORK);
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const portfolio = await getPortfolio(addressKey.split(','), portfolioChainId);
+
+      // Ignore results for an address set or chain that is no longer selected
+      if (requestKeyRef.current !== requestKey) return;
+
+      setAccounts(portfolio.accounts);
+      setTotals(portfolio.totals);
+    } catch (err) {
+      console.error('Error loading portfolio:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [addressKey, portfolioChainId]);
+
+  /**
+   * Accounts with their local labels
+   */
+  const labeledAccounts = useMemo(() => {
+    return accounts.map(account => ({
+      ...account,
+      label: trackedAddresses.find(item => item.address === account.address)?.label || '',
+    }));
+  }, [accounts, trackedAddresses]);
+
+  /**
+   * Reload when the address list or chain changes
+   */
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    // State
+    trackedAddresses,
+    accounts: labeledAccounts,
+    totals,
+    isLoading,
+    error,
+
+    // Methods
+    addAddress,
+    removeAddress,
+    updateLabel,
+    refresh,
+  };
+};
+
+export default usePortfolio;
@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useContract } from './useContract';
+import { ERROR_MESSAGES } from '@/utils/constants';
+import { isPositive } from '@/utils/tokenAmount';
+
+export const SIMULATION_STATUS = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  PASSED: 'passed',
+  FAILED: 'failed',
+};
+
+/**
+ * Custom hook that simulates a pool action before it is confirmed
+ * Runs whenever the inputs change while enabled; only the latest run is kept. `amount` is a
+ * token amount, so callers should keep it stable between renders. With `isMax` a
+ * withdraw or repay is simulated for the whole position and `amount` is ignored. With
+ * `onBehalfOf` a borrow is simulated against that account's delegated credit line.
+ */
+export const useSimulation = ({
+  action,
+  token,
+  amount,
+  aTokenAddress = null,
+  rateMode,
+  onBehalfOf = null,
+  isMax = false,
+  enabled = true,
+}) => {
+  const { simulateTransaction, isWatchOnly } = useContract();
+
+  const [status, setStatus] = useState(SIMULATION_STATUS.IDLE);
+  const [error, setError] = useState(null);
+  const [needsApproval, setNeedsApproval] = useState(false);
+  const runIdRef = useRef(0);
+
+  const canSimulate = enabled && !isWatchOnly && Boolean(token) && (isMax || isPositive(amount));
+
+  /**
+   * Run the simulation against the current block
+   */
+  const run = useCallback(async () => {
+    const runId = ++runIdRef.current;
+
+    if (!canSimulate) {
+      setStatus(SIMULATION_STATUS.IDLE);
+      setError(null);
+      setNeedsApproval(false);
+      return;
+    }
+
+    setStatus(SIMULATION_STATUS.RUNNING);
+    setError(null);
+
+    try {
+      const result = await simulateTransaction(
+        action,
+        token,
+        isMax ? null : amount,
+        aTokenAddress,
+        rateMode,
+        onBehalfOf
+      );
+      if (runId !== runIdRef.current) return;
+
+      setNeedsApproval(result.needsApproval);
+      setError(result.success ? null : (result.error || ERROR_MESSAGES.SIMULATION_FAILED));
+      setStatus(result.success ? SIMULATION_STATUS.PASSED : SIMULATION_STATUS.FAILED);
+    } catch (err) {
+      if (runId !== runIdRef.current) return;
+      console.error('Error simulating transaction:', err);
+      setNeedsApproval(false);
+      setError(err.message || ERROR_MESSAGES.SIMULATION_FAILED);
+      setStatus(SIMULATION_STATUS.FAILED);
+    }
+  }, [canSimulate, simulateTransaction, action, token, amount, aTokenAddress, rateMode, onBehalfOf, isMax]);
+
+  useEffect(() => {
+    run();
+  }, [run]);
+
+  // Ignore results that arrive after unmount
+  useEffect(() => {
+    return () => {
+      runIdRef.current += 1;
+    };
+  }, []);
+
+  return {
+    status,
+    error,
+    needsApproval,
+    isRunning: status === SIMULATION_STATUS.RUNNING,
+    isPassed: status === SIMULATION_STATUS.PASSED,
+    rerun: run,
+  };
+};
+
+export default useSimulation;
@@ -1,8 +1,9 @@
 import { useState, useCallback, useMemo } from 'react';
 import { useContract } from './useContract';
 import { useWallet } from './useWallet';
-import { SUPPORTED_TOKENS } from '@/utils/constants';
+import { ERROR_MESSAGES, HEALTH_FACTOR } from '@/utils/constants';
 import { formatCurrency, formatPercent } from '@/utils/formatters';
+import { parseAmountInput, isPositive, compareAmounts, toNumber } from '@/utils/tokenAmount';
 
 /**
  * Custom hook for supply/deposit operations
@@ -10,14 +11,19 @@ import { formatCurrency, formatPercent } from '@/utils/formatters';
 export const useSupply = () => {
   const { 
     supplies, 
+    borrows,
     totalSupplied, 
+    healthFactor,
+    reserves,
     supply: supplyToPool, 
     withdraw: withdrawFromPool,
+    setUseAsCollateral: setUseAsCollateralOfPool,
+    tokens,
     isLoading,
     error: contractError 
   } = useContract();
   
-  const { account, balance, isConnected } = useWallet();
+  const { account, balance, isConnected, isWatchOnly } = useWallet();
   
   const [selectedToken, setSelectedToken] = useState(null);
   const [supplyAmount, setSupplyAmount] = useState('');
@@ -73,12 +79,12 @@ export const useSupply = () => {
   }, [supplies]);
 
   /**
-   * Validate supply amount
+   * Validate supply amount, a token amount
    */
   const validateSupplyAmount = useCallback((amount, token) => {
     setError(null);
 
-    if (!amount || parseFloat(amount) <= 0) {
+    if (!isPositive(amount)) {
       setError('Please enter a valid amount');
       return false;
     }
@@ -90,11 +96,10 @@ export const useSupply = () => {
 
     // For native ETH, check balance
     if (token.isNative) {
-      const amountNum = parseFloat(amount);
-      const balanceNum = parseFloat(balance);
-      
-      if (amountNum > balanceNum) {
-        setError(`Insufficient balance. You have ${formatCurrency(balanceNum)} ETH`);
+      const walletBalance = parseAmountInput(balance, token.decimals);
+
+      if (walletBalance && compareAmounts(amount, walletBalance) > 0) {
+        setError(`Insufficient balance. You have ${formatCurrency(toNumber(walletBalance))} ETH`);
         return false;
       }
     }
@@ -105,7 +110,12 @@ export const useSupply = () => {
   /**
    * Supply tokens
    */
-  const supply = useCallback(async (token, amount) => {
+  const supply = useCallback(async (token, amount, options = {}) => {
+    if (isWatchOnly) {
+      setError(ERROR_MESSAGES.WATCH_ONLY);
+      return null;
+    }
+
     if (!isConnected) {
       setError('Please connect your wallet');
       return null;
@@ -117,7 +127,7 @@ export const useSupply = () => {
 
     try {
       setError(null);
-      const receipt = await supplyToPool(token, amount);
+      const receipt = await supplyToPool(token, amount, options);
       
       // Reset form
       setSupplyAmount('');
@@ -128,12 +138,17 @@ export const useSupply = () => {
       setError(err.message || 'Failed to supply tokens');
       throw err;
     }
-  }, [isConnected, validateSupplyAmount, supplyToPool]);
+  }, [isConnected, isWatchOnly, validateSupplyAmount, supplyToPool]);
 
   /**
-   * Withdraw tokens
+   * Withdraw tokens; without an amount the whole supply is withdrawn
    */
-  const withdraw = useCallback(async (supplyId, amount = null) => {
+  const withdraw = useCallback(async (supplyId, amount = null, options = {}) => {
+    if (isWatchOnly) {
+      setError(ERROR_MESSAGES.WATCH_ONLY);
+      return null;
+    }
+
     if (!isConnected) {
       setError('Please connect your wallet');
       return null;
@@ -141,25 +156,79 @@ export const useSupply = () => {
 
     try {
       setError(null);
-      const receipt = await withdrawFromPool(supplyId, amount);
-      return receipt;
+      const result = await withdrawFromPool(supplyId, amount, options);
+      return result;
     } catch (err) {
       setError(err.message || 'Failed to withdraw tokens');
       throw err;
     }
-  }, [isConnected, withdrawFromPool]);
+  }, [isConnected, isWatchOnly, withdrawFromPool]);
+
+  /**
+   * Preview the health factor after turning a supply's use as collateral on or off
+   * The supply's threshold-weighted value is added to or removed from the current health
+   * factor, relative to the debt value.
+   */
+  const previewCollateralToggle = useCallback((supply) => {
+    const useAsCollateral = !supply.usageAsCollateralEnabled;
+    const debtValue = borrows.reduce((sum, b) => sum + (b.amount * b.token.price), 0);
+
+    if (debtValue === 0) {
+      return { useAsCollateral, newHealthFactor: Infinity, isAllowed: true };
+    }
+
+    const threshold = reserves[supply.token.symbol]?.liquidationThreshold ?? 0;
+    const change = (supply.amount * supply.token.price * threshold) / debtValue;
+    const newHealthFactor = Math.max(0, useAsCollateral ? healthFactor + change : healthFactor - change);
+
+    return {
+      useAsCollateral,
+      newHealthFactor,
+      isAllowed: useAsCollateral || newHealthFactor >= HEALTH_FACTOR.CRITICAL,
+    };
+  }, [borrows, reserves, healthFactor]);
+
+  /**
+   * Turn use as collateral of a supply on or off
+   */
+  const setUseAsCollateral = useCallback(async (supplyId, useAsCollateral, options = {}) => {
+    if (isWatchOnly) {
+      setError(ERROR_MESSAGES.WATCH_ONLY);
+      return null;
+    }
+
+    if (!isConnected) {
+      setError('Please connect your wallet');
+      return null;
+    }
+
+    const supply = supplies.find(s => s.id === supplyId);
+    if (supply && !useAsCollateral && !previewCollateralToggle(supply).isAllowed) {
+      setError(ERROR_MESSAGES.HEALTH_FACTOR_TOO_LOW);
+      return null;
+    }
+
+    try {
+      setError(null);
+      const receipt = await setUseAsCollateralOfPool(supplyId, useAsCollateral, options);
+      return receipt;
+    } catch (err) {
+      setError(err.message || 'Failed to change collateral');
+      throw err;
+    }
+  }, [isConnected, isWatchOnly, supplies, previewCollateralToggle, setUseAsCollateralOfPool]);
 
   /**
    * Get available tokens for supply
    */
   const availableTokens = useMemo(() => {
-    return SUPPORTED_TOKENS.map(token => ({
+    return tokens.map(token => ({
       ...token,
       currentSupply: supplies
         .filter(s => s.token.symbol === token.symbol)
         .reduce((sum, s) => sum + s.amount, 0),
     }));
-  }, [supplies]);
+  }, [tokens, supplies]);
 
   /**
    * Get top supply by value
@@ -212,6 +281,8 @@ export const useSupply = () => {
     // Methods
     supply,
     withdraw,
+    setUseAsCollateral,
+    previewCollateralToggle,
     getSupplyById,
     getSuppliesByToken,
     validateSupplyAmount,
@@ -0,0 +1,137 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { formatUnits } from 'ethers';
+import { useContract } from './useContract';
+import { useWallet } from './useWallet';
+import { DEFAULTS } from '@/utils/constants';
+import {
+  CUSTOM_FEE,
+  getFeeEstimates,
+  getFeeOverrides,
+  getEffectiveGasPrice,
+} from '@/services/fees';
+import { isPositive } from '@/utils/tokenAmount';
+
+const FEE_REFRESH_INTERVAL = 12000; // about one block
+
+/**
+ * Custom hook for network fee selection and the gas cost of a pool action of a token amount
+ */
+export const useTransactionFees = ({
+  action,
+  token,
+  amount,
+  aTokenAddress = null,
+  rateMode,
+  onBehalfOf = null,
+  enabled = true,
+}) => {
+  const { estimateTransactionGas, tokens, isWatchOnly } = useContract();
+  const { chainId } = useWallet();
+
+  const [estimates, setEstimates] = useState(null);
+  const [preset, setPreset] = useState(DEFAULTS.FEE_PRESET);
+  const [customFees, setCustomFees] = useState({ maxFeePerGas: '', maxPriorityFeePerGas: '' });
+  const [gasEstimate, setGasEstimate] = useState(null);
+  const [isEstimating, setIsEstimating] = useState(false);
+  const estimateIdRef = useRef(0);
+
+  const isActive = enabled && !isWatchOnly && Boolean(chainId);
+  const canEstimate = isActive && Boolean(token) && isPositive(amount);
+
+  /**
+   * Refresh fee presets while the selector is shown
+   */
+  useEffect(() => {
+    if (!isActive) return undefined;
+
+    let cancelled = false;
+
+    const loadFees = async () => {
+      try {
+        const result = await getFeeEstimates(chainId);
+        if (!cancelled) setEstimates(result);
+      } catch (err) {
+        console.error('Error loading network fees:', err);
+      }
+    };
+
+    loadFees();
+    const interval = setInterval(loadFees, FEE_REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [isActive, chainId]);
+
+  /**
+   * Estimate gas for the exact call; only the latest estimate is kept
+   */
+  useEffect(() => {
+    const estimateId = ++estimateIdRef.current;
+
+    if (!canEstimate) {
+      setGasEstimate(null);
+      return;
+    }
+
+    setIsEstimating(true);
+
+    estimateTransactionGas(action, token, amount, aTokenAddress, rateMode, onBehalfOf)
+      .then((result) => {
+        if (estimateId === estimateIdRef.current) setGasEstimate(result);
+      })
+      .catch((err) => {
+        console.error('Error estimating gas:', err);
+        if (estimateId === estimateIdRef.current) setGasEstimate(null);
+      })
+      .finally(() => {
+        if (estimateId === estimateIdRef.current) setIsEstimating(false);
+      });
+  }, [canEstimate, estimateTransactionGas, action, token, amount, aTokenAddress, rateMode, onBehalfOf]);
+
+  /**
+   * Fee overrides for the selected preset or custom values
+   */
+  const { feeOverrides, feeError } = useMemo(() => {
+    try {
+      return { feeOverrides: getFeeOverrides(estimates, preset, customFees), feeError: null };
+    } catch (err) {
+      return { feeOverrides: {}, feeError: err.message };
+    }
+  }, [estimates, preset, customFees]);
+
+  /**
+   * Expected cost in the native asset and in USD
+   */
+  const gasCost = useMemo(() => {
+    if (!gasEstimate || !estimates || feeError) return null;
+
+    const gasPrice = getEffectiveGasPrice(estimates, feeOverrides);
+    const native = parseFloat(formatUnits(gasEstimate.gasLimit * gasPrice, 18));
+    const nativePrice = tokens.find(t => t.isNative)?.price || 0;
+
+    return {
+      gasPrice,
+      native,
+      usd: native * nativePrice,
+    };
+  }, [gasEstimate, estimates, feeOverrides, feeError, tokens]);
+
+  return {
+    estimates,
+    preset,
+    setPreset,
+    customFees,
+    setCustomFees,
+    isCustom: preset === CUSTOM_FEE,
+    feeOverrides,
+    feeError,
+    gasLimit: gasEstimate?.gasLimit ?? null,
+    isGasEstimated: gasEstimate?.isEstimated ?? false,
+    isEstimating,
+    gasCost,
+  };
+};
+
+export default useTransactionFees;
@@ -1,58 +1,63 @@
 import { useState, useMemo, useCallback, useEffect } from 'react';
 import { useContract } from './useContract';
 import { useWallet } from './useWallet';
-import { SUPPORTED_TOKENS } from '@/utils/constants';
+import { TIME_CONSTANTS } from '@/utils/constants';
 import { formatCurrency, formatPercent } from '@/utils/formatters';
+import {
+  RAY,
+  apyToApr,
+  calculateLinearInterest,
+  getGrowthFactor,
+  percentToRay,
+  rayMul,
+  rayToNumber,
+} from '@/utils/rayMath';
+import { createTokenAmount, getAmountValue, fromWad } from '@/utils/tokenAmount';
+
+const { SECONDS_PER_DAY, SECONDS_PER_YEAR } = TIME_CONSTANTS;
+
+/**
+ * USD interest a supply earns over a period
+ * The exact aToken balance grows with the liquidity index, which accrues the reserve's rate
+ * linearly until the next interaction with the reserve updates it.
+ */
+const getSupplyYield = (supply, seconds) => {
+  const { raw, decimals } = supply.balance;
+  const growth = calculateLinearInterest(supply.rate, 0, seconds);
+  const earned = createTokenAmount(rayMul(raw, growth) - raw, decimals);
+  return fromWad(getAmountValue(earned, supply.token.price));
+};
 
 /**
  * Custom hook for yield farming and earnings tracking
  */
 export const useYield = () => {
-  const { supplies, totalSupplied, isLoading } = useContract();
+  const { supplies, totalSupplied, tokens, isLoading } = useContract();
   const { isConnected } = useWallet();
   
   const [yieldHistory, setYieldHistory] = useState([]);
   const [selectedPeriod, setSelectedPeriod] = useState('30d'); // 7d, 30d, 90d, 1y
 
-  /**
-   * Calculate total yield earned (simulated)
-   */
-  const totalYieldEarned = useMemo(() => {
-    // In production, this would fetch actual earned yield from contracts
-    // For now, we simulate based on supplies and APY
-    return supplies.reduce((total, supply) => {
-      const daysSupplied = Math.floor(
-        (Date.now() - new Date(supply.timestamp).getTime()) / (1000 * 60 * 60 * 24)
-      );
-      const dailyYield = (supply.amount * supply.token.price * supply.apy) / (100 * 365);
-      return total + (dailyYield * daysSupplied);
-    }, 0);
-  }, [supplies]);
-
   /**
    * Calculate estimated daily yield
    */
   const estimatedDailyYield = useMemo(() => {
-    return supplies.reduce((total, supply) => {
-      const value = supply.amount * supply.token.price;
-      const dailyYield = (value * supply.apy) / (100 * 365);
-      return total + dailyYield;
-    }, 0);
+    return supplies.reduce((total, supply) => total + getSupplyYield(supply, SECONDS_PER_DAY), 0);
   }, [supplies]);
 
   /**
    * Calculate estimated monthly yield
    */
   const estimatedMonthlyYield = useMemo(() => {
-    return estimatedDailyYield * 30;
-  }, [estimatedDailyYield]);
+    return supplies.reduce((total, supply) => total + getSupplyYield(supply, 30 * SECONDS_PER_DAY), 0);
+  }, [supplies]);
 
   /**
    * Calculate estimated yearly yield
    */
   const estimatedYearlyYield = useMemo(() => {
-    return estimatedDailyYield * 365;
-  }, [estimatedDailyYield]);
+    return supplies.reduce((total, supply) => total + getSupplyYield(supply, SECONDS_PER_YEAR), 0);
+  }, [supplies]);
 
   /**
    * Calculate weighted average APY
@@ -73,9 +78,9 @@ export const useYield = () => {
   const yieldBreakdown = useMemo(() => {
     return supplies.map(supply => {
       const value = supply.amount * supply.token.price;
-      const dailyYield = (value * supply.apy) / (100 * 365);
-      const monthlyYield = dailyYield * 30;
-      const yearlyYield = dailyYield * 365;
+      const dailyYield = getSupplyYield(supply, SECONDS_PER_DAY);
+      const monthlyYield = getSupplyYield(supply, 30 * SECONDS_PER_DAY);
+      const yearlyYield = getSupplyYield(supply, SECONDS_PER_YEAR);
       
       return {
         token: supply.token,
@@ -158,63 +163,53 @@ export const useYield = () => {
    * Calculate yield projection
    */
   const yieldProjection = useMemo(() => {
+    const projectYield = seconds => supplies.reduce((total, supply) => total + getSupplyYield(supply, seconds), 0);
+
     return {
       oneDay: estimatedDailyYield,
-      oneWeek: estimatedDailyYield * 7,
+      oneWeek: projectYield(7 * SECONDS_PER_DAY),
       oneMonth: estimatedMonthlyYield,
-      threeMonths: estimatedMonthlyYield * 3,
-      sixMonths: estimatedMonthlyYield * 6,
+      threeMonths: projectYield(90 * SECONDS_PER_DAY),
+      sixMonths: projectYield(180 * SECONDS_PER_DAY),
       oneYear: estimatedYearlyYield,
     };
-  }, [estimatedDailyYield, estimatedMonthlyYield, estimatedYearlyYield]);
+  }, [supplies, estimatedDailyYield, estimatedMonthlyYield, estimatedYearlyYield]);
 
   /**
    * Get top yielding opportunities
    */
   const topYieldOpportunities = useMemo(() => {
-    return SUPPORTED_TOKENS
+    return tokens
       .map(token => ({
         ...token,
-        estimatedDailyYield: (10000 * token.supplyAPY) / (100 * 365), // Based on $10k investment
+        // Based on $10k investment
+        estimatedDailyYield: 10000 * rayToNumber(getGrowthFactor(token.supplyRate, SECONDS_PER_DAY) - RAY),
         estimatedYearlyYield: (10000 * token.supplyAPY) / 100,
       }))
       .sort((a, b) => b.supplyAPY - a.supplyAPY)
       .slice(0, 3);
-  }, []);
-
-  /**
-   * Calculate yield comparison vs holding
-   */
-  const yieldVsHolding = useMemo(() => {
-    if (totalSupplied === 0) return 0;
-    
-    // Compare yield earned vs just holding the assets
-    const yieldPercentage = (totalYieldEarned / totalSupplied) * 100;
-    return yieldPercentage;
-  }, [totalYieldEarned, totalSupplied]);
+  }, [tokens]);
 
   /**
    * Format yield summary
+   * Yield earned so far isn't included: positions are read from aToken balances, which
+   * don't record what was deposited.
    */
   const yieldSummary = useMemo(() => {
     return {
-      totalYieldEarned: formatCurrency(totalYieldEarned),
       estimatedDailyYield: formatCurrency(estimatedDailyYield),
       estimatedMonthlyYield: formatCurrency(estimatedMonthlyYield),
       estimatedYearlyYield: formatCurrency(estimatedYearlyYield),
       averageAPY: formatPercent(averageAPY),
       totalSupplied: formatCurrency(totalSupplied),
-      yieldVsHolding: formatPercent(yieldVsHolding),
       activePositions: supplies.length,
     };
   }, [
-    totalYieldEarned,
     estimatedDailyYield,
     estimatedMonthlyYield,
     estimatedYearlyYield,
     averageAPY,
     totalSupplied,
-    yieldVsHolding,
     supplies.length
   ]);
 
@@ -222,10 +217,9 @@ export const useYield = () => {
    * Calculate compound interest projection
    */
   const calculateCompoundProjection = useCallback((principal, apy, years) => {
-    // Compound interest formula: A = P(1 + r/n)^(nt)
-    // Assuming daily compounding (n = 365)
-    const rate = apy / 100;
-    const amount = principal * Math.pow(1 + rate / 365, 365 * years);
+    // The APY already includes compounding every second; back out the rate to grow over any period
+    const rate = apyToApr(percentToRay(apy));
+    const amount = principal * rayToNumber(getGrowthFactor(rate, years * SECONDS_PER_YEAR));
     const interest = amount - principal;
     
     return {
@@ -262,7 +256,6 @@ export const useYield = () => {
     isLoading,
     
     // Computed values
-    totalYieldEarned,
     estimatedDailyYield,
     estimatedMonthlyYield,
     estimatedYearlyYield,
@@ -272,7 +265,6 @@ export const useYield = () => {
     highestEarningPosition,
     yieldProjection,
     topYieldOpportunities,
-    yieldVsHolding,
     yieldSummary,
     compoundProjections,
     
@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import Head from 'next/head';
+import { WalletProvider } from '@/contexts/WalletContext';
+import { ContractProvider } from '@/contexts/ContractContext';
+import Header from '@/components/common/Header';
+import Footer from '@/components/common/Footer';
+import { TableSkeleton } from '@/components/common/Loading';
+import { useWallet } from '@/hooks/useWallet';
+import { useApprovals } from '@/hooks/useApprovals';
+import { getExplorerUrl } from '@/utils/networks';
+import { formatAddress, formatNumberWithCommas, validateAmountInput } from '@/utils/formatters';
+import { parseAmountInput, isPositive } from '@/utils/tokenAmount';
+import { ShieldCheck, ShieldAlert, RefreshCw, AlertCircle, ExternalLink } from 'lucide-react';
+
+const ApprovalRow = ({ approval, explorerUrl, isUpdating, isDisabled, onRevoke, onSetExact }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [amount, setAmount] = useState('');
+
+  const handleSetExact = async () => {
+    const success = await onSetExact(approval, amount);
+    if (success) {
+      setIsEditing(false);
+      setAmount('');
+    }
+  };
+
+  return (
+    <tr className="border-b border-gray-700 last:border-0">
+      <td className="px-6 py-4">
+        <div className="font-semibold text-white">{approval.token.symbol}</div>
+        <a
+          href={`${explorerUrl}/token/${approval.token.address}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="inline-flex items-center space-x-1 text-xs text-gray-400 hover:text-blue-400"
+        >
+          <span>{formatAddress(approval.token.address)}</span>
+          <ExternalLink size={12} />
+        </a>
+      </td>
+      <td className="px-6 py-4">
+        <div className="text-white">{approval.spender.label}</div>
+        <div className="text-xs text-gray-400">{formatAddress(approval.spender.address)}</div>
+      </td>
+      <td className="px-6 py-4">
+        {approval.isUnlimited ? (
+          <span className="inline-flex items-center space-x-1 px-2 py-1 rounded bg-yellow-900/50 text-yellow-400 text-xs font-semibold">
+            <ShieldAlert size={14} />
+            <span>Unlimited</span>
+          </span>
+        ) : (
+          <span className="text-white">
+            {formatNumberWithCommas(approval.formatted, 4)} {approval.token.symbol}
+          </span>
+        )}
+      </td>
+      <td className="px-6 py-4">
+        {isEditing ? (
+          <div className="flex items-center justify-end space-x-2">
+            <input
+              type="text"
+              inputMode="decimal"
+              value={amount}
+              onChange={(e) => setAmount(validateAmountInput(e.target.value, approval.token.decimals))}
+              placeholder="0.0"
+              className="w-32 bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:border-blue-500"
+            />
+            <button
+              onClick={handleSetExact}
+              disabled={isDisabled || !isPositive(parseAmountInput(amount, approval.token.decimals))}
+              className="px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isUpdating ? 'Confirming...' : 'Set'}
+            </button>
+            <button
+              onClick={() => setIsEditing(false)}
+              disabled={isUpdating}
+              className="px-3 py-2 text-gray-400 hover:text-white text-sm transition"
+            >
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <div className="flex items-center justify-end space-x-2">
+            <button
+              onClick={() => setIsEditing(true)}
+              disabled={isDisabled}
+              className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Set exact
+            </button>
+            <button
+              onClick={() => onRevoke(approval)}
+              disabled={isDisabled}
+              className="px-3 py-2 bg-red-600 hover:bg-red-700 text-white text-sm rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isUpdating ? 'Revoking...' : 'Revoke'}
+            </button>
+          </div>
+        )}
+      </td>
+    </tr>
+  );
+};
+
+const ApprovalsContent = () => {
+  const { viewAddress, chainId } = useWallet();
+  const {
+    approvals,
+    unlimitedCount,
+    isLoading,
+    updatingKey,
+    error,
+    isWatchOnly,
+    refresh,
+    revoke,
+    setExactAllowance,
+  } = useApprovals();
+
+  const explorerUrl = getExplorerUrl(chainId || undefined);
+
+  return (
+    <div className="space-y-8">
+      {/* Page Header */}
+      <div className="flex items-start justify-between">
+        <div className="flex items-center space-x-3">
+          <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-xl flex items-center justify-center">
+            <ShieldCheck size={24} className="text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-white">Token Approvals</h1>
+            <p className="text-gray-400">Review and revoke what our contracts are allowed to spend</p>
+          </div>
+        </div>
+        {viewAddress && (
+          <button
+            onClick={refresh}
+            disabled={isLoading}
+            className="flex items-center space-x-2 px-4 py-2 bg-gray-800 hover:bg-gray-700 border border-gray-700 text-gray-300 rounded-lg transition disabled:opacity-50"
+          >
+            <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+            <span>Refresh</span>
+          </button>
+        )}
+      </div>
+
+      {!viewAddress ? (
+        <div className="bg-gray-800 rounded-2xl p-12 text-center border border-gray-700">
+          <div className="w-20 h-20 bg-gray-700 rounded-full flex items-center justify-center mx-auto mb-6">
+            <ShieldCheck size={40} className="text-gray-500" />
+          </div>
+          <h2 className="text-2xl font-bold text-white mb-4">
+            Connect Your Wallet to Review Approvals
+          </h2>
+          <p className="text-gray-400">
+            Connect your wallet or watch an address to see its token allowances
+          </p>
+        </div>
+      ) : (
+        <>
+          {isWatchOnly && (
+            <div className="flex items-center space-x-2 bg-gray-800 border border-gray-700 rounded-lg p-4 text-sm text-gray-300">
+              <AlertCircle size={16} className="text-yellow-400 flex-shrink-0" />
+              <span>Watching an address. Connect its wallet to revoke or change allowances.</span>
+            </div>
+          )}
+
+          {unlimitedCount > 0 && (
+            <div className="flex items-center space-x-2 bg-yellow-900/20 border border-yellow-700 rounded-lg p-4 text-sm text-yellow-300">
+              <ShieldAlert size={16} className="flex-shrink-0" />
+              <span>
+                {unlimitedCount} unlimited {unlimitedCount === 1 ? 'approval' : 'approvals'}. Consider
+                lowering them to the amount you actually use.
+              </span>
+            </div>
+          )}
+
+          {error && (
+            <div className="flex items-center space-x-2 bg-red-900/20 border border-red-800 rounded-lg p-4 text-sm text-red-400">
+              <AlertCircle size={16} className="flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {isLoading && approvals.length === 0 ? (
+            <TableSkeleton />
+          ) : approvals.length === 0 ? (
+            <div className="bg-gray-800 rounded-2xl p-12 text-center border border-gray-700">
+              <h2 className="text-2xl font-bold text-white mb-4">No Active Approvals</h2>
+              <p className="text-gray-400">This account has not given any allowance to the lending contracts</p>
+            </div>
+          ) : (
+            <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-gray-700 text-left text-sm text-gray-400">
+                    <th className="px-6 py-4 font-medium">Token</th>
+                    <th className="px-6 py-4 font-medium">Spender</th>
+                    <th className="px-6 py-4 font-medium">Allowance</th>
+                    <th className="px-6 py-4 font-medium text-right">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {approvals.map((approval) => {
+                    const key = `${approval.token.address}:${approval.spender.address}`;
+                    return (
+                      <ApprovalRow
+                        key={key}
+                        approval={approval}
+                        explorerUrl={explorerUrl}
+                        isUpdating={updatingKey === key}
+                        isDisabled={isWatchOnly || updatingKey !== null}
+                        onRevoke={revoke}
+                        onSetExact={setExactAllowance}
+                      />
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default function ApprovalsPage() {
+  return (
+    <WalletProvider>
+      <ContractProvider>
+        <div className="min-h-screen bg-gray-950 flex flex-col">
+          <Head>
+            <title>Token Approvals - DeFi Lending</title>
+            <meta name="description" content="Review, lower and revoke the token allowances given to the lending contracts." />
+          </Head>
+
+          <Header />
+
+          <main className="flex-1 max-w-7xl w-full mx-auto px-4 sm:px-6 lg:px-8 py-8">
+            <ApprovalsContent />
+          </main>
+
+          <Footer />
+        </div>
+      </ContractProvider>
+    </WalletProvider>
+  );
+}
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import Head from 'next/head';
 import { WalletProvider } from '@/contexts/WalletContext';
 import { ContractProvider } from '@/contexts/ContractContext';
@@ -6,20 +6,23 @@ import Header from '@/components/common/Header';
 import Footer from '@/components/common/Footer';
 import BorrowCard from '@/components/borrow/BorrowCard';
 import BorrowTable from '@/components/borrow/BorrowTable';
+import RepayOnBehalfModal from '@/components/borrow/RepayOnBehalfModal';
 import { useWallet } from '@/hooks/useWallet';
 import { useBorrow } from '@/hooks/useBorrow';
-import { TrendingDown, Info, AlertTriangle, Shield } from 'lucide-react';
-import { SUPPORTED_TOKENS } from '@/utils/constants';
+import { TrendingDown, Info, AlertTriangle, Shield, HeartHandshake } from 'lucide-react';
 import { CardSkeleton } from '@/components/common/Loading';
 
 const BorrowContent = () => {
-  const { isConnected } = useWallet();
+  const { viewAddress, isWatchOnly } = useWallet();
+  const hasAccount = Boolean(viewAddress);
+  const [showRepayOnBehalf, setShowRepayOnBehalf] = useState(false);
   const { 
     borrows, 
     borrow, 
     repay, 
     borrowSummary,
     canBorrow,
+    availableTokens,
     isLoading 
   } = useBorrow();
 
@@ -39,7 +42,7 @@ const BorrowContent = () => {
       </div>
 
       {/* Summary Cards - Only show if connected and has borrows */}
-      {isConnected && borrows.length > 0 && (
+      {hasAccount && borrows.length > 0 && (
         <>
           <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
             <div className="bg-gradient-to-br from-purple-900 to-purple-800 rounded-xl p-6 border border-purple-700">
@@ -110,7 +113,7 @@ const BorrowContent = () => {
       )}
 
       {/* Warning Banner - No Collateral */}
-      {isConnected && !canBorrow && (
+      {hasAccount && !canBorrow && (
         <div className="bg-yellow-900 bg-opacity-20 border border-yellow-700 rounded-xl p-6">
           <div className="flex items-start space-x-4">
             <div className="w-10 h-10 bg-yellow-600 rounded-full flex items-center justify-center flex-shrink-0">
@@ -151,7 +154,7 @@ const BorrowContent = () => {
       </div>
 
       {/* Health Factor Warning */}
-      {isConnected && canBorrow && (
+      {hasAccount && canBorrow && (
         <div className="bg-gray-800 rounded-xl p-6 border border-gray-700">
           <div className="flex items-start space-x-4">
             <div className="w-10 h-10 bg-blue-600 rounded-full flex items-center justify-center flex-shrink-0">
@@ -205,7 +208,7 @@ const BorrowContent = () => {
           </div>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-            {SUPPORTED_TOKENS.map((token) => {
+            {availableTokens.map((token) => {
               const userBorrow = borrows
                 .filter(b => b.token.symbol === token.symbol)
                 .reduce((sum, b) => sum + b.amount, 0);
@@ -225,15 +228,32 @@ const BorrowContent = () => {
       </div>
 
       {/* User Borrows */}
-      {isConnected && (
+      {hasAccount && (
         <div>
-          <h2 className="text-2xl font-bold text-white mb-6">Your Borrow Positions</h2>
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-2xl font-bold text-white">Your Borrow Positions</h2>
+            <button
+              onClick={() => setShowRepayOnBehalf(true)}
+              disabled={isWatchOnly}
+              className="flex items-center space-x-2 px-4 py-2 bg-gray-800 hover:bg-gray-700 border border-gray-700 text-gray-300 rounded-lg text-sm transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <HeartHandshake size={16} />
+              <span>Repay for another account</span>
+            </button>
+          </div>
           <BorrowTable borrows={borrows} onRepay={repay} />
         </div>
       )}
 
+      {showRepayOnBehalf && (
+        <RepayOnBehalfModal
+          tokens={availableTokens}
+          onClose={() => setShowRepayOnBehalf(false)}
+        />
+      )}
+
       {/* Connect Wallet CTA */}
-      {!isConnected && (
+      {!hasAccount && (
         <div className="bg-gradient-to-br from-purple-900 to-pink-900 rounded-2xl p-12 text-center border border-gray-700">
           <div className="w-20 h-20 bg-purple-600 rounded-full flex items-center justify-center mx-auto mb-6">
             <TrendingDown size={40} className="text-white" />
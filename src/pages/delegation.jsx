@@ -0,0 +1,312 @@
+import React, { useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { WalletProvider } from '@/contexts/WalletContext';
+import { ContractProvider } from '@/contexts/ContractContext';
+import Header from '@/components/common/Header';
+import Footer from '@/components/common/Footer';
+import { TableSkeleton } from '@/components/common/Loading';
+import { useWallet } from '@/hooks/useWallet';
+import { useDelegation } from '@/hooks/useDelegation';
+import { INTEREST_RATE_MODES } from '@/utils/constants';
+import { formatAddress, formatNumberWithCommas, validateAmountInput } from '@/utils/formatters';
+import { parseAmountInput, isPositive } from '@/utils/tokenAmount';
+import { Users, RefreshCw, AlertCircle, AlertTriangle, ShieldAlert } from 'lucide-react';
+
+const formatRateMode = (rateMode) => (rateMode === INTEREST_RATE_MODES.STABLE ? 'Stable' : 'Variable');
+
+const DelegationForm = ({ tokens, isDisabled, onDelegate }) => {
+  const [symbol, setSymbol] = useState('');
+  const [rateMode, setRateMode] = useState(INTEREST_RATE_MODES.VARIABLE);
+  const [delegatee, setDelegatee] = useState('');
+  const [amount, setAmount] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const token = tokens.find(item => item.symbol === symbol) || tokens[0];
+  const canUseStable = Boolean(token?.stableDelegationEnabled);
+  const selectedRateMode = canUseStable ? rateMode : INTEREST_RATE_MODES.VARIABLE;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!token) return;
+
+    setIsSubmitting(true);
+    const success = await onDelegate(token, selectedRateMode, delegatee, amount);
+    setIsSubmitting(false);
+
+    if (success) {
+      setDelegatee('');
+      setAmount('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-800 rounded-xl border border-gray-700 p-6 space-y-4">
+      <div>
+        <h2 className="text-lg font-bold text-white">Delegate Borrowing Power</h2>
+        <p className="text-sm text-gray-400">
+          Let another account borrow against your collateral, up to the amount you set
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm text-gray-400 mb-2">Asset</label>
+          <select
+            value={token?.symbol || ''}
+            onChange={(e) => setSymbol(e.target.value)}
+            className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-blue-500"
+          >
+            {tokens.map(item => (
+              <option key={item.symbol} value={item.symbol}>{item.symbol}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-2">Interest rate</label>
+          <div className="inline-flex w-full bg-gray-900 border border-gray-700 rounded-lg p-1">
+            {[INTEREST_RATE_MODES.VARIABLE, INTEREST_RATE_MODES.STABLE].map(mode => (
+              <button
+                key={mode}
+                type="button"
+                onClick={() => setRateMode(mode)}
+                disabled={mode === INTEREST_RATE_MODES.STABLE && !canUseStable}
+                className={`flex-1 px-3 py-1 rounded-md text-sm font-medium transition disabled:opacity-50 disabled:cursor-not-allowed ${
+                  selectedRateMode === mode ? 'bg-blue-600 text-white' : 'text-gray-400 hover:text-white'
+                }`}
+              >
+                {formatRateMode(mode)}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-2">Delegatee address or ENS name</label>
+          <input
+            type="text"
+            value={delegatee}
+            onChange={(e) => setDelegatee(e.target.value)}
+            placeholder="0x... or name.eth"
+            className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-2">Amount</label>
+          <input
+            type="text"
+            inputMode="decimal"
+            value={amount}
+            onChange={(e) => setAmount(validateAmountInput(e.target.value, token?.decimals))}
+            placeholder="0.0"
+            className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-blue-500"
+          />
+        </div>
+      </div>
+
+      <div className="flex items-start space-x-2 bg-yellow-900/20 border border-yellow-700 rounded-lg p-3 text-sm text-yellow-300">
+        <AlertTriangle size={16} className="flex-shrink-0 mt-0.5" />
+        <span>
+          Debt the delegatee takes on is recorded on your account and lowers your health factor.
+          Only delegate to accounts you trust to repay it.
+        </span>
+      </div>
+
+      <button
+        type="submit"
+        disabled={isDisabled || isSubmitting || !token || !delegatee.trim() || !isPositive(parseAmountInput(amount, token.decimals))}
+        className="w-full bg-blue-600 hover:bg-blue-700 text-white py-2 rounded-lg font-medium transition disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isSubmitting ? 'Confirming...' : 'Delegate'}
+      </button>
+    </form>
+  );
+};
+
+const DelegationTable = ({ title, description, delegations, counterparty, renderAction }) => (
+  <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-x-auto">
+    <div className="p-4 border-b border-gray-700">
+      <h2 className="text-lg font-bold text-white">{title}</h2>
+      <p className="text-sm text-gray-400">{description}</p>
+    </div>
+    {delegations.length === 0 ? (
+      <div className="p-8 text-center text-gray-400">None yet</div>
+    ) : (
+      <table className="w-full">
+        <thead>
+          <tr className="border-b border-gray-700 text-left text-sm text-gray-400">
+            <th className="px-6 py-4 font-medium">Asset</th>
+            <th className="px-6 py-4 font-medium">Rate</th>
+            <th className="px-6 py-4 font-medium">{counterparty === 'delegatee' ? 'Delegatee' : 'Delegator'}</th>
+            <th className="px-6 py-4 font-medium">Remaining</th>
+            <th className="px-6 py-4 font-medium text-right">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {delegations.map(delegation => (
+            <tr key={`${delegation.debtToken}:${delegation.delegator}:${delegation.delegatee}`} className="border-b border-gray-700 last:border-0">
+              <td className="px-6 py-4 font-semibold text-white">{delegation.token.symbol}</td>
+              <td className="px-6 py-4 text-gray-300">{formatRateMode(delegation.rateMode)}</td>
+              <td className="px-6 py-4 text-gray-300">{formatAddress(delegation[counterparty])}</td>
+              <td className="px-6 py-4">
+                {delegation.isUnlimited ? (
+                  <span className="inline-flex items-center space-x-1 px-2 py-1 rounded bg-yellow-900/50 text-yellow-400 text-xs font-semibold">
+                    <ShieldAlert size={14} />
+                    <span>Unlimited</span>
+                  </span>
+                ) : (
+                  <span className="text-white">
+                    {formatNumberWithCommas(delegation.formatted, 4)} {delegation.token.symbol}
+                  </span>
+                )}
+              </td>
+              <td className="px-6 py-4 text-right">{renderAction(delegation)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+const DelegationContent = () => {
+  const { viewAddress, watchInput } = useWallet();
+  const {
+    delegatableTokens,
+    given,
+    received,
+    isLoading,
+    updatingKey,
+    error,
+    isWatchOnly,
+    refresh,
+    delegate,
+    revoke,
+  } = useDelegation();
+
+  const borrowHref = watchInput ? { pathname: '/borrow', query: { address: watchInput } } : '/borrow';
+
+  return (
+    <div className="space-y-8">
+      {/* Page Header */}
+      <div className="flex items-start justify-between">
+        <div className="flex items-center space-x-3">
+          <div className="w-12 h-12 bg-gradient-to-br from-purple-500 to-blue-600 rounded-xl flex items-center justify-center">
+            <Users size={24} className="text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-white">Credit Delegation</h1>
+            <p className="text-gray-400">Share your borrowing power, or borrow against credit shared with you</p>
+          </div>
+        </div>
+        {viewAddress && (
+          <button
+            onClick={refresh}
+            disabled={isLoading}
+            className="flex items-center space-x-2 px-4 py-2 bg-gray-800 hover:bg-gray-700 border border-gray-700 text-gray-300 rounded-lg transition disabled:opacity-50"
+          >
+            <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+            <span>Refresh</span>
+          </button>
+        )}
+      </div>
+
+      {!viewAddress ? (
+        <div className="bg-gray-800 rounded-2xl p-12 text-center border border-gray-700">
+          <div className="w-20 h-20 bg-gray-700 rounded-full flex items-center justify-center mx-auto mb-6">
+            <Users size={40} className="text-gray-500" />
+          </div>
+          <h2 className="text-2xl font-bold text-white mb-4">
+            Connect Your Wallet to Manage Delegations
+          </h2>
+          <p className="text-gray-400">
+            Connect your wallet or watch an address to see its credit delegations
+          </p>
+        </div>
+      ) : (
+        <>
+          {isWatchOnly && (
+            <div className="flex items-center space-x-2 bg-gray-800 border border-gray-700 rounded-lg p-4 text-sm text-gray-300">
+              <AlertCircle size={16} className="text-yellow-400 flex-shrink-0" />
+              <span>Watching an address. Connect its wallet to delegate or revoke credit.</span>
+            </div>
+          )}
+
+          {error && (
+            <div className="flex items-center space-x-2 bg-red-900/20 border border-red-800 rounded-lg p-4 text-sm text-red-400">
+              <AlertCircle size={16} className="flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <DelegationForm
+            tokens={delegatableTokens}
+            isDisabled={isWatchOnly || updatingKey !== null}
+            onDelegate={delegate}
+          />
+
+          {isLoading && given.length === 0 && received.length === 0 ? (
+            <TableSkeleton />
+          ) : (
+            <>
+              <DelegationTable
+                title="Credit You Delegated"
+                description="Accounts allowed to borrow against your collateral"
+                delegations={given}
+                counterparty="delegatee"
+                renderAction={(delegation) => {
+                  const key = `${delegation.token.symbol}:${delegation.rateMode}:${delegation.delegatee}`;
+                  return (
+                    <button
+                      onClick={() => revoke(delegation)}
+                      disabled={isWatchOnly || updatingKey !== null}
+                      className="px-3 py-2 bg-red-600 hover:bg-red-700 text-white text-sm rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {updatingKey === key ? 'Revoking...' : 'Revoke'}
+                    </button>
+                  );
+                }}
+              />
+              <DelegationTable
+                title="Credit Delegated to You"
+                description="Credit lines you can borrow from in the borrow dialog"
+                delegations={received}
+                counterparty="delegator"
+                renderAction={() => (
+                  <Link
+                    href={borrowHref}
+                    className="px-3 py-2 bg-purple-600 hover:bg-purple-700 text-white text-sm rounded-lg transition"
+                  >
+                    Borrow
+                  </Link>
+                )}
+              />
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default function DelegationPage() {
+  return (
+    <WalletProvider>
+      <ContractProvider>
+        <div className="min-h-screen bg-gray-950 flex flex-col">
+          <Head>
+            <title>Credit Delegation - DeFi Lending</title>
+            <meta name="description" content="Delegate borrowing power to other accounts and borrow against credit delegated to you." />
+          </Head>
+
+          <Header />
+
+          <main className="flex-1 max-w-7xl w-full mx-auto px-4 sm:px-6 lg:px-8 py-8">
+            <DelegationContent />
+          </main>
+
+          <Footer />
+        </div>
+      </ContractProvider>
+    </WalletProvider>
+  );
+}
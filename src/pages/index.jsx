@@ -22,7 +22,6 @@ import {
   Zap
 } from 'lucide-react';
 import { formatCurrency, formatPercent } from '@/utils/formatters';
-import { SUPPORTED_TOKENS } from '@/utils/constants';
 
 const StatCard = ({ icon: Icon, label, value, change, trend, color = 'blue' }) => (
   <div className="bg-gray-800 rounded-xl p-6 border border-gray-700 hover:border-gray-600 transition">
@@ -43,8 +42,9 @@ const StatCard = ({ icon: Icon, label, value, change, trend, color = 'blue' }) =
 );
 
 const DashboardContent = () => {
-  const { account, isConnected } = useWallet();
-  const { totalSupplied, totalBorrowed, healthFactor } = useContract();
+  const { viewAddress, isWatchOnly } = useWallet();
+  const hasAccount = Boolean(viewAddress);
+  const { totalSupplied, totalBorrowed, healthFactor, tokens } = useContract();
   const { supplySummary } = useSupply();
   const { borrowSummary } = useBorrow();
   const { yieldSummary } = useYield();
@@ -57,17 +57,17 @@ const DashboardContent = () => {
       {/* Welcome Section */}
       <div>
         <h1 className="text-3xl font-bold text-white mb-2">
-          {isConnected ? 'Welcome Back!' : 'Welcome to DeFi Lending'}
+          {isWatchOnly ? 'Address Overview' : hasAccount ? 'Welcome Back!' : 'Welcome to DeFi Lending'}
         </h1>
         <p className="text-gray-400">
-          {isConnected 
+          {hasAccount 
             ? 'Here\'s your portfolio overview'
             : 'Supply assets, borrow instantly, and earn yield on your crypto'
           }
         </p>
       </div>
 
-      {isConnected ? (
+      {hasAccount ? (
         <>
           {/* Main Stats */}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
@@ -230,7 +230,7 @@ const DashboardContent = () => {
               <p className="text-sm text-gray-400 mt-1">Highest yield opportunities</p>
             </div>
             <div className="divide-y divide-gray-700">
-              {SUPPORTED_TOKENS.map((token) => (
+              {tokens.map((token) => (
                 <div key={token.symbol} className="p-6 hover:bg-gray-750 transition">
                   <div className="flex items-center justify-between">
                     <div className="flex items-center space-x-4">
@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import Head from 'next/head';
+import { WalletProvider } from '@/contexts/WalletContext';
+import { ContractProvider } from '@/contexts/ContractContext';
+import Header from '@/components/common/Header';
+import Footer from '@/components/common/Footer';
+import { TableSkeleton } from '@/components/common/Loading';
+import { useLiquidations } from '@/hooks/useLiquidations';
+import { CLOSE_FACTOR } from '@/services/liquidation';
+import { DEFAULTS } from '@/utils/constants';
+import { formatAddress, formatCurrency, formatNumberWithCommas, formatPercent } from '@/utils/formatters';
+import { toNumber } from '@/utils/tokenAmount';
+import { Gavel, RefreshCw, AlertCircle, CheckCircle } from 'lucide-react';
+
+const formatProfit = (value) => {
+  if (value === null) return '—';
+  return value < 0 ? `-${formatCurrency(-value)}` : formatCurrency(value);
+};
+
+const LiquidationTable = ({ opportunities, receiveAToken, canLiquidate, liquidatingUser, onLiquidate }) => (
+  <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-x-auto">
+    <table className="w-full">
+      <thead>
+        <tr className="border-b border-gray-700 text-left text-sm text-gray-400">
+          <th className="px-6 py-4 font-medium">Account</th>
+          <th className="px-6 py-4 font-medium">Health Factor</th>
+          <th className="px-6 py-4 font-medium">Repay</th>
+          <th className="px-6 py-4 font-medium">Receive</th>
+          <th className="px-6 py-4 font-medium">Bonus</th>
+          <th className="px-6 py-4 font-medium">Est. Profit</th>
+          <th className="px-6 py-4 font-medium text-right">Actions</th>
+        </tr>
+      </thead>
+      <tbody>
+        {opportunities.map(opportunity => (
+          <tr key={opportunity.user} className="border-b border-gray-700 last:border-0">
+            <td className="px-6 py-4 text-white font-medium">{formatAddress(opportunity.user)}</td>
+            <td className="px-6 py-4 text-red-400 font-semibold">{opportunity.healthFactor.toFixed(4)}</td>
+            <td className="px-6 py-4">
+              <div className="text-white">
+                {formatNumberWithCommas(toNumber(opportunity.debtToCover), 4)} {opportunity.debtToken.symbol}
+              </div>
+              <div className="text-xs text-gray-400">
+                of {formatNumberWithCommas(toNumber(opportunity.debt), 4)} owed
+                {opportunity.debtToken.isNative && ` · paid in wrapped ${opportunity.debtToken.symbol}`}
+              </div>
+            </td>
+            <td className="px-6 py-4">
+              <div className="text-white">
+                {formatNumberWithCommas(toNumber(opportunity.collateralToReceive), 4)}{' '}
+                {receiveAToken ? `a${opportunity.collateralToken.symbol}` : opportunity.collateralToken.symbol}
+              </div>
+              <div className="text-xs text-gray-400">
+                of {formatNumberWithCommas(toNumber(opportunity.collateral), 4)} supplied
+              </div>
+            </td>
+            <td className="px-6 py-4">
+              <div className="text-white">{formatCurrency(opportunity.bonusUsd)}</div>
+              <div className="text-xs text-gray-400">{formatPercent(opportunity.bonus * 100)}</div>
+            </td>
+            <td className="px-6 py-4">
+              <div className={`font-semibold ${opportunity.profitUsd !== null && opportunity.profitUsd < 0 ? 'text-red-400' : 'text-green-400'}`}>
+                {formatProfit(opportunity.profitUsd)}
+              </div>
+              <div className="text-xs text-gray-400">
+                {opportunity.gasCostUsd === null ? 'gas not priced' : `after ${formatCurrency(opportunity.gasCostUsd)} gas`}
+              </div>
+            </td>
+            <td className="px-6 py-4 text-right">
+              <button
+                onClick={() => onLiquidate(opportunity)}
+                disabled={!canLiquidate || liquidatingUser !== null}
+                className="px-3 py-2 bg-red-600 hover:bg-red-700 text-white text-sm rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {liquidatingUser === opportunity.user ? 'Liquidating...' : 'Liquidate'}
+              </button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const LiquidationsContent = () => {
+  const {
+    opportunities,
+    scanned,
+    isLoading,
+    liquidatingUser,
+    error,
+    canLiquidate,
+    refresh,
+    liquidate,
+  } = useLiquidations();
+  const [receiveAToken, setReceiveAToken] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+
+  const handleLiquidate = async (opportunity) => {
+    setLastResult(null);
+    const result = await liquidate(opportunity, receiveAToken);
+    if (result) setLastResult({ ...result, opportunity, receiveAToken });
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Page Header */}
+      <div className="flex items-start justify-between">
+        <div className="flex items-center space-x-3">
+          <div className="w-12 h-12 bg-gradient-to-br from-red-500 to-orange-600 rounded-xl flex items-center justify-center">
+            <Gavel size={24} className="text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-white">Liquidations</h1>
+            <p className="text-gray-400">Repay debt of accounts below a health factor of 1 and earn the liquidation bonus</p>
+          </div>
+        </div>
+        <button
+          onClick={refresh}
+          disabled={isLoading}
+          className="flex items-center space-x-2 px-4 py-2 bg-gray-800 hover:bg-gray-700 border border-gray-700 text-gray-300 rounded-lg transition disabled:opacity-50"
+        >
+          <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+          <span>Scan</span>
+        </button>
+      </div>
+
+      <div className="bg-gray-800 rounded-xl border border-gray-700 p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div className="text-sm text-gray-400">
+          Borrowers from the last {formatNumberWithCommas(DEFAULTS.BORROWER_LOOKBACK_BLOCKS, 0)} blocks
+          {scanned > 0 && ` · ${formatNumberWithCommas(scanned, 0)} accounts checked`}
+          {' · '}up to {formatPercent(CLOSE_FACTOR * 100, 0)} of a debt can be repaid per liquidation
+        </div>
+        <label className="flex items-center space-x-3 text-sm text-gray-300 cursor-pointer">
+          <button
+            type="button"
+            role="switch"
+            aria-checked={receiveAToken}
+            onClick={() => setReceiveAToken(!receiveAToken)}
+            className={`relative inline-flex h-6 w-11 items-center rounded-full transition ${
+              receiveAToken ? 'bg-blue-600' : 'bg-gray-600'
+            }`}
+          >
+            <span
+              className={`inline-block h-4 w-4 transform rounded-full bg-white transition ${
+                receiveAToken ? 'translate-x-6' : 'translate-x-1'
+              }`}
+            />
+          </button>
+          <span>Receive collateral as aTokens</span>
+        </label>
+      </div>
+
+      {!canLiquidate && (
+        <div className="flex items-center space-x-2 bg-gray-800 border border-gray-700 rounded-lg p-4 text-sm text-gray-300">
+          <AlertCircle size={16} className="text-yellow-400 flex-shrink-0" />
+          <span>Connect a wallet holding the debt asset to liquidate. Watched addresses can only browse.</span>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center space-x-2 bg-red-900/20 border border-red-800 rounded-lg p-4 text-sm text-red-400">
+          <AlertCircle size={16} className="flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {lastResult && (
+        <div className="flex items-center space-x-2 bg-green-900/20 border border-green-800 rounded-lg p-4 text-sm text-green-300">
+          <CheckCircle size={16} className="flex-shrink-0" />
+          <span>
+            Repaid {lastResult.debtCovered} {lastResult.opportunity.debtToken.symbol} of{' '}
+            {formatAddress(lastResult.opportunity.user)}
+            {lastResult.collateralReceived !== null && (
+              ` and received ${lastResult.collateralReceived} ${lastResult.receiveAToken ? 'a' : ''}${lastResult.opportunity.collateralToken.symbol}`
+            )}
+          </span>
+        </div>
+      )}
+
+      {isLoading && opportunities.length === 0 ? (
+        <TableSkeleton />
+      ) : opportunities.length === 0 ? (
+        <div className="bg-gray-800 rounded-2xl p-12 text-center border border-gray-700">
+          <div className="w-20 h-20 bg-gray-700 rounded-full flex items-center justify-center mx-auto mb-6">
+            <Gavel size={40} className="text-gray-500" />
+          </div>
+          <h2 className="text-2xl font-bold text-white mb-4">No Accounts to Liquidate</h2>
+          <p className="text-gray-400">Every recent borrower has a health factor of 1 or more</p>
+        </div>
+      ) : (
+        <LiquidationTable
+          opportunities={opportunities}
+          receiveAToken={receiveAToken}
+          canLiquidate={canLiquidate}
+          liquidatingUser={liquidatingUser}
+          onLiquidate={handleLiquidate}
+        />
+      )}
+    </div>
+  );
+};
+
+export default function LiquidationsPage() {
+  return (
+    <WalletProvider>
+      <ContractProvider>
+        <div className="min-h-screen bg-gray-950 flex flex-col">
+          <Head>
+            <title>Liquidations - DeFi Lending</title>
+            <meta name="description" content="Find accounts below a health factor of 1 and liquidate them for the liquidation bonus." />
+          </Head>
+
+          <Header />
+
+          <main className="flex-1 max-w-7xl w-full mx-auto px-4 sm:px-6 lg:px-8 py-8">
+            <LiquidationsContent />
+          </main>
+
+          <Footer />
+        </div>
+      </ContractProvider>
+    </WalletProvider>
+  );
+}
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import Head from 'next/head';
+import { WalletProvider } from '@/contexts/WalletContext';
+import { ContractProvider } from '@/contexts/ContractContext';
+import Header from '@/components/common/Header';
+import Footer from '@/components/common/Footer';
+import InterestRateModel from '@/components/rates/InterestRateModel';
+import { useContract } from '@/hooks/useContract';
+import { formatPercent } from '@/utils/formatters';
+import { LineChart } from 'lucide-react';
+
+const RatesContent = () => {
+  const { tokens } = useContract();
+  const [selectedSymbol, setSelectedSymbol] = useState(null);
+
+  // Tokens change with the network, so fall back to the first one listed
+  const selectedToken = tokens.find(token => token.symbol === selectedSymbol) || tokens[0];
+
+  return (
+    <div className="space-y-8">
+      {/* Page Header */}
+      <div className="flex items-center space-x-3">
+        <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-green-600 rounded-xl flex items-center justify-center">
+          <LineChart size={24} className="text-white" />
+        </div>
+        <div>
+          <h1 className="text-3xl font-bold text-white">Interest Rates</h1>
+          <p className="text-gray-400">How each reserve&apos;s rates follow its utilization, and how your supply or borrow would move them</p>
+        </div>
+      </div>
+
+      {/* Asset Selector */}
+      <div className="flex flex-wrap gap-2">
+        {tokens.map(token => (
+          <button
+            key={token.symbol}
+            onClick={() => setSelectedSymbol(token.symbol)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition border ${
+              token.symbol === selectedToken?.symbol
+                ? 'bg-blue-600 border-blue-500 text-white'
+                : 'bg-gray-800 border-gray-700 text-gray-400 hover:text-white'
+            }`}
+          >
+            <span>{token.symbol}</span>
+            <span className="ml-2 text-xs opacity-75">{formatPercent(token.borrowAPY)}</span>
+          </button>
+        ))}
+      </div>
+
+      {selectedToken && <InterestRateModel key={selectedToken.symbol} token={selectedToken} />}
+    </div>
+  );
+};
+
+export default function RatesPage() {
+  return (
+    <WalletProvider>
+      <ContractProvider>
+        <div className="min-h-screen bg-gray-950 flex flex-col">
+          <Head>
+            <title>Interest Rates - DeFi Lending</title>
+            <meta name="description" content="Explore each reserve's interest rate curve and preview how a supply or borrow would move its rates." />
+          </Head>
+
+          <Header />
+
+          <main className="flex-1 max-w-7xl w-full mx-auto px-4 sm:px-6 lg:px-8 py-8">
+            <RatesContent />
+          </main>
+
+          <Footer />
+        </div>
+      </ContractProvider>
+    </WalletProvider>
+  );
+}
@@ -9,16 +9,17 @@ import SupplyTable from '@/components/supply/SupplyTable';
 import { useWallet } from '@/hooks/useWallet';
 import { useSupply } from '@/hooks/useSupply';
 import { TrendingUp, Info, Sparkles } from 'lucide-react';
-import { SUPPORTED_TOKENS } from '@/utils/constants';
 import { CardSkeleton } from '@/components/common/Loading';
 
 const SupplyContent = () => {
-  const { isConnected } = useWallet();
+  const { viewAddress } = useWallet();
+  const hasAccount = Boolean(viewAddress);
   const { 
     supplies, 
     supply, 
     withdraw, 
     supplySummary, 
+    availableTokens,
     isLoading 
   } = useSupply();
 
@@ -38,7 +39,7 @@ const SupplyContent = () => {
       </div>
 
       {/* Summary Cards - Only show if connected and has supplies */}
-      {isConnected && supplies.length > 0 && (
+      {hasAccount && supplies.length > 0 && (
         <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
           <div className="bg-gradient-to-br from-blue-900 to-blue-800 rounded-xl p-6 border border-blue-700">
             <div className="text-sm text-blue-200 mb-1">Total Supplied</div>
@@ -121,7 +122,7 @@ const SupplyContent = () => {
           </div>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-            {SUPPORTED_TOKENS.map((token) => {
+            {availableTokens.map((token) => {
               const userSupply = supplies
                 .filter(s => s.token.symbol === token.symbol)
                 .reduce((sum, s) => sum + s.amount, 0);
@@ -140,7 +141,7 @@ const SupplyContent = () => {
       </div>
 
       {/* User Supplies */}
-      {isConnected && (
+      {hasAccount && (
         <div>
           <h2 className="text-2xl font-bold text-white mb-6">Your Supply Positions</h2>
           <SupplyTable supplies={supplies} onWithdraw={withdraw} />
@@ -148,7 +149,7 @@ const SupplyContent = () => {
       )}
 
       {/* Connect Wallet CTA */}
-      {!isConnected && (
+      {!hasAccount && (
         <div className="bg-gradient-to-br from-blue-900 to-purple-900 rounded-2xl p-12 text-center border border-gray-700">
           <div className="w-20 h-20 bg-blue-600 rounded-full flex items-center justify-center mx-auto mb-6">
             <TrendingUp size={40} className="text-white" />
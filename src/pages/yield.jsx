@@ -11,12 +11,12 @@ import { useWallet } from '@/hooks/useWallet';
 import { useSupply } from '@/hooks/useSupply';
 import { useYield } from '@/hooks/useYield';
 import { TrendingUp, Sparkles, Info, DollarSign, Calendar } from 'lucide-react';
-import { SUPPORTED_TOKENS } from '@/utils/constants';
 import { CardSkeleton } from '@/components/common/Loading';
 
 const YieldContent = () => {
-  const { isConnected } = useWallet();
-  const { supplies } = useSupply();
+  const { viewAddress } = useWallet();
+  const hasAccount = Boolean(viewAddress);
+  const { supplies, availableTokens } = useSupply();
   const { 
     yieldSummary,
     yieldHistory,
@@ -43,18 +43,18 @@ const YieldContent = () => {
       </div>
 
       {/* Summary Cards - Only show if connected */}
-      {isConnected && supplies.length > 0 && (
+      {hasAccount && supplies.length > 0 && (
         <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
           <div className="bg-gradient-to-br from-green-900 to-emerald-900 rounded-xl p-6 border border-green-700">
             <div className="flex items-center space-x-2 text-green-200 text-sm mb-2">
               <Sparkles size={16} />
-              <span>Total Earned</span>
+              <span>Yearly Projection</span>
             </div>
             <div className="text-3xl font-bold text-white mb-1">
-              {yieldSummary.totalYieldEarned}
+              {yieldSummary.estimatedYearlyYield}
             </div>
             <div className="text-xs text-green-300">
-              All-time earnings
+              At current rates
             </div>
           </div>
 
@@ -100,7 +100,7 @@ const YieldContent = () => {
       )}
 
       {/* APY Overview */}
-      {isConnected && supplies.length > 0 && (
+      {hasAccount && supplies.length > 0 && (
         <APYDisplay 
           supplyAPY={parseFloat(yieldSummary.averageAPY.replace('%', ''))}
           userSupplied={parseFloat(yieldSummary.totalSupplied.replace(/[$,]/g, ''))}
@@ -108,7 +108,7 @@ const YieldContent = () => {
       )}
 
       {/* Yield Chart */}
-      {isConnected && supplies.length > 0 && (
+      {hasAccount && supplies.length > 0 && (
         <YieldChart 
           yieldHistory={yieldHistory}
           selectedPeriod={selectedPeriod}
@@ -117,7 +117,7 @@ const YieldContent = () => {
       )}
 
       {/* Yield Breakdown by Token */}
-      {isConnected && yieldBreakdown.length > 0 && (
+      {hasAccount && yieldBreakdown.length > 0 && (
         <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden">
           <div className="p-6 border-b border-gray-700">
             <h3 className="text-xl font-bold text-white mb-1">Yield Breakdown</h3>
@@ -196,10 +196,10 @@ const YieldContent = () => {
         <div className="flex items-center justify-between mb-6">
           <div>
             <h2 className="text-2xl font-bold text-white">
-              {isConnected && supplies.length > 0 ? 'Your Positions' : 'Top Yield Opportunities'}
+              {hasAccount && supplies.length > 0 ? 'Your Positions' : 'Top Yield Opportunities'}
             </h2>
             <p className="text-sm text-gray-400 mt-1">
-              {isConnected && supplies.length > 0 
+              {hasAccount && supplies.length > 0 
                 ? 'Assets currently earning yield'
                 : 'Highest APY available'
               }
@@ -217,9 +217,9 @@ const YieldContent = () => {
           </div>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {isConnected && supplies.length > 0 ? (
+            {hasAccount && supplies.length > 0 ? (
               // Show user's positions
-              SUPPORTED_TOKENS.map((token) => {
+              availableTokens.map((token) => {
                 const userSupply = supplies
                   .filter(s => s.token.symbol === token.symbol)
                   .reduce((sum, s) => sum + s.amount, 0);
@@ -249,7 +249,7 @@ const YieldContent = () => {
       </div>
 
       {/* Connect Wallet CTA */}
-      {!isConnected && (
+      {!hasAccount && (
         <div className="bg-gradient-to-br from-green-900 to-emerald-900 rounded-2xl p-12 text-center border border-gray-700">
           <div className="w-20 h-20 bg-green-600 rounded-full flex items-center justify-center mx-auto mb-6">
             <TrendingUp size={40} className="text-white" />
@@ -264,7 +264,7 @@ const YieldContent = () => {
       )}
 
       {/* Empty State */}
-      {isConnected && supplies.length === 0 && (
+      {hasAccount && supplies.length === 0 && (
         <div className="bg-gray-800 rounded-2xl p-12 text-center border border-gray-700">
           <div className="w-20 h-20 bg-gray-700 rounded-full flex items-center justify-center mx-auto mb-6">
             <Sparkles size={40} className="text-gray-500" />
@@ -135,27 +135,6 @@ export const getDeFiTVL = async () => {
   }
 };
 
-/**
- * Get gas price from Etherscan
- * @returns {Promise<object>} Gas price data
- */
-export const getGasPrice = async () => {
-  try {
-    const apiKey = process.env.NEXT_PUBLIC_ETHERSCAN_API_KEY;
-    const response = await api.get(API_ENDPOINTS.ETHERSCAN, {
-      params: {
-        module: 'gastracker',
-        action: 'gasoracle',
-        apikey: apiKey,
-      },
-    });
-    return response.data.result;
-  } catch (error) {
-    console.error('Error fetching gas price:', error);
-    throw error;
-  }
-};
-
 /**
  * Get transaction status from Etherscan
  * @param {string} txHash - Transaction hash
@@ -384,7 +363,6 @@ export default {
   getTokenPriceHistory,
   getTokenDetails,
   getDeFiTVL,
-  getGasPrice,
   getTransactionStatus,
   getUserTransactions,
   getTokenTransfers,
@@ -0,0 +1,172 @@
+import { Interface, MaxUint256, dataSlice, formatUnits, getAddress, zeroPadValue } from 'ethers';
+import { getReadProvider } from '@/utils/web3';
+import { ERC20_ABI } from '@/utils/contracts';
+import { DEFAULTS } from '@/utils/constants';
+import { getNetworkContract } from '@/utils/networks';
+import { multicall, buildCall } from './multicall';
+
+/**
+ * Token approval service: allowances an account has given to our contracts
+ */
+
+// Contracts of ours that can hold an allowance
+const SPENDERS = [
+  { key: 'LENDING_POOL', label: 'Lending Pool' },
+  { key: 'WETH_GATEWAY', label: 'Native Asset Gateway' },
+];
+
+// Public RPCs limit the block range of a single getLogs request
+const LOG_CHUNK_SIZE = 50000;
+
+// Tokens lower an unlimited allowance as it's spent, so anything this large counts as unlimited
+const UNLIMITED_THRESHOLD = MaxUint256 / 2n;
+
+const erc20Interface = new Interface(ERC20_ABI);
+
+/**
+ * Get our contracts on a chain that can hold an allowance
+ * @param {number} chainId - Chain ID
+ * @returns {object[]} [{ address, label }]
+ */
+export const getSpenders = (chainId = DEFAULTS.CHAIN_ID) => {
+  return SPENDERS
+    .map(({ key, label }) => ({ address: getNetworkContract(key, chainId), label }))
+    .filter(spender => spender.address);
+};
+
+/**
+ * Check whether an allowance is effectively unlimited
+ * @param {BigInt} allowance - Allowance
+ * @returns {boolean} Is unlimited
+ */
+export const isUnlimitedAllowance = (allowance) => {
+  return BigInt(allowance) >= UNLIMITED_THRESHOLD;
+};
+
+/**
+ * Find token/spender pairs from the owner's recent Approval events
+ * Chunks that fail are skipped; known tokens are read regardless.
+ * @param {string} owner - Owner address
+ * @param {object[]} spenders - Spenders to look for
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object[]>} [{ token, spender }]
+ */
+const findApprovalPairs = async (owner, spenders, chainId) => {
+  const provider = await getReadProvider(chainId);
+  const latestBlock = await provider.getBlockNumber();
+  const fromBlock = Math.max(0, latestBlock - DEFAULTS.APPROVAL_LOOKBACK_BLOCKS);
+
+  const topics = [
+    erc20Interface.getEvent('Approval').topicHash,
+    zeroPadValue(owner, 32),
+    spenders.map(spender => zeroPadValue(spender.address, 32)),
+  ];
+
+  const pairs = [];
+
+  for (let start = fromBlock; start <= latestBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, latestBlock);
+
+    try {
+      const logs = await provider.getLogs({ fromBlock: start, toBlock: end, topics });
+      logs.forEach((log) => {
+        pairs.push({
+          token: getAddress(log.address),
+          spender: getAddress(dataSlice(log.topics[2], 12)),
+        });
+      });
+    } catch (error) {
+      console.error(`Error scanning approvals in blocks ${start}-${end}:`, error);
+    }
+  }
+
+  return pairs;
+};
+
+/**
+ * Get every non-zero allowance an account has given to our contracts
+ * Pairs come from the known tokens and from recent Approval events; the allowances
+ * themselves are read live.
+ * @param {string} owner - Owner address
+ * @param {object[]} knownTokens - Tokens to always check [{ address, symbol, decimals }]
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object[]>} [{ token, spender, allowance, formatted, isUnlimited }]
+ */
+export const getApprovals = async (owner, knownTokens = [], chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const spenders = getSpenders(chainId);
+    const spenderByAddress = new Map(spenders.map(spender => [spender.address.toLowerCase(), spender]));
+    const tokenByAddress = new Map(knownTokens.map(token => [token.address.toLowerCase(), token]));
+
+    const pairs = new Map();
+    const addPair = (tokenAddress, spenderAddress) => {
+      pairs.set(`${tokenAddress.toLowerCase()}:${spenderAddress.toLowerCase()}`, {
+        tokenAddress,
+        spenderAddress,
+      });
+    };
+
+    knownTokens.forEach(token => spenders.forEach(spender => addPair(token.address, spender.address)));
+    (await findApprovalPairs(owner, spenders, chainId))
+      .forEach(pair => addPair(pair.token, pair.spender));
+
+    // Tokens only found through events need their symbol and decimals
+    const unknownTokens = [...new Set(
+      [...pairs.values()]
+        .map(pair => pair.tokenAddress)
+        .filter(address => !tokenByAddress.has(address.toLowerCase()))
+    )];
+
+    if (unknownTokens.length > 0) {
+      const { results } = await multicall(
+        unknownTokens.flatMap(address => [
+          buildCall(address, ERC20_ABI, 'symbol'),
+          buildCall(address, ERC20_ABI, 'decimals'),
+        ]),
+        { chainId }
+      );
+
+      unknownTokens.forEach((address, index) => {
+        const symbol = results[index * 2];
+        const decimals = results[index * 2 + 1];
+        tokenByAddress.set(address.toLowerCase(), {
+          address,
+          symbol: symbol.success ? symbol.value : 'Unknown',
+          decimals: decimals.success ? Number(decimals.value) : 18,
+        });
+      });
+    }
+
+    const pairList = [...pairs.values()];
+    const { results } = await multicall(
+      pairList.map(pair => buildCall(pair.tokenAddress, ERC20_ABI, 'allowance', [owner, pair.spenderAddress])),
+      { chainId }
+    );
+
+    return pairList
+      .map((pair, index) => {
+        const result = results[index];
+        if (!result.success || result.value === 0n) return null;
+
+        const token = tokenByAddress.get(pair.tokenAddress.toLowerCase());
+        return {
+          token,
+          spender: spenderByAddress.get(pair.spenderAddress.toLowerCase()),
+          allowance: result.value,
+          formatted: formatUnits(result.value, token.decimals),
+          isUnlimited: isUnlimitedAllowance(result.value),
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => Number(b.isUnlimited) - Number(a.isUnlimited) || a.token.symbol.localeCompare(b.token.symbol));
+  } catch (error) {
+    console.error('Error getting approvals:', error);
+    throw error;
+  }
+};
+
+export default {
+  getSpenders,
+  isUnlimitedAllowance,
+  getApprovals,
+};
@@ -1,6 +1,6 @@
-import { Contract, formatUnits, parseUnits } from 'ethers';
+import { Contract, Interface, formatUnits, parseUnits } from 'ethers';
 import { 
-  getProvider, 
+  getReadProvider, 
   getSigner, 
   getBalance, 
   getTokenBalance,
@@ -9,35 +9,60 @@ import {
   waitForTransaction 
 } from '@/utils/web3';
 import { 
-  LENDING_POOL_ABI, 
+  getLendingPoolAbi, 
   ERC20_ABI, 
   ATOKEN_ABI,
   DEBT_TOKEN_ABI,
+  STABLE_DEBT_TOKEN_ABI,
   PRICE_ORACLE_ABI 
 } from '@/utils/contracts';
-import { CONTRACT_ADDRESSES, SUPPORTED_TOKENS } from '@/utils/constants';
+import { DEFAULTS, ERROR_MESSAGES, INTEREST_RATE_MODES } from '@/utils/constants';
+import { getNetworkContract, getNetworkTokens, getBaseCurrencyDecimals } from '@/utils/networks';
+import { aprToApy, rayToPercent, wadMul } from '@/utils/rayMath';
+import {
+  createTokenAmount,
+  isPositive,
+  toNumber,
+  toWad,
+  getAmountValue,
+  getValueRatio,
+} from '@/utils/tokenAmount';
+import { multicall, buildCall, buildEthBalanceCall } from './multicall';
 
 /**
  * Blockchain service for interacting with smart contracts
  */
 
+/**
+ * Get lending pool address for a chain
+ * @param {number} chainId - Chain ID
+ * @returns {string} Lending pool address
+ */
+export const getLendingPoolAddress = (chainId = DEFAULTS.CHAIN_ID) => {
+  const address = getNetworkContract('LENDING_POOL', chainId);
+  if (!address) throw new Error(ERROR_MESSAGES.UNSUPPORTED_NETWORK);
+  return address;
+};
+
 /**
  * Get lending pool contract instance
  * @param {boolean} withSigner - Whether to use signer (for transactions)
+ * @param {number} chainId - Chain ID
  * @returns {Contract} Contract instance
  */
-export const getLendingPoolContract = async (withSigner = false) => {
+export const getLendingPoolContract = async (withSigner = false, chainId = DEFAULTS.CHAIN_ID) => {
   try {
-    const provider = getProvider();
-    if (!provider) throw new Error('Provider not available');
+    const address = getLendingPoolAddress(chainId);
 
+    // The wallet only signs, reads go through the chain's read provider
     if (withSigner) {
       const signer = await getSigner();
       if (!signer) throw new Error('Signer not available');
-      return new Contract(CONTRACT_ADDRESSES.LENDING_POOL, LENDING_POOL_ABI, signer);
+      return new Contract(address, getLendingPoolAbi(chainId), signer);
     }
 
-    return new Contract(CONTRACT_ADDRESSES.LENDING_POOL, LENDING_POOL_ABI, provider);
+    const provider = await getReadProvider(chainId);
+    return new Contract(address, getLendingPoolAbi(chainId), provider);
   } catch (error) {
     console.error('Error getting lending pool contract:', error);
     throw error;
@@ -48,19 +73,18 @@ export const getLendingPoolContract = async (withSigner = false) => {
  * Get ERC20 token contract
  * @param {string} tokenAddress - Token contract address
  * @param {boolean} withSigner - Whether to use signer
+ * @param {number} chainId - Chain ID
  * @returns {Contract} Contract instance
  */
-export const getTokenContract = async (tokenAddress, withSigner = false) => {
+export const getTokenContract = async (tokenAddress, withSigner = false, chainId = DEFAULTS.CHAIN_ID) => {
   try {
-    const provider = getProvider();
-    if (!provider) throw new Error('Provider not available');
-
     if (withSigner) {
       const signer = await getSigner();
       if (!signer) throw new Error('Signer not available');
       return new Contract(tokenAddress, ERC20_ABI, signer);
     }
 
+    const provider = await getReadProvider(chainId);
     return new Contract(tokenAddress, ERC20_ABI, provider);
   } catch (error) {
     console.error('Error getting token contract:', error);
@@ -68,24 +92,128 @@ export const getTokenContract = async (tokenAddress, withSigner = false) => {
   }
 };
 
+/**
+ * Parse raw getUserAccountData result
+ * @param {array} data - Raw contract result
+ * @param {number} baseDecimals - Decimals of the market's base currency
+ * @returns {object} User account data
+ */
+export const parseUserAccountData = (data, baseDecimals = 18) => ({
+  totalCollateralETH: parseFloat(formatUnits(data[0], baseDecimals)),
+  totalDebtETH: parseFloat(formatUnits(data[1], baseDecimals)),
+  availableBorrowsETH: parseFloat(formatUnits(data[2], baseDecimals)),
+  currentLiquidationThreshold: parseFloat(formatUnits(data[3], 4)),
+  ltv: parseFloat(formatUnits(data[4], 4)),
+  healthFactor: parseFloat(formatUnits(data[5], 18)),
+});
+
+/**
+ * Fields of the reserve configuration bitmap: [first bit, width]
+ * Percentages are in basis points; the liquidation bonus includes the repaid amount
+ * (10500 = 5%). Paused and the caps were added in V3; V2 pools leave those bits at 0,
+ * which reads as not paused and uncapped.
+ */
+const RESERVE_CONFIGURATION = {
+  LTV: [0n, 16n],
+  LIQUIDATION_THRESHOLD: [16n, 16n],
+  LIQUIDATION_BONUS: [32n, 16n],
+  DECIMALS: [48n, 8n],
+  ACTIVE: [56n, 1n],
+  FROZEN: [57n, 1n],
+  BORROWING_ENABLED: [58n, 1n],
+  STABLE_BORROWING_ENABLED: [59n, 1n],
+  PAUSED: [60n, 1n],
+  RESERVE_FACTOR: [64n, 16n],
+  BORROW_CAP: [80n, 36n],
+  SUPPLY_CAP: [116n, 36n],
+};
+
+/**
+ * Read a field of a reserve configuration bitmap
+ * @param {BigInt} configuration - Configuration bitmap
+ * @param {BigInt[]} field - [first bit, width] from RESERVE_CONFIGURATION
+ * @returns {BigInt} Field value
+ */
+const readConfigurationField = (configuration, [shift, width]) => {
+  return (configuration >> shift) & ((1n << width) - 1n);
+};
+
+/**
+ * Decode the packed configuration of a reserve
+ * @param {BigInt} configuration - Configuration bitmap from getReserveData
+ * @returns {object} { ltv, liquidationThreshold, liquidationBonus, reserveFactor } as ratios
+ * (e.g., 0.8 for 80%), decimals, isActive, isFrozen, isPaused, borrowingEnabled,
+ * stableBorrowRateEnabled, and borrowCap/supplyCap in whole tokens (0 for no cap)
+ */
+export const parseReserveConfiguration = (configuration) => {
+  const data = BigInt(configuration);
+  const read = (field) => readConfigurationField(data, RESERVE_CONFIGURATION[field]);
+
+  return {
+    ltv: Number(read('LTV')) / 10000,
+    liquidationThreshold: Number(read('LIQUIDATION_THRESHOLD')) / 10000,
+    liquidationBonus: Math.max(0, Number(read('LIQUIDATION_BONUS')) - 10000) / 10000,
+    decimals: Number(read('DECIMALS')),
+    isActive: read('ACTIVE') === 1n,
+    isFrozen: read('FROZEN') === 1n,
+    isPaused: read('PAUSED') === 1n,
+    borrowingEnabled: read('BORROWING_ENABLED') === 1n,
+    stableBorrowRateEnabled: read('STABLE_BORROWING_ENABLED') === 1n,
+    reserveFactor: Number(read('RESERVE_FACTOR')) / 10000,
+    borrowCap: Number(read('BORROW_CAP')),
+    supplyCap: Number(read('SUPPLY_CAP')),
+  };
+};
+
+/**
+ * Parse raw getReserveData result
+ * Fields are read by name, as V3 pools return them in a different order than V2.
+ * @param {object} data - Raw contract result
+ * @returns {object} Reserve data, with the decoded configuration
+ */
+const parseReserveData = (data) => ({
+  configuration: data.configuration,
+  ...parseReserveConfiguration(data.configuration),
+  liquidityIndex: data.liquidityIndex,
+  variableBorrowIndex: data.variableBorrowIndex,
+  // Rates stay in ray; APYs compound them every second as the pool does
+  currentLiquidityRate: data.currentLiquidityRate,
+  currentVariableBorrowRate: data.currentVariableBorrowRate,
+  currentStableBorrowRate: data.currentStableBorrowRate,
+  supplyAPY: rayToPercent(aprToApy(data.currentLiquidityRate)),
+  variableBorrowAPY: rayToPercent(aprToApy(data.currentVariableBorrowRate)),
+  stableBorrowAPY: rayToPercent(aprToApy(data.currentStableBorrowRate)),
+  lastUpdateTimestamp: Number(data.lastUpdateTimestamp),
+  aTokenAddress: data.aTokenAddress,
+  stableDebtTokenAddress: data.stableDebtTokenAddress,
+  variableDebtTokenAddress: data.variableDebtTokenAddress,
+  interestRateStrategyAddress: data.interestRateStrategyAddress,
+  id: Number(data.id),
+});
+
+/**
+ * Check whether a user configuration has a reserve enabled as collateral
+ * The bitmap holds two bits per reserve id: borrowing, then using as collateral.
+ * @param {BigInt} userConfiguration - getUserConfiguration data
+ * @param {number} reserveId - Reserve id from getReserveData
+ * @returns {boolean} Whether the reserve counts as collateral
+ */
+export const isUsingAsCollateral = (userConfiguration, reserveId) => {
+  return ((BigInt(userConfiguration) >> BigInt(reserveId * 2 + 1)) & 1n) === 1n;
+};
+
 /**
  * Get user account data from lending pool
  * @param {string} userAddress - User's Ethereum address
+ * @param {number} chainId - Chain ID
  * @returns {Promise<object>} User account data
  */
-export const getUserAccountData = async (userAddress) => {
+export const getUserAccountData = async (userAddress, chainId = DEFAULTS.CHAIN_ID) => {
   try {
-    const contract = await getLendingPoolContract(false);
+    const contract = await getLendingPoolContract(false, chainId);
     const data = await contract.getUserAccountData(userAddress);
 
-    return {
-      totalCollateralETH: parseFloat(formatUnits(data[0], 18)),
-      totalDebtETH: parseFloat(formatUnits(data[1], 18)),
-      availableBorrowsETH: parseFloat(formatUnits(data[2], 18)),
-      currentLiquidationThreshold: parseFloat(formatUnits(data[3], 4)),
-      ltv: parseFloat(formatUnits(data[4], 4)),
-      healthFactor: parseFloat(formatUnits(data[5], 18)),
-    };
+    return parseUserAccountData(data, getBaseCurrencyDecimals(chainId));
   } catch (error) {
     console.error('Error getting user account data:', error);
     throw error;
@@ -95,45 +223,50 @@ export const getUserAccountData = async (userAddress) => {
 /**
  * Get reserve data for a specific asset
  * @param {string} assetAddress - Asset contract address
+ * @param {number} chainId - Chain ID
  * @returns {Promise<object>} Reserve data
  */
-export const getReserveData = async (assetAddress) => {
+export const getReserveData = async (assetAddress, chainId = DEFAULTS.CHAIN_ID) => {
   try {
-    const contract = await getLendingPoolContract(false);
+    const contract = await getLendingPoolContract(false, chainId);
     const data = await contract.getReserveData(assetAddress);
 
-    return {
-      configuration: data[0],
-      liquidityIndex: data[1],
-      variableBorrowIndex: data[2],
-      currentLiquidityRate: parseFloat(formatUnits(data[3], 27)),
-      currentVariableBorrowRate: parseFloat(formatUnits(data[4], 27)),
-      currentStableBorrowRate: parseFloat(formatUnits(data[5], 27)),
-      lastUpdateTimestamp: Number(data[6]),
-      aTokenAddress: data[7],
-      stableDebtTokenAddress: data[8],
-      variableDebtTokenAddress: data[9],
-      interestRateStrategyAddress: data[10],
-      id: Number(data[11]),
-    };
+    return parseReserveData(data);
   } catch (error) {
     console.error('Error getting reserve data:', error);
     throw error;
   }
 };
 
+/**
+ * Get the assets listed as reserves of the lending pool
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<string[]>} Reserve asset addresses, in reserve id order
+ */
+export const getReservesList = async (chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const contract = await getLendingPoolContract(false, chainId);
+    return [...await contract.getReservesList()];
+  } catch (error) {
+    console.error('Error getting reserves list:', error);
+    throw error;
+  }
+};
+
 /**
  * Get aToken balance (supplied amount)
  * @param {string} aTokenAddress - aToken contract address
  * @param {string} userAddress - User's address
+ * @param {number} decimals - Decimals of the underlying asset
+ * @param {number} chainId - Chain ID
  * @returns {Promise<string>} aToken balance
  */
-export const getATokenBalance = async (aTokenAddress, userAddress) => {
+export const getATokenBalance = async (aTokenAddress, userAddress, decimals = 18, chainId = DEFAULTS.CHAIN_ID) => {
   try {
-    const provider = getProvider();
+    const provider = await getReadProvider(chainId);
     const contract = new Contract(aTokenAddress, ATOKEN_ABI, provider);
     const balance = await contract.balanceOf(userAddress);
-    return formatUnits(balance, 18);
+    return formatUnits(balance, decimals);
   } catch (error) {
     console.error('Error getting aToken balance:', error);
     throw error;
@@ -144,14 +277,16 @@ export const getATokenBalance = async (aTokenAddress, userAddress) => {
  * Get debt token balance (borrowed amount)
  * @param {string} debtTokenAddress - Debt token contract address
  * @param {string} userAddress - User's address
+ * @param {number} decimals - Decimals of the underlying asset
+ * @param {number} chainId - Chain ID
  * @returns {Promise<string>} Debt balance
  */
-export const getDebtTokenBalance = async (debtTokenAddress, userAddress) => {
+export const getDebtTokenBalance = async (debtTokenAddress, userAddress, decimals = 18, chainId = DEFAULTS.CHAIN_ID) => {
   try {
-    const provider = getProvider();
+    const provider = await getReadProvider(chainId);
     const contract = new Contract(debtTokenAddress, DEBT_TOKEN_ABI, provider);
     const balance = await contract.balanceOf(userAddress);
-    return formatUnits(balance, 18);
+    return formatUnits(balance, decimals);
   } catch (error) {
     console.error('Error getting debt token balance:', error);
     throw error;
@@ -164,11 +299,12 @@ export const getDebtTokenBalance = async (debtTokenAddress, userAddress) => {
  * @param {string} amount - Amount to deposit
  * @param {number} decimals - Token decimals
  * @param {string} onBehalfOf - Address to deposit on behalf of
+ * @param {number} chainId - Chain ID
  * @returns {Promise<object>} Transaction receipt
  */
-export const deposit = async (assetAddress, amount, decimals, onBehalfOf) => {
+export const deposit = async (assetAddress, amount, decimals, onBehalfOf, chainId = DEFAULTS.CHAIN_ID) => {
   try {
-    const contract = await getLendingPoolContract(true);
+    const contract = await getLendingPoolContract(true, chainId);
     const amountInWei = parseUnits(amount, decimals);
 
     const tx = await contract.deposit(
@@ -195,11 +331,12 @@ export const deposit = async (assetAddress, amount, decimals, onBehalfOf) => {
  * @param {string} amount - Amount to withdraw
  * @param {number} decimals - Token decimals
  * @param {string} to - Address to send withdrawn assets
+ * @param {number} chainId - Chain ID
  * @returns {Promise<object>} Transaction receipt
  */
-export const withdraw = async (assetAddress, amount, decimals, to) => {
+export const withdraw = async (assetAddress, amount, decimals, to, chainId = DEFAULTS.CHAIN_ID) => {
   try {
-    const contract = await getLendingPoolContract(true);
+    const contract = await getLendingPoolContract(true, chainId);
     const amountInWei = parseUnits(amount, decimals);
 
     const tx = await contract.withdraw(assetAddress, amountInWei, to);
@@ -222,6 +359,7 @@ export const withdraw = async (assetAddress, amount, decimals, to) => {
  * @param {number} decimals - Token decimals
  * @param {number} interestRateMode - 1 for stable, 2 for variable
  * @param {string} onBehalfOf - Address to borrow on behalf of
+ * @param {number} chainId - Chain ID
  * @returns {Promise<object>} Transaction receipt
  */
 export const borrow = async (
@@ -229,10 +367,11 @@ export const borrow = async (
   amount,
   decimals,
   interestRateMode,
-  onBehalfOf
+  onBehalfOf,
+  chainId = DEFAULTS.CHAIN_ID
 ) => {
   try {
-    const contract = await getLendingPoolContract(true);
+    const contract = await getLendingPoolContract(true, chainId);
     const amountInWei = parseUnits(amount, decimals);
 
     const tx = await contract.borrow(
@@ -261,11 +400,12 @@ export const borrow = async (
  * @param {number} decimals - Token decimals
  * @param {number} rateMode - 1 for stable, 2 for variable
  * @param {string} onBehalfOf - Address to repay on behalf of
+ * @param {number} chainId - Chain ID
  * @returns {Promise<object>} Transaction receipt
  */
-export const repay = async (assetAddress, amount, decimals, rateMode, onBehalfOf) => {
+export const repay = async (assetAddress, amount, decimals, rateMode, onBehalfOf, chainId = DEFAULTS.CHAIN_ID) => {
   try {
-    const contract = await getLendingPoolContract(true);
+    const contract = await getLendingPoolContract(true, chainId);
     const amountInWei = parseUnits(amount, decimals);
 
     const tx = await contract.repay(assetAddress, amountInWei, rateMode, onBehalfOf);
@@ -282,62 +422,335 @@ export const repay = async (assetAddress, amount, decimals, rateMode, onBehalfOf
 };
 
 /**
- * Get all user positions (supplies and borrows)
+ * Get the amount a lending pool event reports in a transaction receipt
+ * Max-amount withdrawals and repayments only settle their final amount when mined.
+ * @param {object} receipt - Transaction receipt
+ * @param {string} eventName - Pool event (Withdraw, Repay...)
+ * @param {string} assetAddress - Reserve asset address
+ * @param {number} chainId - Chain ID
+ * @returns {BigInt|null} Amount in Wei, or null if the event isn't in the receipt
+ */
+export const getPoolEventAmount = (receipt, eventName, assetAddress, chainId = DEFAULTS.CHAIN_ID) => {
+  const lendingPool = getLendingPoolAddress(chainId).toLowerCase();
+  const poolInterface = new Interface(getLendingPoolAbi(chainId));
+
+  const event = receipt.logs
+    .filter(log => log.address.toLowerCase() === lendingPool)
+    .map(log => poolInterface.parseLog(log))
+    .find(parsed => parsed?.name === eventName
+      && parsed.args.reserve.toLowerCase() === assetAddress.toLowerCase());
+
+  return event ? event.args.amount : null;
+};
+
+// Reserves are only listed or removed by governance, so each chain's list is read once
+const marketTokensCache = new Map();
+
+/**
+ * Describe reserves missing from the network registry by their ERC-20 metadata
+ * Assets whose symbol or decimals can't be read are left out.
+ * @param {string[]} addresses - Reserve asset addresses
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object[]>} Token entries
+ */
+const describeTokens = async (addresses, chainId) => {
+  const { results } = await multicall(
+    addresses.flatMap(address => [
+      buildCall(address, ERC20_ABI, 'symbol'),
+      buildCall(address, ERC20_ABI, 'name'),
+      buildCall(address, ERC20_ABI, 'decimals'),
+    ]),
+    { chainId }
+  );
+
+  return addresses.flatMap((address, index) => {
+    const [symbolResult, nameResult, decimalsResult] = results.slice(index * 3, index * 3 + 3);
+    if (!symbolResult.success || !decimalsResult.success) return [];
+
+    return [{
+      symbol: symbolResult.value,
+      name: nameResult.success ? nameResult.value : symbolResult.value,
+      address,
+      decimals: Number(decimalsResult.value),
+    }];
+  });
+};
+
+/**
+ * Get the tokens of a chain's market from the reserves listed by the lending pool
+ * Reserves in the network registry keep its entry (logo, native asset...). Tokens are keyed
+ * by symbol across the app, so a reserve repeating a symbol is left out. Falls back to the
+ * registry when the list can't be read.
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object[]>} Tokens, in reserve order
+ */
+export const getMarketTokens = async (chainId = DEFAULTS.CHAIN_ID) => {
+  if (marketTokensCache.has(chainId)) return marketTokensCache.get(chainId);
+
+  const registry = getNetworkTokens(chainId);
+
+  try {
+    const reserveAddresses = await getReservesList(chainId);
+    const known = new Map(registry.map(token => [token.address.toLowerCase(), token]));
+    const unknown = reserveAddresses.filter(address => !known.has(address.toLowerCase()));
+    const discovered = await describeTokens(unknown, chainId);
+    discovered.forEach(token => known.set(token.address.toLowerCase(), token));
+
+    const symbols = new Set();
+    const tokens = [];
+
+    reserveAddresses.forEach((address) => {
+      const token = known.get(address.toLowerCase());
+      if (!token || symbols.has(token.symbol)) return;
+
+      symbols.add(token.symbol);
+      tokens.push(token);
+    });
+
+    marketTokensCache.set(chainId, tokens);
+    return tokens;
+  } catch (error) {
+    console.error('Error getting market tokens:', error);
+    return registry;
+  }
+};
+
+/**
+ * Build batched reads for reserve data and oracle prices of a market's tokens
+ * @param {object[]} tokens - Tokens from getMarketTokens
+ * @param {number} chainId - Chain ID
+ * @returns {object[]} Multicall calls
+ */
+const buildMarketCalls = (tokens, chainId) => {
+  const lendingPool = getLendingPoolAddress(chainId);
+  const aaveOracle = getNetworkContract('AAVE_ORACLE', chainId);
+  const baseUsdFeed = getNetworkContract('PRICE_ORACLE', chainId);
+  const calls = [];
+
+  // Markets quoted in ETH need the ETH/USD feed to convert oracle prices
+  if (baseUsdFeed) {
+    calls.push(buildCall(baseUsdFeed, PRICE_ORACLE_ABI, 'latestRoundData'));
+  }
+
+  tokens.forEach((token) => {
+    calls.push(
+      buildCall(lendingPool, getLendingPoolAbi(chainId), 'getReserveData', [token.address]),
+      buildCall(aaveOracle, PRICE_ORACLE_ABI, 'getAssetPrice', [token.address])
+    );
+  });
+
+  return calls;
+};
+
+/**
+ * Parse results of buildMarketCalls
+ * @param {object[]} results - Multicall results, in buildMarketCalls order
+ * @param {object[]} tokens - Tokens the calls were built for
+ * @param {number} chainId - Chain ID
+ * @returns {object} { reserves, prices } keyed by token symbol, and baseUsdPrice, the USD price
+ * of one unit of the base currency (0 if the feed couldn't be read)
+ */
+const parseMarketResults = (results, tokens, chainId) => {
+  const baseUsdFeed = getNetworkContract('PRICE_ORACLE', chainId);
+  const baseDecimals = getBaseCurrencyDecimals(chainId);
+  const headerLength = baseUsdFeed ? 1 : 0;
+
+  // Chainlink USD feeds use 8 decimals
+  let baseUsdPrice = 1;
+  if (baseUsdFeed) {
+    baseUsdPrice = results[0].success
+      ? parseFloat(formatUnits(results[0].value.answer, 8))
+      : 0;
+  }
+
+  const reserves = {};
+  const prices = {};
+
+  tokens.forEach((token, index) => {
+    const reserveResult = results[headerLength + index * 2];
+    const priceResult = results[headerLength + index * 2 + 1];
+
+    if (reserveResult.success) {
+      reserves[token.symbol] = parseReserveData(reserveResult.value);
+    }
+
+    if (priceResult.success && baseUsdPrice > 0) {
+      prices[token.symbol] = parseFloat(formatUnits(priceResult.value, baseDecimals)) * baseUsdPrice;
+    }
+  });
+
+  return { reserves, prices, baseUsdPrice };
+};
+
+/**
+ * Get the reserves listed on a chain with their data and oracle prices
+ * Doesn't need a wallet, so visitors can browse markets before connecting.
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object>} { tokens, reserves, prices, baseUsdPrice, blockNumber }
+ */
+export const getMarketData = async (chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const tokens = await getMarketTokens(chainId);
+    const { blockNumber, results } = await multicall(buildMarketCalls(tokens, chainId), { chainId });
+
+    return {
+      tokens,
+      ...parseMarketResults(results, tokens, chainId),
+      blockNumber,
+    };
+  } catch (error) {
+    console.error('Error getting market data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get all user positions, reserve data, wallet balances and oracle prices
+ * Reads are batched through Multicall in two rounds pinned to the same block.
+ * A failing read only drops the affected reserve instead of the whole result. Wallet
+ * balances and each position's `balance` are token amounts in base units.
  * @param {string} userAddress - User's address
- * @returns {Promise<object>} User positions
+ * @param {number} chainId - Chain ID (tokens are the reserves listed by the pool)
+ * @returns {Promise<object>} { supplies, borrows, accountData, tokens, reserves, walletBalances, prices,
+ * baseUsdPrice, blockNumber }
  */
-export const getUserPositions = async (userAddress) => {
+export const getUserPositions = async (userAddress, chainId = DEFAULTS.CHAIN_ID) => {
   try {
     const positions = {
       supplies: [],
       borrows: [],
     };
 
-    // Get user account data first
-    const accountData = await getUserAccountData(userAddress);
+    const lendingPool = getLendingPoolAddress(chainId);
+    const tokens = await getMarketTokens(chainId);
+
+    // Round 1: account data and wallet balances, followed by reserve data and oracle prices
+    const userCalls = [
+      buildCall(lendingPool, getLendingPoolAbi(chainId), 'getUserAccountData', [userAddress]),
+      buildCall(lendingPool, getLendingPoolAbi(chainId), 'getUserConfiguration', [userAddress]),
+      ...tokens.map((token) => (
+        token.isNative
+          ? buildEthBalanceCall(userAddress, chainId)
+          : buildCall(token.address, ERC20_ABI, 'balanceOf', [userAddress])
+      )),
+    ];
+
+    const { blockNumber, results } = await multicall(
+      [...userCalls, ...buildMarketCalls(tokens, chainId)],
+      { chainId }
+    );
 
-    // Get positions for each supported token
-    for (const token of SUPPORTED_TOKENS) {
-      const reserveData = await getReserveData(token.address);
+    const [accountResult, configurationResult, ...balanceResults] = results.slice(0, userCalls.length);
+    const userConfiguration = configurationResult.success ? configurationResult.value.data : null;
+    const { reserves, prices, baseUsdPrice } = parseMarketResults(results.slice(userCalls.length), tokens, chainId);
 
-      // Check supplied amount
-      if (reserveData.aTokenAddress) {
-        const suppliedBalance = await getATokenBalance(
-          reserveData.aTokenAddress,
-          userAddress
-        );
+    const walletBalances = {};
+    tokens.forEach((token, index) => {
+      if (balanceResults[index].success) {
+        walletBalances[token.symbol] = createTokenAmount(balanceResults[index].value, token.decimals);
+      }
+    });
+
+    // Round 2: aToken and debt token balances at the same block, plus the user's stable rate
+    const secondRound = [];
+    const secondRoundKeys = [];
 
-        if (parseFloat(suppliedBalance) > 0) {
-          positions.supplies.push({
-            token,
-            amount: parseFloat(suppliedBalance),
-            apy: reserveData.currentLiquidityRate * 100,
-            aTokenAddress: reserveData.aTokenAddress,
-          });
-        }
+    tokens.forEach((token) => {
+      const reserveData = reserves[token.symbol];
+      if (!reserveData) return;
+
+      if (reserveData.aTokenAddress) {
+        secondRound.push(buildCall(reserveData.aTokenAddress, ATOKEN_ABI, 'balanceOf', [userAddress]));
+        secondRoundKeys.push({ token, type: 'supply' });
       }
 
-      // Check borrowed amount
       if (reserveData.variableDebtTokenAddress) {
-        const borrowedBalance = await getDebtTokenBalance(
-          reserveData.variableDebtTokenAddress,
-          userAddress
-        );
+        secondRound.push(buildCall(reserveData.variableDebtTokenAddress, DEBT_TOKEN_ABI, 'balanceOf', [userAddress]));
+        secondRoundKeys.push({ token, type: 'borrow', rateMode: INTEREST_RATE_MODES.VARIABLE });
+      }
 
-        if (parseFloat(borrowedBalance) > 0) {
-          positions.borrows.push({
-            token,
-            amount: parseFloat(borrowedBalance),
-            apy: reserveData.currentVariableBorrowRate * 100,
-            debtTokenAddress: reserveData.variableDebtTokenAddress,
-          });
-        }
+      if (reserveData.stableDebtTokenAddress) {
+        secondRound.push(
+          buildCall(reserveData.stableDebtTokenAddress, STABLE_DEBT_TOKEN_ABI, 'balanceOf', [userAddress]),
+          buildCall(reserveData.stableDebtTokenAddress, STABLE_DEBT_TOKEN_ABI, 'getUserStableRate', [userAddress])
+        );
+        secondRoundKeys.push(
+          { token, type: 'borrow', rateMode: INTEREST_RATE_MODES.STABLE },
+          { token, type: 'stableRate' }
+        );
       }
-    }
+    });
+
+    const { results: positionResults } = await multicall(secondRound, { blockTag: blockNumber, chainId });
+
+    positionResults.forEach((result, index) => {
+      if (!result.success) return;
+
+      const { token, type, rateMode } = secondRoundKeys[index];
+      if (type === 'stableRate') return;
+
+      const reserveData = reserves[token.symbol];
+      const balance = createTokenAmount(result.value, token.decimals);
+      if (!isPositive(balance)) return;
+
+      const amount = toNumber(balance);
+
+      const pricedToken = { ...token, price: prices[token.symbol] ?? token.price };
+
+      if (type === 'supply') {
+        positions.supplies.push({
+          id: token.address, // Keyed by reserve so ids survive a reload
+          token: pricedToken,
+          amount,
+          balance,
+          rate: reserveData.currentLiquidityRate,
+          apy: reserveData.supplyAPY,
+          aTokenAddress: reserveData.aTokenAddress,
+          // Supplies count as collateral by default, so assume so if the bitmap couldn't be read
+          usageAsCollateralEnabled: userConfiguration === null
+            ? true
+            : isUsingAsCollateral(userConfiguration, reserveData.id),
+        });
+      } else if (rateMode === INTEREST_RATE_MODES.STABLE) {
+        // The stable rate call directly follows the balance call
+        const rateResult = positionResults[index + 1];
+        const stableRate = rateResult.success ? rateResult.value : reserveData.currentStableBorrowRate;
+
+        positions.borrows.push({
+          id: `${token.address}:stable`,
+          token: pricedToken,
+          amount,
+          balance,
+          rate: stableRate,
+          apy: rayToPercent(aprToApy(stableRate)),
+          rateMode,
+          debtTokenAddress: reserveData.stableDebtTokenAddress,
+        });
+      } else {
+        positions.borrows.push({
+          id: token.address,
+          token: pricedToken,
+          amount,
+          balance,
+          rate: reserveData.currentVariableBorrowRate,
+          apy: reserveData.variableBorrowAPY,
+          rateMode,
+          debtTokenAddress: reserveData.variableDebtTokenAddress,
+        });
+      }
+    });
 
     return {
       ...positions,
-      accountData,
+      accountData: accountResult.success
+        ? parseUserAccountData(accountResult.value, getBaseCurrencyDecimals(chainId))
+        : null,
+      tokens,
+      reserves,
+      walletBalances,
+      prices,
+      baseUsdPrice,
+      blockNumber,
     };
   } catch (error) {
     console.error('Error getting user positions:', error);
@@ -346,21 +759,46 @@ export const getUserPositions = async (userAddress) => {
 };
 
 /**
- * Get asset price from oracle
+ * Get asset price in the market's base currency (ETH or USD depending on chain)
  * @param {string} assetAddress - Asset contract address
- * @returns {Promise<number>} Asset price in USD
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<number>} Asset price in base currency
  */
-export const getAssetPrice = async (assetAddress) => {
+export const getAssetBasePrice = async (assetAddress, chainId = DEFAULTS.CHAIN_ID) => {
   try {
-    const provider = getProvider();
+    const provider = await getReadProvider(chainId);
     const contract = new Contract(
-      CONTRACT_ADDRESSES.PRICE_ORACLE,
+      getNetworkContract('AAVE_ORACLE', chainId),
       PRICE_ORACLE_ABI,
       provider
     );
 
     const price = await contract.getAssetPrice(assetAddress);
-    return parseFloat(formatUnits(price, 8)); // Chainlink uses 8 decimals
+    return parseFloat(formatUnits(price, getBaseCurrencyDecimals(chainId)));
+  } catch (error) {
+    console.error('Error getting asset base price:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get asset price from oracle
+ * @param {string} assetAddress - Asset contract address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<number>} Asset price in USD
+ */
+export const getAssetPrice = async (assetAddress, chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const basePrice = await getAssetBasePrice(assetAddress, chainId);
+
+    const baseUsdFeed = getNetworkContract('PRICE_ORACLE', chainId);
+    if (!baseUsdFeed) return basePrice;
+
+    const provider = await getReadProvider(chainId);
+    const feed = new Contract(baseUsdFeed, PRICE_ORACLE_ABI, provider);
+    const roundData = await feed.latestRoundData();
+
+    return basePrice * parseFloat(formatUnits(roundData.answer, 8)); // Chainlink uses 8 decimals
   } catch (error) {
     console.error('Error getting asset price:', error);
     throw error;
@@ -369,47 +807,51 @@ export const getAssetPrice = async (assetAddress) => {
 
 /**
  * Calculate health factor after action
+ * Collateral changes are weighted by the asset's own liquidation threshold, and a repay
+ * can't take the debt below zero.
  * @param {string} userAddress - User's address
  * @param {string} assetAddress - Asset address
- * @param {string} amount - Amount to add/remove
+ * @param {object} amount - Token amount to add/remove
  * @param {string} action - 'supply', 'withdraw', 'borrow', 'repay'
+ * @param {number} chainId - Chain ID
  * @returns {Promise<number>} New health factor
  */
 export const calculateHealthFactorAfterAction = async (
   userAddress,
   assetAddress,
   amount,
-  action
+  action,
+  chainId = DEFAULTS.CHAIN_ID
 ) => {
   try {
-    const accountData = await getUserAccountData(userAddress);
-    const assetPrice = await getAssetPrice(assetAddress);
-    const amountInUSD = parseFloat(amount) * assetPrice;
-
-    let newCollateral = accountData.totalCollateralETH;
-    let newDebt = accountData.totalDebtETH;
+    // Account totals are in the base currency, so price the amount the same way
+    const [accountData, assetPrice, reserveData] = await Promise.all([
+      getUserAccountData(userAddress, chainId),
+      getAssetBasePrice(assetAddress, chainId),
+      getReserveData(assetAddress, chainId),
+    ]);
+    const amountInBase = getAmountValue(amount, assetPrice);
+    const collateralChange = wadMul(amountInBase, toWad(reserveData.liquidationThreshold));
+
+    let weightedCollateral = toWad(accountData.totalCollateralETH * accountData.currentLiquidationThreshold);
+    let newDebt = toWad(accountData.totalDebtETH);
 
     switch (action) {
       case 'supply':
-        newCollateral += amountInUSD;
+        weightedCollateral += collateralChange;
         break;
       case 'withdraw':
-        newCollateral -= amountInUSD;
+        weightedCollateral = weightedCollateral > collateralChange ? weightedCollateral - collateralChange : 0n;
         break;
       case 'borrow':
-        newDebt += amountInUSD;
+        newDebt += amountInBase;
         break;
       case 'repay':
-        newDebt -= amountInUSD;
+        newDebt = newDebt > amountInBase ? newDebt - amountInBase : 0n;
         break;
     }
 
-    if (newDebt === 0) return Infinity;
-
-    const newHealthFactor =
-      (newCollateral * accountData.currentLiquidationThreshold) / newDebt;
-
-    return newHealthFactor;
+    return getValueRatio(weightedCollateral, newDebt);
   } catch (error) {
     console.error('Error calculating health factor:', error);
     throw error;
@@ -422,15 +864,17 @@ export const calculateHealthFactorAfterAction = async (
  * @param {string} userAddress - User address
  * @param {string} amount - Amount to check
  * @param {number} decimals - Token decimals
+ * @param {number} chainId - Chain ID
  * @returns {Promise<boolean>} Whether approval is needed
  */
-export const needsApproval = async (tokenAddress, userAddress, amount, decimals) => {
+export const needsApproval = async (tokenAddress, userAddress, amount, decimals, chainId = DEFAULTS.CHAIN_ID) => {
   try {
     const amountInWei = parseUnits(amount, decimals);
     const allowance = await getAllowance(
       tokenAddress,
       userAddress,
-      CONTRACT_ADDRESSES.LENDING_POOL
+      getLendingPoolAddress(chainId),
+      chainId
     );
 
     return BigInt(allowance) < amountInWei;
@@ -445,14 +889,15 @@ export const needsApproval = async (tokenAddress, userAddress, amount, decimals)
  * @param {string} tokenAddress - Token address
  * @param {string} amount - Amount to approve
  * @param {number} decimals - Token decimals
+ * @param {number} chainId - Chain ID
  * @returns {Promise<object>} Transaction receipt
  */
-export const approveTokenForLending = async (tokenAddress, amount, decimals) => {
+export const approveTokenForLending = async (tokenAddress, amount, decimals, chainId = DEFAULTS.CHAIN_ID) => {
   try {
     const amountInWei = parseUnits(amount, decimals);
     const receipt = await approveToken(
       tokenAddress,
-      CONTRACT_ADDRESSES.LENDING_POOL,
+      getLendingPoolAddress(chainId),
       amountInWei
     );
 
@@ -464,17 +909,26 @@ export const approveTokenForLending = async (tokenAddress, amount, decimals) =>
 };
 
 export default {
+  getLendingPoolAddress,
   getLendingPoolContract,
   getTokenContract,
+  parseUserAccountData,
   getUserAccountData,
+  parseReserveConfiguration,
   getReserveData,
+  getReservesList,
   getATokenBalance,
   getDebtTokenBalance,
+  isUsingAsCollateral,
   deposit,
   withdraw,
   borrow,
   repay,
+  getPoolEventAmount,
+  getMarketTokens,
+  getMarketData,
   getUserPositions,
+  getAssetBasePrice,
   getAssetPrice,
   calculateHealthFactorAfterAction,
   needsApproval,
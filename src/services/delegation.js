@@ -0,0 +1,141 @@
+import { Contract, Interface, dataSlice, formatUnits, getAddress, zeroPadValue } from 'ethers';
+import { getReadProvider } from '@/utils/web3';
+import { DEBT_TOKEN_ABI } from '@/utils/contracts';
+import { DEFAULTS } from '@/utils/constants';
+import { multicall, buildCall } from './multicall';
+import { isUnlimitedAllowance } from './approvals';
+
+/**
+ * Credit delegation service: borrowing power an account delegated on the debt tokens,
+ * and credit lines delegated to it
+ */
+
+// Public RPCs limit the block range of a single getLogs request
+const LOG_CHUNK_SIZE = 50000;
+
+const debtTokenInterface = new Interface(DEBT_TOKEN_ABI);
+
+/**
+ * Find debt token/delegator/delegatee triples from recent BorrowAllowanceDelegated events
+ * Both directions are scanned: delegations from the account and delegations to it.
+ * Chunks that fail are skipped.
+ * @param {string} account - Account address
+ * @param {string[]} debtTokenAddresses - Debt tokens to scan
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object[]>} [{ debtToken, delegator, delegatee }]
+ */
+const findDelegationPairs = async (account, debtTokenAddresses, chainId) => {
+  const provider = await getReadProvider(chainId);
+  const latestBlock = await provider.getBlockNumber();
+  const fromBlock = Math.max(0, latestBlock - DEFAULTS.APPROVAL_LOOKBACK_BLOCKS);
+
+  const eventTopic = debtTokenInterface.getEvent('BorrowAllowanceDelegated').topicHash;
+  const accountTopic = zeroPadValue(account, 32);
+  const filters = [
+    [eventTopic, accountTopic],
+    [eventTopic, null, accountTopic],
+  ];
+
+  const pairs = [];
+
+  for (let start = fromBlock; start <= latestBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, latestBlock);
+
+    for (const topics of filters) {
+      try {
+        const logs = await provider.getLogs({ address: debtTokenAddresses, fromBlock: start, toBlock: end, topics });
+        logs.forEach((log) => {
+          pairs.push({
+            debtToken: getAddress(log.address),
+            delegator: getAddress(dataSlice(log.topics[1], 12)),
+            delegatee: getAddress(dataSlice(log.topics[2], 12)),
+          });
+        });
+      } catch (error) {
+        console.error(`Error scanning delegations in blocks ${start}-${end}:`, error);
+      }
+    }
+  }
+
+  return pairs;
+};
+
+/**
+ * Get how much a delegatee can still borrow against a delegator on a debt token
+ * @param {string} debtTokenAddress - Variable or stable debt token
+ * @param {string} delegator - Account whose collateral backs the borrow
+ * @param {string} delegatee - Account allowed to borrow
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<BigInt>} Remaining allowance in the underlying's units
+ */
+export const getBorrowAllowance = async (debtTokenAddress, delegator, delegatee, chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const provider = await getReadProvider(chainId);
+    const debtToken = new Contract(debtTokenAddress, DEBT_TOKEN_ABI, provider);
+    return await debtToken.borrowAllowance(delegator, delegatee);
+  } catch (error) {
+    console.error('Error getting borrow allowance:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the non-zero credit delegations of an account
+ * Pairs come from recent BorrowAllowanceDelegated events; the allowances themselves are read live.
+ * @param {string} account - Account address
+ * @param {object[]} debtTokens - Debt tokens to check [{ address, token, rateMode }]
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object>} { given, received }, each [{ debtToken, delegator, delegatee, token, rateMode, allowance, formatted, isUnlimited }]
+ */
+export const getDelegations = async (account, debtTokens = [], chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    if (debtTokens.length === 0) return { given: [], received: [] };
+
+    const debtTokenByAddress = new Map(debtTokens.map(debtToken => [debtToken.address.toLowerCase(), debtToken]));
+
+    const pairs = new Map();
+    (await findDelegationPairs(account, debtTokens.map(debtToken => debtToken.address), chainId))
+      .forEach(pair => pairs.set(`${pair.debtToken}:${pair.delegator}:${pair.delegatee}`.toLowerCase(), pair));
+
+    const pairList = [...pairs.values()];
+    if (pairList.length === 0) return { given: [], received: [] };
+
+    const { results } = await multicall(
+      pairList.map(pair => buildCall(pair.debtToken, DEBT_TOKEN_ABI, 'borrowAllowance', [pair.delegator, pair.delegatee])),
+      { chainId }
+    );
+
+    const delegations = pairList
+      .map((pair, index) => {
+        const result = results[index];
+        if (!result.success || result.value === 0n) return null;
+
+        const { token, rateMode } = debtTokenByAddress.get(pair.debtToken.toLowerCase());
+        return {
+          ...pair,
+          token,
+          rateMode,
+          allowance: result.value,
+          formatted: formatUnits(result.value, token.decimals),
+          isUnlimited: isUnlimitedAllowance(result.value),
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.token.symbol.localeCompare(b.token.symbol));
+
+    const isAccount = address => address.toLowerCase() === account.toLowerCase();
+
+    return {
+      given: delegations.filter(delegation => isAccount(delegation.delegator)),
+      received: delegations.filter(delegation => isAccount(delegation.delegatee)),
+    };
+  } catch (error) {
+    console.error('Error getting delegations:', error);
+    throw error;
+  }
+};
+
+export default {
+  getBorrowAllowance,
+  getDelegations,
+};
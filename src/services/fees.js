@@ -0,0 +1,251 @@
+import { Interface, toBeHex, parseUnits, formatUnits } from 'ethers';
+import { getReadProvider, sendRpcRequest } from '@/utils/web3';
+import { DEFAULTS, FEE_PRESETS, GAS_LIMITS, ERROR_MESSAGES } from '@/utils/constants';
+import { isApprovalNeeded } from './simulation';
+
+/**
+ * Network fee service: fee presets from eth_feeHistory and gas estimates for pool calls
+ */
+
+export const CUSTOM_FEE = 'custom';
+
+const PRESETS = Object.values(FEE_PRESETS);
+
+// Nodes only accept a replacement paying at least 10% more
+const REPLACEMENT_FEE_BUMP = 1.13;
+
+// Used when a call can't be estimated yet, e.g. before its approval is mined
+const ACTION_GAS_LIMITS = {
+  deposit: GAS_LIMITS.SUPPLY,
+  withdraw: GAS_LIMITS.WITHDRAW,
+  borrow: GAS_LIMITS.BORROW,
+  repay: GAS_LIMITS.REPAY,
+  swapRate: GAS_LIMITS.SWAP_RATE,
+  setCollateral: GAS_LIMITS.SET_COLLATERAL,
+  delegate: GAS_LIMITS.DELEGATE,
+  liquidate: GAS_LIMITS.LIQUIDATE,
+};
+
+/**
+ * Get the median of BigInt values
+ * @param {BigInt[]} values - Values
+ * @returns {BigInt} Median
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Multiply a BigInt by a decimal factor
+ * @param {BigInt} value - Value
+ * @param {number} multiplier - Factor, two decimals of precision
+ * @returns {BigInt} Scaled value
+ */
+const applyMultiplier = (value, multiplier) => {
+  return (value * BigInt(Math.round(multiplier * 100))) / 100n;
+};
+
+/**
+ * Parse a fee entered in Gwei
+ * @param {string} value - Fee in Gwei
+ * @returns {BigInt} Fee in Wei
+ */
+const parseGwei = (value) => {
+  try {
+    return parseUnits(value || '0', 9);
+  } catch (error) {
+    throw new Error(ERROR_MESSAGES.INVALID_FEE);
+  }
+};
+
+/**
+ * Fee presets for chains without EIP-1559, from the node's gas price
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object>} { type, baseFee, presets }
+ */
+const getLegacyFeeEstimates = async (chainId) => {
+  const provider = await getReadProvider(chainId);
+  const { gasPrice } = await provider.getFeeData();
+  const base = gasPrice || 0n;
+  const normal = applyMultiplier(base, DEFAULTS.GAS_PRICE_MULTIPLIER);
+
+  return {
+    type: 'legacy',
+    baseFee: null,
+    presets: {
+      [FEE_PRESETS.SLOW.id]: { gasPrice: base },
+      [FEE_PRESETS.NORMAL.id]: { gasPrice: normal },
+      [FEE_PRESETS.FAST.id]: { gasPrice: applyMultiplier(normal, DEFAULTS.GAS_PRICE_MULTIPLIER) },
+    },
+  };
+};
+
+/**
+ * Get slow/normal/fast fee presets from recent blocks
+ * Priority fees are the median of each block's percentile tip; the max fee leaves room
+ * for the base fee to double before the transaction is mined.
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object>} { type: 'eip1559'|'legacy', baseFee, presets }
+ */
+export const getFeeEstimates = async (chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const history = await sendRpcRequest(
+      'eth_feeHistory',
+      [toBeHex(DEFAULTS.FEE_HISTORY_BLOCKS), 'latest', PRESETS.map(preset => preset.percentile)],
+      chainId
+    );
+
+    // The last base fee is the one of the next block
+    const baseFees = history.baseFeePerGas || [];
+    const baseFee = BigInt(baseFees[baseFees.length - 1] || 0);
+    if (baseFee === 0n) return getLegacyFeeEstimates(chainId);
+
+    const rewards = history.reward || [];
+    const presets = {};
+
+    PRESETS.forEach((preset, index) => {
+      // Empty blocks report zero tips
+      const tips = rewards.map(reward => BigInt(reward[index])).filter(tip => tip > 0n);
+      const maxPriorityFeePerGas = tips.length > 0 ? median(tips) : 0n;
+
+      presets[preset.id] = {
+        maxPriorityFeePerGas,
+        maxFeePerGas: baseFee * 2n + maxPriorityFeePerGas,
+      };
+    });
+
+    return { type: 'eip1559', baseFee, presets };
+  } catch (error) {
+    console.error('Error getting fee history:', error);
+    return getLegacyFeeEstimates(chainId);
+  }
+};
+
+/**
+ * Get the current gas price of the normal preset
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<string>} Gas price in Gwei
+ */
+export const getGasPrice = async (chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const estimates = await getFeeEstimates(chainId);
+    return formatUnits(getEffectiveGasPrice(estimates, estimates.presets[DEFAULTS.FEE_PRESET]), 9);
+  } catch (error) {
+    console.error('Error getting gas price:', error);
+    return '0';
+  }
+};
+
+/**
+ * Get the fee overrides to send with a transaction
+ * @param {object} estimates - Result of getFeeEstimates
+ * @param {string} presetId - Preset ID or CUSTOM_FEE
+ * @param {object} customFees - { maxFeePerGas, maxPriorityFeePerGas } in Gwei, for CUSTOM_FEE
+ * @returns {object} Transaction overrides
+ */
+export const getFeeOverrides = (estimates, presetId, customFees = {}) => {
+  if (!estimates) return {};
+
+  if (presetId !== CUSTOM_FEE) {
+    return estimates.presets[presetId] || {};
+  }
+
+  const maxFeePerGas = parseGwei(customFees.maxFeePerGas);
+  if (maxFeePerGas <= 0n) throw new Error(ERROR_MESSAGES.INVALID_FEE);
+
+  // Legacy chains only take a single gas price
+  if (estimates.type === 'legacy') return { gasPrice: maxFeePerGas };
+
+  const maxPriorityFeePerGas = parseGwei(customFees.maxPriorityFeePerGas);
+  if (maxPriorityFeePerGas > maxFeePerGas) throw new Error(ERROR_MESSAGES.INVALID_FEE);
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+};
+
+/**
+ * Get the gas price a transaction is expected to pay with the given overrides
+ * @param {object} estimates - Result of getFeeEstimates
+ * @param {object} overrides - Fee overrides
+ * @returns {BigInt} Gas price in Wei
+ */
+export const getEffectiveGasPrice = (estimates, overrides) => {
+  if (overrides.gasPrice !== undefined) return overrides.gasPrice;
+  if (!estimates?.baseFee || overrides.maxFeePerGas === undefined) return 0n;
+
+  const expected = estimates.baseFee + overrides.maxPriorityFeePerGas;
+  return expected < overrides.maxFeePerGas ? expected : overrides.maxFeePerGas;
+};
+
+/**
+ * Get fees for a transaction replacing a pending one with the same nonce
+ * The pending fees are bumped enough for nodes to accept the replacement, and raised
+ * to the fast preset if the network has moved above that.
+ * @param {object} transaction - Pending transaction (gasPrice or maxFeePerGas/maxPriorityFeePerGas)
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object>} Transaction overrides
+ */
+export const getReplacementFees = async (transaction, chainId = DEFAULTS.CHAIN_ID) => {
+  const estimates = await getFeeEstimates(chainId);
+  const fast = estimates.presets[FEE_PRESETS.FAST.id];
+  const max = (a, b) => (a > b ? a : b);
+
+  if (estimates.type === 'eip1559' && transaction.maxFeePerGas != null) {
+    return {
+      maxFeePerGas: max(applyMultiplier(transaction.maxFeePerGas, REPLACEMENT_FEE_BUMP), fast.maxFeePerGas),
+      maxPriorityFeePerGas: max(
+        applyMultiplier(transaction.maxPriorityFeePerGas, REPLACEMENT_FEE_BUMP),
+        fast.maxPriorityFeePerGas
+      ),
+    };
+  }
+
+  return {
+    gasPrice: max(
+      applyMultiplier(transaction.gasPrice ?? 0n, REPLACEMENT_FEE_BUMP),
+      fast.gasPrice ?? fast.maxFeePerGas
+    ),
+  };
+};
+
+/**
+ * Estimate the gas of a pool call
+ * A call that still needs an approval can't be estimated, so the configured limits of
+ * the approval and the action are used instead.
+ * @param {object} call - Call built with buildActionCall
+ * @param {string} from - Sender address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object>} { gasLimit, isEstimated }
+ */
+export const estimateCallGas = async (call, from, chainId = DEFAULTS.CHAIN_ID) => {
+  const fallbackLimit = BigInt(ACTION_GAS_LIMITS[call.action] || 0);
+
+  try {
+    if (await isApprovalNeeded(call, from, chainId)) {
+      return { gasLimit: BigInt(GAS_LIMITS.APPROVE) + fallbackLimit, isEstimated: false };
+    }
+
+    const provider = await getReadProvider(chainId);
+    const gasLimit = await provider.estimateGas({
+      to: call.target,
+      from,
+      data: new Interface(call.abi).encodeFunctionData(call.method, call.args),
+      value: call.value,
+    });
+
+    return { gasLimit, isEstimated: true };
+  } catch (error) {
+    console.error(`Error estimating gas for ${call.method}:`, error);
+    return { gasLimit: fallbackLimit, isEstimated: false };
+  }
+};
+
+export default {
+  CUSTOM_FEE,
+  getFeeEstimates,
+  getGasPrice,
+  getFeeOverrides,
+  getEffectiveGasPrice,
+  getReplacementFees,
+  estimateCallGas,
+};
@@ -0,0 +1,249 @@
+import { ZeroAddress } from 'ethers';
+import {
+  ERC20_ABI,
+  DEBT_TOKEN_ABI,
+  STABLE_DEBT_TOKEN_ABI,
+  INTEREST_RATE_STRATEGY_ABI,
+  INTEREST_RATE_STRATEGY_V3_ABI,
+} from '@/utils/contracts';
+import { DEFAULTS } from '@/utils/constants';
+import { getPoolVersion } from '@/utils/networks';
+import { RAY, rayMul, rayDiv, wadToRay, aprToApy, rayToPercent } from '@/utils/rayMath';
+import { multicall, buildCall } from './multicall';
+
+/**
+ * Interest rate model of a reserve: the strategy's parameters, the reserve's liquidity and
+ * debt, and the rates the strategy sets for any utilization
+ */
+
+const PERCENTAGE_FACTOR = 10000n;
+
+// Utilization steps plotted on a rate curve
+const CURVE_STEPS = 100;
+
+/**
+ * Multiply by a percentage in basis points, rounding half up like the pool's PercentageMath
+ */
+const percentMul = (value, percentage) => {
+  if (value === 0n || percentage === 0n) return 0n;
+  return (value * percentage + PERCENTAGE_FACTOR / 2n) / PERCENTAGE_FACTOR;
+};
+
+/**
+ * Build the reads of a strategy's parameters: optimal utilization, base variable borrow rate
+ * and the two slopes
+ * V3.2 strategies serve every reserve of the pool and return them all from
+ * getInterestRateData; earlier V3 strategies have one getter each, so both are read.
+ */
+const buildStrategyCalls = (strategy, assetAddress, version) => {
+  if (version !== 3) {
+    return [
+      buildCall(strategy, INTEREST_RATE_STRATEGY_ABI, 'OPTIMAL_UTILIZATION_RATE'),
+      buildCall(strategy, INTEREST_RATE_STRATEGY_ABI, 'baseVariableBorrowRate'),
+      buildCall(strategy, INTEREST_RATE_STRATEGY_ABI, 'variableRateSlope1'),
+      buildCall(strategy, INTEREST_RATE_STRATEGY_ABI, 'variableRateSlope2'),
+    ];
+  }
+
+  return [
+    buildCall(strategy, INTEREST_RATE_STRATEGY_V3_ABI, 'OPTIMAL_USAGE_RATIO'),
+    buildCall(strategy, INTEREST_RATE_STRATEGY_V3_ABI, 'getBaseVariableBorrowRate'),
+    buildCall(strategy, INTEREST_RATE_STRATEGY_V3_ABI, 'getVariableRateSlope1'),
+    buildCall(strategy, INTEREST_RATE_STRATEGY_V3_ABI, 'getVariableRateSlope2'),
+    buildCall(strategy, INTEREST_RATE_STRATEGY_V3_ABI, 'getInterestRateData', [assetAddress]),
+  ];
+};
+
+/**
+ * Parse results of buildStrategyCalls
+ * @returns {BigInt[]|null} [optimalUtilization, baseVariableBorrowRate, variableRateSlope1,
+ * variableRateSlope2] in ray, or null if the strategy couldn't be read
+ */
+const parseStrategyResults = (results) => {
+  const [interestRateData] = results.slice(4);
+  if (interestRateData?.success) {
+    const { optimalUsageRatio, baseVariableBorrowRate, variableRateSlope1, variableRateSlope2 } = interestRateData.value;
+    return [optimalUsageRatio, baseVariableBorrowRate, variableRateSlope1, variableRateSlope2].map(BigInt);
+  }
+
+  const getters = results.slice(0, 4);
+  return getters.every(result => result.success) ? getters.map(result => BigInt(result.value)) : null;
+};
+
+/**
+ * Read the interest rate model of a reserve
+ * Rates are rays; liquidity and debt are in the token's base units. Stable debt counts as 0
+ * where the reserve has none to read, as on V3 markets that retired stable borrowing.
+ * @param {object} token - Token entry
+ * @param {object} reserve - Reserve data from getMarketData
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object>} { strategyAddress, optimalUtilization, baseVariableBorrowRate,
+ * variableRateSlope1, variableRateSlope2, reserveFactor (basis points), state: { availableLiquidity,
+ * totalStableDebt, totalVariableDebt, averageStableBorrowRate } }
+ */
+export const getInterestRateModel = async (token, reserve, chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const strategy = reserve.interestRateStrategyAddress;
+    const strategyCalls = buildStrategyCalls(strategy, token.address, getPoolVersion(chainId));
+    const hasStableDebt = Boolean(reserve.stableDebtTokenAddress) && reserve.stableDebtTokenAddress !== ZeroAddress;
+
+    const { results } = await multicall([
+      ...strategyCalls,
+      // The aToken holds the reserve's unborrowed liquidity
+      buildCall(token.address, ERC20_ABI, 'balanceOf', [reserve.aTokenAddress]),
+      buildCall(reserve.variableDebtTokenAddress, DEBT_TOKEN_ABI, 'totalSupply'),
+      ...(hasStableDebt ? [
+        buildCall(reserve.stableDebtTokenAddress, STABLE_DEBT_TOKEN_ABI, 'totalSupply'),
+        buildCall(reserve.stableDebtTokenAddress, STABLE_DEBT_TOKEN_ABI, 'getAverageStableRate'),
+      ] : []),
+    ], { chainId });
+
+    const parameters = parseStrategyResults(results.slice(0, strategyCalls.length));
+    const [liquidityResult, variableDebtResult, ...stableResults] = results.slice(strategyCalls.length);
+
+    if (!parameters || !liquidityResult.success || !variableDebtResult.success) {
+      throw new Error(`Interest rate model of ${token.symbol} can't be read`);
+    }
+
+    const [optimalUtilization, baseVariableBorrowRate, variableRateSlope1, variableRateSlope2] = parameters;
+    const availableLiquidity = BigInt(liquidityResult.value);
+    const totalVariableDebt = BigInt(variableDebtResult.value);
+    const [totalStableDebt, averageStableBorrowRate] = stableResults.length && stableResults.every(result => result.success)
+      ? stableResults.map(result => BigInt(result.value))
+      : [0n, 0n];
+
+    return {
+      strategyAddress: strategy,
+      optimalUtilization,
+      baseVariableBorrowRate,
+      variableRateSlope1,
+      variableRateSlope2,
+      reserveFactor: BigInt(Math.round(reserve.reserveFactor * 10000)),
+      state: {
+        availableLiquidity,
+        totalStableDebt,
+        totalVariableDebt,
+        averageStableBorrowRate,
+      },
+    };
+  } catch (error) {
+    console.error('Error getting interest rate model:', error);
+    throw error;
+  }
+};
+
+/**
+ * Calculate the rates the strategy sets for a reserve state
+ * Mirrors the default strategy's calculateInterestRates: the variable rate climbs slope 1 up
+ * to the optimal utilization and slope 2 beyond it, and suppliers earn the average borrow
+ * rate on the borrowed share, less the reserve factor. The stable rate is left out, as it
+ * also depends on the market's lending rate oracle.
+ * @param {object} model - Result of getInterestRateModel
+ * @param {object} state - { availableLiquidity, totalStableDebt, totalVariableDebt, averageStableBorrowRate }
+ * @returns {object} { utilization, liquidityRate, variableBorrowRate } in ray
+ */
+export const calculateInterestRates = (model, state) => {
+  const { availableLiquidity, totalStableDebt, totalVariableDebt, averageStableBorrowRate } = state;
+  const totalDebt = totalStableDebt + totalVariableDebt;
+
+  const utilization = totalDebt === 0n ? 0n : rayDiv(totalDebt, availableLiquidity + totalDebt);
+
+  let variableBorrowRate;
+  if (utilization > model.optimalUtilization) {
+    const excessUtilization = rayDiv(utilization - model.optimalUtilization, RAY - model.optimalUtilization);
+    variableBorrowRate = model.baseVariableBorrowRate
+      + model.variableRateSlope1
+      + rayMul(model.variableRateSlope2, excessUtilization);
+  } else {
+    variableBorrowRate = model.baseVariableBorrowRate
+      + rayDiv(rayMul(utilization, model.variableRateSlope1), model.optimalUtilization);
+  }
+
+  const overallBorrowRate = totalDebt === 0n
+    ? 0n
+    : rayDiv(
+      rayMul(wadToRay(totalVariableDebt), variableBorrowRate)
+        + rayMul(wadToRay(totalStableDebt), averageStableBorrowRate),
+      wadToRay(totalDebt)
+    );
+
+  const liquidityRate = percentMul(
+    rayMul(overallBorrowRate, utilization),
+    PERCENTAGE_FACTOR - model.reserveFactor
+  );
+
+  return { utilization, liquidityRate, variableBorrowRate };
+};
+
+/**
+ * Convert calculated rates to percentages, for display
+ * @param {object} rates - Result of calculateInterestRates
+ * @returns {object} { utilization, supplyAPY, borrowAPY } in percent
+ */
+export const toRatePercents = ({ utilization, liquidityRate, variableBorrowRate }) => ({
+  utilization: rayToPercent(utilization),
+  supplyAPY: rayToPercent(aprToApy(liquidityRate)),
+  borrowAPY: rayToPercent(aprToApy(variableBorrowRate)),
+});
+
+/**
+ * Plot supply and variable borrow APYs against utilization
+ * Each point keeps the reserve's current split between stable and variable debt.
+ * @param {object} model - Result of getInterestRateModel
+ * @returns {object[]} [{ utilization, supplyAPY, borrowAPY }] in percent, from 0 to 100% utilization
+ */
+export const getRateCurve = (model) => {
+  const { totalStableDebt, totalVariableDebt, averageStableBorrowRate } = model.state;
+  const totalDebt = totalStableDebt + totalVariableDebt;
+
+  // Rates only depend on ratios, so any total liquidity gives the same curve
+  const totalLiquidity = RAY;
+  const steps = BigInt(CURVE_STEPS);
+
+  return Array.from({ length: CURVE_STEPS + 1 }, (_, index) => {
+    const debt = (totalLiquidity * BigInt(index)) / steps;
+    const stableDebt = totalDebt === 0n ? 0n : (debt * totalStableDebt) / totalDebt;
+
+    return toRatePercents(calculateInterestRates(model, {
+      availableLiquidity: totalLiquidity - debt,
+      totalStableDebt: stableDebt,
+      totalVariableDebt: debt - stableDebt,
+      averageStableBorrowRate,
+    }));
+  });
+};
+
+/**
+ * Calculate the rates after a supply or variable rate borrow
+ * @param {object} model - Result of getInterestRateModel
+ * @param {string} action - 'supply' or 'borrow'
+ * @param {object} amount - Token amount
+ * @returns {object|null} Result of calculateInterestRates, or null if the reserve lacks
+ * the liquidity to lend `amount`
+ */
+export const simulateInterestRates = (model, action, amount) => {
+  const { state } = model;
+
+  if (action === 'supply') {
+    return calculateInterestRates(model, {
+      ...state,
+      availableLiquidity: state.availableLiquidity + amount.raw,
+    });
+  }
+
+  if (amount.raw > state.availableLiquidity) return null;
+
+  return calculateInterestRates(model, {
+    ...state,
+    availableLiquidity: state.availableLiquidity - amount.raw,
+    totalVariableDebt: state.totalVariableDebt + amount.raw,
+  });
+};
+
+export default {
+  getInterestRateModel,
+  calculateInterestRates,
+  toRatePercents,
+  getRateCurve,
+  simulateInterestRates,
+};
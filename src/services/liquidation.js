@@ -0,0 +1,272 @@
+import { Interface, dataSlice, formatUnits, getAddress } from 'ethers';
+import { getReadProvider } from '@/utils/web3';
+import { getLendingPoolAbi } from '@/utils/contracts';
+import { DEFAULTS, GAS_LIMITS, HEALTH_FACTOR } from '@/utils/constants';
+import { getNetworkTokens, getBaseCurrencyDecimals } from '@/utils/networks';
+import {
+  addAmounts,
+  minAmount,
+  scaleAmount,
+  fromWad,
+  getAmountValue,
+  getAmountForValue,
+} from '@/utils/tokenAmount';
+import { multicall, buildCall } from './multicall';
+import {
+  getLendingPoolAddress,
+  getMarketData,
+  getUserPositions,
+  parseUserAccountData,
+} from './blockchain';
+import { getFeeEstimates, getEffectiveGasPrice } from './fees';
+
+/**
+ * Liquidation service: recent borrowers whose health factor fell below 1, and the most
+ * profitable way to liquidate each of them
+ */
+
+// Public RPCs limit the block range of a single getLogs request
+const LOG_CHUNK_SIZE = 50000;
+
+// Keeps a batch of account reads within the gas limit nodes apply to eth_call
+const ACCOUNT_BATCH_SIZE = 200;
+
+// V2 pools let one liquidation repay at most half of the borrower's debt in an asset
+export const CLOSE_FACTOR = 0.5;
+
+const BPS_DIVIDER = 10000;
+const BPS = BigInt(BPS_DIVIDER);
+
+/**
+ * Find the accounts that borrowed in recent blocks, from the pool's Borrow events
+ * The debt is recorded on onBehalfOf, which differs from the sender for delegated credit.
+ * Chunks that fail are skipped.
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<string[]>} Borrower addresses
+ */
+export const findBorrowers = async (chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const provider = await getReadProvider(chainId);
+    const lendingPool = getLendingPoolAddress(chainId);
+    const latestBlock = await provider.getBlockNumber();
+    const fromBlock = Math.max(0, latestBlock - DEFAULTS.BORROWER_LOOKBACK_BLOCKS);
+    // V3 changed the Borrow event's signature, and with it the topic
+    const poolInterface = new Interface(getLendingPoolAbi(chainId));
+    const topics = [poolInterface.getEvent('Borrow').topicHash];
+
+    const borrowers = new Set();
+
+    for (let start = fromBlock; start <= latestBlock; start += LOG_CHUNK_SIZE) {
+      const end = Math.min(start + LOG_CHUNK_SIZE - 1, latestBlock);
+
+      try {
+        const logs = await provider.getLogs({ address: lendingPool, fromBlock: start, toBlock: end, topics });
+        logs.forEach(log => borrowers.add(getAddress(dataSlice(log.topics[2], 12))));
+      } catch (error) {
+        console.error(`Error scanning borrowers in blocks ${start}-${end}:`, error);
+      }
+    }
+
+    return [...borrowers];
+  } catch (error) {
+    console.error('Error finding borrowers:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the accounts that can be liquidated: with debt and a health factor below 1
+ * @param {string[]} addresses - Accounts to check
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object[]>} [{ address, accountData }], lowest health factor first
+ */
+export const getLiquidatableAccounts = async (addresses, chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const lendingPool = getLendingPoolAddress(chainId);
+    const baseDecimals = getBaseCurrencyDecimals(chainId);
+    const accounts = [];
+
+    for (let start = 0; start < addresses.length; start += ACCOUNT_BATCH_SIZE) {
+      const batch = addresses.slice(start, start + ACCOUNT_BATCH_SIZE);
+      const { results } = await multicall(
+        batch.map(address => buildCall(lendingPool, getLendingPoolAbi(chainId), 'getUserAccountData', [address])),
+        { chainId }
+      );
+
+      results.forEach((result, index) => {
+        if (!result.success) return;
+
+        const accountData = parseUserAccountData(result.value, baseDecimals);
+        if (accountData.totalDebtETH > 0 && accountData.healthFactor < HEALTH_FACTOR.CRITICAL) {
+          accounts.push({ address: batch[index], accountData });
+        }
+      });
+    }
+
+    return accounts.sort((a, b) => a.accountData.healthFactor - b.accountData.healthFactor);
+  } catch (error) {
+    console.error('Error getting liquidatable accounts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the expected network fee of a liquidation call at the normal fee preset
+ * @param {object} prices - USD prices keyed by token symbol
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<number|null>} Fee in USD, or null if the native asset has no price
+ */
+export const getLiquidationGasCost = async (prices, chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const nativeToken = getNetworkTokens(chainId).find(token => token.isNative);
+    const nativePrice = nativeToken ? prices[nativeToken.symbol] : null;
+    if (!nativePrice) return null;
+
+    const estimates = await getFeeEstimates(chainId);
+    const gasPrice = getEffectiveGasPrice(estimates, estimates.presets[DEFAULTS.FEE_PRESET]);
+
+    return parseFloat(formatUnits(gasPrice * BigInt(GAS_LIMITS.LIQUIDATE), 18)) * nativePrice;
+  } catch (error) {
+    console.error('Error getting liquidation gas cost:', error);
+    return null;
+  }
+};
+
+/**
+ * Pick the collateral/debt pair of a borrower that pays the largest bonus
+ * Stable and variable debt in an asset are repaid together, so the close factor applies to
+ * their sum. The debt to cover is also limited to what the collateral can pay out with the bonus.
+ * Amounts are token amounts from the exact position balances; values are only priced in USD.
+ * @param {object} positions - Result of getUserPositions
+ * @returns {object|null} { debtToken, collateralToken, debt, collateral, debtToCover, collateralToReceive, bonus, bonusUsd }
+ */
+const findBestLiquidation = ({ supplies, borrows, reserves }) => {
+  const debts = new Map();
+  borrows.forEach((borrowData) => {
+    const entry = debts.get(borrowData.token.symbol);
+    debts.set(borrowData.token.symbol, {
+      token: borrowData.token,
+      amount: entry ? addAmounts(entry.amount, borrowData.balance) : borrowData.balance,
+    });
+  });
+
+  let best = null;
+
+  supplies
+    .filter(supply => supply.usageAsCollateralEnabled && supply.token.price > 0)
+    .forEach((collateral) => {
+      const bonus = reserves[collateral.token.symbol]?.liquidationBonus ?? 0;
+      const bonusBps = BigInt(Math.round(bonus * BPS_DIVIDER));
+      const collateralValue = getAmountValue(collateral.balance, collateral.token.price);
+
+      debts.forEach((debt) => {
+        if (!(debt.token.price > 0)) return;
+
+        const maxByCloseFactor = scaleAmount(debt.amount, CLOSE_FACTOR * BPS_DIVIDER);
+        const maxByCollateral = getAmountForValue(
+          (collateralValue * BPS) / (BPS + bonusBps),
+          debt.token.price,
+          debt.token.decimals
+        );
+        const debtToCover = minAmount(maxByCloseFactor, maxByCollateral);
+        const coveredValue = getAmountValue(debtToCover, debt.token.price);
+        const bonusValue = (coveredValue * bonusBps) / BPS;
+        const bonusUsd = fromWad(bonusValue);
+
+        if (best && bonusUsd <= best.bonusUsd) return;
+
+        best = {
+          debtToken: debt.token,
+          collateralToken: collateral.token,
+          debt: debt.amount,
+          collateral: collateral.balance,
+          debtToCover,
+          collateralToReceive: getAmountForValue(
+            coveredValue + bonusValue,
+            collateral.token.price,
+            collateral.token.decimals
+          ),
+          bonus,
+          bonusUsd,
+        };
+      });
+    });
+
+  return best;
+};
+
+/**
+ * Get liquidation opportunities among recent borrowers
+ * Each opportunity is the best pair of one account below a health factor of 1. The expected
+ * profit is the bonus minus the network fee, or null when the fee can't be priced.
+ * Accounts whose positions can't be read are left out.
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object>} { opportunities: [{ user, healthFactor, ...pair, gasCostUsd, profitUsd }], scanned }
+ */
+export const getLiquidationOpportunities = async (chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const borrowers = await findBorrowers(chainId);
+    const accounts = await getLiquidatableAccounts(borrowers, chainId);
+    if (accounts.length === 0) return { opportunities: [], scanned: borrowers.length };
+
+    const { prices } = await getMarketData(chainId);
+    const gasCostUsd = await getLiquidationGasCost(prices, chainId);
+    const opportunities = [];
+
+    for (const { address, accountData } of accounts) {
+      try {
+        const best = findBestLiquidation(await getUserPositions(address, chainId));
+        if (!best) continue;
+
+        opportunities.push({
+          user: address,
+          healthFactor: accountData.healthFactor,
+          ...best,
+          gasCostUsd,
+          profitUsd: gasCostUsd === null ? null : best.bonusUsd - gasCostUsd,
+        });
+      } catch (error) {
+        console.error(`Error reading the position of ${address}:`, error);
+      }
+    }
+
+    return {
+      opportunities: opportunities.sort((a, b) => b.bonusUsd - a.bonusUsd),
+      scanned: borrowers.length,
+    };
+  } catch (error) {
+    console.error('Error getting liquidation opportunities:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the amounts a liquidation settled from the pool's LiquidationCall event
+ * @param {object} receipt - Transaction receipt
+ * @param {string} user - Liquidated account
+ * @param {number} chainId - Chain ID
+ * @returns {object|null} { debtCovered, collateralReceived } in Wei, or null if the event isn't in the receipt
+ */
+export const getLiquidationResult = (receipt, user, chainId = DEFAULTS.CHAIN_ID) => {
+  const lendingPool = getLendingPoolAddress(chainId).toLowerCase();
+  const poolInterface = new Interface(getLendingPoolAbi(chainId));
+
+  const event = receipt.logs
+    .filter(log => log.address.toLowerCase() === lendingPool)
+    .map(log => poolInterface.parseLog(log))
+    .find(parsed => parsed?.name === 'LiquidationCall'
+      && parsed.args.user.toLowerCase() === user.toLowerCase());
+
+  return event
+    ? { debtCovered: event.args.debtToCover, collateralReceived: event.args.liquidatedCollateralAmount }
+    : null;
+};
+
+export default {
+  CLOSE_FACTOR,
+  findBorrowers,
+  getLiquidatableAccounts,
+  getLiquidationGasCost,
+  getLiquidationOpportunities,
+  getLiquidationResult,
+};
@@ -0,0 +1,136 @@
+import { Contract, Interface } from 'ethers';
+import { getReadProvider } from '@/utils/web3';
+import { MULTICALL_ABI } from '@/utils/contracts';
+import { DEFAULTS } from '@/utils/constants';
+import { getNetworkContract } from '@/utils/networks';
+
+/**
+ * Multicall service for batching contract reads into a single RPC request
+ */
+
+// Interfaces are cached per ABI so repeated batches don't re-parse fragments
+const interfaceCache = new Map();
+
+/**
+ * Get (cached) interface for an ABI
+ * @param {array} abi - Contract ABI
+ * @returns {Interface} Ethers interface
+ */
+const getInterface = (abi) => {
+  if (!interfaceCache.has(abi)) {
+    interfaceCache.set(abi, new Interface(abi));
+  }
+  return interfaceCache.get(abi);
+};
+
+/**
+ * Get Multicall contract instance
+ * @param {Provider} provider - Ethers provider
+ * @param {number} chainId - Chain ID
+ * @returns {Contract} Contract instance
+ */
+export const getMulticallContract = (provider, chainId = DEFAULTS.CHAIN_ID) => {
+  if (!provider) throw new Error('Provider not available');
+
+  const address = getNetworkContract('MULTICALL', chainId);
+  if (!address) throw new Error(`Multicall not configured for chain ${chainId}`);
+
+  return new Contract(address, MULTICALL_ABI, provider);
+};
+
+/**
+ * Build a call description for multicall
+ * @param {string} target - Contract address
+ * @param {array} abi - Contract ABI
+ * @param {string} method - Function name
+ * @param {array} args - Function arguments
+ * @returns {object} Call description
+ */
+export const buildCall = (target, abi, method, args = []) => ({
+  target,
+  abi,
+  method,
+  args,
+});
+
+/**
+ * Decode a single multicall result
+ * @param {object} call - Call description
+ * @param {boolean} success - Whether the call succeeded
+ * @param {string} returnData - Raw return data
+ * @returns {object} { success, value }
+ */
+const decodeResult = (call, success, returnData) => {
+  if (!success || returnData === '0x') {
+    return { success: false, value: null };
+  }
+
+  try {
+    const decoded = getInterface(call.abi).decodeFunctionResult(call.method, returnData);
+    return {
+      success: true,
+      value: decoded.length === 1 ? decoded[0] : decoded,
+    };
+  } catch (error) {
+    console.error(`Error decoding ${call.method} result:`, error);
+    return { success: false, value: null };
+  }
+};
+
+/**
+ * Execute a batch of read calls in a single request
+ * Calls are allowed to fail individually; check `success` on each result.
+ * @param {object[]} calls - Calls built with buildCall
+ * @param {object} options - { blockTag, provider, chainId } (provider defaults to the chain's read provider)
+ * @returns {Promise<object>} { blockNumber, results: [{ success, value }] }
+ */
+export const multicall = async (calls, options = {}) => {
+  const { blockTag, provider, chainId } = options;
+
+  if (calls.length === 0) {
+    return { blockNumber: blockTag ?? null, results: [] };
+  }
+
+  try {
+    const readProvider = provider || await getReadProvider(chainId);
+    const contract = getMulticallContract(readProvider, chainId);
+
+    const encodedCalls = calls.map((call) => ({
+      target: call.target,
+      callData: getInterface(call.abi).encodeFunctionData(call.method, call.args),
+    }));
+
+    const overrides = blockTag !== undefined ? { blockTag } : {};
+    const [blockNumber, , returnData] = await contract.tryBlockAndAggregate.staticCall(
+      false, // don't revert the whole batch on a single failure
+      encodedCalls,
+      overrides
+    );
+
+    return {
+      blockNumber: Number(blockNumber),
+      results: returnData.map(([success, data], index) =>
+        decodeResult(calls[index], success, data)
+      ),
+    };
+  } catch (error) {
+    console.error('Error executing multicall:', error);
+    throw error;
+  }
+};
+
+/**
+ * Build a call to read the native balance of an address via Multicall
+ * @param {string} address - Address to read
+ * @param {number} chainId - Chain ID
+ * @returns {object} Call description
+ */
+export const buildEthBalanceCall = (address, chainId = DEFAULTS.CHAIN_ID) =>
+  buildCall(getNetworkContract('MULTICALL', chainId), MULTICALL_ABI, 'getEthBalance', [address]);
+
+export default {
+  getMulticallContract,
+  buildCall,
+  multicall,
+  buildEthBalanceCall,
+};
@@ -0,0 +1,151 @@
+import { Contract, Signature, TypedDataEncoder, ZeroAddress, id } from 'ethers';
+import { getReadProvider } from '@/utils/web3';
+import { ERC20_PERMIT_ABI } from '@/utils/contracts';
+import { DEFAULTS } from '@/utils/constants';
+import { getNetwork } from '@/utils/networks';
+
+/**
+ * EIP-2612 permit service: detects permit support of tokens and the lending pool,
+ * and signs permits so supply/repay don't need an approve transaction
+ */
+
+const EIP2612_PERMIT_TYPEHASH = id('Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)');
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// EIP-712 domain per token (null when the token has no standard permit)
+const permitDomains = new Map();
+
+/**
+ * Read an optional view function, returning null if the token doesn't have it
+ * @param {Contract} contract - Token contract
+ * @param {string} method - Function name
+ * @param {Array} args - Arguments
+ * @returns {Promise<any>} Result or null
+ */
+const tryCall = async (contract, method, args = []) => {
+  try {
+    return await contract[method](...args);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the EIP-712 domain of a token's standard EIP-2612 permit
+ * The domain is rebuilt from the token's getters and only accepted if it hashes to the
+ * token's DOMAIN_SEPARATOR. Tokens with a different permit (e.g. DAI on Ethereum) are rejected.
+ * @param {string} tokenAddress - Token address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object|null>} Domain, or null if permit is not supported
+ */
+export const getPermitDomain = async (tokenAddress, chainId = DEFAULTS.CHAIN_ID) => {
+  const key = `${chainId}:${tokenAddress.toLowerCase()}`;
+  if (permitDomains.has(key)) return permitDomains.get(key);
+
+  const provider = await getReadProvider(chainId);
+  const token = new Contract(tokenAddress, ERC20_PERMIT_ABI, provider);
+
+  const [separator, nonce, typehash, eip712Domain, name, version] = await Promise.all([
+    tryCall(token, 'DOMAIN_SEPARATOR'),
+    tryCall(token, 'nonces', [ZeroAddress]),
+    tryCall(token, 'PERMIT_TYPEHASH'),
+    tryCall(token, 'eip712Domain'),
+    tryCall(token, 'name'),
+    tryCall(token, 'version'),
+  ]);
+
+  let domain = null;
+
+  const hasPermit = separator !== null && nonce !== null
+    && (typehash === null || typehash === EIP2612_PERMIT_TYPEHASH);
+
+  if (hasPermit) {
+    // EIP-5267 tokens describe their domain, older ones mostly use version "1"
+    const candidates = eip712Domain
+      ? [{ name: eip712Domain.name, version: eip712Domain.version }]
+      : [{ name, version: version || '1' }];
+
+    domain = candidates
+      .map(candidate => ({ ...candidate, chainId, verifyingContract: tokenAddress }))
+      .find(candidate => candidate.name && TypedDataEncoder.hashDomain(candidate) === separator) || null;
+  }
+
+  permitDomains.set(key, domain);
+  return domain;
+};
+
+/**
+ * Check whether the chain's lending pool has supplyWithPermit/repayWithPermit
+ * Only V3 pools do, as flagged in the network registry.
+ * @param {number} chainId - Chain ID
+ * @returns {boolean} Whether the pool supports permits
+ */
+export const isPoolPermitSupported = (chainId = DEFAULTS.CHAIN_ID) => {
+  const network = getNetwork(chainId);
+  return Boolean(network?.contracts.LENDING_POOL && network.supportsPermit);
+};
+
+/**
+ * Check whether a token can be approved to the pool with a permit
+ * @param {string} tokenAddress - Token address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<boolean>} Whether permit can be used
+ */
+export const isPermitSupported = async (tokenAddress, chainId = DEFAULTS.CHAIN_ID) => {
+  if (!isPoolPermitSupported(chainId)) return false;
+
+  try {
+    return Boolean(await getPermitDomain(tokenAddress, chainId));
+  } catch (error) {
+    console.error('Error checking permit support:', error);
+    return false;
+  }
+};
+
+/**
+ * Ask the wallet to sign an EIP-2612 permit
+ * @param {Signer} signer - Wallet signer
+ * @param {object} params - { tokenAddress, owner, spender, value, chainId }
+ * @returns {Promise<object>} { deadline, v, r, s } to pass to the *WithPermit call
+ */
+export const signPermit = async (signer, { tokenAddress, owner, spender, value, chainId = DEFAULTS.CHAIN_ID }) => {
+  try {
+    const domain = await getPermitDomain(tokenAddress, chainId);
+    if (!domain) throw new Error('Token does not support permit');
+
+    const provider = await getReadProvider(chainId);
+    const token = new Contract(tokenAddress, ERC20_PERMIT_ABI, provider);
+    const nonce = await token.nonces(owner);
+    const deadline = BigInt(Math.floor(Date.now() / 1000) + DEFAULTS.DEADLINE * 60);
+
+    const signature = await signer.signTypedData(domain, PERMIT_TYPES, {
+      owner,
+      spender,
+      value,
+      nonce,
+      deadline,
+    });
+    const { v, r, s } = Signature.from(signature);
+
+    return { deadline, v, r, s };
+  } catch (error) {
+    console.error('Error signing permit:', error);
+    throw error;
+  }
+};
+
+export default {
+  getPermitDomain,
+  isPoolPermitSupported,
+  isPermitSupported,
+  signPermit,
+};
@@ -0,0 +1,122 @@
+import { DEFAULTS } from '@/utils/constants';
+import { getUserPositions } from './blockchain';
+
+/**
+ * Portfolio service for aggregating positions across several addresses
+ */
+
+/**
+ * Sum USD value and value-weighted APY of a list of positions
+ * @param {object[]} positions - Supply or borrow positions
+ * @returns {object} { value, apy }
+ */
+const sumPositions = (positions) => {
+  let value = 0;
+  let weightedAPY = 0;
+
+  positions.forEach((position) => {
+    const positionValue = position.amount * (position.token.price || 0);
+    value += positionValue;
+    weightedAPY += positionValue * position.apy;
+  });
+
+  return {
+    value,
+    apy: value > 0 ? weightedAPY / value : 0,
+  };
+};
+
+/**
+ * Summarize the positions of a single address
+ * @param {object} positions - Result of getUserPositions
+ * @returns {object} { totalSupplied, totalBorrowed, netWorth, supplyAPY, borrowAPY, healthFactor }
+ */
+export const summarizePositions = (positions) => {
+  const supplied = sumPositions(positions.supplies);
+  const borrowed = sumPositions(positions.borrows);
+
+  return {
+    totalSupplied: supplied.value,
+    totalBorrowed: borrowed.value,
+    netWorth: supplied.value - borrowed.value,
+    supplyAPY: supplied.apy,
+    borrowAPY: borrowed.apy,
+    healthFactor: positions.accountData?.healthFactor ?? Infinity,
+  };
+};
+
+/**
+ * Combine per-address summaries
+ * APYs are re-weighted by value across all addresses; the health factor is the lowest one.
+ * @param {object[]} summaries - Results of summarizePositions
+ * @returns {object} Combined summary
+ */
+export const combineSummaries = (summaries) => {
+  const totals = summaries.reduce((acc, summary) => ({
+    totalSupplied: acc.totalSupplied + summary.totalSupplied,
+    totalBorrowed: acc.totalBorrowed + summary.totalBorrowed,
+    weightedSupplyAPY: acc.weightedSupplyAPY + summary.totalSupplied * summary.supplyAPY,
+    weightedBorrowAPY: acc.weightedBorrowAPY + summary.totalBorrowed * summary.borrowAPY,
+    healthFactor: Math.min(acc.healthFactor, summary.healthFactor),
+  }), {
+    totalSupplied: 0,
+    totalBorrowed: 0,
+    weightedSupplyAPY: 0,
+    weightedBorrowAPY: 0,
+    healthFactor: Infinity,
+  });
+
+  return {
+    totalSupplied: totals.totalSupplied,
+    totalBorrowed: totals.totalBorrowed,
+    netWorth: totals.totalSupplied - totals.totalBorrowed,
+    supplyAPY: totals.totalSupplied > 0 ? totals.weightedSupplyAPY / totals.totalSupplied : 0,
+    borrowAPY: totals.totalBorrowed > 0 ? totals.weightedBorrowAPY / totals.totalBorrowed : 0,
+    healthFactor: totals.healthFactor,
+  };
+};
+
+/**
+ * Load positions for several addresses
+ * An address that fails to load is reported with an error instead of failing the whole portfolio.
+ * @param {string[]} addresses - Addresses to load
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object>} { accounts: [{ address, supplies, borrows, summary, error }], totals }
+ */
+export const getPortfolio = async (addresses, chainId = DEFAULTS.CHAIN_ID) => {
+  const results = await Promise.allSettled(
+    addresses.map((address) => getUserPositions(address, chainId))
+  );
+
+  const accounts = results.map((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Error loading positions for ${addresses[index]}:`, result.reason);
+      return {
+        address: addresses[index],
+        supplies: [],
+        borrows: [],
+        summary: null,
+        error: result.reason?.message || 'Failed to load positions',
+      };
+    }
+
+    return {
+      address: addresses[index],
+      supplies: result.value.supplies,
+      borrows: result.value.borrows,
+      summary: summarizePositions(result.value),
+      error: null,
+    };
+  });
+
+  return {
+    accounts,
+    totals: combineSummaries(accounts.filter(a => a.summary).map(a => a.summary)),
+  };
+};
+
+export default {
+  summarizePositions,
+  combineSummaries,
+  getPortfolio,
+};
@@ -0,0 +1,213 @@
+import { Contract, MaxUint256 } from 'ethers';
+import { getReadProvider, getAllowance } from '@/utils/web3';
+import { getLendingPoolAbi, WETH_GATEWAY_ABI, ERC20_ABI, DEBT_TOKEN_ABI } from '@/utils/contracts';
+import { DEFAULTS, ERROR_MESSAGES, INTEREST_RATE_MODES } from '@/utils/constants';
+import { getNetworkContract, getPoolVersion } from '@/utils/networks';
+import { decodeRevertError } from '@/utils/errors';
+
+/**
+ * Pre-flight simulation of lending pool transactions
+ */
+
+const REFERRAL_CODE = 0;
+
+/**
+ * Add the buffer for interest that accrues before a max-amount call is mined
+ * @param {BigInt} amount - Current balance
+ * @returns {BigInt} Buffered amount
+ */
+const withInterestBuffer = (amount) => {
+  return (amount * BigInt(10000 + Math.round(DEFAULTS.MAX_AMOUNT_BUFFER * 100))) / 10000n;
+};
+
+/**
+ * Build the contract call behind a pool action
+ * Native assets go through the WETH gateway. `approval` describes the allowance the call needs;
+ * with a signed `permit` ERC20 supply and repay use the pool's *WithPermit variants instead.
+ * With `isMax` a withdraw or repay passes type(uint256).max so the pool settles the whole
+ * position when mined; `amountInWei` is then the current balance, and the allowance (or value
+ * sent) leaves room for the interest accrued until then.
+ * `rateMode` is the rate to borrow at, the debt to repay, or for swapRate the debt to switch.
+ * `onBehalfOf` is the account a deposit is credited to, a repay pays the debt of, or a borrow
+ * draws on the delegated credit line of; it defaults to `account`.
+ * delegate approves `delegatee` to borrow up to `amountInWei` against the account, on the
+ * debt token at `debtTokenAddress`.
+ * liquidate repays up to `amountInWei` of `user`'s debt in `token` and takes the collateral at
+ * `collateralAddress`, as aTokens with `receiveAToken`.
+ * @param {string} action - deposit, withdraw, borrow, repay, swapRate, setCollateral, delegate or liquidate
+ * @param {object} params - { token, amountInWei, account, chainId, aTokenAddress, permit, isMax, rateMode, useAsCollateral, onBehalfOf, debtTokenAddress, delegatee, collateralAddress, user, receiveAToken }
+ * @returns {object} { action, target, abi, method, args, value, approval }
+ */
+export const buildActionCall = (action, params) => {
+  const {
+    token,
+    amountInWei,
+    account,
+    chainId = DEFAULTS.CHAIN_ID,
+    aTokenAddress,
+    permit,
+    isMax = false,
+    rateMode = INTEREST_RATE_MODES.VARIABLE,
+    useAsCollateral,
+    onBehalfOf = account,
+    debtTokenAddress,
+    delegatee,
+    collateralAddress,
+    user,
+    receiveAToken = false,
+  } = params;
+  const lendingPool = getNetworkContract('LENDING_POOL', chainId);
+  const gateway = getNetworkContract('WETH_GATEWAY', chainId);
+
+  if (!lendingPool) throw new Error(ERROR_MESSAGES.UNSUPPORTED_NETWORK);
+  // Only moving the asset itself goes through the gateway
+  const usesGateway = ['deposit', 'withdraw', 'repay'].includes(action);
+  if (token.isNative && !gateway && usesGateway) {
+    throw new Error(`Native ${token.symbol} is not supported on this network`);
+  }
+
+  const poolCall = (method, args, approval = null) => ({
+    action,
+    target: lendingPool,
+    abi: getLendingPoolAbi(chainId),
+    method,
+    args,
+    value: 0n,
+    approval,
+  });
+
+  const gatewayCall = (method, args, value = 0n, approval = null) => ({
+    action,
+    target: gateway,
+    abi: WETH_GATEWAY_ABI,
+    method,
+    args,
+    value,
+    approval,
+  });
+
+  const permitArgs = permit ? [permit.deadline, permit.v, permit.r, permit.s] : [];
+
+  // The balance must cover the current amount; the allowance also covers accrued interest
+  const callAmount = isMax ? MaxUint256 : amountInWei;
+  const approvedAmount = isMax ? withInterestBuffer(amountInWei) : amountInWei;
+  const buildApproval = (tokenAddress, spender) => ({
+    token: tokenAddress,
+    spender,
+    amount: approvedAmount,
+    balance: amountInWei,
+  });
+
+  switch (action) {
+    case 'deposit':
+      if (permit && !token.isNative) {
+        return poolCall('supplyWithPermit', [token.address, amountInWei, onBehalfOf, REFERRAL_CODE, ...permitArgs]);
+      }
+      return token.isNative
+        ? gatewayCall('depositETH', [lendingPool, onBehalfOf, REFERRAL_CODE], amountInWei)
+        : poolCall(
+          // V3 renamed deposit to supply, keeping deposit only as a deprecated alias
+          getPoolVersion(chainId) === 3 ? 'supply' : 'deposit',
+          [token.address, amountInWei, onBehalfOf, REFERRAL_CODE],
+          buildApproval(token.address, lendingPool)
+        );
+    case 'withdraw':
+      // The gateway burns the aTokens on the user's behalf, so it needs an allowance
+      return token.isNative
+        ? gatewayCall('withdrawETH', [lendingPool, callAmount, account], 0n, buildApproval(aTokenAddress, gateway))
+        : poolCall('withdraw', [token.address, callAmount, account]);
+    case 'borrow':
+      return poolCall('borrow', [token.address, amountInWei, rateMode, REFERRAL_CODE, onBehalfOf]);
+    case 'repay':
+      if (permit && !token.isNative) {
+        return poolCall('repayWithPermit', [token.address, callAmount, rateMode, onBehalfOf, ...permitArgs]);
+      }
+      // The gateway refunds any value above the outstanding debt
+      return token.isNative
+        ? gatewayCall('repayETH', [lendingPool, callAmount, rateMode, onBehalfOf], approvedAmount)
+        : poolCall(
+          'repay',
+          [token.address, callAmount, rateMode, onBehalfOf],
+          buildApproval(token.address, lendingPool)
+        );
+    case 'swapRate':
+      return poolCall('swapBorrowRateMode', [token.address, rateMode]);
+    case 'setCollateral':
+      return poolCall('setUserUseReserveAsCollateral', [token.address, useAsCollateral]);
+    case 'delegate':
+      return {
+        action,
+        target: debtTokenAddress,
+        abi: DEBT_TOKEN_ABI,
+        method: 'approveDelegation',
+        args: [delegatee, amountInWei],
+        value: 0n,
+        approval: null,
+      };
+    case 'liquidate':
+      // The debt is repaid in the ERC20 itself, wrapped for native assets
+      return poolCall(
+        'liquidationCall',
+        [collateralAddress, token.address, user, amountInWei, receiveAToken],
+        buildApproval(token.address, lendingPool)
+      );
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+};
+
+/**
+ * Check whether a call still lacks the token allowance it needs
+ * @param {object} call - Call built with buildActionCall
+ * @param {string} from - Sender address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<boolean>} True if an approval has to be sent first
+ */
+export const isApprovalNeeded = async (call, from, chainId = DEFAULTS.CHAIN_ID) => {
+  if (!call.approval) return false;
+
+  const allowance = await getAllowance(call.approval.token, from, call.approval.spender, chainId);
+  return BigInt(allowance) < call.approval.amount;
+};
+
+/**
+ * Simulate a call with eth_call against the latest block
+ * When an approval is still missing the call itself can't run yet, so only the balance is
+ * checked and the call is simulated again after the approval.
+ * @param {object} call - Call built with buildActionCall
+ * @param {string} from - Sender address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<object>} { success, needsApproval, error }
+ */
+export const simulateActionCall = async (call, from, chainId = DEFAULTS.CHAIN_ID) => {
+  try {
+    const provider = await getReadProvider(chainId);
+
+    if (await isApprovalNeeded(call, from, chainId)) {
+      const token = new Contract(call.approval.token, ERC20_ABI, provider);
+      const balance = await token.balanceOf(from);
+
+      return balance < call.approval.balance
+        ? { success: false, needsApproval: true, error: ERROR_MESSAGES.INSUFFICIENT_BALANCE }
+        : { success: true, needsApproval: true, error: null };
+    }
+
+    const contract = new Contract(call.target, call.abi, provider);
+    await contract[call.method].staticCall(...call.args, {
+      from,
+      value: call.value,
+      blockTag: 'latest',
+    });
+
+    return { success: true, needsApproval: false, error: null };
+  } catch (error) {
+    console.error(`Simulation of ${call.method} failed:`, error);
+    return { success: false, needsApproval: false, error: decodeRevertError(error, chainId) };
+  }
+};
+
+export default {
+  buildActionCall,
+  isApprovalNeeded,
+  simulateActionCall,
+};
@@ -0,0 +1,152 @@
+import { getReadProvider } from '@/utils/web3';
+import { STORAGE_KEYS, TX_STATUS } from '@/utils/constants';
+
+/**
+ * Transaction history service: per account and chain history in localStorage,
+ * and resolution of transactions left pending by a previous session
+ */
+
+// Keep the stored history bounded
+const MAX_STORED_TRANSACTIONS = 50;
+const PENDING_POLL_INTERVAL = 15000; // 15 seconds
+
+/**
+ * Get storage key for an account's history on a chain
+ * @param {string} account - Account address
+ * @param {number} chainId - Chain ID
+ * @returns {string} Storage key
+ */
+const getHistoryKey = (account, chainId) => {
+  return `${STORAGE_KEYS.RECENT_TRANSACTIONS}:${chainId}:${account.toLowerCase()}`;
+};
+
+/**
+ * Get stored transactions of an account on a chain, newest first
+ * @param {string} account - Account address
+ * @param {number} chainId - Chain ID
+ * @returns {object[]} Transactions
+ */
+export const getStoredTransactions = (account, chainId) => {
+  if (typeof window === 'undefined' || !account || !chainId) return [];
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(getHistoryKey(account, chainId)));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Error reading transaction history:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the history of an account on a chain
+ * @param {string} account - Account address
+ * @param {number} chainId - Chain ID
+ * @param {object[]} transactions - Transactions, newest first
+ */
+const saveTransactions = (account, chainId, transactions) => {
+  try {
+    localStorage.setItem(
+      getHistoryKey(account, chainId),
+      JSON.stringify(transactions.slice(0, MAX_STORED_TRANSACTIONS))
+    );
+  } catch (error) {
+    console.error('Error saving transaction history:', error);
+  }
+};
+
+/**
+ * Add a transaction to the history of its account and chain
+ * @param {object} transaction - Transaction with account and chainId
+ */
+export const storeTransaction = (transaction) => {
+  const { account, chainId } = transaction;
+  if (!account || !chainId) return;
+
+  saveTransactions(account, chainId, [
+    transaction,
+    ...getStoredTransactions(account, chainId),
+  ]);
+};
+
+/**
+ * Update a stored transaction
+ * @param {string} account - Account address
+ * @param {number} chainId - Chain ID
+ * @param {number} txId - Transaction ID
+ * @param {object} changes - Fields to update
+ */
+export const updateStoredTransaction = (account, chainId, txId, changes) => {
+  if (!account || !chainId) return;
+
+  saveTransactions(
+    account,
+    chainId,
+    getStoredTransactions(account, chainId).map(tx => (
+      tx.id === txId ? { ...tx, ...changes } : tx
+    ))
+  );
+};
+
+/**
+ * Get the final status of a receipt
+ * @param {object} receipt - Transaction receipt
+ * @returns {string} Transaction status
+ */
+const getReceiptStatus = (receipt) => {
+  return receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED;
+};
+
+/**
+ * Wait until a transaction sent in an earlier session is mined, fails or is replaced
+ * A transaction counts as replaced once another one with its nonce has been mined.
+ * @param {object} transaction - Stored transaction (hash, chainId, account, nonce)
+ * @param {function} isCancelled - Returns true to stop watching
+ * @returns {Promise<object|null>} { status, hash, blockNumber }, or null if cancelled
+ */
+export const watchPendingTransaction = async (transaction, isCancelled = () => false) => {
+  // Never made it to the network (e.g. the tab closed during the wallet prompt)
+  if (!transaction.hash) {
+    return { status: TX_STATUS.FAILED, hash: null, blockNumber: null };
+  }
+
+  while (!isCancelled()) {
+    try {
+      // Fetched every round, as the read provider is replaced every few minutes
+      const provider = await getReadProvider(transaction.chainId);
+      const receipt = await provider.getTransactionReceipt(transaction.hash);
+      if (receipt) {
+        return { status: getReceiptStatus(receipt), hash: receipt.hash, blockNumber: receipt.blockNumber };
+      }
+
+      if (transaction.nonce !== undefined && transaction.nonce !== null) {
+        const minedNonce = await provider.getTransactionCount(transaction.account, 'latest');
+
+        if (minedNonce > transaction.nonce) {
+          // The nonce is used up; look once more in case ours was mined in between
+          const lateReceipt = await provider.getTransactionReceipt(transaction.hash);
+          return lateReceipt
+            ? { status: getReceiptStatus(lateReceipt), hash: lateReceipt.hash, blockNumber: lateReceipt.blockNumber }
+            : { status: TX_STATUS.REPLACED, hash: transaction.hash, blockNumber: null };
+        }
+      }
+
+      // Resolves as soon as the transaction is mined, otherwise times out and we re-check
+      await provider.waitForTransaction(transaction.hash, 1, PENDING_POLL_INTERVAL);
+    } catch (error) {
+      if (error.code !== 'TIMEOUT') {
+        console.error('Error watching pending transaction:', error);
+        await new Promise(resolve => setTimeout(resolve, PENDING_POLL_INTERVAL));
+      }
+    }
+  }
+
+  return null;
+};
+
+export default {
+  getStoredTransactions,
+  storeTransaction,
+  updateStoredTransaction,
+  watchPendingTransaction,
+};
@@ -0,0 +1,100 @@
+/**
+ * Wallet connectors discovered through EIP-6963 and the active EIP-1193 provider
+ */
+
+// Wallets that don't implement EIP-6963 are only reachable through window.ethereum
+export const INJECTED_CONNECTOR_ID = 'injected';
+
+// Announced wallets keyed by reverse-DNS id (io.metamask, com.coinbase.wallet...)
+const announcedConnectors = new Map();
+
+let activeConnector = null;
+
+/**
+ * Get all wallets known so far
+ * Falls back to the legacy injected provider when no wallet announced itself.
+ * @returns {object[]} Connectors { id, name, icon, provider }
+ */
+export const getConnectors = () => {
+  const connectors = Array.from(announcedConnectors.values());
+
+  if (connectors.length === 0 && typeof window !== 'undefined' && window.ethereum) {
+    connectors.push({
+      id: INJECTED_CONNECTOR_ID,
+      name: 'Browser Wallet',
+      icon: null,
+      provider: window.ethereum,
+    });
+  }
+
+  return connectors;
+};
+
+/**
+ * Get a connector by id
+ * @param {string} connectorId - Connector id
+ * @returns {object|null} Connector
+ */
+export const getConnector = (connectorId) => {
+  return getConnectors().find(connector => connector.id === connectorId) || null;
+};
+
+/**
+ * Listen for wallet announcements and ask installed wallets to announce themselves
+ * @param {function} onChange - Called with the connector list whenever it changes
+ * @returns {function} Unsubscribe
+ */
+export const discoverConnectors = (onChange) => {
+  if (typeof window === 'undefined') return () => {};
+
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info?.rdns || !provider) return;
+
+    announcedConnectors.set(info.rdns, {
+      id: info.rdns,
+      name: info.name,
+      icon: info.icon,
+      provider,
+    });
+    onChange?.(getConnectors());
+  };
+
+  window.addEventListener('eip6963:announceProvider', handleAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  onChange?.(getConnectors());
+
+  return () => {
+    window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+  };
+};
+
+/**
+ * Set the wallet used for signing and wallet requests
+ * @param {object|null} connector - Connector
+ */
+export const setActiveConnector = (connector) => {
+  activeConnector = connector;
+};
+
+/**
+ * Get the wallet used for signing and wallet requests
+ * @returns {object|null} Connector
+ */
+export const getActiveConnector = () => activeConnector;
+
+/**
+ * Get the EIP-1193 provider of the active wallet
+ * @returns {object|null} EIP-1193 provider
+ */
+export const getActiveProvider = () => activeConnector?.provider || null;
+
+export default {
+  INJECTED_CONNECTOR_ID,
+  getConnectors,
+  getConnector,
+  discoverConnectors,
+  setActiveConnector,
+  getActiveConnector,
+  getActiveProvider,
+};
@@ -1,12 +1,8 @@
 // Chain IDs
 export const CHAIN_IDS = {
   ETHEREUM_MAINNET: 1,
-  ETHEREUM_GOERLI: 5,
   ETHEREUM_SEPOLIA: 11155111,
   POLYGON: 137,
-  POLYGON_MUMBAI: 80001,
-  BSC: 56,
-  BSC_TESTNET: 97,
   ARBITRUM: 42161,
   OPTIMISM: 10,
   AVALANCHE: 43114,
@@ -26,6 +22,11 @@ export const SUPPORTED_CHAINS = [
     rpcUrls: {
       default: process.env.NEXT_PUBLIC_RPC_URL || 'https://eth.llamarpc.com',
       public: 'https://eth.llamarpc.com',
+      fallback: [
+        'https://rpc.ankr.com/eth',
+        'https://ethereum.publicnode.com',
+        'https://cloudflare-eth.com',
+      ],
     },
     blockExplorerUrls: {
       default: 'https://etherscan.io',
@@ -43,18 +44,108 @@ export const SUPPORTED_CHAINS = [
     rpcUrls: {
       default: 'https://rpc.sepolia.org',
       public: 'https://rpc.sepolia.org',
+      fallback: [
+        'https://ethereum-sepolia.publicnode.com',
+      ],
     },
     blockExplorerUrls: {
       default: 'https://sepolia.etherscan.io',
     },
     testnet: true,
   },
+  {
+    id: CHAIN_IDS.POLYGON,
+    name: 'Polygon',
+    network: 'matic',
+    nativeCurrency: {
+      name: 'MATIC',
+      symbol: 'MATIC',
+      decimals: 18,
+    },
+    rpcUrls: {
+      default: 'https://polygon-rpc.com',
+      public: 'https://polygon-rpc.com',
+      fallback: [
+        'https://rpc.ankr.com/polygon',
+        'https://polygon-bor.publicnode.com',
+      ],
+    },
+    blockExplorerUrls: {
+      default: 'https://polygonscan.com',
+    },
+  },
+  {
+    id: CHAIN_IDS.ARBITRUM,
+    name: 'Arbitrum One',
+    network: 'arbitrum',
+    nativeCurrency: {
+      name: 'Ether',
+      symbol: 'ETH',
+      decimals: 18,
+    },
+    rpcUrls: {
+      default: 'https://arb1.arbitrum.io/rpc',
+      public: 'https://arb1.arbitrum.io/rpc',
+      fallback: [
+        'https://rpc.ankr.com/arbitrum',
+        'https://arbitrum-one.publicnode.com',
+      ],
+    },
+    blockExplorerUrls: {
+      default: 'https://arbiscan.io',
+    },
+  },
+  {
+    id: CHAIN_IDS.OPTIMISM,
+    name: 'Optimism',
+    network: 'optimism',
+    nativeCurrency: {
+      name: 'Ether',
+      symbol: 'ETH',
+      decimals: 18,
+    },
+    rpcUrls: {
+      default: 'https://mainnet.optimism.io',
+      public: 'https://mainnet.optimism.io',
+      fallback: [
+        'https://rpc.ankr.com/optimism',
+        'https://optimism.publicnode.com',
+      ],
+    },
+    blockExplorerUrls: {
+      default: 'https://optimistic.etherscan.io',
+    },
+  },
+  {
+    id: CHAIN_IDS.AVALANCHE,
+    name: 'Avalanche',
+    network: 'avalanche',
+    nativeCurrency: {
+      name: 'Avalanche',
+      symbol: 'AVAX',
+      decimals: 18,
+    },
+    rpcUrls: {
+      default: 'https://api.avax.network/ext/bc/C/rpc',
+      public: 'https://api.avax.network/ext/bc/C/rpc',
+      fallback: [
+        'https://rpc.ankr.com/avalanche',
+        'https://avalanche-c-chain.publicnode.com',
+      ],
+    },
+    blockExplorerUrls: {
+      default: 'https://snowtrace.io',
+    },
+  },
 ];
 
 // Contract Addresses (Ethereum Mainnet)
 export const CONTRACT_ADDRESSES = {
   LENDING_POOL: process.env.NEXT_PUBLIC_LENDING_POOL_ADDRESS || '0x7d2768dE32b0b80b7a3454c06BdAc94A69DDc7A9',
   PRICE_ORACLE: process.env.NEXT_PUBLIC_CHAINLINK_ORACLE || '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
+  AAVE_ORACLE: process.env.NEXT_PUBLIC_AAVE_ORACLE_ADDRESS || '0xA50ba011c48153De246E5192C8f9258A2ba79Ca9',
+  MULTICALL: process.env.NEXT_PUBLIC_MULTICALL_ADDRESS || '0x5BA1e12693Dc8F9c48aAD8770482f4739bEeD696',
+  WETH_GATEWAY: process.env.NEXT_PUBLIC_WETH_GATEWAY_ADDRESS || '0xcc9a0B7c43DC2a5F023Bb9b738E45B0Ef6B06E04',
   // Stablecoins
   USDC: process.env.NEXT_PUBLIC_USDC_ADDRESS || '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
   USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
@@ -73,11 +164,6 @@ export const SUPPORTED_TOKENS = [
     decimals: 18,
     logo: '/assets/tokens/eth.png',
     isNative: true,
-    supplyAPY: 3.5,
-    borrowAPY: 5.2,
-    ltv: 0.825, // Loan to Value ratio (82.5%)
-    liquidationThreshold: 0.86,
-    liquidationBonus: 0.05,
   },
   {
     symbol: 'WBTC',
@@ -85,11 +171,6 @@ export const SUPPORTED_TOKENS = [
     address: CONTRACT_ADDRESSES.WBTC,
     decimals: 8,
     logo: '/assets/tokens/wbtc.png',
-    supplyAPY: 2.8,
-    borrowAPY: 4.9,
-    ltv: 0.7,
-    liquidationThreshold: 0.75,
-    liquidationBonus: 0.1,
   },
   {
     symbol: 'USDC',
@@ -98,11 +179,6 @@ export const SUPPORTED_TOKENS = [
     decimals: 6,
     logo: '/assets/tokens/usdc.png',
     isStablecoin: true,
-    supplyAPY: 4.2,
-    borrowAPY: 6.8,
-    ltv: 0.87,
-    liquidationThreshold: 0.9,
-    liquidationBonus: 0.045,
   },
   {
     symbol: 'USDT',
@@ -111,11 +187,6 @@ export const SUPPORTED_TOKENS = [
     decimals: 6,
     logo: '/assets/tokens/usdt.png',
     isStablecoin: true,
-    supplyAPY: 4.1,
-    borrowAPY: 6.7,
-    ltv: 0.8,
-    liquidationThreshold: 0.85,
-    liquidationBonus: 0.05,
   },
   {
     symbol: 'DAI',
@@ -124,11 +195,6 @@ export const SUPPORTED_TOKENS = [
     decimals: 18,
     logo: '/assets/tokens/dai.png',
     isStablecoin: true,
-    supplyAPY: 4.0,
-    borrowAPY: 6.5,
-    ltv: 0.85,
-    liquidationThreshold: 0.88,
-    liquidationBonus: 0.045,
   },
 ];
 
@@ -140,6 +206,16 @@ export const TX_TYPES = {
   REPAY: 'repay',
   LIQUIDATE: 'liquidate',
   APPROVE: 'approve',
+  CANCEL: 'cancel',
+  SWAP_RATE: 'rate switch',
+  COLLATERAL: 'collateral',
+  DELEGATE: 'delegation',
+};
+
+// Interest rate modes of the lending pool
+export const INTEREST_RATE_MODES = {
+  STABLE: 1,
+  VARIABLE: 2,
 };
 
 // Transaction Status
@@ -147,6 +223,7 @@ export const TX_STATUS = {
   PENDING: 'pending',
   CONFIRMED: 'confirmed',
   FAILED: 'failed',
+  REPLACED: 'replaced',
 };
 
 // Time Constants
@@ -156,12 +233,13 @@ export const TIME_CONSTANTS = {
   BLOCKS_PER_YEAR: 2628000, // Approximate for Ethereum
 };
 
-// APY Calculation Constants
+// APY Calculation Constants, as BigInt for exact fixed-point math (see utils/rayMath)
 export const APY_CONSTANTS = {
-  RAY: 10 ** 27,
-  WAD: 10 ** 18,
-  HALF_RAY: 10 ** 27 / 2,
-  HALF_WAD: 10 ** 18 / 2,
+  RAY: 10n ** 27n,
+  WAD: 10n ** 18n,
+  HALF_RAY: 10n ** 27n / 2n,
+  HALF_WAD: 10n ** 18n / 2n,
+  WAD_RAY_RATIO: 10n ** 9n,
 };
 
 // Gas Limit Estimates
@@ -170,10 +248,20 @@ export const GAS_LIMITS = {
   WITHDRAW: 300000,
   BORROW: 350000,
   REPAY: 300000,
+  SWAP_RATE: 250000,
+  SET_COLLATERAL: 150000,
+  DELEGATE: 100000,
   APPROVE: 50000,
   LIQUIDATE: 500000,
 };
 
+// Network fee presets, by percentile of the priority fees paid in recent blocks
+export const FEE_PRESETS = {
+  SLOW: { id: 'slow', label: 'Slow', percentile: 10 },
+  NORMAL: { id: 'normal', label: 'Normal', percentile: 50 },
+  FAST: { id: 'fast', label: 'Fast', percentile: 90 },
+};
+
 // Health Factor Thresholds
 export const HEALTH_FACTOR = {
   CRITICAL: 1.0,
@@ -195,10 +283,19 @@ export const API_ENDPOINTS = {
 export const STORAGE_KEYS = {
   WALLET_CONNECTED: 'wallet_connected',
   SELECTED_ACCOUNT: 'selected_account',
+  SELECTED_CONNECTOR: 'selected_connector',
+  PORTFOLIO_ADDRESSES: 'portfolio_addresses',
   THEME: 'theme',
   SLIPPAGE: 'slippage',
   DEADLINE: 'deadline',
   RECENT_TRANSACTIONS: 'recent_transactions',
+  APPROVAL_MODE: 'approval_mode',
+};
+
+// How much to approve when an action needs an allowance
+export const APPROVAL_MODES = {
+  EXACT: 'exact',
+  UNLIMITED: 'unlimited',
 };
 
 // Default Values
@@ -206,18 +303,93 @@ export const DEFAULTS = {
   SLIPPAGE: 0.5, // 0.5%
   DEADLINE: 20, // 20 minutes
   GAS_PRICE_MULTIPLIER: 1.1, // 10% above estimated
+  FEE_PRESET: 'normal',
+  FEE_HISTORY_BLOCKS: 20,
+  APPROVAL_MODE: 'exact',
+  APPROVAL_LOOKBACK_BLOCKS: 200000, // about four weeks on Ethereum
+  BORROWER_LOOKBACK_BLOCKS: 50000, // about a week on Ethereum
+  MAX_AMOUNT_BUFFER: 0.5, // 0.5% over the balance for interest accrued until "all" is mined
+  CHAIN_ID: CHAIN_IDS.ETHEREUM_MAINNET,
 };
 
 // Error Messages
 export const ERROR_MESSAGES = {
   WALLET_NOT_CONNECTED: 'Please connect your wallet first',
+  WATCH_ONLY: 'Watch-only mode. Connect the wallet and stop watching to make transactions.',
+  INVALID_ADDRESS: 'Enter a valid address or ENS name',
   INSUFFICIENT_BALANCE: 'Insufficient balance',
   TRANSACTION_FAILED: 'Transaction failed. Please try again.',
   NETWORK_ERROR: 'Network error. Please check your connection.',
+  UNSUPPORTED_NETWORK: 'Lending is not available on this network. Please switch to a supported network.',
   INVALID_AMOUNT: 'Invalid amount entered',
   AMOUNT_TOO_HIGH: 'Amount exceeds available balance',
   COLLATERAL_TOO_LOW: 'Insufficient collateral',
   HEALTH_FACTOR_TOO_LOW: 'Health factor too low. Transaction would put you at risk of liquidation.',
+  TRANSACTION_REJECTED: 'Transaction rejected in wallet',
+  SIMULATION_FAILED: 'Transaction would fail',
+  TX_NOT_PENDING: 'This transaction is no longer pending',
+  TRANSACTION_CANCELLED: 'Transaction was cancelled',
+  INVALID_FEE: 'Enter a valid max fee, at least as high as the priority fee',
+};
+
+// Lending pool revert codes (Aave V2 Errors.sol) mapped to readable messages
+export const AAVE_ERROR_MESSAGES = {
+  '1': 'Amount must be greater than 0',
+  '2': 'This reserve is not active',
+  '3': 'This reserve is frozen',
+  '4': 'Not enough liquidity available in the reserve',
+  '5': 'Amount exceeds your supplied balance',
+  '6': 'Transfer would drop your health factor below 1',
+  '7': 'Borrowing is not enabled for this asset',
+  '8': 'Invalid interest rate mode',
+  '9': 'You have no collateral supplied',
+  '10': 'Health factor is below the liquidation threshold',
+  '11': 'Not enough collateral to cover this borrow',
+  '12': 'Stable rate borrowing is not enabled for this asset',
+  '13': 'Cannot borrow at a stable rate against the same asset used as collateral',
+  '14': 'Amount exceeds the maximum stable rate loan size',
+  '15': 'You have no debt of the selected rate type',
+  '16': 'An explicit amount is required to repay on behalf of another address',
+  '17': 'You have no stable rate debt in this reserve',
+  '18': 'You have no variable rate debt in this reserve',
+  '19': 'Your balance of this asset is 0',
+  '20': 'This deposit is in use as collateral and cannot be withdrawn',
+  '24': 'Not enough liquidity to borrow this amount',
+  '25': 'Requested amount is too small',
+  '42': 'Health factor is not below the liquidation threshold',
+  '43': 'This collateral cannot be liquidated',
+  '44': 'The user has not borrowed this asset',
+  '45': 'Not enough liquidity to liquidate',
+  '59': 'The delegated credit line is too small for this borrow',
+  '62': 'Reentrancy is not allowed',
+  '64': 'The lending pool is paused',
+};
+
+// Aave V3 pool error codes, renumbered from V2's
+export const AAVE_V3_ERROR_MESSAGES = {
+  '26': 'Amount must be greater than 0',
+  '27': 'This reserve is not active',
+  '28': 'This reserve is frozen',
+  '29': 'This reserve is paused',
+  '30': 'Borrowing is not enabled for this asset',
+  '31': 'Stable rate borrowing is not enabled for this asset',
+  '32': 'Amount exceeds your supplied balance',
+  '33': 'Invalid interest rate mode',
+  '34': 'You have no collateral supplied',
+  '35': 'Health factor is below the liquidation threshold',
+  '36': 'Not enough collateral to cover this borrow',
+  '37': 'Cannot borrow at a stable rate against the same asset used as collateral',
+  '38': 'Amount exceeds the maximum stable rate loan size',
+  '39': 'You have no debt of the selected rate type',
+  '40': 'An explicit amount is required to repay on behalf of another address',
+  '41': 'You have no stable rate debt in this reserve',
+  '42': 'You have no variable rate debt in this reserve',
+  '43': 'Your balance of this asset is 0',
+  '45': 'Health factor is not below the liquidation threshold',
+  '46': 'This collateral cannot be liquidated',
+  '47': 'The user has not borrowed this asset',
+  '50': 'The borrow cap of this asset is reached',
+  '51': 'The supply cap of this asset is reached',
 };
 
 // Success Messages
@@ -235,14 +407,19 @@ export default {
   CONTRACT_ADDRESSES,
   SUPPORTED_TOKENS,
   TX_TYPES,
+  INTEREST_RATE_MODES,
   TX_STATUS,
   TIME_CONSTANTS,
   APY_CONSTANTS,
   GAS_LIMITS,
+  FEE_PRESETS,
   HEALTH_FACTOR,
   API_ENDPOINTS,
   STORAGE_KEYS,
+  APPROVAL_MODES,
   DEFAULTS,
   ERROR_MESSAGES,
+  AAVE_ERROR_MESSAGES,
+  AAVE_V3_ERROR_MESSAGES,
   SUCCESS_MESSAGES,
 };
\ No newline at end of file
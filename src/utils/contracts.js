@@ -1,3 +1,5 @@
+import { getNetworkContract, getNetworkTokens, getPoolVersion } from './networks';
+
 // ERC20 Token ABI (Standard functions needed for DeFi)
 export const ERC20_ABI = [
   'function name() view returns (string)',
@@ -13,6 +15,17 @@ export const ERC20_ABI = [
   'event Approval(address indexed owner, address indexed spender, uint256 value)',
 ];
 
+// EIP-2612 permit extension, with the EIP-712 domain getters tokens may expose
+export const ERC20_PERMIT_ABI = [
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function PERMIT_TYPEHASH() view returns (bytes32)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+];
+
 // Lending Pool ABI (Based on Aave V2/V3 style)
 export const LENDING_POOL_ABI = [
   // Supply/Deposit functions
@@ -22,10 +35,14 @@ export const LENDING_POOL_ABI = [
   // Borrow/Repay functions
   'function borrow(address asset, uint256 amount, uint256 interestRateMode, uint16 referralCode, address onBehalfOf)',
   'function repay(address asset, uint256 amount, uint256 rateMode, address onBehalfOf) returns (uint256)',
+  'function swapBorrowRateMode(address asset, uint256 rateMode)',
+  'function setUserUseReserveAsCollateral(address asset, bool useAsCollateral)',
   
   // View functions
   'function getUserAccountData(address user) view returns (uint256 totalCollateralETH, uint256 totalDebtETH, uint256 availableBorrowsETH, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)',
+  'function getUserConfiguration(address user) view returns (tuple(uint256 data))',
   'function getReserveData(address asset) view returns (uint256 configuration, uint128 liquidityIndex, uint128 variableBorrowIndex, uint128 currentLiquidityRate, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint8 id)',
+  'function getReservesList() view returns (address[])',
   
   // Liquidation
   'function liquidationCall(address collateralAsset, address debtAsset, address user, uint256 debtToCover, bool receiveAToken)',
@@ -35,6 +52,45 @@ export const LENDING_POOL_ABI = [
   'event Withdraw(address indexed reserve, address indexed user, address indexed to, uint256 amount)',
   'event Borrow(address indexed reserve, address user, address indexed onBehalfOf, uint256 amount, uint256 borrowRateMode, uint256 borrowRate, uint16 indexed referralCode)',
   'event Repay(address indexed reserve, address indexed user, address indexed repayer, uint256 amount)',
+  'event Swap(address indexed reserve, address indexed user, uint256 rateMode)',
+  'event ReserveUsedAsCollateralEnabled(address indexed reserve, address indexed user)',
+  'event ReserveUsedAsCollateralDisabled(address indexed reserve, address indexed user)',
+  'event LiquidationCall(address indexed collateralAsset, address indexed debtAsset, address indexed user, uint256 debtToCover, uint256 liquidatedCollateralAmount, address liquidator, bool receiveAToken)',
+];
+
+// Aave V3 Pool ABI: the V2 calls plus supply, with getReserveData reordered and the events
+// that changed signature
+export const LENDING_POOL_V3_ABI = [
+  // Supply/Deposit functions
+  'function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)',
+  'function deposit(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)',
+  'function supplyWithPermit(address asset, uint256 amount, address onBehalfOf, uint16 referralCode, uint256 deadline, uint8 permitV, bytes32 permitR, bytes32 permitS)',
+  'function withdraw(address asset, uint256 amount, address to) returns (uint256)',
+
+  // Borrow/Repay functions
+  'function borrow(address asset, uint256 amount, uint256 interestRateMode, uint16 referralCode, address onBehalfOf)',
+  'function repay(address asset, uint256 amount, uint256 interestRateMode, address onBehalfOf) returns (uint256)',
+  'function repayWithPermit(address asset, uint256 amount, uint256 interestRateMode, address onBehalfOf, uint256 deadline, uint8 permitV, bytes32 permitR, bytes32 permitS) returns (uint256)',
+  'function swapBorrowRateMode(address asset, uint256 interestRateMode)',
+  'function setUserUseReserveAsCollateral(address asset, bool useAsCollateral)',
+
+  // View functions (account values are in the market's base currency, named as in V2)
+  'function getUserAccountData(address user) view returns (uint256 totalCollateralETH, uint256 totalDebtETH, uint256 availableBorrowsETH, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)',
+  'function getUserConfiguration(address user) view returns (tuple(uint256 data))',
+  'function getReserveData(address asset) view returns (uint256 configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt)',
+  'function getReservesList() view returns (address[])',
+
+  // Liquidation
+  'function liquidationCall(address collateralAsset, address debtAsset, address user, uint256 debtToCover, bool receiveAToken)',
+
+  // Events
+  'event Supply(address indexed reserve, address user, address indexed onBehalfOf, uint256 amount, uint16 indexed referralCode)',
+  'event Withdraw(address indexed reserve, address indexed user, address indexed to, uint256 amount)',
+  'event Borrow(address indexed reserve, address user, address indexed onBehalfOf, uint256 amount, uint8 interestRateMode, uint256 borrowRate, uint16 indexed referralCode)',
+  'event Repay(address indexed reserve, address indexed user, address indexed repayer, uint256 amount, bool useATokens)',
+  'event SwapBorrowRateMode(address indexed reserve, address indexed user, uint8 interestRateMode)',
+  'event ReserveUsedAsCollateralEnabled(address indexed reserve, address indexed user)',
+  'event ReserveUsedAsCollateralDisabled(address indexed reserve, address indexed user)',
   'event LiquidationCall(address indexed collateralAsset, address indexed debtAsset, address indexed user, uint256 debtToCover, uint256 liquidatedCollateralAmount, address liquidator, bool receiveAToken)',
 ];
 
@@ -56,9 +112,25 @@ export const DEBT_TOKEN_ABI = [
   'function scaledBalanceOf(address user) view returns (uint256)',
   'function totalSupply() view returns (uint256)',
   'function UNDERLYING_ASSET_ADDRESS() view returns (address)',
+  'function approveDelegation(address delegatee, uint256 amount)',
+  'function borrowAllowance(address fromUser, address toUser) view returns (uint256)',
   'event Transfer(address indexed from, address indexed to, uint256 value)',
   'event Mint(address indexed from, address indexed onBehalfOf, uint256 value, uint256 index)',
   'event Burn(address indexed user, uint256 amount, uint256 index)',
+  'event BorrowAllowanceDelegated(address indexed fromUser, address indexed toUser, address asset, uint256 amount)',
+];
+
+// Stable Debt Token ABI (each borrower keeps the stable rate they borrowed at)
+export const STABLE_DEBT_TOKEN_ABI = [
+  'function balanceOf(address user) view returns (uint256)',
+  'function principalBalanceOf(address user) view returns (uint256)',
+  'function getUserStableRate(address user) view returns (uint256)',
+  'function getAverageStableRate() view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+  'function UNDERLYING_ASSET_ADDRESS() view returns (address)',
+  'function approveDelegation(address delegatee, uint256 amount)',
+  'function borrowAllowance(address fromUser, address toUser) view returns (uint256)',
+  'event BorrowAllowanceDelegated(address indexed fromUser, address indexed toUser, address asset, uint256 amount)',
 ];
 
 // Price Oracle ABI (Chainlink style)
@@ -79,6 +151,16 @@ export const INTEREST_RATE_STRATEGY_ABI = [
   'function variableRateSlope2() view returns (uint256)',
 ];
 
+// Aave V3 interest rate strategy ABI. Up to V3.1 each reserve has its own strategy with
+// these getters; from V3.2 one strategy serves every reserve through getInterestRateData.
+export const INTEREST_RATE_STRATEGY_V3_ABI = [
+  'function OPTIMAL_USAGE_RATIO() view returns (uint256)',
+  'function getBaseVariableBorrowRate() view returns (uint256)',
+  'function getVariableRateSlope1() view returns (uint256)',
+  'function getVariableRateSlope2() view returns (uint256)',
+  'function getInterestRateData(address reserve) view returns (tuple(uint256 optimalUsageRatio, uint256 baseVariableBorrowRate, uint256 variableRateSlope1, uint256 variableRateSlope2))',
+];
+
 // WETH (Wrapped ETH) ABI
 export const WETH_ABI = [
   ...ERC20_ABI,
@@ -88,6 +170,15 @@ export const WETH_ABI = [
   'event Withdrawal(address indexed src, uint256 wad)',
 ];
 
+// WETH Gateway ABI (supply, withdraw and repay with the chain's native asset)
+export const WETH_GATEWAY_ABI = [
+  'function depositETH(address lendingPool, address onBehalfOf, uint16 referralCode) payable',
+  'function withdrawETH(address lendingPool, uint256 amount, address to)',
+  'function repayETH(address lendingPool, uint256 amount, uint256 rateMode, address onBehalfOf) payable',
+  'function borrowETH(address lendingPool, uint256 amount, uint256 interesRateMode, uint16 referralCode)',
+  'function getWETHAddress() view returns (address)',
+];
+
 // Yield Vault ABI (For yield farming strategies)
 export const YIELD_VAULT_ABI = [
   'function deposit(uint256 amount) returns (uint256)',
@@ -124,18 +215,23 @@ export const MULTICALL_ABI = [
   'function aggregate(tuple(address target, bytes callData)[] calls) returns (uint256 blockNumber, bytes[] returnData)',
   'function tryAggregate(bool requireSuccess, tuple(address target, bytes callData)[] calls) returns (tuple(bool success, bytes returnData)[] returnData)',
   'function tryBlockAndAggregate(bool requireSuccess, tuple(address target, bytes callData)[] calls) returns (uint256 blockNumber, bytes32 blockHash, tuple(bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)',
 ];
 
 // Helper functions to get contract interfaces
 export const getContractInterface = (contractType) => {
   const interfaces = {
     ERC20: ERC20_ABI,
+    ERC20_PERMIT: ERC20_PERMIT_ABI,
     LENDING_POOL: LENDING_POOL_ABI,
+    LENDING_POOL_V3: LENDING_POOL_V3_ABI,
     ATOKEN: ATOKEN_ABI,
     DEBT_TOKEN: DEBT_TOKEN_ABI,
+    STABLE_DEBT_TOKEN: STABLE_DEBT_TOKEN_ABI,
     PRICE_ORACLE: PRICE_ORACLE_ABI,
     INTEREST_RATE_STRATEGY: INTEREST_RATE_STRATEGY_ABI,
     WETH: WETH_ABI,
+    WETH_GATEWAY: WETH_GATEWAY_ABI,
     YIELD_VAULT: YIELD_VAULT_ABI,
     STAKING: STAKING_ABI,
     MULTICALL: MULTICALL_ABI,
@@ -144,38 +240,37 @@ export const getContractInterface = (contractType) => {
   return interfaces[contractType] || null;
 };
 
+// Lending pool ABI matching the pool version of a chain
+export const getLendingPoolAbi = (chainId = 1) => {
+  return getPoolVersion(chainId) === 3 ? LENDING_POOL_V3_ABI : LENDING_POOL_ABI;
+};
+
 // Contract address getter helper
 export const getContractAddress = (contractName, chainId = 1) => {
-  // This would normally fetch from a config based on chain
-  // For now, returning placeholder values
-  const addresses = {
-    1: { // Ethereum Mainnet
-      LENDING_POOL: '0x7d2768dE32b0b80b7a3454c06BdAc94A69DDc7A9',
-      PRICE_ORACLE: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
-      WETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
-      USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-      DAI: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
-      WBTC: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
-      MULTICALL: '0x5BA1e12693Dc8F9c48aAD8770482f4739bEeD696',
-    },
-    // Add more chains as needed
-  };
-  
-  return addresses[chainId]?.[contractName] || null;
+  // Contracts come from the network registry, anything else is looked up by token symbol
+  return getNetworkContract(contractName, chainId)
+    || getNetworkTokens(chainId).find(token => token.symbol === contractName)?.address
+    || null;
 };
 
 // Export all ABIs
 export default {
   ERC20_ABI,
+  ERC20_PERMIT_ABI,
   LENDING_POOL_ABI,
+  LENDING_POOL_V3_ABI,
   ATOKEN_ABI,
   DEBT_TOKEN_ABI,
+  STABLE_DEBT_TOKEN_ABI,
   PRICE_ORACLE_ABI,
   INTEREST_RATE_STRATEGY_ABI,
+  INTEREST_RATE_STRATEGY_V3_ABI,
   WETH_ABI,
+  WETH_GATEWAY_ABI,
   YIELD_VAULT_ABI,
   STAKING_ABI,
   MULTICALL_ABI,
   getContractInterface,
+  getLendingPoolAbi,
   getContractAddress,
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+import { Interface } from 'ethers';
+import { ERROR_MESSAGES, AAVE_ERROR_MESSAGES, AAVE_V3_ERROR_MESSAGES } from './constants';
+import { getPoolVersion } from './networks';
+
+/**
+ * Decoding of revert data and wallet errors into readable messages
+ */
+
+// Custom errors of common token implementations; Error(string) and Panic(uint256) are built in
+const KNOWN_ERRORS = new Interface([
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InvalidSender(address sender)',
+  'error ERC20InvalidReceiver(address receiver)',
+  'error EnforcedPause()',
+]);
+
+const CUSTOM_ERROR_MESSAGES = {
+  ERC20InsufficientBalance: ERROR_MESSAGES.INSUFFICIENT_BALANCE,
+  ERC20InsufficientAllowance: 'Token allowance is too low',
+  ERC20InvalidSender: 'Invalid token sender',
+  ERC20InvalidReceiver: 'Invalid token receiver',
+  EnforcedPause: 'The contract is paused',
+};
+
+const PANIC_MESSAGES = {
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division by zero',
+  0x32: 'Array index out of bounds',
+};
+
+/**
+ * Find the raw revert data inside an ethers or wallet error
+ * @param {Error} error - Error thrown by a call
+ * @returns {string|null} Hex revert data
+ */
+const findRevertData = (error) => {
+  const candidates = [
+    error?.data,
+    error?.info?.error?.data,
+    error?.error?.data,
+    error?.data?.data,
+    error?.info?.error?.data?.data,
+  ];
+
+  return candidates.find(data => typeof data === 'string' && data.startsWith('0x') && data.length >= 10) || null;
+};
+
+/**
+ * Translate a revert reason string, mapping Aave numeric codes
+ * @param {string} reason - Revert reason
+ * @param {number} chainId - Chain ID, whose pool version numbers the codes
+ * @returns {string} Readable message
+ */
+export const translateRevertReason = (reason, chainId) => {
+  const messages = getPoolVersion(chainId) === 3 ? AAVE_V3_ERROR_MESSAGES : AAVE_ERROR_MESSAGES;
+  return messages[reason] || reason;
+};
+
+/**
+ * Decode raw revert data
+ * @param {string} data - Hex revert data
+ * @param {number} chainId - Chain ID
+ * @returns {string|null} Readable message, or null if unknown
+ */
+export const decodeRevertData = (data, chainId) => {
+  if (!data || data === '0x') return null;
+
+  try {
+    const parsed = KNOWN_ERRORS.parseError(data);
+    if (!parsed) return null;
+
+    if (parsed.name === 'Error') return translateRevertReason(parsed.args[0], chainId);
+    if (parsed.name === 'Panic') {
+      const code = Number(parsed.args[0]);
+      return PANIC_MESSAGES[code] || `Contract panicked (code ${code})`;
+    }
+    return CUSTOM_ERROR_MESSAGES[parsed.name] || parsed.name;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Turn an error thrown by a call, simulation or wallet into a readable message
+ * @param {Error} error - Error to decode
+ * @param {number} chainId - Chain ID the call was made on
+ * @returns {string} Readable message
+ */
+export const decodeRevertError = (error, chainId) => {
+  if (!error) return ERROR_MESSAGES.TRANSACTION_FAILED;
+
+  if (error.code === 'ACTION_REJECTED' || error.info?.error?.code === 4001) {
+    return ERROR_MESSAGES.TRANSACTION_REJECTED;
+  }
+
+  if (error.code === 'TRANSACTION_REPLACED') {
+    return ERROR_MESSAGES.TRANSACTION_CANCELLED;
+  }
+
+  if (error.code === 'INSUFFICIENT_FUNDS') {
+    return ERROR_MESSAGES.INSUFFICIENT_BALANCE;
+  }
+
+  if (error.code === 'NETWORK_ERROR' || error.code === 'TIMEOUT') {
+    return ERROR_MESSAGES.NETWORK_ERROR;
+  }
+
+  const decoded = decodeRevertData(findRevertData(error), chainId);
+  if (decoded) return decoded;
+
+  // ethers has already decoded Error(string) into `reason`
+  if (error.reason) return translateRevertReason(error.reason, chainId);
+
+  return error.shortMessage || error.message || ERROR_MESSAGES.TRANSACTION_FAILED;
+};
+
+export default {
+  translateRevertReason,
+  decodeRevertData,
+  decodeRevertError,
+};
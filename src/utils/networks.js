@@ -0,0 +1,288 @@
+import {
+  CHAIN_IDS,
+  SUPPORTED_CHAINS,
+  CONTRACT_ADDRESSES,
+  SUPPORTED_TOKENS,
+  DEFAULTS,
+} from './constants';
+
+/**
+ * Per-chain registry of lending contracts and tokens
+ */
+
+// Multicall3 is deployed at the same address on every EVM chain
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+/**
+ * Build a token entry reusing the display metadata of a mainnet token
+ * @param {string} baseSymbol - Symbol of the mainnet token to copy defaults from
+ * @param {object} overrides - Chain specific fields (address, symbol, name...)
+ * @returns {object} Token entry
+ */
+const tokenFrom = (baseSymbol, overrides) => {
+  const { isNative, ...base } = SUPPORTED_TOKENS.find(t => t.symbol === baseSymbol);
+  return { ...base, ...overrides };
+};
+
+/**
+ * Build the entry of a chain's native asset, which the pool lists as its wrapped token
+ * @param {string} address - Wrapped native token address
+ * @returns {object} Token entry
+ */
+const nativeEther = (address) => ({ ...tokenFrom('ETH', { address }), isNative: true });
+
+/**
+ * Contract and token registry keyed by chain ID.
+ * Chains without a LENDING_POOL have no lending deployment and are treated as unsupported.
+ * `version` is the Aave pool version (2 or 3); V3 reorders getReserveData and some events.
+ * `supportsPermit` marks pools with supplyWithPermit/repayWithPermit, which only V3 has.
+ * AAVE_ORACLE prices and getUserAccountData values are quoted in the market's base
+ * currency: ETH (18 decimals) on the V2 Ethereum/Polygon markets, USD (8 decimals) on
+ * Avalanche and every V3 market.
+ * PRICE_ORACLE is the Chainlink base/USD feed, or null when the base currency is USD.
+ * Tokens only carry display metadata; the markets listed and their risk parameters are
+ * read from the lending pool, with this list as the fallback.
+ *
+ * Out of scope: BSC and BSC testnet have no Aave deployment, and Goerli and Mumbai were
+ * shut down, so those chains are left out of SUPPORTED_CHAINS as well as this registry.
+ */
+export const NETWORKS = {
+  [CHAIN_IDS.ETHEREUM_MAINNET]: {
+    version: 2,
+    supportsPermit: false,
+    baseCurrencyDecimals: 18,
+    contracts: {
+      LENDING_POOL: CONTRACT_ADDRESSES.LENDING_POOL,
+      AAVE_ORACLE: CONTRACT_ADDRESSES.AAVE_ORACLE,
+      PRICE_ORACLE: CONTRACT_ADDRESSES.PRICE_ORACLE,
+      MULTICALL: CONTRACT_ADDRESSES.MULTICALL,
+      WETH_GATEWAY: CONTRACT_ADDRESSES.WETH_GATEWAY,
+      WETH: CONTRACT_ADDRESSES.WETH,
+    },
+    tokens: SUPPORTED_TOKENS,
+  },
+  [CHAIN_IDS.ETHEREUM_SEPOLIA]: {
+    version: 3,
+    supportsPermit: true,
+    baseCurrencyDecimals: 8,
+    contracts: {
+      LENDING_POOL: '0x6Ae43d3271ff6888e7Fc43Fd7321a503ff738951',
+      AAVE_ORACLE: '0x2da88497588bf89281816106C7259e31AF45a663',
+      PRICE_ORACLE: null,
+      MULTICALL: MULTICALL3_ADDRESS,
+      WETH_GATEWAY: '0x387d311e47e80b498169e6fb51d3193167d89F7D',
+      WETH: '0xC558DBdd856501FCd9aaF1E62eae57A9F0629a3c',
+    },
+    // The test market lists its own faucet tokens, which are discovered from the pool
+    tokens: [nativeEther('0xC558DBdd856501FCd9aaF1E62eae57A9F0629a3c')],
+  },
+  [CHAIN_IDS.POLYGON]: {
+    version: 2,
+    supportsPermit: false,
+    baseCurrencyDecimals: 18,
+    contracts: {
+      LENDING_POOL: '0x8dFf5E27EA6b7AC08EbFdf9eB090F32ee9a30fcf',
+      AAVE_ORACLE: '0x0229F777B0fAb107F9591a41d5F02E4e98dB6f2d',
+      PRICE_ORACLE: '0xF9680D99D6C9589e2a93a78A04A279e509205945',
+      MULTICALL: MULTICALL3_ADDRESS,
+      WETH_GATEWAY: '0xbEadf48d62aCC944a06EEaE0A9054A90E5A7dc97',
+      WETH: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', // WMATIC
+    },
+    tokens: [
+      {
+        symbol: 'MATIC',
+        name: 'Polygon',
+        address: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
+        decimals: 18,
+        logo: '/assets/tokens/matic.png',
+        isNative: true,
+      },
+      tokenFrom('ETH', {
+        symbol: 'WETH',
+        name: 'Wrapped Ether',
+        address: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619',
+      }),
+      tokenFrom('WBTC', { address: '0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6' }),
+      tokenFrom('USDC', { address: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174' }),
+      tokenFrom('USDT', { address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F' }),
+      tokenFrom('DAI', { address: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063' }),
+    ],
+  },
+  [CHAIN_IDS.ARBITRUM]: {
+    version: 3,
+    supportsPermit: true,
+    baseCurrencyDecimals: 8,
+    contracts: {
+      LENDING_POOL: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+      AAVE_ORACLE: '0xb56c2F0B653B2e0b10C9b928C8580Ac5Df02C7C7',
+      PRICE_ORACLE: null,
+      MULTICALL: MULTICALL3_ADDRESS,
+      WETH_GATEWAY: '0x5283BEcEd7ADF6D003225C13896E536f2D4264FF',
+      WETH: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+    },
+    tokens: [
+      nativeEther('0x82aF49447D8a07e3bd95BD0d56f35241523fBab1'),
+      tokenFrom('WBTC', { address: '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f' }),
+      tokenFrom('USDC', { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831' }),
+      tokenFrom('USDT', { address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9' }),
+      tokenFrom('DAI', { address: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1' }),
+    ],
+  },
+  [CHAIN_IDS.OPTIMISM]: {
+    version: 3,
+    supportsPermit: true,
+    baseCurrencyDecimals: 8,
+    contracts: {
+      LENDING_POOL: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+      AAVE_ORACLE: '0xD81eb3728a631871a7eBBaD631b5f424909f0c77',
+      PRICE_ORACLE: null,
+      MULTICALL: MULTICALL3_ADDRESS,
+      WETH_GATEWAY: '0xe9E52021f4e11DEAD8661812A0A6c8627abA2a54',
+      WETH: '0x4200000000000000000000000000000000000006',
+    },
+    tokens: [
+      nativeEther('0x4200000000000000000000000000000000000006'),
+      tokenFrom('WBTC', { address: '0x68f180fcCe6836688e9084f035309E29Bf0A2095' }),
+      tokenFrom('USDC', { address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85' }),
+      tokenFrom('USDT', { address: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58' }),
+      tokenFrom('DAI', { address: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1' }),
+    ],
+  },
+  [CHAIN_IDS.AVALANCHE]: {
+    version: 2,
+    supportsPermit: false,
+    baseCurrencyDecimals: 8,
+    contracts: {
+      LENDING_POOL: '0x4F01AeD16D97E3aB5ab2B501154DC9bb0F1A5A2C',
+      AAVE_ORACLE: '0xdC336Cd4769f4cC7E9d726DA53e6d3fC710cEB89',
+      PRICE_ORACLE: null,
+      MULTICALL: MULTICALL3_ADDRESS,
+      WETH_GATEWAY: '0x8a47F74d1eE0e2edEB4F3A7e64EF3bD8e11D27C8',
+      WETH: '0xB31f66AA3C1e785363F0875A1B74E27b85FD66c7', // WAVAX
+    },
+    tokens: [
+      {
+        symbol: 'AVAX',
+        name: 'Avalanche',
+        address: '0xB31f66AA3C1e785363F0875A1B74E27b85FD66c7',
+        decimals: 18,
+        logo: '/assets/tokens/avax.png',
+        isNative: true,
+      },
+      tokenFrom('ETH', {
+        symbol: 'WETH',
+        name: 'Wrapped Ether (bridged)',
+        address: '0x49D5c2BdFfac6CE2BFdB6640F4F80f226bc10bAB',
+      }),
+      tokenFrom('WBTC', {
+        name: 'Wrapped Bitcoin (bridged)',
+        address: '0x50b7545627a5162F82A992c33B87aDC75187b52B',
+      }),
+      tokenFrom('USDC', {
+        name: 'USD Coin (bridged)',
+        address: '0xA7D7079b0FEaD91F3e65f86E8915Cb59c1a4C664',
+      }),
+      tokenFrom('USDT', {
+        name: 'Tether USD (bridged)',
+        address: '0xc7198437980c041c805A1EDcbA50c1Ce5db95118',
+      }),
+      tokenFrom('DAI', {
+        name: 'Dai Stablecoin (bridged)',
+        address: '0xd586E7F844cEa2F87f50152665BCbc2C279D8d70',
+      }),
+    ],
+  },
+};
+
+/**
+ * Chain IDs with a lending deployment
+ */
+export const LENDING_CHAIN_IDS = Object.keys(NETWORKS)
+  .map(Number)
+  .filter(id => NETWORKS[id].contracts.LENDING_POOL);
+
+/**
+ * Get registry entry for a chain
+ * @param {number} chainId - Chain ID
+ * @returns {object|null} Network entry
+ */
+export const getNetwork = (chainId) => {
+  return NETWORKS[chainId] || null;
+};
+
+/**
+ * Check if lending is available on a chain
+ * @param {number} chainId - Chain ID
+ * @returns {boolean} Is supported
+ */
+export const isLendingSupported = (chainId) => {
+  return Boolean(getNetwork(chainId)?.contracts.LENDING_POOL);
+};
+
+/**
+ * Get a contract address for a chain
+ * @param {string} contractName - Registry key (LENDING_POOL, AAVE_ORACLE, MULTICALL...)
+ * @param {number} chainId - Chain ID
+ * @returns {string|null} Contract address
+ */
+export const getNetworkContract = (contractName, chainId = DEFAULTS.CHAIN_ID) => {
+  return getNetwork(chainId)?.contracts[contractName] || null;
+};
+
+/**
+ * Get the token list for a chain
+ * @param {number} chainId - Chain ID
+ * @returns {object[]} Tokens (empty if the chain is unsupported)
+ */
+export const getNetworkTokens = (chainId = DEFAULTS.CHAIN_ID) => {
+  return getNetwork(chainId)?.tokens || [];
+};
+
+/**
+ * Get the Aave pool version of a chain's market
+ * @param {number} chainId - Chain ID
+ * @returns {number} 2 or 3
+ */
+export const getPoolVersion = (chainId = DEFAULTS.CHAIN_ID) => {
+  return getNetwork(chainId)?.version ?? 2;
+};
+
+/**
+ * Get decimals of the market's base currency
+ * @param {number} chainId - Chain ID
+ * @returns {number} Base currency decimals
+ */
+export const getBaseCurrencyDecimals = (chainId = DEFAULTS.CHAIN_ID) => {
+  return getNetwork(chainId)?.baseCurrencyDecimals ?? 18;
+};
+
+/**
+ * Get chain metadata (name, native currency, RPC and explorer URLs)
+ * @param {number} chainId - Chain ID
+ * @returns {object|null} Chain metadata
+ */
+export const getChain = (chainId) => {
+  return SUPPORTED_CHAINS.find(chain => chain.id === chainId) || null;
+};
+
+/**
+ * Get block explorer base URL for a chain
+ * @param {number} chainId - Chain ID
+ * @returns {string} Explorer URL
+ */
+export const getExplorerUrl = (chainId = DEFAULTS.CHAIN_ID) => {
+  return getChain(chainId)?.blockExplorerUrls.default || 'https://etherscan.io';
+};
+
+export default {
+  NETWORKS,
+  LENDING_CHAIN_IDS,
+  getNetwork,
+  isLendingSupported,
+  getNetworkContract,
+  getNetworkTokens,
+  getPoolVersion,
+  getBaseCurrencyDecimals,
+  getChain,
+  getExplorerUrl,
+};
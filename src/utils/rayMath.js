@@ -0,0 +1,192 @@
+import { formatUnits, parseUnits } from 'ethers';
+import { APY_CONSTANTS, TIME_CONSTANTS } from './constants';
+
+/**
+ * Fixed-point math on BigInt with the protocol's rounding
+ * Rates and indexes are rays (27 decimals), amounts keep their token's decimals. Like the
+ * pool's WadRayMath, multiplications and divisions round half up.
+ */
+
+export const { RAY, WAD, HALF_RAY, HALF_WAD, WAD_RAY_RATIO } = APY_CONSTANTS;
+
+const SECONDS_PER_YEAR = BigInt(TIME_CONSTANTS.SECONDS_PER_YEAR);
+
+/**
+ * Multiply two wads, rounding half up
+ * @param {BigInt} a - Wad
+ * @param {BigInt} b - Wad
+ * @returns {BigInt} a * b in wad
+ */
+export const wadMul = (a, b) => {
+  if (a === 0n || b === 0n) return 0n;
+  return (a * b + HALF_WAD) / WAD;
+};
+
+/**
+ * Divide two wads, rounding half up
+ * @param {BigInt} a - Wad
+ * @param {BigInt} b - Wad, not 0
+ * @returns {BigInt} a / b in wad
+ */
+export const wadDiv = (a, b) => {
+  if (b === 0n) throw new Error('Division by zero');
+  return (a * WAD + b / 2n) / b;
+};
+
+/**
+ * Multiply by a ray, rounding half up
+ * `a` may be in any unit, e.g. a token amount scaled by an index.
+ * @param {BigInt} a - Value
+ * @param {BigInt} b - Ray
+ * @returns {BigInt} a * b in the unit of a
+ */
+export const rayMul = (a, b) => {
+  if (a === 0n || b === 0n) return 0n;
+  return (a * b + HALF_RAY) / RAY;
+};
+
+/**
+ * Divide by a ray, rounding half up
+ * @param {BigInt} a - Value
+ * @param {BigInt} b - Ray, not 0
+ * @returns {BigInt} a / b in the unit of a
+ */
+export const rayDiv = (a, b) => {
+  if (b === 0n) throw new Error('Division by zero');
+  return (a * RAY + b / 2n) / b;
+};
+
+/**
+ * Convert a wad to a ray
+ * @param {BigInt} a - Wad
+ * @returns {BigInt} Ray
+ */
+export const wadToRay = (a) => a * WAD_RAY_RATIO;
+
+/**
+ * Convert a ray to a wad, rounding half up
+ * @param {BigInt} a - Ray
+ * @returns {BigInt} Wad
+ */
+export const rayToWad = (a) => (a + WAD_RAY_RATIO / 2n) / WAD_RAY_RATIO;
+
+/**
+ * Raise a ray to an integer power by squaring
+ * @param {BigInt} x - Ray
+ * @param {BigInt} n - Exponent
+ * @returns {BigInt} x^n in ray
+ */
+export const rayPow = (x, n) => {
+  let result = n % 2n !== 0n ? x : RAY;
+  let base = x;
+
+  for (let exponent = n / 2n; exponent !== 0n; exponent /= 2n) {
+    base = rayMul(base, base);
+    if (exponent % 2n !== 0n) result = rayMul(result, base);
+  }
+
+  return result;
+};
+
+/**
+ * Interest factor of a rate accrued linearly, as the liquidity index grows between updates
+ * @param {BigInt} rate - Annual rate in ray
+ * @param {number} fromTimestamp - Start, in seconds
+ * @param {number} toTimestamp - End, in seconds
+ * @returns {BigInt} Factor in ray (RAY for no interest)
+ */
+export const calculateLinearInterest = (rate, fromTimestamp, toTimestamp) => {
+  const elapsed = BigInt(Math.max(0, toTimestamp - fromTimestamp));
+  return (rate * elapsed) / SECONDS_PER_YEAR + RAY;
+};
+
+/**
+ * Interest factor of a rate compounded every second over a period
+ * @param {BigInt} rate - Annual rate (APR) in ray
+ * @param {BigInt|number} seconds - Period
+ * @returns {BigInt} Factor in ray
+ */
+export const getGrowthFactor = (rate, seconds) => {
+  const period = Math.round(Number(seconds));
+  if (!(period > 0)) return RAY;
+  return rayPow(RAY + rate / SECONDS_PER_YEAR, BigInt(period));
+};
+
+/**
+ * Convert an APR to the APY it yields when compounded every second
+ * @param {BigInt} apr - Annual rate in ray
+ * @returns {BigInt} APY in ray
+ */
+export const aprToApy = (apr) => getGrowthFactor(apr, SECONDS_PER_YEAR) - RAY;
+
+/**
+ * Convert an APY back to the APR that compounds to it every second
+ * aprToApy has no closed-form inverse on integers, so the APR is found by bisection;
+ * the result converts back to within one unit of `apy`.
+ * @param {BigInt} apy - APY in ray
+ * @returns {BigInt} APR in ray
+ */
+export const apyToApr = (apy) => {
+  if (apy <= 0n) return 0n;
+
+  // Compounding only adds, so the APR lies between 0 and the APY
+  let low = 0n;
+  let high = apy;
+
+  while (high - low > 1n) {
+    const mid = (low + high) / 2n;
+    if (aprToApy(mid) < apy) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return high;
+};
+
+/**
+ * Convert a ray to a number, for display
+ * @param {BigInt} value - Ray
+ * @returns {number} Value
+ */
+export const rayToNumber = (value) => parseFloat(formatUnits(value, 27));
+
+/**
+ * Convert a ray rate to a percentage, for display
+ * @param {BigInt} value - Rate in ray
+ * @returns {number} Percentage (e.g., 3.5 for 3.5%)
+ */
+export const rayToPercent = (value) => parseFloat(formatUnits(value * 100n, 27));
+
+/**
+ * Convert a percentage to a ray rate
+ * @param {number} percent - Percentage (e.g., 3.5 for 3.5%)
+ * @returns {BigInt} Rate in ray
+ */
+export const percentToRay = (percent) => {
+  if (!Number.isFinite(percent) || percent <= 0) return 0n;
+  return wadToRay(parseUnits((percent / 100).toFixed(18), 18));
+};
+
+export default {
+  RAY,
+  WAD,
+  HALF_RAY,
+  HALF_WAD,
+  WAD_RAY_RATIO,
+  wadMul,
+  wadDiv,
+  rayMul,
+  rayDiv,
+  wadToRay,
+  rayToWad,
+  rayPow,
+  calculateLinearInterest,
+  getGrowthFactor,
+  aprToApy,
+  apyToApr,
+  rayToNumber,
+  rayToPercent,
+  percentToRay,
+};
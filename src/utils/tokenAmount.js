@@ -0,0 +1,227 @@
+import { formatUnits, parseUnits } from 'ethers';
+import { WAD, wadMul, wadDiv } from './rayMath';
+
+/**
+ * Token amounts in base units
+ * A token amount is `{ raw, decimals }` with `raw` a BigInt, so an amount keeps every digit
+ * from the input through validation and risk math to the contract call. Convert one to a
+ * number only to display it.
+ */
+
+const BPS = 10000n;
+const WAD_DECIMALS = 18;
+
+/**
+ * Create a token amount
+ * @param {BigInt|string|number} raw - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @returns {object} { raw, decimals }
+ */
+export const createTokenAmount = (raw, decimals) => Object.freeze({ raw: BigInt(raw), decimals });
+
+/**
+ * Create a zero amount of a token
+ * @param {number} decimals - Token decimals
+ * @returns {object} Token amount
+ */
+export const zeroAmount = (decimals) => createTokenAmount(0n, decimals);
+
+/**
+ * Parse an amount typed in whole tokens
+ * Digits beyond the token's decimals are cut off, as the amount inputs do.
+ * @param {string} input - Amount, e.g. "1.5"
+ * @param {number} decimals - Token decimals
+ * @returns {object|null} Token amount, or null if the input isn't a number
+ */
+export const parseAmountInput = (input, decimals) => {
+  const value = String(input ?? '').trim();
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(value)) return null;
+
+  const [whole, fraction = ''] = value.split('.');
+  const fractionDigits = fraction.slice(0, decimals).padEnd(decimals, '0');
+
+  return createTokenAmount(
+    BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(fractionDigits || '0'),
+    decimals
+  );
+};
+
+/**
+ * Format a token amount as an exact decimal string without trailing zeros
+ * Used to fill amount inputs and label transactions.
+ * @param {object} amount - Token amount
+ * @returns {string} Amount in whole tokens, e.g. "1.5"
+ */
+export const toAmountString = (amount) => {
+  const formatted = formatUnits(amount.raw, amount.decimals);
+  return formatted.endsWith('.0') ? formatted.slice(0, -2) : formatted;
+};
+
+/**
+ * Convert a token amount to a number, for display
+ * @param {object} amount - Token amount
+ * @returns {number} Amount in whole tokens
+ */
+export const toNumber = (amount) => parseFloat(formatUnits(amount.raw, amount.decimals));
+
+/**
+ * Check whether an amount is set and above zero
+ * @param {object|null} amount - Token amount
+ * @returns {boolean} Whether the amount is positive
+ */
+export const isPositive = (amount) => Boolean(amount) && amount.raw > 0n;
+
+const assertSameToken = (a, b) => {
+  if (a.decimals !== b.decimals) throw new Error('Token amounts have different decimals');
+};
+
+/**
+ * Compare two amounts of the same token
+ * @param {object} a - Token amount
+ * @param {object} b - Token amount
+ * @returns {number} -1, 0 or 1 as a is less than, equal to or greater than b
+ */
+export const compareAmounts = (a, b) => {
+  assertSameToken(a, b);
+  if (a.raw === b.raw) return 0;
+  return a.raw < b.raw ? -1 : 1;
+};
+
+/**
+ * Add two amounts of the same token
+ * @param {object} a - Token amount
+ * @param {object} b - Token amount
+ * @returns {object} a + b
+ */
+export const addAmounts = (a, b) => {
+  assertSameToken(a, b);
+  return createTokenAmount(a.raw + b.raw, a.decimals);
+};
+
+/**
+ * Subtract an amount of the same token, stopping at zero
+ * @param {object} a - Token amount
+ * @param {object} b - Token amount
+ * @returns {object} a - b, or zero if b is larger
+ */
+export const subtractAmounts = (a, b) => {
+  assertSameToken(a, b);
+  return createTokenAmount(a.raw > b.raw ? a.raw - b.raw : 0n, a.decimals);
+};
+
+/**
+ * Get the smaller of two amounts of the same token
+ * @param {object} a - Token amount
+ * @param {object} b - Token amount
+ * @returns {object} The smaller amount
+ */
+export const minAmount = (a, b) => (compareAmounts(a, b) <= 0 ? a : b);
+
+/**
+ * Scale an amount by a factor in basis points, rounding down
+ * @param {object} amount - Token amount
+ * @param {number} bps - Factor in basis points (e.g., 9900 for 99%)
+ * @returns {object} Scaled amount
+ */
+export const scaleAmount = (amount, bps) => {
+  return createTokenAmount((amount.raw * BigInt(Math.round(bps))) / BPS, amount.decimals);
+};
+
+/**
+ * Write a number as a plain decimal string
+ * toFixed and toString switch to exponent notation for large and small values, which
+ * parseUnits rejects, so the digits are placed from the exponent form instead.
+ */
+const toPlainDecimal = (value) => {
+  const [mantissa, exponent] = Math.abs(value).toExponential().split('e');
+  const [whole, fraction = ''] = mantissa.split('.');
+  const digits = whole + fraction;
+  const point = whole.length + Number(exponent);
+  const sign = value < 0 ? '-' : '';
+
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+};
+
+/**
+ * Convert a number to a wad, at the boundary where prices and values enter BigInt math
+ * Digits beyond 18 decimals are cut off.
+ * @param {number} value - Value
+ * @returns {BigInt} Wad, or 0 if the value isn't finite
+ */
+export const toWad = (value) => {
+  if (!Number.isFinite(value)) return 0n;
+
+  const [whole, fraction = ''] = toPlainDecimal(value).split('.');
+  return parseUnits(`${whole}.${fraction.slice(0, WAD_DECIMALS) || '0'}`, WAD_DECIMALS);
+};
+
+/**
+ * Convert a wad to a number, for display
+ * @param {BigInt} value - Wad
+ * @returns {number} Value
+ */
+export const fromWad = (value) => parseFloat(formatUnits(value, WAD_DECIMALS));
+
+/**
+ * Rescale a value between decimals, rounding down
+ */
+const rescale = (value, fromDecimals, toDecimals) => {
+  if (fromDecimals === toDecimals) return value;
+  return fromDecimals < toDecimals
+    ? value * 10n ** BigInt(toDecimals - fromDecimals)
+    : value / 10n ** BigInt(fromDecimals - toDecimals);
+};
+
+/**
+ * Get the value of an amount at a price
+ * @param {object} amount - Token amount
+ * @param {number} price - Price of one whole token
+ * @returns {BigInt} Value in wad
+ */
+export const getAmountValue = (amount, price) => {
+  return wadMul(rescale(amount.raw, amount.decimals, WAD_DECIMALS), toWad(price));
+};
+
+/**
+ * Get the amount of a token worth a value at a price, rounding down
+ * @param {BigInt} value - Value in wad
+ * @param {number} price - Price of one whole token
+ * @param {number} decimals - Token decimals
+ * @returns {object} Token amount, zero if the token has no price
+ */
+export const getAmountForValue = (value, price, decimals) => {
+  const priceWad = toWad(price);
+  if (priceWad <= 0n || value <= 0n) return zeroAmount(decimals);
+
+  const amountWad = (value * WAD) / priceWad;
+  return createTokenAmount(rescale(amountWad, WAD_DECIMALS, decimals), decimals);
+};
+
+/**
+ * Divide two values, e.g. weighted collateral by debt for a health factor
+ * @param {BigInt} a - Wad
+ * @param {BigInt} b - Wad
+ * @returns {number} a / b, or Infinity if b is 0
+ */
+export const getValueRatio = (a, b) => (b > 0n ? fromWad(wadDiv(a, b)) : Infinity);
+
+export default {
+  createTokenAmount,
+  zeroAmount,
+  parseAmountInput,
+  toAmountString,
+  toNumber,
+  isPositive,
+  compareAmounts,
+  addAmounts,
+  subtractAmounts,
+  minAmount,
+  scaleAmount,
+  toWad,
+  fromWad,
+  getAmountValue,
+  getAmountForValue,
+  getValueRatio,
+};
@@ -1,17 +1,172 @@
-import { BrowserProvider, Contract, formatUnits, parseUnits } from 'ethers';
-import { CHAIN_IDS, SUPPORTED_CHAINS, CONTRACT_ADDRESSES } from './constants';
+import { BrowserProvider, JsonRpcProvider, FallbackProvider, Contract, formatUnits, getAddress } from 'ethers';
+import { CHAIN_IDS, SUPPORTED_CHAINS, DEFAULTS } from './constants';
+import { getActiveProvider } from './connectors';
 
 /**
- * Get Web3 Provider from window.ethereum
+ * Get Web3 Provider from the active wallet connector
+ * Only used for signing and wallet requests; reads go through getReadProvider.
  * @returns {BrowserProvider|null} Ethers provider
  */
 export const getProvider = () => {
-  if (typeof window === 'undefined' || !window.ethereum) {
+  const ethereum = getActiveProvider();
+  if (!ethereum) {
     console.error('No Web3 provider found');
     return null;
   }
   
-  return new BrowserProvider(window.ethereum);
+  return new BrowserProvider(ethereum);
+};
+
+// Read-only providers, one per chain
+const readProviders = new Map();
+const RPC_TIMEOUT = 3000; // 3 seconds
+const RPC_HEALTH_TTL = 300000; // 5 minutes
+const RETIRED_PROVIDER_GRACE = 60000; // 1 minute, longer than any single wait on a provider
+
+/**
+ * Reject if a promise doesn't settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Promise} Result of the promise
+ */
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('RPC request timed out')), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Get all configured RPC URLs for a chain, without duplicates
+ * @param {object} chain - Entry from SUPPORTED_CHAINS
+ * @returns {string[]} RPC URLs
+ */
+const getRpcUrls = (chain) => {
+  const { default: defaultUrl, public: publicUrl, fallback = [] } = chain.rpcUrls;
+  return [...new Set([defaultUrl, publicUrl, ...fallback].filter(Boolean))];
+};
+
+/**
+ * Check an RPC endpoint and measure its latency
+ * @param {string} url - RPC URL
+ * @param {number} chainId - Expected chain ID
+ * @returns {Promise<object>} { url, provider, latency, healthy }
+ */
+export const checkRpcHealth = async (url, chainId) => {
+  const provider = new JsonRpcProvider(url, chainId, { staticNetwork: true });
+  const start = Date.now();
+
+  try {
+    await withTimeout(provider.getBlockNumber(), RPC_TIMEOUT);
+    return { url, provider, latency: Date.now() - start, healthy: true };
+  } catch (error) {
+    console.error(`RPC health check failed for ${url}:`, error.message);
+    provider.destroy();
+    return { url, provider: null, latency: Infinity, healthy: false };
+  }
+};
+
+/**
+ * Build a failover provider from the chain's RPC URLs, fastest healthy endpoint first
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Provider>} Ethers provider
+ */
+const buildReadProvider = async (chainId) => {
+  const chain = SUPPORTED_CHAINS.find(c => c.id === chainId);
+  if (!chain) throw new Error(`No RPC configured for chain ${chainId}`);
+
+  const urls = getRpcUrls(chain);
+  const checks = await Promise.all(urls.map(url => checkRpcHealth(url, chainId)));
+
+  let ranked = checks
+    .filter(check => check.healthy)
+    .sort((a, b) => a.latency - b.latency);
+
+  // Every check failed (e.g. offline): keep the configured order and let failover sort it out
+  if (ranked.length === 0) {
+    ranked = urls.map(url => ({
+      url,
+      provider: new JsonRpcProvider(url, chainId, { staticNetwork: true }),
+    }));
+  }
+
+  if (ranked.length === 1) return ranked[0].provider;
+
+  return new FallbackProvider(
+    ranked.map((entry, index) => ({
+      provider: entry.provider,
+      priority: index + 1, // lower priority is tried first
+      weight: 1,
+      stallTimeout: RPC_TIMEOUT,
+    })),
+    chainId,
+    { quorum: 1 }
+  );
+};
+
+/**
+ * Destroy a replaced read provider, stopping its polling and RPC connections
+ * Calls already started on it get a grace period to settle first.
+ * @param {Promise<Provider>} provider - Provider from buildReadProvider
+ */
+const retireReadProvider = (provider) => {
+  setTimeout(() => {
+    provider.then(retired => retired.destroy()).catch(() => {});
+  }, RETIRED_PROVIDER_GRACE);
+};
+
+/**
+ * Get the read-only provider for a chain
+ * Used for all view calls, with or without a connected wallet. Endpoints are
+ * re-ranked by latency every few minutes. Long waits should fetch the provider again
+ * at least every RETIRED_PROVIDER_GRACE, as a replaced one is destroyed.
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Provider>} Ethers provider
+ */
+export const getReadProvider = async (chainId = DEFAULTS.CHAIN_ID) => {
+  const cached = readProviders.get(chainId);
+  if (cached && Date.now() - cached.timestamp < RPC_HEALTH_TTL) {
+    return cached.provider;
+  }
+
+  const provider = buildReadProvider(chainId);
+  readProviders.set(chainId, { provider, timestamp: Date.now() });
+  if (cached) retireReadProvider(cached.provider);
+
+  try {
+    return await provider;
+  } catch (error) {
+    readProviders.delete(chainId);
+    console.error('Error building read provider:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a raw JSON-RPC request through the read provider of a chain
+ * A FallbackProvider has no `send`, so its endpoints are tried in ranked order.
+ * @param {string} method - RPC method
+ * @param {Array} params - RPC params
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<any>} RPC result
+ */
+export const sendRpcRequest = async (method, params, chainId = DEFAULTS.CHAIN_ID) => {
+  const provider = await getReadProvider(chainId);
+  if (typeof provider.send === 'function') {
+    return provider.send(method, params);
+  }
+
+  let lastError = null;
+  for (const { provider: endpoint } of provider.providerConfigs) {
+    try {
+      return await withTimeout(endpoint.send(method, params), RPC_TIMEOUT);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
 };
 
 /**
@@ -35,12 +190,13 @@ export const getSigner = async () => {
  * @returns {Promise<string[]>} Array of addresses
  */
 export const requestAccounts = async () => {
-  if (!window.ethereum) {
+  const ethereum = getActiveProvider();
+  if (!ethereum) {
     throw new Error('No Web3 wallet detected');
   }
   
   try {
-    const accounts = await window.ethereum.request({
+    const accounts = await ethereum.request({
       method: 'eth_requestAccounts',
     });
     return accounts;
@@ -55,10 +211,11 @@ export const requestAccounts = async () => {
  * @returns {Promise<string|null>} Current account address
  */
 export const getCurrentAccount = async () => {
-  if (!window.ethereum) return null;
+  const ethereum = getActiveProvider();
+  if (!ethereum) return null;
   
   try {
-    const accounts = await window.ethereum.request({
+    const accounts = await ethereum.request({
       method: 'eth_accounts',
     });
     return accounts[0] || null;
@@ -91,10 +248,11 @@ export const getChainId = async () => {
  * @returns {Promise<boolean>} Success status
  */
 export const switchChain = async (chainId) => {
-  if (!window.ethereum) return false;
+  const ethereum = getActiveProvider();
+  if (!ethereum) return false;
   
   try {
-    await window.ethereum.request({
+    await ethereum.request({
       method: 'wallet_switchEthereumChain',
       params: [{ chainId: `0x${chainId.toString(16)}` }],
     });
@@ -115,7 +273,8 @@ export const switchChain = async (chainId) => {
  * @returns {Promise<boolean>} Success status
  */
 export const addChain = async (chainId) => {
-  if (!window.ethereum) return false;
+  const ethereum = getActiveProvider();
+  if (!ethereum) return false;
   
   const chain = SUPPORTED_CHAINS.find(c => c.id === chainId);
   if (!chain) {
@@ -124,7 +283,7 @@ export const addChain = async (chainId) => {
   }
   
   try {
-    await window.ethereum.request({
+    await ethereum.request({
       method: 'wallet_addEthereumChain',
       params: [
         {
@@ -146,13 +305,14 @@ export const addChain = async (chainId) => {
 /**
  * Get ETH balance for an address
  * @param {string} address - Ethereum address
+ * @param {number} chainId - Chain ID
  * @returns {Promise<string>} Balance in ETH
  */
-export const getBalance = async (address) => {
-  const provider = getProvider();
-  if (!provider || !address) return '0';
+export const getBalance = async (address, chainId = DEFAULTS.CHAIN_ID) => {
+  if (!address) return '0';
   
   try {
+    const provider = await getReadProvider(chainId);
     const balance = await provider.getBalance(address);
     return formatUnits(balance, 18);
   } catch (error) {
@@ -166,13 +326,14 @@ export const getBalance = async (address) => {
  * @param {string} tokenAddress - Token contract address
  * @param {string} userAddress - User's address
  * @param {number} decimals - Token decimals
+ * @param {number} chainId - Chain ID
  * @returns {Promise<string>} Token balance
  */
-export const getTokenBalance = async (tokenAddress, userAddress, decimals = 18) => {
-  const provider = getProvider();
-  if (!provider || !tokenAddress || !userAddress) return '0';
+export const getTokenBalance = async (tokenAddress, userAddress, decimals = 18, chainId = DEFAULTS.CHAIN_ID) => {
+  if (!tokenAddress || !userAddress) return '0';
   
   try {
+    const provider = await getReadProvider(chainId);
     const ERC20_ABI = [
       'function balanceOf(address owner) view returns (uint256)',
     ];
@@ -191,13 +352,12 @@ export const getTokenBalance = async (tokenAddress, userAddress, decimals = 18)
  * @param {string} tokenAddress - Token contract address
  * @param {string} owner - Owner address
  * @param {string} spender - Spender address
+ * @param {number} chainId - Chain ID
  * @returns {Promise<string>} Allowance amount
  */
-export const getAllowance = async (tokenAddress, owner, spender) => {
-  const provider = getProvider();
-  if (!provider) return '0';
-  
+export const getAllowance = async (tokenAddress, owner, spender, chainId = DEFAULTS.CHAIN_ID) => {
   try {
+    const provider = await getReadProvider(chainId);
     const ERC20_ABI = [
       'function allowance(address owner, address spender) view returns (uint256)',
     ];
@@ -216,9 +376,11 @@ export const getAllowance = async (tokenAddress, owner, spender) => {
  * @param {string} tokenAddress - Token contract address
  * @param {string} spender - Spender address
  * @param {string} amount - Amount to approve (in token units)
+ * @param {function} onSubmitted - Called with the transaction once it is sent
+ * @param {object} overrides - Transaction overrides (fee parameters)
  * @returns {Promise<object>} Transaction receipt
  */
-export const approveToken = async (tokenAddress, spender, amount) => {
+export const approveToken = async (tokenAddress, spender, amount, onSubmitted, overrides = {}) => {
   const signer = await getSigner();
   if (!signer) throw new Error('No signer available');
   
@@ -228,7 +390,8 @@ export const approveToken = async (tokenAddress, spender, amount) => {
     ];
     
     const contract = new Contract(tokenAddress, ERC20_ABI, signer);
-    const tx = await contract.approve(spender, amount);
+    const tx = await contract.approve(spender, amount, overrides);
+    onSubmitted?.(tx);
     const receipt = await tx.wait();
     
     return receipt;
@@ -238,33 +401,15 @@ export const approveToken = async (tokenAddress, spender, amount) => {
   }
 };
 
-/**
- * Get current gas price
- * @returns {Promise<string>} Gas price in Gwei
- */
-export const getGasPrice = async () => {
-  const provider = getProvider();
-  if (!provider) return '0';
-  
-  try {
-    const feeData = await provider.getFeeData();
-    return formatUnits(feeData.gasPrice || 0n, 9); // Convert to Gwei
-  } catch (error) {
-    console.error('Error getting gas price:', error);
-    return '0';
-  }
-};
-
 /**
  * Estimate gas for a transaction
  * @param {object} transaction - Transaction object
+ * @param {number} chainId - Chain ID
  * @returns {Promise<string>} Estimated gas
  */
-export const estimateGas = async (transaction) => {
-  const provider = getProvider();
-  if (!provider) return '0';
-  
+export const estimateGas = async (transaction, chainId = DEFAULTS.CHAIN_ID) => {
   try {
+    const provider = await getReadProvider(chainId);
     const estimate = await provider.estimateGas(transaction);
     return estimate.toString();
   } catch (error) {
@@ -275,16 +420,26 @@ export const estimateGas = async (transaction) => {
 
 /**
  * Wait for transaction confirmation
+ * Waits in rounds on the current read provider, so the wait outlives provider refreshes.
  * @param {string} txHash - Transaction hash
  * @param {number} confirmations - Number of confirmations to wait
+ * @param {number} chainId - Chain ID
  * @returns {Promise<object>} Transaction receipt
  */
-export const waitForTransaction = async (txHash, confirmations = 1) => {
-  const provider = getProvider();
-  if (!provider) throw new Error('No provider available');
-  
+export const waitForTransaction = async (txHash, confirmations = 1, chainId = DEFAULTS.CHAIN_ID) => {
   try {
-    const receipt = await provider.waitForTransaction(txHash, confirmations);
+    let receipt = null;
+
+    while (!receipt) {
+      const provider = await getReadProvider(chainId);
+
+      try {
+        receipt = await provider.waitForTransaction(txHash, confirmations, RETIRED_PROVIDER_GRACE / 2);
+      } catch (error) {
+        if (error.code !== 'TIMEOUT') throw error;
+      }
+    }
+
     return receipt;
   } catch (error) {
     console.error('Error waiting for transaction:', error);
@@ -302,16 +457,37 @@ export const isValidAddress = (address) => {
   return /^0x[a-fA-F0-9]{40}$/.test(address);
 };
 
+/**
+ * Resolve an address or ENS name to a checksummed address
+ * ENS names are always resolved on Ethereum mainnet.
+ * @param {string} input - Address or ENS name
+ * @returns {Promise<string|null>} Checksummed address, or null if it can't be resolved
+ */
+export const resolveAddress = async (input) => {
+  const value = input?.trim();
+  if (!value) return null;
+
+  if (isValidAddress(value)) return getAddress(value.toLowerCase());
+  if (!value.includes('.')) return null;
+
+  try {
+    const provider = await getReadProvider(CHAIN_IDS.ETHEREUM_MAINNET);
+    return await provider.resolveName(value);
+  } catch (error) {
+    console.error('Error resolving ENS name:', error);
+    return null;
+  }
+};
+
 /**
  * Get transaction by hash
  * @param {string} txHash - Transaction hash
+ * @param {number} chainId - Chain ID
  * @returns {Promise<object|null>} Transaction object
  */
-export const getTransaction = async (txHash) => {
-  const provider = getProvider();
-  if (!provider) return null;
-  
+export const getTransaction = async (txHash, chainId = DEFAULTS.CHAIN_ID) => {
   try {
+    const provider = await getReadProvider(chainId);
     const tx = await provider.getTransaction(txHash);
     return tx;
   } catch (error) {
@@ -323,13 +499,12 @@ export const getTransaction = async (txHash) => {
 /**
  * Get transaction receipt
  * @param {string} txHash - Transaction hash
+ * @param {number} chainId - Chain ID
  * @returns {Promise<object|null>} Transaction receipt
  */
-export const getTransactionReceipt = async (txHash) => {
-  const provider = getProvider();
-  if (!provider) return null;
-  
+export const getTransactionReceipt = async (txHash, chainId = DEFAULTS.CHAIN_ID) => {
   try {
+    const provider = await getReadProvider(chainId);
     const receipt = await provider.getTransactionReceipt(txHash);
     return receipt;
   } catch (error) {
@@ -340,13 +515,12 @@ export const getTransactionReceipt = async (txHash) => {
 
 /**
  * Get block number
+ * @param {number} chainId - Chain ID
  * @returns {Promise<number>} Current block number
  */
-export const getBlockNumber = async () => {
-  const provider = getProvider();
-  if (!provider) return 0;
-  
+export const getBlockNumber = async (chainId = DEFAULTS.CHAIN_ID) => {
   try {
+    const provider = await getReadProvider(chainId);
     return await provider.getBlockNumber();
   } catch (error) {
     console.error('Error getting block number:', error);
@@ -363,10 +537,11 @@ export const getBlockNumber = async () => {
  * @returns {Promise<boolean>} Success status
  */
 export const addTokenToWallet = async (tokenAddress, symbol, decimals, image) => {
-  if (!window.ethereum) return false;
+  const ethereum = getActiveProvider();
+  if (!ethereum) return false;
   
   try {
-    const wasAdded = await window.ethereum.request({
+    const wasAdded = await ethereum.request({
       method: 'wallet_watchAsset',
       params: {
         type: 'ERC20',
@@ -387,6 +562,9 @@ export const addTokenToWallet = async (tokenAddress, symbol, decimals, image) =>
 
 export default {
   getProvider,
+  checkRpcHealth,
+  getReadProvider,
+  sendRpcRequest,
   getSigner,
   requestAccounts,
   getCurrentAccount,
@@ -397,10 +575,10 @@ export default {
   getTokenBalance,
   getAllowance,
   approveToken,
-  getGasPrice,
   estimateGas,
   waitForTransaction,
   isValidAddress,
+  resolveAddress,
   getTransaction,
   getTransactionReceipt,
   getBlockNumber,